@@ -0,0 +1,181 @@
+// FINHIGH Analytics
+// Buckets per-day transaction totals into daily/weekly/monthly series for trend and chart endpoints.
+const { toDateString } = require('./budgetPeriods');
+const { toMinor, fromMinor } = require('./money');
+
+const SERIES_INTERVALS = ['day', 'week', 'month'];
+const MAX_BUCKETS = 366;
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Start of the bucket containing `date`; weeks start on Monday
+function bucketStart(date, interval) {
+    if (interval === 'month') {
+        return new Date(date.getFullYear(), date.getMonth(), 1);
+    }
+    if (interval === 'week') {
+        const offset = (date.getDay() + 6) % 7;
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+    }
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function nextBucket(start, interval) {
+    if (interval === 'month') {
+        return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+    }
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + (interval === 'week' ? 7 : 1));
+}
+
+// Bucket label: YYYY-MM for months, the bucket's first day otherwise
+const bucketKey = (start, interval) => (interval === 'month' ? toDateString(start).slice(0, 7) : toDateString(start));
+
+// Resolve ?interval, ?from and ?to into whole buckets. Returns { error } or { interval, from, to, buckets }
+// where `to` is exclusive.
+function resolveRange({ interval = 'day', from, to }, today = new Date()) {
+    if (!SERIES_INTERVALS.includes(interval)) {
+        return { error: `Interval must be one of: ${SERIES_INTERVALS.join(', ')}` };
+    }
+
+    const end = to !== undefined ? new Date(to) : today;
+    if (isNaN(end.getTime())) {
+        return { error: 'to must be a valid date' };
+    }
+    const toExclusive = nextBucket(bucketStart(end, interval), interval);
+
+    let start;
+    if (from !== undefined) {
+        start = new Date(from);
+        if (isNaN(start.getTime())) {
+            return { error: 'from must be a valid date' };
+        }
+        start = bucketStart(start, interval);
+    } else {
+        start = toExclusive;
+        for (let i = 0; i < DEFAULT_BUCKETS[interval]; i++) {
+            start = bucketStart(new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1), interval);
+        }
+    }
+
+    const buckets = [];
+    for (let cursor = start; cursor < toExclusive; cursor = nextBucket(cursor, interval)) {
+        if (buckets.length === MAX_BUCKETS) {
+            return { error: `Range covers more than ${MAX_BUCKETS} ${interval}s` };
+        }
+        buckets.push(cursor);
+    }
+    if (buckets.length === 0) {
+        return { error: 'from must be before to' };
+    }
+
+    return { interval, from: start, to: toExclusive, buckets };
+}
+
+// rows: [{ day: 'YYYY-MM-DD', transaction_type, category, amount, savings_amount }] grouped per day.
+// Returns one entry per bucket, including empty ones, so charts get a continuous axis. Totals are summed in paise.
+function buildSeries(rows, range) {
+    const series = new Map(range.buckets.map(start => [bucketKey(start, range.interval), {
+        period: bucketKey(start, range.interval),
+        start: toDateString(start),
+        expense: 0,
+        income: 0,
+        savings: 0,
+        net: 0,
+        categories: {}
+    }]));
+
+    rows.forEach(row => {
+        const bucket = series.get(bucketKey(bucketStart(new Date(`${row.day}T00:00:00`), range.interval), range.interval));
+        if (!bucket) {
+            return;
+        }
+        const amount = toMinor(row.amount);
+        bucket.savings += toMinor(row.savings_amount);
+        if (row.transaction_type === 'expense') {
+            bucket.expense += amount;
+            bucket.categories[row.category] = (bucket.categories[row.category] || 0) + amount;
+        } else {
+            bucket.income += amount;
+        }
+    });
+
+    return [...series.values()].map(bucket => ({
+        ...bucket,
+        expense: fromMinor(bucket.expense),
+        income: fromMinor(bucket.income),
+        savings: fromMinor(bucket.savings),
+        net: fromMinor(bucket.income - bucket.expense),
+        categories: Object.fromEntries(Object.entries(bucket.categories).map(([name, amount]) => [name, fromMinor(amount)]))
+    }));
+}
+
+// Each bucket's spending split by category, with percentage shares
+function categoryShare(series) {
+    return series.map(bucket => ({
+        period: bucket.period,
+        start: bucket.start,
+        total: bucket.expense,
+        categories: Object.fromEntries(Object.entries(bucket.categories).map(([name, amount]) => [name, {
+            amount,
+            share: bucket.expense > 0 ? round2((amount / bucket.expense) * 100) : 0
+        }]))
+    }));
+}
+
+// Change against the previous value; percent is null when the previous value was zero
+const delta = (current, previous) => ({
+    change: fromMinor(toMinor(current) - toMinor(previous)),
+    percent: previous > 0 ? round2(((current - previous) / previous) * 100) : null
+});
+
+// Month-over-month deltas for a monthly series (the first month has no previous month)
+function monthOverMonth(series) {
+    return series.map((month, i) => {
+        const previous = series[i - 1];
+        if (!previous) {
+            return { period: month.period, expense: month.expense, income: month.income, savings: month.savings, deltas: null };
+        }
+
+        const names = new Set([...Object.keys(month.categories), ...Object.keys(previous.categories)]);
+        return {
+            period: month.period,
+            expense: month.expense,
+            income: month.income,
+            savings: month.savings,
+            deltas: {
+                expense: delta(month.expense, previous.expense),
+                income: delta(month.income, previous.income),
+                savings: delta(month.savings, previous.savings),
+                categories: Object.fromEntries([...names].map(name => [
+                    name,
+                    delta(month.categories[name] || 0, previous.categories[name] || 0)
+                ]))
+            }
+        };
+    });
+}
+
+// Average daily spend over `days` and the date current_balance runs out at that rate (null if it never does)
+function burnRate({ spent, days, balance, today = new Date() }) {
+    const dailyBurn = days > 0 ? spent / days : 0;
+    const daysLeft = dailyBurn > 0 ? Math.floor(Math.max(balance, 0) / dailyBurn) : null;
+
+    return {
+        dailyBurn: round2(dailyBurn),
+        daysLeft,
+        runOutDate: daysLeft === null
+            ? null
+            : toDateString(new Date(today.getFullYear(), today.getMonth(), today.getDate() + daysLeft))
+    };
+}
+
+module.exports = {
+    SERIES_INTERVALS,
+    bucketStart,
+    resolveRange,
+    buildSeries,
+    categoryShare,
+    monthOverMonth,
+    burnRate
+};
@@ -0,0 +1,206 @@
+// FINHIGH Assistant
+// Builds a financial snapshot of the user for the chat assistant and generates replies through a
+// pluggable provider. A provider is { name, generateReply({ message, context, history }) } resolving
+// to the reply text.
+const { toDateString } = require('./budgetPeriods');
+const { toAmount, formatMoney } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_TRANSACTION_COUNT = 10;
+const HISTORY_COUNT = 10;
+
+// Amounts in the user's base currency
+const money = (context, amount) => formatMoney(amount, context.currency);
+
+// Gather balances, category summaries, goals, recent transactions and the last few turns of the conversation
+async function loadAssistantContext(storage, userId, { conversationId = null, today = new Date() } = {}) {
+    const user = await storage.findUser(userId);
+
+    const summaries = new Map((await storage.categorySummaries(userId)).map(s => [s.category, s]));
+    const categories = (await storage.listCategories(userId, { includeArchived: false }))
+        .map(c => ({
+            ...c,
+            spent: summaries.has(c.category_name) ? summaries.get(c.category_name).total_amount : '0.00',
+            count: summaries.has(c.category_name) ? summaries.get(c.category_name).transaction_count : 0
+        }))
+        .sort((a, b) => toAmount(b.spent) - toAmount(a.spent) || a.category_name.localeCompare(b.category_name));
+
+    const goals = await storage.activeGoals(userId);
+    const transactions = await storage.recentTransactions(userId, RECENT_TRANSACTION_COUNT);
+    const history = conversationId !== null ? await storage.chatMessages(conversationId, { limit: HISTORY_COUNT }) : [];
+
+    const period = user.period_start ? {
+        start: toDateString(user.period_start),
+        end: toDateString(user.period_end),
+        daysLeft: Math.max(1, Math.round((new Date(user.period_end) - new Date(today.getFullYear(), today.getMonth(), today.getDate())) / DAY_MS) + 1)
+    } : null;
+
+    return {
+        context: {
+            today: toDateString(today),
+            name: user.name,
+            currency: user.base_currency,
+            allowance: toAmount(user.monthly_allowance),
+            balance: toAmount(user.current_balance),
+            savings: toAmount(user.total_savings),
+            totalSpent: toAmount(user.total_spent),
+            period,
+            categories: categories.map(c => ({
+                name: c.category_name,
+                label: c.display_name,
+                spent: toAmount(c.spent),
+                count: Number(c.count),
+                limit: c.monthly_limit !== null ? toAmount(c.monthly_limit) : null
+            })),
+            goals: goals.map(g => ({
+                name: g.goal_name,
+                target: toAmount(g.target_amount),
+                current: toAmount(g.current_amount),
+                targetDate: g.target_date ? toDateString(g.target_date) : null
+            })),
+            recentTransactions: transactions.map(t => ({
+                type: t.transaction_type,
+                category: t.category,
+                source: t.source,
+                amount: toAmount(t.amount),
+                description: t.description,
+                date: toDateString(t.transaction_date)
+            }))
+        },
+        // Oldest first, as a conversation reads
+        history: history.reverse().map(m => ({ type: m.message_type, content: m.message_content }))
+    };
+}
+
+// Categories at or above their monthly limit
+const overLimit = (context) => context.categories.filter(c => c.limit !== null && c.spent >= c.limit);
+
+function budgetReply(context) {
+    const lines = [`You have ${money(context, context.balance)} left and have spent ${money(context, context.totalSpent)} so far.`];
+    if (context.period) {
+        lines.push(`That is about ${money(context, context.balance / context.period.daysLeft)} a day for the ${context.period.daysLeft} day(s) until ${context.period.end}.`);
+    }
+    const over = overLimit(context);
+    if (over.length > 0) {
+        lines.push(`Over the limit: ${over.map(c => `${c.label} (${money(context, c.spent)} of ${money(context, c.limit)})`).join(', ')}.`);
+    }
+    return lines.join(' ');
+}
+
+function savingsReply(context) {
+    const lines = [`You currently have ${money(context, context.savings)} in savings.`];
+    if (context.allowance > 0) {
+        lines.push(`Setting aside 20% of your allowance would be ${money(context, context.allowance * 0.2)} a month.`);
+    }
+    lines.push('The 50/30/20 rule works well: 50% needs, 30% wants, 20% savings.');
+    return lines.join(' ');
+}
+
+function spendingReply(context) {
+    const spending = context.categories.filter(c => c.spent > 0);
+    if (spending.length === 0) {
+        return 'You have not recorded any expenses yet. Add a few and I can show where your money goes.';
+    }
+    const top = spending.slice(0, 3).map(c => `${c.label} ${money(context, c.spent)}`).join(', ');
+    return `Your biggest categories are ${top}. Consider tracking daily expenses in ${spending[0].label} to bring it down.`;
+}
+
+function categoryReply(context, category) {
+    const lines = [`You have spent ${money(context, category.spent)} on ${category.label} across ${category.count} transaction(s).`];
+    if (category.limit !== null) {
+        lines.push(category.spent >= category.limit
+            ? `That is over your ${money(context, category.limit)} limit.`
+            : `${money(context, category.limit - category.spent)} of your ${money(context, category.limit)} limit is left.`);
+    }
+    return lines.join(' ');
+}
+
+function goalsReply(context) {
+    if (context.goals.length === 0) {
+        return 'You have no active goals. Create a savings goal and I can track your progress here.';
+    }
+    return context.goals.map(g => {
+        const percent = g.target > 0 ? Math.min(100, Math.round((g.current / g.target) * 100)) : 100;
+        return `${g.name}: ${money(context, g.current)} of ${money(context, g.target)} (${percent}%)${g.targetDate ? `, due ${g.targetDate}` : ''}.`;
+    }).join(' ');
+}
+
+function recentReply(context) {
+    if (context.recentTransactions.length === 0) {
+        return 'You have no transactions yet.';
+    }
+    return `Your latest transactions: ${context.recentTransactions.slice(0, 3).map(t => (t.type === 'expense'
+        ? `${t.date} spent ${money(context, t.amount)} on ${t.category}`
+        : `${t.date} received ${money(context, t.amount)} from ${t.source}`)).join('; ')}.`;
+}
+
+// Deterministic keyword provider: the same message and context always give the same reply
+function createRuleBasedProvider() {
+    return {
+        name: 'rules',
+        async generateReply({ message, context }) {
+            const text = message.toLowerCase();
+            const category = context.categories.find(c => text.includes(c.name.toLowerCase()) || text.includes(c.label.toLowerCase()));
+
+            if (/^(hi|hello|hey)\b/.test(text)) {
+                return `Hi ${context.name}! Ask me about your budget, spending, savings or goals.`;
+            }
+            if (category) {
+                return categoryReply(context, category);
+            }
+            if (/goal/.test(text)) {
+                return goalsReply(context);
+            }
+            if (/sav(e|ing)/.test(text)) {
+                return savingsReply(context);
+            }
+            if (/recent|latest|last transaction/.test(text)) {
+                return recentReply(context);
+            }
+            if (/expense|spend|spent/.test(text)) {
+                return spendingReply(context);
+            }
+            if (/budget|money|balance|left|afford/.test(text)) {
+                return budgetReply(context);
+            }
+
+            return `Your current balance is ${money(context, context.balance)} and you have saved ${money(context, context.savings)} so far. `
+                + 'You can ask about your budget, spending by category, savings or goals.';
+        }
+    };
+}
+
+// Local provider for tests: returns a fixed reply (or reply(request)) and records every request
+function createMockProvider({ reply = 'This is a mock reply.' } = {}) {
+    const calls = [];
+    return {
+        name: 'mock',
+        calls,
+        async generateReply(request) {
+            calls.push(request);
+            return typeof reply === 'function' ? reply(request) : reply;
+        }
+    };
+}
+
+const ASSISTANT_PROVIDERS = {
+    rules: createRuleBasedProvider,
+    mock: createMockProvider
+};
+
+// Create a provider by name (ASSISTANT_PROVIDER); throws on unknown names
+function createAssistantProvider(name = 'rules', options = {}) {
+    const factory = ASSISTANT_PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown assistant provider "${name}". Use one of: ${Object.keys(ASSISTANT_PROVIDERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    ASSISTANT_PROVIDERS,
+    loadAssistantContext,
+    createRuleBasedProvider,
+    createMockProvider,
+    createAssistantProvider
+};
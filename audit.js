@@ -0,0 +1,88 @@
+// FINHIGH Audit Log
+// Operations that move a user's balance or savings are recorded in audit_log with both balances before and
+// after, the operation and the record it touched, who triggered it and the request it came from. Balances
+// are read around the operation on the same connection, so the row shows its actual effect; operations
+// that end up changing nothing (a refused expense, say) are not recorded.
+const { toMinor } = require('./money');
+
+const AUDIT_ACTIONS = [
+    'account.opened',
+    'transaction.expense',
+    'transaction.income',
+    'transaction.updated',
+    'transaction.deleted',
+    'import.confirmed',
+    'recurring.recorded',
+    'goal.contribution',
+    'goal.deleted',
+    'budget.period_opened'
+];
+
+// Who and what request an audited change comes from: { actorId, requestId } from an authenticated
+// request; schedulers pass nothing
+const auditOrigin = (req) => ({ actorId: req.userId ?? null, requestId: req.id ?? null });
+
+async function readBalances(connection, userId) {
+    const [rows] = await connection.execute('SELECT current_balance, total_savings FROM users WHERE id = ?', [userId]);
+    return rows.length > 0 ? { balance: rows[0].current_balance, savings: rows[0].total_savings } : null;
+}
+
+// The audit_log row for a change from `before` to `after` balances, or null when neither balance moved
+function auditRow({
+    userId,
+    action,
+    entityType = null,
+    entityId = null,
+    amount = null,
+    details = null,
+    origin = {}
+}, before, after) {
+    const unchanged = before && after
+        && toMinor(before.balance) === toMinor(after.balance)
+        && toMinor(before.savings) === toMinor(after.savings);
+    if (!before || !after || unchanged) {
+        return null;
+    }
+    return {
+        user_id: userId,
+        actor_id: origin.actorId ?? null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId,
+        amount: amount !== null ? String(amount) : null,
+        balance_before: before.balance,
+        balance_after: after.balance,
+        savings_before: before.savings,
+        savings_after: after.savings,
+        details_json: details ? JSON.stringify(details) : null,
+        request_id: origin.requestId ?? null
+    };
+}
+
+// Write one audit row for a change whose `before` balances were read earlier. Resolves to the new row id,
+// or null when the balances did not change.
+async function recordAudit(connection, { before, ...entry }) {
+    const row = auditRow(entry, before, await readBalances(connection, entry.userId));
+    if (!row) {
+        return null;
+    }
+
+    const columns = Object.keys(row);
+    const [result] = await connection.execute(
+        `INSERT INTO audit_log (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        Object.values(row)
+    );
+    return result.insertId;
+}
+
+// Run `operation` and audit its effect on the user's balances. `entry` holds the recordAudit() fields
+// (without `before`); `describe(result)` can add fields only known afterwards, such as the new record's
+// id. Resolves to the operation's result.
+async function audited(connection, entry, operation, describe = () => ({})) {
+    const before = await readBalances(connection, entry.userId);
+    const result = await operation();
+    await recordAudit(connection, { ...entry, ...describe(result), before });
+    return result;
+}
+
+module.exports = { AUDIT_ACTIONS, auditOrigin, readBalances, auditRow, recordAudit, audited };
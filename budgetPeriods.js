@@ -0,0 +1,157 @@
+// FINHIGH Budget Period Scheduler
+// Rolls users into a new monthly budget cycle once their open cycle has ended.
+const { toMinor, toDecimal } = require('./money');
+const { logger } = require('./logger');
+
+const MAX_PAY_DAY = 28; // keeps every cycle start inside every month
+const ROLLOVER_MODES = ['carry', 'sweep'];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Format a Date as a local YYYY-MM-DD string for DATE columns
+const toDateString = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Last day of the cycle that starts on `start`: the day before the next pay day after it
+function periodEndFor(payDay, start) {
+    let nextPayDay = new Date(start.getFullYear(), start.getMonth(), payDay);
+    if (nextPayDay <= start) {
+        nextPayDay = new Date(start.getFullYear(), start.getMonth() + 1, payDay);
+    }
+    return addDays(nextPayDay, -1);
+}
+
+// Close the user's open cycle and open the one from `start` to `end`: the leftover balance carries over
+// (or goes to savings in 'sweep' mode), the allowance is credited less the active allowance savings rule
+// and category summaries start again from zero. Resolves to false, changing nothing, when a cycle starting
+// on or after `start` is already open.
+function openBudgetPeriod(storage, userId, { start, end }) {
+    return storage.transaction(async (tx) => {
+        const balances = await tx.lockBalances(userId);
+        const open = await tx.findOpenBudgetPeriod(userId);
+        if (open && toDateString(new Date(open.period_start)) >= toDateString(start)) {
+            return false;
+        }
+
+        await tx.audited({
+            userId,
+            action: 'budget.period_opened',
+            entityType: 'budget_period',
+            details: { periodStart: toDateString(start), periodEnd: toDateString(end) }
+        }, async () => {
+            const user = await tx.findUser(userId);
+            const allowance = toMinor(user.monthly_allowance);
+            const leftover = toMinor(balances.current_balance);
+            const spent = toMinor(balances.total_spent);
+            const swept = user.rollover_mode === 'sweep' && leftover > 0 ? leftover : 0;
+
+            if (open) {
+                const income = (await tx.transactionTotals(userId, open.period_start, start))
+                    .filter(total => total.transaction_type === 'income')
+                    .reduce((sum, total) => sum + toMinor(total.total_amount), 0);
+                await tx.closeBudgetPeriod(open.id, {
+                    closingBalance: toDecimal(leftover),
+                    totalSpent: toDecimal(spent),
+                    totalIncome: toDecimal(income),
+                    swept: toDecimal(swept)
+                });
+            }
+
+            const rule = await tx.allowanceRule(userId);
+            const deduction = Math.min(allowance, !rule ? 0
+                : rule.rule_type === 'allowance_fixed' ? toMinor(rule.value)
+                    : Math.round((allowance * toMinor(rule.value)) / 10000));
+
+            await tx.adjustBalances(userId, {
+                balance: toDecimal(allowance - swept - deduction),
+                savings: toDecimal(swept + deduction),
+                spent: toDecimal(-spent)
+            });
+            await tx.resetCategorySummaries(userId);
+            return tx.createBudgetPeriod(userId, {
+                start: toDateString(start),
+                end: toDateString(end),
+                openingBalance: toDecimal(leftover - swept),
+                allowance: toDecimal(allowance),
+                savingsDeduction: toDecimal(deduction)
+            });
+        }, (periodId) => ({ entityId: periodId }));
+
+        return true;
+    });
+}
+
+// Create a scheduler bound to a storage backend (storage/). Pass `now` to drive it with a fake clock.
+function createBudgetPeriodScheduler({ storage, now = () => new Date(), intervalMs = 60 * 60 * 1000 }) {
+    let timer = null;
+    let running = false;
+
+    // Open every cycle a user has missed up to today; resolves to the number of cycles opened
+    async function rollOver(user, today) {
+        let start = addDays(new Date(user.period_end), 1);
+        let opened = 0;
+
+        while (start <= today) {
+            const end = periodEndFor(user.pay_day, start);
+            if (await openBudgetPeriod(storage, user.user_id, { start, end })) {
+                opened++;
+            }
+            start = addDays(end, 1);
+        }
+
+        return opened;
+    }
+
+    // Run a single pass; resolves to the number of budget periods opened
+    async function tick() {
+        if (running) {
+            return 0;
+        }
+        running = true;
+
+        const today = startOfDay(now());
+
+        try {
+            const ended = await storage.endedBudgetPeriods(toDateString(today));
+
+            let opened = 0;
+            for (const user of ended) {
+                opened += await rollOver(user, today);
+            }
+            return opened;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) {
+            return;
+        }
+        timer = setInterval(() => {
+            tick().catch(error => logger.error('Budget period scheduler error', { error }));
+        }, intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { tick, start, stop };
+}
+
+module.exports = {
+    MAX_PAY_DAY,
+    ROLLOVER_MODES,
+    periodEndFor,
+    toDateString,
+    openBudgetPeriod,
+    createBudgetPeriodScheduler
+};
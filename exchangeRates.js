@@ -0,0 +1,163 @@
+// FINHIGH Exchange Rates
+// Rates live in the local exchange_rates table: one base_currency buys `rate` of quote_currency on rate_date.
+// A conversion uses the latest rate on or before the transaction date, read directly, inverted, or chained
+// through the default currency when only rates against INR are stored.
+//
+// Usage: node exchangeRates.js import rates.csv   load "date,base,quote,rate" rows (header optional)
+//        node exchangeRates.js list [currency]     latest rate of every currency against one (default INR)
+const fs = require('fs');
+const { DEFAULT_CURRENCY, CURRENCIES, MoneyError, isCurrency, toMinor, fromMinor, toDecimal, convert, invertRate, combineRates } = require('./money');
+const { toDateString } = require('./budgetPeriods');
+
+const RATE_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+async function storedRate(connection, base, quote, day) {
+    const [rows] = await connection.execute(
+        `SELECT rate, rate_date FROM exchange_rates
+         WHERE base_currency = ? AND quote_currency = ? AND rate_date <= ?
+         ORDER BY rate_date DESC LIMIT 1`,
+        [base, quote, day]
+    );
+    return rows.length > 0 ? { rate: rows[0].rate, rateDate: toDateString(new Date(rows[0].rate_date)) } : null;
+}
+
+// Rates are read through a lookup(base, quote, day) resolving to the latest stored { rate, rateDate } on or
+// before `day`, or null; tableLookup() reads the exchange_rates table, other stores bring their own
+const tableLookup = (connection) => (base, quote, day) => storedRate(connection, base, quote, day);
+
+async function directRate(lookup, from, to, day) {
+    const rate = await lookup(from, to, day);
+    if (rate) {
+        return rate;
+    }
+    const inverse = await lookup(to, from, day);
+    return inverse ? { rate: invertRate(inverse.rate), rateDate: inverse.rateDate } : null;
+}
+
+// How much of `to` one `from` buys on `date`: { rate, rateDate } or null when no rate is stored.
+// rateDate is the date of the (oldest) stored rate used.
+async function resolveRate(lookup, from, to, date = new Date()) {
+    if (from === to) {
+        return { rate: '1.00000000', rateDate: null };
+    }
+    const day = toDateString(date);
+
+    const direct = await directRate(lookup, from, to, day);
+    if (direct || from === DEFAULT_CURRENCY || to === DEFAULT_CURRENCY) {
+        return direct;
+    }
+
+    const first = await directRate(lookup, from, DEFAULT_CURRENCY, day);
+    const second = first && await directRate(lookup, DEFAULT_CURRENCY, to, day);
+    if (!second) {
+        return null;
+    }
+    return {
+        rate: combineRates(first.rate, second.rate),
+        rateDate: first.rateDate < second.rateDate ? first.rateDate : second.rateDate
+    };
+}
+
+const findRate = (connection, from, to, date) => resolveRate(tableLookup(connection), from, to, date);
+
+// Convert an amount (major units) between currencies at the rate for `date`.
+// Resolves to { amount, decimal, rate, rateDate }; throws MoneyError when no rate is stored.
+async function convertWithRates(lookup, amount, from, to, date = new Date()) {
+    const found = await resolveRate(lookup, from, to, date);
+    if (!found) {
+        throw new MoneyError(`No exchange rate from ${from} to ${to} on or before ${toDateString(date)}`);
+    }
+    const minor = convert(toMinor(amount, from), from, to, found.rate);
+    return { amount: fromMinor(minor, to), decimal: toDecimal(minor, to), rate: found.rate, rateDate: found.rateDate };
+}
+
+const convertAmount = (connection, amount, from, to, date) => convertWithRates(tableLookup(connection), amount, from, to, date);
+
+// Latest rate of every supported currency against `base` ([{ currency, rate, rateDate }]); currencies
+// without a stored rate are left out
+async function latestRatesWith(lookup, base = DEFAULT_CURRENCY, date = new Date()) {
+    const rates = [];
+    for (const currency of Object.keys(CURRENCIES)) {
+        if (currency === base) {
+            continue;
+        }
+        const found = await resolveRate(lookup, currency, base, date);
+        if (found) {
+            rates.push({ currency, rate: Number(found.rate), rateDate: found.rateDate });
+        }
+    }
+    return rates;
+}
+
+const latestRates = (connection, base, date) => latestRatesWith(tableLookup(connection), base, date);
+
+// Parse "date,base,quote,rate" CSV text; a header row and blank lines are skipped
+function parseRatesCsv(text) {
+    return text.split(/\r?\n/)
+        .map((line, index) => ({ line: index + 1, cells: line.split(',').map(cell => cell.trim()) }))
+        .filter(({ cells }) => cells.some(Boolean) && cells[0].toLowerCase() !== 'date')
+        .map(({ line, cells }) => {
+            const [date, base, quote, rate] = cells;
+            if (!RATE_DATE.test(date || '') || !isCurrency(base) || !isCurrency(quote) || base === quote) {
+                throw new MoneyError(`Line ${line}: expected "YYYY-MM-DD,BASE,QUOTE,RATE" with two different supported currencies`);
+            }
+            if (!(Number(rate) > 0)) {
+                throw new MoneyError(`Line ${line}: rate must be a positive number`);
+            }
+            return { date, base, quote, rate };
+        });
+}
+
+// Store rates, replacing any already stored for the same pair and day; resolves to the number stored
+async function importRates(connection, rates, source = 'manual') {
+    for (const { date, base, quote, rate } of rates) {
+        await connection.execute(
+            `INSERT INTO exchange_rates (base_currency, quote_currency, rate_date, rate, source)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE rate = VALUES(rate), source = VALUES(source)`,
+            [base, quote, date, String(rate), source]
+        );
+    }
+    return rates.length;
+}
+
+async function main([command, arg]) {
+    const { openDatabase } = require('./migrate');
+
+    if (command === 'import') {
+        if (!arg) {
+            throw new Error('Usage: node exchangeRates.js import rates.csv');
+        }
+        const rates = parseRatesCsv(fs.readFileSync(arg, 'utf8'));
+        const connection = await openDatabase();
+        try {
+            console.log(`✅ ${await importRates(connection, rates, 'import')} rate(s) imported`);
+        } finally {
+            await connection.end();
+        }
+    } else if (command === 'list') {
+        const base = arg || DEFAULT_CURRENCY;
+        if (!isCurrency(base)) {
+            throw new Error(`Unsupported currency "${base}"`);
+        }
+        const connection = await openDatabase();
+        try {
+            (await latestRates(connection, base)).forEach(({ currency, rate, rateDate }) => {
+                console.log(`1 ${currency} = ${rate} ${base} (${rateDate})`);
+            });
+        } finally {
+            await connection.end();
+        }
+    } else {
+        throw new Error(`Unknown command "${command}". Use import <file> or list [currency]`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('❌ Exchange rates failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { findRate, resolveRate, convertAmount, convertWithRates, latestRates, latestRatesWith, parseRatesCsv, importRates };
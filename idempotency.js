@@ -0,0 +1,80 @@
+// FINHIGH Idempotency Keys
+// Lets clients retry POSTs safely: a repeated Idempotency-Key replays the stored response
+// instead of running the request (and moving money) a second time.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 100;
+
+// Fingerprint of what the key was first used for, so a reused key with a different body is rejected
+const requestHash = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+// Express middleware factory over a storage backend (storage/). Must run after verifyToken, since keys are
+// scoped per user.
+function createIdempotencyMiddleware({ storage, ttlMs = 24 * 60 * 60 * 1000 }) {
+    return async function idempotent(req, res, next) {
+        const key = req.get(IDEMPOTENCY_HEADER);
+        if (key === undefined) {
+            return next();
+        }
+        if (!key || key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({ error: `${IDEMPOTENCY_HEADER} must be 1-${MAX_KEY_LENGTH} characters` });
+        }
+
+        const hash = requestHash(req);
+
+        const claim = () => storage.claimIdempotencyKey({
+            userId: req.userId,
+            key,
+            requestHash: hash,
+            expiredBefore: new Date(Date.now() - ttlMs)
+        });
+
+        try {
+            let { claimed, previous } = await claim();
+            // The earlier claim was released or expired between our insert and read; the key is free again
+            if (!claimed && !previous) {
+                ({ claimed, previous } = await claim());
+            }
+
+            if (!claimed) {
+                if (!previous) {
+                    return res.status(409).json({ error: 'A request with this idempotency key is still being processed' });
+                }
+                if (previous.request_hash !== hash) {
+                    return res.status(422).json({ error: `${IDEMPOTENCY_HEADER} was already used for a different request` });
+                }
+                if (previous.status_code === null) {
+                    return res.status(409).json({ error: 'A request with this idempotency key is still being processed' });
+                }
+
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(previous.status_code).json(JSON.parse(previous.response_body));
+            }
+        } catch (error) {
+            return next(error);
+        }
+
+        // Store the final response once the route sends it. Server errors release the key so the client can retry.
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            const statusCode = res.statusCode;
+            const store = statusCode >= 500
+                ? storage.releaseIdempotencyKey(req.userId, key)
+                : storage.saveIdempotentResponse(req.userId, key, statusCode, body);
+
+            store
+                .catch(error => (req.log || logger).error('Idempotency key store error', { error }))
+                .finally(() => sendJson(body));
+            return res;
+        };
+
+        next();
+    };
+}
+
+module.exports = { IDEMPOTENCY_HEADER, createIdempotencyMiddleware };
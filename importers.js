@@ -0,0 +1,342 @@
+// FINHIGH Statement Importers
+// Parses CSV, OFX and QIF bank/UPI statements into normalized rows:
+// { date, type: 'expense' | 'income', amount, description, reference }
+const { toAmount } = require('./money');
+
+const IMPORT_FORMATS = ['csv', 'ofx', 'qif'];
+const MAX_AMOUNT = 99999999.99; // DECIMAL(10,2)
+const DATE_FORMATS = ['DMY', 'MDY', 'YMD'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Header names commonly used by Indian bank and UPI app exports, per field
+const CSV_HEADER_ALIASES = {
+    date: ['date', 'txn date', 'transaction date', 'value date', 'posting date', 'tran date'],
+    description: ['description', 'narration', 'particulars', 'remarks', 'details', 'transaction details', 'payee', 'memo'],
+    amount: ['amount', 'transaction amount', 'amount (inr)', 'amt'],
+    debit: ['debit', 'withdrawal', 'withdrawal amt.', 'withdrawal amount', 'debit amount', 'dr'],
+    credit: ['credit', 'deposit', 'deposit amt.', 'deposit amount', 'credit amount', 'cr'],
+    type: ['type', 'dr/cr', 'cr/dr', 'transaction type', 'debit/credit'],
+    reference: ['reference', 'ref no', 'ref no.', 'chq./ref.no.', 'utr', 'transaction id', 'upi ref no']
+};
+
+class ImportError extends Error {}
+
+// Guess the format from a file name extension
+function detectFormat(fileName = '') {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return IMPORT_FORMATS.includes(extension) ? extension : null;
+}
+
+const normalizeYear = (year) => (year < 100 ? 2000 + year : year);
+
+// Parse the date styles found in statements; returns a Date at local midnight or null
+function parseDate(value, dateFormat = 'DMY') {
+    const text = String(value || '').trim();
+    let match;
+
+    // 2024-01-31, 2024/01/31, and OFX 20240131[120000]
+    if ((match = text.match(/^(\d{4})[-/]?(\d{2})[-/]?(\d{2})/))) {
+        return buildDate(+match[1], +match[2], +match[3]);
+    }
+
+    // 31-Jan-2024, 31 Jan 24
+    if ((match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-,]+(\d{2,4})$/))) {
+        const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+        return month ? buildDate(normalizeYear(+match[3]), month, +match[1]) : null;
+    }
+
+    // 31/01/2024, 01-31-24, QIF 1/31'24
+    if ((match = text.match(/^(\d{1,4})[/.-](\d{1,2})[/.'-](\d{1,4})$/))) {
+        const [a, b, c] = [+match[1], +match[2], +match[3]];
+        if (dateFormat === 'YMD') {
+            return buildDate(normalizeYear(a), b, c);
+        }
+        return dateFormat === 'MDY'
+            ? buildDate(normalizeYear(c), a, b)
+            : buildDate(normalizeYear(c), b, a);
+    }
+
+    return null;
+}
+
+function buildDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+// Parse "1,234.50", "₹ 250", "(120.00)" and "-45" into a number
+function parseAmount(value) {
+    const text = String(value ?? '').trim();
+    if (!text) {
+        return null;
+    }
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+    const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+    if (isNaN(amount)) {
+        return null;
+    }
+    return negative ? -amount : amount;
+}
+
+// Minimal RFC 4180 CSV reader (quoted fields, escaped quotes, CRLF)
+function parseCsvText(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Work out which column holds each field, from an explicit mapping or the header aliases
+function resolveColumns(headers, mapping = {}) {
+    const normalized = headers.map(h => h.trim().toLowerCase());
+    const columns = {};
+
+    for (const field of Object.keys(CSV_HEADER_ALIASES)) {
+        const wanted = mapping[field];
+        const index = wanted !== undefined
+            ? normalized.indexOf(String(wanted).trim().toLowerCase())
+            : normalized.findIndex(h => CSV_HEADER_ALIASES[field].includes(h));
+
+        if (wanted !== undefined && index === -1) {
+            throw new ImportError(`Mapped column "${wanted}" for ${field} was not found in the file`);
+        }
+        if (index !== -1) {
+            columns[field] = index;
+        }
+    }
+
+    if (columns.date === undefined) {
+        throw new ImportError('Could not find a date column; provide a mapping for "date"');
+    }
+    if (columns.amount === undefined && columns.debit === undefined && columns.credit === undefined) {
+        throw new ImportError('Could not find an amount column; provide a mapping for "amount" or "debit"/"credit"');
+    }
+
+    return columns;
+}
+
+function parseCsv(text, { mapping, dateFormat } = {}) {
+    const [headers, ...records] = parseCsvText(text);
+    if (!headers) {
+        throw new ImportError('The file is empty');
+    }
+
+    const columns = resolveColumns(headers, mapping);
+    const cell = (record, field) => (columns[field] !== undefined ? (record[columns[field]] || '').trim() : '');
+
+    return records.map((record, index) => {
+        let amount;
+        const debit = parseAmount(cell(record, 'debit'));
+        const credit = parseAmount(cell(record, 'credit'));
+
+        if (debit || credit) {
+            amount = debit ? -Math.abs(debit) : Math.abs(credit);
+        } else {
+            amount = parseAmount(cell(record, 'amount'));
+            // A separate Dr/Cr column decides the direction when amounts are unsigned
+            const type = cell(record, 'type').toLowerCase();
+            if (amount !== null && /^(dr|debit|d|withdrawal)/.test(type)) {
+                amount = -Math.abs(amount);
+            } else if (amount !== null && /^(cr|credit|c|deposit)/.test(type)) {
+                amount = Math.abs(amount);
+            }
+        }
+
+        return toRow({
+            line: index + 2,
+            date: parseDate(cell(record, 'date'), dateFormat),
+            amount,
+            description: cell(record, 'description'),
+            reference: cell(record, 'reference') || null
+        });
+    });
+}
+
+// OFX 1.x is SGML, so closing tags are optional; read each <STMTTRN> block tag by tag
+function parseOfx(text) {
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi);
+    if (!blocks) {
+        throw new ImportError('No transactions found in the OFX file');
+    }
+
+    const tag = (block, name) => {
+        const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+        return match ? match[1].trim() : '';
+    };
+
+    return blocks.map((block, index) => toRow({
+        line: index + 1,
+        date: parseDate(tag(block, 'DTPOSTED'), 'YMD'),
+        amount: parseAmount(tag(block, 'TRNAMT')),
+        description: [tag(block, 'NAME'), tag(block, 'MEMO')].filter(Boolean).join(' - '),
+        reference: tag(block, 'FITID') || null
+    }));
+}
+
+function parseQif(text, { dateFormat = 'DMY' } = {}) {
+    const rows = [];
+    let current = {};
+
+    text.split(/\r?\n/).forEach(line => {
+        const code = line.charAt(0);
+        const value = line.slice(1).trim();
+
+        if (code === 'D') {
+            current.date = parseDate(value, dateFormat);
+        } else if (code === 'T' || code === 'U') {
+            current.amount = parseAmount(value);
+        } else if (code === 'P') {
+            current.payee = value;
+        } else if (code === 'M') {
+            current.memo = value;
+        } else if (code === 'N') {
+            current.reference = value;
+        } else if (code === '^') {
+            rows.push(toRow({
+                line: rows.length + 1,
+                date: current.date || null,
+                amount: current.amount ?? null,
+                description: [current.payee, current.memo].filter(Boolean).join(' - '),
+                reference: current.reference || null
+            }));
+            current = {};
+        }
+    });
+
+    if (rows.length === 0) {
+        throw new ImportError('No transactions found in the QIF file');
+    }
+
+    return rows;
+}
+
+// Signed amount -> expense/income row, with a per-row error instead of throwing
+function toRow({ line, date, amount, description, reference }) {
+    const tooLarge = amount !== null && Math.abs(amount) > MAX_AMOUNT;
+    const row = {
+        line,
+        date,
+        type: amount < 0 ? 'expense' : 'income',
+        amount: amount === null || tooLarge ? null : toAmount(Math.abs(amount)),
+        description: description || '',
+        reference,
+        error: null
+    };
+
+    if (!date) {
+        row.error = 'Unreadable date';
+    } else if (tooLarge) {
+        row.error = 'Amount is too large';
+    } else if (!row.amount) {
+        row.error = 'Missing or zero amount';
+    }
+
+    return row;
+}
+
+// Parse a statement in the given format (csv, ofx or qif)
+function parseStatement(format, text, options = {}) {
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw new ImportError(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    if (options.dateFormat && !DATE_FORMATS.includes(options.dateFormat)) {
+        throw new ImportError(`Date format must be one of: ${DATE_FORMATS.join(', ')}`);
+    }
+    if (format === 'ofx') {
+        return parseOfx(text);
+    }
+    return format === 'qif' ? parseQif(text, options) : parseCsv(text, options);
+}
+
+// Lower-case words of a description without digits and UPI/bank noise, used for matching
+function descriptionKey(description) {
+    return String(description || '')
+        .toLowerCase()
+        .replace(/\b(upi|imps|neft|rtgs|pos|ach|txn|ref|payment|to|from|via|paid)\b/g, ' ')
+        .replace(/[^a-z ]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Pick a category for a description: user rules first, then the user's own history
+function suggestCategory(description, rules, history) {
+    const text = String(description || '').toLowerCase();
+
+    const rule = rules.find(r => text.includes(r.pattern.toLowerCase()));
+    if (rule) {
+        return { category: rule.category, reason: 'rule' };
+    }
+
+    const key = descriptionKey(description);
+    if (!key) {
+        return { category: null, reason: null };
+    }
+
+    if (history.has(key)) {
+        return { category: history.get(key), reason: 'history' };
+    }
+
+    // Fall back to the past description sharing the most words
+    const words = new Set(key.split(' ').filter(w => w.length > 2));
+    let best = null;
+    let bestScore = 0;
+    for (const [pastKey, category] of history) {
+        const score = pastKey.split(' ').filter(w => words.has(w)).length;
+        if (score > bestScore) {
+            best = category;
+            bestScore = score;
+        }
+    }
+
+    return best ? { category: best, reason: 'history' } : { category: null, reason: null };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    DATE_FORMATS,
+    ImportError,
+    detectFormat,
+    parseDate,
+    parseAmount,
+    parseStatement,
+    descriptionKey,
+    suggestCategory
+};
@@ -0,0 +1,413 @@
+// FINHIGH Ledger
+// Everything that moves a user's balance or savings - recording, editing and deleting expenses and income,
+// goal contributions - and the dashboard, on top of a storage backend (storage/). Amounts are worked out in
+// minor units: category limits warn or block, an active round-up rule moves the change of each expense to
+// savings, and income is split between balance and savings by the source's rule or the user's default
+// split. Only the open budget period can be changed.
+const { MoneyError, toMinor, toDecimal } = require('./money');
+const { toDateString } = require('./budgetPeriods');
+
+const RECENT_TRANSACTIONS = 20;
+
+const failure = (message) => ({ status: 'ERROR', message });
+
+// Part of an expense rounded up to the next multiple of `step` (both in minor units)
+const roundUp = (amount, step) => Math.ceil(amount / step) * step - amount;
+
+// Whether a date falls before the user's open budget period; archived periods are final
+const inClosedPeriod = (user, date) => Boolean(user.period_start)
+    && toDateString(new Date(date)) < toDateString(new Date(user.period_start));
+
+function createLedger({ storage }) {
+    // Both resolve to the status row the procedures return ({ status, message, savings_amount, ... }) plus
+    // the new transactionId
+    async function addExpense(tx, userId, { category, amount, description, date, foreign }) {
+        const found = await tx.findActiveCategory(userId, category);
+        if (!found) {
+            return failure('Unknown or archived category');
+        }
+
+        // Lock the user's row before reading the summary, so concurrent expenses cannot both pass the limit
+        const balances = await tx.lockBalances(userId);
+        const minor = toMinor(amount);
+        let budgetWarning = null;
+        if (found.monthly_limit !== null) {
+            const limit = toMinor(found.monthly_limit);
+            const summary = await tx.categorySummary(userId, category);
+            const spent = (summary ? toMinor(summary.total_amount) : 0) + minor;
+            if (spent > limit) {
+                if (found.limit_action === 'block') {
+                    return failure('Monthly limit for this category would be exceeded');
+                }
+                budgetWarning = `Monthly limit of ${toDecimal(limit)} for this category exceeded by ${toDecimal(spent - limit)}`;
+            }
+        }
+
+        const balance = toMinor(balances.current_balance);
+        if (balance < minor) {
+            return failure('Insufficient balance');
+        }
+
+        const step = toMinor((await tx.roundupStep(userId)) ?? 0);
+        let savings = step > 0 ? roundUp(minor, step) : 0;
+        // Skip the round-up rather than reject an expense the balance can cover
+        if (balance < minor + savings) {
+            savings = 0;
+        }
+
+        const transactionId = await tx.insertTransaction({
+            userId,
+            type: 'expense',
+            category,
+            amount: toDecimal(minor),
+            savingsAmount: toDecimal(savings),
+            description,
+            date,
+            ...foreign
+        });
+        await tx.adjustBalances(userId, {
+            balance: toDecimal(-(minor + savings)),
+            savings: toDecimal(savings),
+            spent: toDecimal(minor)
+        });
+        await tx.addToCategorySummary(userId, category, toDecimal(minor));
+
+        return {
+            status: 'SUCCESS',
+            message: 'Expense added successfully',
+            savings_amount: toDecimal(savings),
+            budget_warning: budgetWarning,
+            transactionId
+        };
+    }
+
+    async function addIncome(tx, userId, { source, amount, description, date, foreign }) {
+        const minor = toMinor(amount);
+        const split = await tx.incomeSplit(userId, source);
+        // The split is a percentage with two decimals; savings keep whole paise only (truncated), so both
+        // parts always add up to the income
+        const savings = split === null ? 0 : Math.trunc((minor * toMinor(split)) / 10000);
+
+        const transactionId = await tx.insertTransaction({
+            userId,
+            type: 'income',
+            amount: toDecimal(minor),
+            savingsAmount: toDecimal(savings),
+            source,
+            description,
+            date,
+            ...foreign
+        });
+        await tx.adjustBalances(userId, { balance: toDecimal(minor - savings), savings: toDecimal(savings) });
+
+        return { status: 'SUCCESS', message: 'Income added successfully', savings_amount: toDecimal(savings), transactionId };
+    }
+
+    // Record an expense or income, keeping balances, savings and category summaries consistent in one
+    // storage transaction. Resolves to { status, message, savings_amount, budget_warning, transactionId }.
+    // An amount in another currency is converted into the user's base currency at the rate for its date;
+    // the row then also carries `conversion` ({ amount, rate, rateDate }). The change is audited with
+    // `origin` ({ actorId, requestId }) and any extra `details`; `audit` overrides fields of that entry
+    // (a scheduler records its own action and entity), or is null when the caller audits a whole batch.
+    async function recordTransaction(userId, {
+        type,
+        amount,
+        category,
+        source,
+        description = '',
+        date = null,
+        currency = null,
+        origin = {},
+        details = null,
+        audit = {}
+    }) {
+        const user = await storage.findUser(userId);
+        if (!user) {
+            return failure('User not found');
+        }
+        if (date && inClosedPeriod(user, date)) {
+            return failure('Falls in a closed budget period');
+        }
+
+        let baseAmount = toDecimal(toMinor(amount));
+        let conversion = null;
+        let foreign = {};
+        if (currency && currency !== user.base_currency) {
+            try {
+                conversion = await storage.convertAmount(amount, currency, user.base_currency, date || new Date());
+            } catch (error) {
+                if (error instanceof MoneyError) {
+                    return failure(error.message);
+                }
+                throw error;
+            }
+            if (toMinor(conversion.decimal) <= 0) {
+                return failure('Amount is too small to convert');
+            }
+            baseAmount = conversion.decimal;
+            foreign = { currency, originalAmount: toDecimal(toMinor(amount, currency), currency), exchangeRate: conversion.rate };
+        }
+
+        const record = (tx) => (type === 'expense'
+            ? addExpense(tx, userId, { category, amount: baseAmount, description, date, foreign })
+            : addIncome(tx, userId, { source, amount: baseAmount, description, date, foreign }));
+
+        const response = await storage.transaction(tx => (audit === null ? record(tx) : tx.audited({
+            userId,
+            action: `transaction.${type}`,
+            entityType: 'transaction',
+            amount: baseAmount,
+            details: conversion ? { ...details, currency, originalAmount: foreign.originalAmount, rate: conversion.rate } : details,
+            origin,
+            ...audit
+        }, () => record(tx), ({ transactionId }) => (audit.entityId !== undefined ? {} : { entityId: transactionId ?? null }))));
+
+        if (conversion && response.status === 'SUCCESS') {
+            return { ...response, conversion: { amount: conversion.amount, rate: Number(conversion.rate), rateDate: conversion.rateDate } };
+        }
+        return response;
+    }
+
+    // Undo an expense's effect and apply the edited amount and category; the round-up is recalculated for the
+    // new amount under the current rule
+    async function editExpense(tx, userId, old, { amount, category, description }) {
+        const oldAmount = toMinor(old.amount);
+        const oldSavings = toMinor(old.savings_amount);
+        const minor = amount ?? oldAmount;
+        const newCategory = category ?? old.category;
+
+        const found = await tx.findCategory(userId, newCategory);
+        if (newCategory !== old.category && (!found || found.is_archived)) {
+            return failure('Unknown or archived category');
+        }
+        const balances = await tx.lockBalances(userId);
+        if (found && found.monthly_limit !== null && found.limit_action === 'block') {
+            const summary = await tx.categorySummary(userId, newCategory);
+            const spent = (summary ? toMinor(summary.total_amount) : 0)
+                - (newCategory === old.category ? oldAmount : 0) + minor;
+            if (spent > toMinor(found.monthly_limit)) {
+                return failure('Monthly limit for this category would be exceeded');
+            }
+        }
+
+        // What the balance and savings would be without the original expense
+        const balance = toMinor(balances.current_balance) + oldAmount + oldSavings;
+        const savingsLeft = toMinor(balances.total_savings) - oldSavings;
+
+        const step = toMinor((await tx.roundupStep(userId)) ?? 0);
+        let savings = step > 0 ? roundUp(minor, step) : 0;
+        if (balance < minor + savings) {
+            savings = 0;
+        }
+        if (balance < minor) {
+            return failure('Insufficient balance');
+        }
+        if (savingsLeft + savings < 0) {
+            return failure('Round-up savings already used, savings cannot cover this change');
+        }
+
+        await tx.adjustBalances(userId, {
+            balance: toDecimal(oldAmount + oldSavings - minor - savings),
+            savings: toDecimal(savings - oldSavings),
+            spent: toDecimal(minor - oldAmount)
+        });
+        await tx.addToCategorySummary(userId, old.category, toDecimal(-oldAmount), -1);
+        await tx.addToCategorySummary(userId, newCategory, toDecimal(minor));
+        await tx.updateTransaction(old.id, {
+            amount: toDecimal(minor),
+            savingsAmount: toDecimal(savings),
+            category: newCategory,
+            description
+        });
+
+        return { status: 'SUCCESS', message: 'Transaction updated successfully' };
+    }
+
+    // Apply an edited income amount and source, keeping the savings share applied when it was recorded
+    async function editIncome(tx, userId, old, { amount, source, description }) {
+        const oldAmount = toMinor(old.amount);
+        const oldSavings = toMinor(old.savings_amount);
+        const minor = amount ?? oldAmount;
+        const savings = oldAmount > 0 ? Math.round((minor * oldSavings) / oldAmount) : 0;
+
+        const balances = await tx.lockBalances(userId);
+        const balanceChange = (minor - savings) - (oldAmount - oldSavings);
+        if (toMinor(balances.current_balance) + balanceChange < 0 || toMinor(balances.total_savings) - oldSavings + savings < 0) {
+            return failure('Income already spent, balance cannot cover this change');
+        }
+
+        await tx.adjustBalances(userId, { balance: toDecimal(balanceChange), savings: toDecimal(savings - oldSavings) });
+        await tx.updateTransaction(old.id, {
+            amount: toDecimal(minor),
+            savingsAmount: toDecimal(savings),
+            source,
+            description
+        });
+
+        return { status: 'SUCCESS', message: 'Transaction updated successfully' };
+    }
+
+    // Edit a transaction of the open budget period: the amount and description, plus the category of an
+    // expense or the source of an income (undefined fields are kept). Resolves to { status, message }.
+    // The amount of a transaction entered in another currency is refused, as its original amount and rate
+    // would no longer match; such an entry is deleted and added again.
+    async function updateTransaction(userId, transactionId, {
+        amount,
+        category,
+        source,
+        description,
+        origin = {},
+        details = null
+    }) {
+        const minor = amount !== undefined ? toMinor(amount) : undefined;
+
+        return storage.transaction(tx => tx.audited({
+            userId,
+            action: 'transaction.updated',
+            entityType: 'transaction',
+            entityId: transactionId,
+            amount: minor !== undefined ? toDecimal(minor) : null,
+            details,
+            origin
+        }, async () => {
+            const old = await tx.findTransaction(userId, transactionId);
+            if (!old) {
+                return failure('Transaction not found');
+            }
+            if (inClosedPeriod(await tx.findUser(userId), old.transaction_date)) {
+                return failure('Transactions from a closed budget period cannot be changed');
+            }
+            if (minor !== undefined && old.currency) {
+                return failure(`The amount of a ${old.currency} transaction cannot be edited; delete it and add it again`);
+            }
+            return old.transaction_type === 'expense'
+                ? editExpense(tx, userId, old, { amount: minor, category, description })
+                : editIncome(tx, userId, old, { amount: minor, source, description });
+        }));
+    }
+
+    // Delete a transaction of the open budget period and reverse its effect on balances, savings and the
+    // category summary. Resolves to { status, message }.
+    async function deleteTransaction(userId, transactionId, { origin = {}, details = null } = {}) {
+        return storage.transaction(tx => tx.audited({
+            userId,
+            action: 'transaction.deleted',
+            entityType: 'transaction',
+            entityId: transactionId,
+            details,
+            origin
+        }, async () => {
+            const old = await tx.findTransaction(userId, transactionId);
+            if (!old) {
+                return failure('Transaction not found');
+            }
+            if (inClosedPeriod(await tx.findUser(userId), old.transaction_date)) {
+                return failure('Transactions from a closed budget period cannot be changed');
+            }
+
+            const amount = toMinor(old.amount);
+            const savings = toMinor(old.savings_amount);
+            const balances = await tx.lockBalances(userId);
+
+            if (old.transaction_type === 'expense') {
+                if (toMinor(balances.total_savings) < savings) {
+                    return failure('Round-up savings already used, savings cannot cover removing it');
+                }
+                await tx.adjustBalances(userId, {
+                    balance: toDecimal(amount + savings),
+                    savings: toDecimal(-savings),
+                    spent: toDecimal(-amount)
+                });
+                await tx.addToCategorySummary(userId, old.category, toDecimal(-amount), -1);
+            } else {
+                if (toMinor(balances.current_balance) < amount - savings || toMinor(balances.total_savings) < savings) {
+                    return failure('Income already spent, balance cannot cover removing it');
+                }
+                await tx.adjustBalances(userId, { balance: toDecimal(-(amount - savings)), savings: toDecimal(-savings) });
+            }
+
+            await tx.deleteTransaction(old.id);
+            return { status: 'SUCCESS', message: 'Transaction deleted successfully' };
+        }));
+    }
+
+    // Move money from the balance or savings into an active goal, completing it once the target is covered.
+    // Resolves to { status, message, goalCompleted }.
+    async function contributeToGoal(userId, goalId, { amount, fundingSource = 'balance', origin = {} }) {
+        const minor = toMinor(amount);
+
+        return storage.transaction(tx => tx.audited({
+            userId,
+            action: 'goal.contribution',
+            entityType: 'goal',
+            entityId: goalId,
+            amount: toDecimal(minor),
+            details: { fundingSource },
+            origin
+        }, async () => {
+            const goal = await tx.findGoal(userId, goalId);
+            if (!goal) {
+                return failure('Goal not found');
+            }
+            if (goal.status !== 'active') {
+                return failure('Only active goals can receive contributions');
+            }
+
+            const fromSavings = fundingSource === 'savings';
+            const balances = await tx.lockBalances(userId);
+            if (toMinor(fromSavings ? balances.total_savings : balances.current_balance) < minor) {
+                return failure(fromSavings ? 'Insufficient savings' : 'Insufficient balance');
+            }
+
+            await tx.adjustBalances(userId, fromSavings ? { savings: toDecimal(-minor) } : { balance: toDecimal(-minor) });
+            await tx.addToGoal(goal.id, toDecimal(minor));
+
+            const goalCompleted = toMinor(goal.current_amount) + minor >= toMinor(goal.target_amount);
+            return {
+                status: 'SUCCESS',
+                message: goalCompleted ? 'Goal reached! Congratulations' : 'Contribution added successfully',
+                goalCompleted
+            };
+        }));
+    }
+
+    // Delete a goal; whatever it holds goes back to savings. Resolves to { status, message, refundedAmount }.
+    async function deleteGoal(userId, goalId, { origin = {} } = {}) {
+        return storage.transaction(tx => tx.audited({
+            userId,
+            action: 'goal.deleted',
+            entityType: 'goal',
+            entityId: goalId,
+            origin
+        }, async () => {
+            const goal = await tx.findGoal(userId, goalId);
+            if (!goal) {
+                return failure('Goal not found');
+            }
+
+            await tx.lockBalances(userId);
+            await tx.adjustBalances(userId, { savings: goal.current_amount });
+            await tx.deleteGoal(goal.id);
+            return { status: 'SUCCESS', message: 'Goal deleted successfully', refundedAmount: goal.current_amount };
+        }, ({ refundedAmount }) => ({ amount: refundedAmount ?? null })));
+    }
+
+    // Everything the dashboard shows: the user with their open period, category summaries, the latest
+    // transactions and active goals. Resolves to null for an unknown user.
+    async function dashboard(userId) {
+        const user = await storage.findUser(userId);
+        if (!user) {
+            return null;
+        }
+        return {
+            user,
+            summaries: await storage.categorySummaries(userId),
+            transactions: await storage.recentTransactions(userId, RECENT_TRANSACTIONS),
+            goals: await storage.activeGoals(userId)
+        };
+    }
+
+    return { recordTransaction, updateTransaction, deleteTransaction, contributeToGoal, deleteGoal, dashboard };
+}
+
+module.exports = { createLedger };
@@ -0,0 +1,121 @@
+// FINHIGH Logging
+// Structured JSON logs through winston, at LOG_LEVEL to the console and, when LOG_FILE is set, to that file.
+// Every request gets an id (the client's X-Request-Id when it sends a usable one) that is echoed back in the
+// response headers and carried by req.log, so all lines of one request can be found together. Tokens,
+// passwords and secrets are dropped from logged fields and email addresses are masked wherever they appear.
+const crypto = require('crypto');
+const winston = require('winston');
+require('dotenv').config();
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID = /^[\w.:-]{1,100}$/;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const SENSITIVE_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key/i;
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const SENSITIVE_QUERY = /([?&][^=&]*(?:token|password|secret)[^=&]*=)[^&]*/gi;
+
+// "jane.doe@example.com" -> "j***@example.com"; bearer tokens that ended up in text are dropped
+const redactText = (text) => text.replace(EMAIL, '$1***@$2').replace(JWT, REDACTED);
+
+const redactUrl = (url) => redactText(url.replace(SENSITIVE_QUERY, `$1${REDACTED}`));
+
+// Errors become plain objects (winston would drop their non-enumerable message and stack)
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.sqlState !== undefined && { sqlState: error.sqlState }),
+    stack: error.stack
+});
+
+// Copy of `value` with sensitive fields replaced and email addresses masked
+function redact(value, key = '', depth = 0, seen = new WeakSet()) {
+    if (key && SENSITIVE_KEY.test(key) && value !== undefined && value !== null) {
+        return REDACTED;
+    }
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[Buffer ${value.length} bytes]`;
+    }
+    if (seen.has(value) || depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    seen.add(value);
+
+    const source = value instanceof Error ? serializeError(value) : value;
+    if (Array.isArray(source)) {
+        return source.map(item => redact(item, '', depth + 1, seen));
+    }
+    return Object.fromEntries(
+        Object.entries(source).map(([field, item]) => [field, redact(item, field, depth + 1, seen)])
+    );
+}
+
+// Winston format applying redact() to every field of a log entry (winston's own symbol keys are kept)
+const redactFormat = winston.format((info) => {
+    for (const key of Object.keys(info)) {
+        if (key !== 'level') {
+            info[key] = redact(info[key], key);
+        }
+    }
+    return info;
+});
+
+const transports = [new winston.transports.Console()];
+if (process.env.LOG_FILE) {
+    transports.push(new winston.transports.File({ filename: process.env.LOG_FILE }));
+}
+
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    defaultMeta: { service: 'finhigh' },
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        redactFormat(),
+        winston.format.json()
+    ),
+    transports
+});
+
+// Express middleware: assigns req.id and req.log and writes one access log line per request when the
+// response is sent (or the client goes away first). Mount it before everything else.
+function requestLogger(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const started = process.hrtime.bigint();
+    let logged = false;
+    const logAccess = () => {
+        if (logged) {
+            return;
+        }
+        logged = true;
+        req.log.log(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+            method: req.method,
+            path: redactUrl(req.originalUrl),
+            status: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+            contentLength: Number(res.get('content-length')) || 0,
+            userId: req.userId ?? null,
+            ip: req.ip,
+            userAgent: req.get('user-agent') || null,
+            aborted: !res.writableFinished
+        });
+    };
+    res.once('finish', logAccess);
+    res.once('close', logAccess);
+
+    next();
+}
+
+module.exports = { REQUEST_ID_HEADER, logger, redact, redactUrl, requestLogger };
@@ -0,0 +1,66 @@
+// FINHIGH Mailer
+// Sends account emails through a pluggable transport. No transport talks to a real SMTP server:
+// "file" (the default) writes them to an outbox folder outside the repository (finhigh-mail-outbox in the
+// system temp directory unless outboxDir is given), "memory" keeps them for tests and "console"
+// logs them. Logs are shipped and kept elsewhere, so the console transport masks the recipient and drops
+// tokens from links; read reset links from the outbox instead.
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { logger: defaultLogger } = require('./logger');
+
+const DEFAULT_OUTBOX_DIR = path.join(os.tmpdir(), 'finhigh-mail-outbox');
+
+// Token parameters of links in a message ("?resetToken=..."); the rest of the text is kept
+const TOKEN_PARAM = /([?&][^=&\s]*token[^=&\s]*=)[^&\s]+/gi;
+
+const transports = {
+    console: ({ logger = defaultLogger } = {}) => ({
+        async send(message) {
+            logger.info('Mail sent', {
+                to: message.to,
+                subject: message.subject,
+                text: message.text.replace(TOKEN_PARAM, '$1[REDACTED]')
+            });
+        }
+    }),
+
+    file: ({ outboxDir = DEFAULT_OUTBOX_DIR } = {}) => ({
+        async send(message) {
+            await fs.mkdir(outboxDir, { recursive: true });
+            const fileName = `${message.date.getTime()}-${Math.random().toString(36).slice(2, 8)}.json`;
+            await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+        }
+    }),
+
+    memory: () => {
+        const sent = [];
+        return {
+            sent,
+            async send(message) {
+                sent.push(message);
+            }
+        };
+    }
+};
+
+// `transport` is either a built-in transport name or any object with an async send(message) method
+function createMailer({ transport = 'file', from = 'FINHIGH <no-reply@finhigh.local>', ...options } = {}) {
+    let impl = transport;
+
+    if (typeof transport === 'string') {
+        if (!transports[transport]) {
+            throw new Error(`Unknown mail transport: ${transport}`);
+        }
+        impl = transports[transport](options);
+    }
+
+    return {
+        transport: impl,
+        async sendMail({ to, subject, text }) {
+            await impl.send({ from, to, subject, text, date: new Date() });
+        }
+    };
+}
+
+module.exports = { DEFAULT_OUTBOX_DIR, createMailer };
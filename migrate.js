@@ -0,0 +1,167 @@
+// FINHIGH Schema Migrations
+// Numbered migrations live in migrations/ as NNN_description.js, each exporting up(connection) and
+// down(connection). Applied versions are tracked in the schema_migrations table.
+//
+// Usage: node migrate.js migrate          apply every pending migration
+//        node migrate.js rollback [steps] revert the last applied migration(s), default 1
+//        node migrate.js status           list migrations and whether they are applied
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+const dbConfig = {
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || ''
+};
+const dbName = process.env.DB_NAME || 'finhigh_db';
+
+// Read the migration files in version order; throws on duplicate versions or missing up/down
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return { version: parseInt(match[1], 10), name: match[2], file, up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migrations[i - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}: ${migrations[i - 1].file} and ${migration.file}`);
+        }
+    });
+
+    return migrations;
+}
+
+// Connect to the FINHIGH database, creating it first if needed
+async function openDatabase() {
+    const server = await mysql.createConnection(dbConfig);
+    try {
+        await server.query(`CREATE DATABASE IF NOT EXISTS \`${dbName}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`);
+    } finally {
+        await server.end();
+    }
+    return mysql.createConnection({ ...dbConfig, database: dbName });
+}
+
+async function ensureMigrationsTable(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+// Applied versions -> { name, appliedAt }
+async function appliedMigrations(connection) {
+    await ensureMigrationsTable(connection);
+    const [rows] = await connection.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, { name: row.name, appliedAt: row.applied_at }]));
+}
+
+// Every known and applied migration with its state. Applied versions without a file are reported as missing.
+async function status(connection, migrations = loadMigrations()) {
+    const applied = await appliedMigrations(connection);
+    const rows = migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        state: applied.has(m.version) ? 'applied' : 'pending',
+        appliedAt: applied.has(m.version) ? applied.get(m.version).appliedAt : null
+    }));
+
+    applied.forEach((row, version) => {
+        if (!migrations.some(m => m.version === version)) {
+            rows.push({ version, name: row.name, state: 'missing', appliedAt: row.appliedAt });
+        }
+    });
+
+    return rows.sort((a, b) => a.version - b.version);
+}
+
+// Apply pending migrations in order; resolves to the ones applied.
+// MySQL commits DDL as it goes, so a migration that fails halfway is left unrecorded: fix it and run again.
+async function migrate(connection, { migrations = loadMigrations(), log = console.log } = {}) {
+    const applied = await appliedMigrations(connection);
+    const pending = migrations.filter(m => !applied.has(m.version));
+
+    for (const migration of pending) {
+        log(`Applying ${migration.file}...`);
+        await migration.up(connection);
+        await connection.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        log(`✅ ${migration.file} applied`);
+    }
+
+    return pending;
+}
+
+// Revert the last `steps` applied migrations, newest first; resolves to the ones reverted
+async function rollback(connection, { steps = 1, migrations = loadMigrations(), log = console.log } = {}) {
+    const applied = await appliedMigrations(connection);
+    const versions = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+    const reverted = [];
+
+    for (const version of versions) {
+        const migration = migrations.find(m => m.version === version);
+        if (!migration) {
+            throw new Error(`Cannot roll back version ${version}: its migration file is missing`);
+        }
+        log(`Rolling back ${migration.file}...`);
+        await migration.down(connection);
+        await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        log(`✅ ${migration.file} rolled back`);
+        reverted.push(migration);
+    }
+
+    return reverted;
+}
+
+async function main([command = 'status', ...args]) {
+    if (!['migrate', 'rollback', 'status'].includes(command)) {
+        throw new Error(`Unknown command "${command}". Use migrate, rollback [steps] or status`);
+    }
+
+    const steps = args[0] !== undefined ? Number(args[0]) : 1;
+    if (command === 'rollback' && (!Number.isInteger(steps) || steps < 1)) {
+        throw new Error('Rollback steps must be a positive whole number');
+    }
+
+    const connection = await openDatabase();
+    try {
+        if (command === 'migrate') {
+            const applied = await migrate(connection);
+            console.log(applied.length > 0 ? `🎉 ${applied.length} migration(s) applied` : 'Database is up to date');
+        } else if (command === 'rollback') {
+            const reverted = await rollback(connection, { steps });
+            console.log(reverted.length > 0 ? `${reverted.length} migration(s) rolled back` : 'Nothing to roll back');
+        } else {
+            const rows = await status(connection);
+            rows.forEach(row => {
+                const appliedAt = row.appliedAt ? ` (${new Date(row.appliedAt).toISOString().slice(0, 19).replace('T', ' ')})` : '';
+                console.log(`${String(row.version).padStart(3, '0')} ${row.name.padEnd(30)} ${row.state}${appliedAt}`);
+            });
+        }
+    } finally {
+        await connection.end();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, openDatabase, status, migrate, rollback };
@@ -0,0 +1,1280 @@
+// Baseline schema: every table, stored procedure, view and index the one-shot setup script used to create.
+// A database set up by the last version of that script (finhigh.js) adopts this baseline as-is: tables use
+// IF NOT EXISTS and procedures and views are recreated. One set up by an earlier version has tables that
+// predate some of their columns, which CREATE TABLE IF NOT EXISTS cannot add; the migration refuses it
+// before changing anything and names the missing columns.
+
+// The procedures that applied the expense, income, edit, delete and goal rules before they moved to
+// ledger.js; 004_ledger_procedures drops them and restores them from here when rolled back
+const LEDGER_PROCEDURES = {
+    AddExpenseTransaction: `
+        CREATE PROCEDURE AddExpenseTransaction(
+            IN p_user_id INT,
+            IN p_category VARCHAR(100),
+            IN p_amount DECIMAL(10,2),
+            IN p_description TEXT,
+            IN p_transaction_date TIMESTAMP
+        )
+        proc: BEGIN
+            DECLARE current_bal DECIMAL(10,2);
+            DECLARE roundup_step DECIMAL(10,2);
+            DECLARE roundup_amount DECIMAL(10,2) DEFAULT 0.00;
+            DECLARE category_found BOOLEAN DEFAULT FALSE;
+            DECLARE category_limit DECIMAL(10,2);
+            DECLARE category_action VARCHAR(10);
+            DECLARE category_spent DECIMAL(10,2);
+            DECLARE budget_warning VARCHAR(255) DEFAULT NULL;
+
+            SELECT TRUE, monthly_limit, limit_action 
+            INTO category_found, category_limit, category_action
+            FROM user_categories 
+            WHERE user_id = p_user_id AND category_name = p_category AND is_archived = FALSE;
+
+            IF NOT category_found THEN
+                SELECT 'ERROR' as status, 'Unknown or archived category' as message;
+                LEAVE proc;
+            END IF;
+
+            IF category_limit IS NOT NULL THEN
+                SELECT COALESCE(MAX(total_amount), 0.00) INTO category_spent
+                FROM user_expense_summaries 
+                WHERE user_id = p_user_id AND category = p_category;
+
+                IF category_spent + p_amount > category_limit THEN
+                    IF category_action = 'block' THEN
+                        SELECT 'ERROR' as status, 'Monthly limit for this category would be exceeded' as message;
+                        LEAVE proc;
+                    END IF;
+                    SET budget_warning = CONCAT('Monthly limit of ', category_limit, ' for this category exceeded by ',
+                        category_spent + p_amount - category_limit);
+                END IF;
+            END IF;
+
+            SELECT current_balance INTO current_bal FROM users WHERE id = p_user_id;
+
+            SELECT value INTO roundup_step 
+            FROM savings_rules 
+            WHERE user_id = p_user_id AND rule_type = 'expense_roundup' AND is_active = TRUE
+            ORDER BY id DESC LIMIT 1;
+
+            IF roundup_step > 0 THEN
+                SET roundup_amount = CEIL(p_amount / roundup_step) * roundup_step - p_amount;
+
+                -- Skip the round-up rather than reject an expense the balance can cover
+                IF current_bal < p_amount + roundup_amount THEN
+                    SET roundup_amount = 0.00;
+                END IF;
+            END IF;
+
+            IF current_bal >= p_amount THEN
+                START TRANSACTION;
+
+                INSERT INTO transactions (user_id, transaction_type, category, amount, savings_amount, description, transaction_date)
+                VALUES (p_user_id, 'expense', p_category, p_amount, roundup_amount, p_description,
+                    COALESCE(p_transaction_date, CURRENT_TIMESTAMP));
+
+                UPDATE users 
+                SET current_balance = current_balance - p_amount - roundup_amount,
+                    total_spent = total_spent + p_amount,
+                    total_savings = total_savings + roundup_amount
+                WHERE id = p_user_id;
+
+                INSERT INTO user_expense_summaries (user_id, category, total_amount, transaction_count)
+                VALUES (p_user_id, p_category, p_amount, 1)
+                ON DUPLICATE KEY UPDATE
+                    total_amount = total_amount + p_amount,
+                    transaction_count = transaction_count + 1;
+
+                COMMIT;
+                SELECT 'SUCCESS' as status, 'Expense added successfully' as message,
+                    roundup_amount as savings_amount, budget_warning;
+            ELSE
+                SELECT 'ERROR' as status, 'Insufficient balance' as message;
+            END IF;
+        END
+    `,
+    AddIncomeTransaction: `
+        CREATE PROCEDURE AddIncomeTransaction(
+            IN p_user_id INT,
+            IN p_amount DECIMAL(10,2),
+            IN p_source VARCHAR(100),
+            IN p_description TEXT,
+            IN p_transaction_date TIMESTAMP
+        )
+        BEGIN
+            DECLARE split_percent DECIMAL(10,2);
+            DECLARE savings_part DECIMAL(10,2);
+            DECLARE balance_part DECIMAL(10,2);
+
+            -- A rule for this income source wins over the user's default split
+            SELECT value INTO split_percent 
+            FROM savings_rules 
+            WHERE user_id = p_user_id AND rule_type = 'income_split' AND is_active = TRUE
+              AND (income_source = p_source OR income_source IS NULL)
+            ORDER BY income_source IS NULL, id DESC 
+            LIMIT 1;
+
+            -- Split in whole paise so both parts always add up to the income
+            SET savings_part = TRUNCATE(p_amount * COALESCE(split_percent, 0) / 100, 2);
+            SET balance_part = p_amount - savings_part;
+
+            START TRANSACTION;
+
+            INSERT INTO transactions (user_id, transaction_type, amount, savings_amount, source, description, transaction_date)
+            VALUES (p_user_id, 'income', p_amount, savings_part, p_source, p_description,
+                COALESCE(p_transaction_date, CURRENT_TIMESTAMP));
+
+            UPDATE users 
+            SET current_balance = current_balance + balance_part,
+                total_savings = total_savings + savings_part
+            WHERE id = p_user_id;
+
+            COMMIT;
+            SELECT 'SUCCESS' as status, 'Income added successfully' as message, savings_part as savings_amount;
+        END
+    `,
+    UpdateTransaction: `
+        CREATE PROCEDURE UpdateTransaction(
+            IN p_user_id INT,
+            IN p_transaction_id BIGINT,
+            IN p_amount DECIMAL(10,2),
+            IN p_category VARCHAR(100),
+            IN p_source VARCHAR(100),
+            IN p_description TEXT
+        )
+        proc: BEGIN
+            DECLARE old_type VARCHAR(20);
+            DECLARE old_category VARCHAR(100);
+            DECLARE old_amount DECIMAL(10,2);
+            DECLARE old_savings DECIMAL(10,2);
+            DECLARE old_date TIMESTAMP;
+            DECLARE new_amount DECIMAL(10,2);
+            DECLARE new_category VARCHAR(100);
+            DECLARE new_savings DECIMAL(10,2);
+            DECLARE current_bal DECIMAL(10,2);
+            DECLARE current_sav DECIMAL(10,2);
+            DECLARE roundup_step DECIMAL(10,2);
+            DECLARE category_limit DECIMAL(10,2);
+            DECLARE category_action VARCHAR(10);
+            DECLARE category_spent DECIMAL(10,2);
+
+            START TRANSACTION;
+
+            SELECT transaction_type, category, amount, savings_amount, transaction_date
+            INTO old_type, old_category, old_amount, old_savings, old_date
+            FROM transactions 
+            WHERE id = p_transaction_id AND user_id = p_user_id
+            FOR UPDATE;
+
+            IF old_type IS NULL THEN
+                ROLLBACK;
+                SELECT 'ERROR' as status, 'Transaction not found' as message;
+                LEAVE proc;
+            END IF;
+
+            -- Archived cycles are final; only the open budget period can be corrected
+            IF old_date < (SELECT period_start FROM budget_periods WHERE user_id = p_user_id AND status = 'open') THEN
+                ROLLBACK;
+                SELECT 'ERROR' as status, 'Transactions from a closed budget period cannot be changed' as message;
+                LEAVE proc;
+            END IF;
+
+            SET new_amount = COALESCE(p_amount, old_amount);
+
+            SELECT current_balance, total_savings INTO current_bal, current_sav
+            FROM users WHERE id = p_user_id FOR UPDATE;
+
+            IF old_type = 'expense' THEN
+                SET new_category = COALESCE(p_category, old_category);
+
+                IF new_category <> old_category AND NOT EXISTS (
+                    SELECT 1 FROM user_categories 
+                    WHERE user_id = p_user_id AND category_name = new_category AND is_archived = FALSE
+                ) THEN
+                    ROLLBACK;
+                    SELECT 'ERROR' as status, 'Unknown or archived category' as message;
+                    LEAVE proc;
+                END IF;
+
+                SELECT monthly_limit, limit_action INTO category_limit, category_action
+                FROM user_categories 
+                WHERE user_id = p_user_id AND category_name = new_category;
+
+                IF category_limit IS NOT NULL AND category_action = 'block' THEN
+                    SELECT COALESCE(MAX(total_amount), 0.00) INTO category_spent
+                    FROM user_expense_summaries 
+                    WHERE user_id = p_user_id AND category = new_category;
+
+                    IF category_spent - IF(new_category = old_category, old_amount, 0) + new_amount > category_limit THEN
+                        ROLLBACK;
+                        SELECT 'ERROR' as status, 'Monthly limit for this category would be exceeded' as message;
+                        LEAVE proc;
+                    END IF;
+                END IF;
+
+                -- The round-up is recalculated for the new amount under the current rule
+                SELECT value INTO roundup_step 
+                FROM savings_rules 
+                WHERE user_id = p_user_id AND rule_type = 'expense_roundup' AND is_active = TRUE
+                ORDER BY id DESC LIMIT 1;
+
+                SET new_savings = IF(roundup_step > 0, CEIL(new_amount / roundup_step) * roundup_step - new_amount, 0.00);
+
+                IF current_bal + old_amount + old_savings - new_amount - new_savings < 0 THEN
+                    SET new_savings = 0.00;
+                END IF;
+
+                IF current_bal + old_amount + old_savings - new_amount < 0 THEN
+                    ROLLBACK;
+                    SELECT 'ERROR' as status, 'Insufficient balance' as message;
+                    LEAVE proc;
+                END IF;
+
+                IF current_sav - old_savings + new_savings < 0 THEN
+                    ROLLBACK;
+                    SELECT 'ERROR' as status, 'Round-up savings already used, savings cannot cover this change' as message;
+                    LEAVE proc;
+                END IF;
+
+                UPDATE users 
+                SET current_balance = current_balance + old_amount + old_savings - new_amount - new_savings,
+                    total_spent = total_spent - old_amount + new_amount,
+                    total_savings = total_savings - old_savings + new_savings
+                WHERE id = p_user_id;
+
+                UPDATE user_expense_summaries 
+                SET total_amount = total_amount - old_amount,
+                    transaction_count = transaction_count - 1
+                WHERE user_id = p_user_id AND category = old_category;
+
+                INSERT INTO user_expense_summaries (user_id, category, total_amount, transaction_count)
+                VALUES (p_user_id, new_category, new_amount, 1)
+                ON DUPLICATE KEY UPDATE
+                    total_amount = total_amount + new_amount,
+                    transaction_count = transaction_count + 1;
+
+                UPDATE transactions 
+                SET amount = new_amount,
+                    savings_amount = new_savings,
+                    category = new_category,
+                    description = COALESCE(p_description, description)
+                WHERE id = p_transaction_id;
+            ELSE
+                -- Keep the savings share that was applied when the income was recorded
+                SET new_savings = IF(old_amount > 0, ROUND(new_amount * old_savings / old_amount, 2), 0);
+
+                IF current_bal - (old_amount - old_savings) + (new_amount - new_savings) < 0
+                    OR current_sav - old_savings + new_savings < 0 THEN
+                    ROLLBACK;
+                    SELECT 'ERROR' as status, 'Income already spent, balance cannot cover this change' as message;
+                    LEAVE proc;
+                END IF;
+
+                UPDATE users 
+                SET current_balance = current_balance - (old_amount - old_savings) + (new_amount - new_savings),
+                    total_savings = total_savings - old_savings + new_savings
+                WHERE id = p_user_id;
+
+                UPDATE transactions 
+                SET amount = new_amount,
+                    savings_amount = new_savings,
+                    source = COALESCE(p_source, source),
+                    description = COALESCE(p_description, description)
+                WHERE id = p_transaction_id;
+            END IF;
+
+            COMMIT;
+            SELECT 'SUCCESS' as status, 'Transaction updated successfully' as message;
+        END
+    `,
+    DeleteTransaction: `
+        CREATE PROCEDURE DeleteTransaction(
+            IN p_user_id INT,
+            IN p_transaction_id BIGINT
+        )
+        proc: BEGIN
+            DECLARE old_type VARCHAR(20);
+            DECLARE old_category VARCHAR(100);
+            DECLARE old_amount DECIMAL(10,2);
+            DECLARE old_savings DECIMAL(10,2);
+            DECLARE old_date TIMESTAMP;
+            DECLARE current_bal DECIMAL(10,2);
+            DECLARE current_sav DECIMAL(10,2);
+
+            START TRANSACTION;
+
+            SELECT transaction_type, category, amount, savings_amount, transaction_date
+            INTO old_type, old_category, old_amount, old_savings, old_date
+            FROM transactions 
+            WHERE id = p_transaction_id AND user_id = p_user_id
+            FOR UPDATE;
+
+            IF old_type IS NULL THEN
+                ROLLBACK;
+                SELECT 'ERROR' as status, 'Transaction not found' as message;
+                LEAVE proc;
+            END IF;
+
+            -- Archived cycles are final; only the open budget period can be corrected
+            IF old_date < (SELECT period_start FROM budget_periods WHERE user_id = p_user_id AND status = 'open') THEN
+                ROLLBACK;
+                SELECT 'ERROR' as status, 'Transactions from a closed budget period cannot be changed' as message;
+                LEAVE proc;
+            END IF;
+
+            SELECT current_balance, total_savings INTO current_bal, current_sav
+            FROM users WHERE id = p_user_id FOR UPDATE;
+
+            IF old_type = 'expense' THEN
+                IF current_sav < old_savings THEN
+                    ROLLBACK;
+                    SELECT 'ERROR' as status, 'Round-up savings already used, savings cannot cover removing it' as message;
+                    LEAVE proc;
+                END IF;
+
+                UPDATE users 
+                SET current_balance = current_balance + old_amount + old_savings,
+                    total_spent = total_spent - old_amount,
+                    total_savings = total_savings - old_savings
+                WHERE id = p_user_id;
+
+                UPDATE user_expense_summaries 
+                SET total_amount = total_amount - old_amount,
+                    transaction_count = transaction_count - 1
+                WHERE user_id = p_user_id AND category = old_category;
+            ELSE
+                IF current_bal < old_amount - old_savings OR current_sav < old_savings THEN
+                    ROLLBACK;
+                    SELECT 'ERROR' as status, 'Income already spent, balance cannot cover removing it' as message;
+                    LEAVE proc;
+                END IF;
+
+                UPDATE users 
+                SET current_balance = current_balance - (old_amount - old_savings),
+                    total_savings = total_savings - old_savings
+                WHERE id = p_user_id;
+            END IF;
+
+            DELETE FROM transactions WHERE id = p_transaction_id;
+
+            COMMIT;
+            SELECT 'SUCCESS' as status, 'Transaction deleted successfully' as message;
+        END
+    `,
+    ContributeToGoal: `
+        CREATE PROCEDURE ContributeToGoal(
+            IN p_user_id INT,
+            IN p_goal_id INT,
+            IN p_amount DECIMAL(10,2),
+            IN p_funding_source VARCHAR(20)
+        )
+        proc: BEGIN
+            DECLARE goal_status VARCHAR(20);
+            DECLARE goal_target DECIMAL(10,2);
+            DECLARE goal_current DECIMAL(10,2);
+            DECLARE available_funds DECIMAL(10,2);
+
+            START TRANSACTION;
+
+            SELECT status, target_amount, current_amount
+            INTO goal_status, goal_target, goal_current
+            FROM financial_goals 
+            WHERE id = p_goal_id AND user_id = p_user_id
+            FOR UPDATE;
+
+            IF goal_status IS NULL THEN
+                ROLLBACK;
+                SELECT 'ERROR' as status, 'Goal not found' as message;
+                LEAVE proc;
+            END IF;
+
+            IF goal_status <> 'active' THEN
+                ROLLBACK;
+                SELECT 'ERROR' as status, 'Only active goals can receive contributions' as message;
+                LEAVE proc;
+            END IF;
+
+            SELECT IF(p_funding_source = 'savings', total_savings, current_balance)
+            INTO available_funds
+            FROM users 
+            WHERE id = p_user_id
+            FOR UPDATE;
+
+            IF available_funds < p_amount THEN
+                ROLLBACK;
+                SELECT 'ERROR' as status,
+                    IF(p_funding_source = 'savings', 'Insufficient savings', 'Insufficient balance') as message;
+                LEAVE proc;
+            END IF;
+
+            UPDATE users 
+            SET current_balance = current_balance - IF(p_funding_source = 'balance', p_amount, 0),
+                total_savings = total_savings - IF(p_funding_source = 'savings', p_amount, 0)
+            WHERE id = p_user_id;
+
+            UPDATE financial_goals 
+            SET status = IF(current_amount + p_amount >= target_amount, 'completed', status),
+                current_amount = current_amount + p_amount
+            WHERE id = p_goal_id;
+
+            COMMIT;
+
+            IF goal_current + p_amount >= goal_target THEN
+                SELECT 'SUCCESS' as status, 'Goal reached! Congratulations' as message, TRUE as goal_completed;
+            ELSE
+                SELECT 'SUCCESS' as status, 'Contribution added successfully' as message, FALSE as goal_completed;
+            END IF;
+        END
+    `,
+    DeleteFinancialGoal: `
+        CREATE PROCEDURE DeleteFinancialGoal(
+            IN p_user_id INT,
+            IN p_goal_id INT
+        )
+        proc: BEGIN
+            DECLARE goal_current DECIMAL(10,2);
+
+            START TRANSACTION;
+
+            SELECT current_amount INTO goal_current
+            FROM financial_goals 
+            WHERE id = p_goal_id AND user_id = p_user_id
+            FOR UPDATE;
+
+            IF goal_current IS NULL THEN
+                ROLLBACK;
+                SELECT 'ERROR' as status, 'Goal not found' as message;
+                LEAVE proc;
+            END IF;
+
+            UPDATE users 
+            SET total_savings = total_savings + goal_current
+            WHERE id = p_user_id;
+
+            DELETE FROM financial_goals WHERE id = p_goal_id;
+
+            COMMIT;
+            SELECT 'SUCCESS' as status, 'Goal deleted successfully' as message, goal_current as refunded_amount;
+        END
+    `
+};
+
+// The procedures that created accounts, opened budget periods and merged categories before storage and
+// ledger.js took them over; 008_account_procedures drops them and restores them from here when rolled back
+const ACCOUNT_PROCEDURES = {
+    AddNewUser: `
+        CREATE PROCEDURE AddNewUser(
+            IN p_name VARCHAR(255),
+            IN p_email VARCHAR(255),
+            IN p_password_hash VARCHAR(255),
+            IN p_allowance DECIMAL(10,2)
+        )
+        BEGIN
+            DECLARE default_deduction DECIMAL(10,2) DEFAULT 100.00;
+            DECLARE default_income_split DECIMAL(10,2) DEFAULT 50.00;
+            DECLARE savings_deduction DECIMAL(10,2);
+            DECLARE available_balance DECIMAL(10,2);
+            DECLARE new_user_id INT;
+
+            SET savings_deduction = LEAST(default_deduction, p_allowance);
+            SET available_balance = p_allowance - savings_deduction;
+
+            START TRANSACTION;
+
+            INSERT INTO users (name, email, password_hash, monthly_allowance, current_balance, total_savings)
+            VALUES (p_name, p_email, p_password_hash, p_allowance, available_balance, savings_deduction);
+
+            SET new_user_id = LAST_INSERT_ID();
+
+            -- New users start with the default rules; they can be changed through the savings rules API
+            INSERT INTO savings_rules (user_id, rule_type, value) VALUES
+                (new_user_id, 'allowance_fixed', default_deduction),
+                (new_user_id, 'income_split', default_income_split);
+
+            INSERT INTO user_categories (user_id, category_name, display_name, icon_class, color)
+            SELECT new_user_id, category_name, display_name, icon_class, color
+            FROM expense_categories;
+
+            INSERT INTO user_expense_summaries (user_id, category, total_amount)
+            SELECT new_user_id, category_name, 0.00
+            FROM expense_categories;
+
+            -- First cycle runs from sign-up until the day before the next pay day (the 1st by default)
+            INSERT INTO budget_periods (user_id, period_start, period_end, allowance_credited, savings_deduction)
+            VALUES (new_user_id, CURDATE(), LAST_DAY(CURDATE()), p_allowance, savings_deduction);
+
+            COMMIT;
+
+            SELECT new_user_id as user_id;
+        END
+    `,
+    OpenBudgetPeriod: `
+        CREATE PROCEDURE OpenBudgetPeriod(
+            IN p_user_id INT,
+            IN p_period_start DATE,
+            IN p_period_end DATE
+        )
+        proc: BEGIN
+            DECLARE open_period_id INT;
+            DECLARE open_period_start DATE;
+            DECLARE user_allowance DECIMAL(10,2);
+            DECLARE user_rollover VARCHAR(10);
+            DECLARE leftover DECIMAL(10,2);
+            DECLARE period_spent DECIMAL(10,2);
+            DECLARE swept DECIMAL(10,2) DEFAULT 0.00;
+            DECLARE savings_deduction DECIMAL(10,2);
+
+            START TRANSACTION;
+
+            SELECT monthly_allowance, rollover_mode, current_balance, total_spent
+            INTO user_allowance, user_rollover, leftover, period_spent
+            FROM users 
+            WHERE id = p_user_id
+            FOR UPDATE;
+
+            SELECT id, period_start INTO open_period_id, open_period_start
+            FROM budget_periods 
+            WHERE user_id = p_user_id AND status = 'open'
+            FOR UPDATE;
+
+            IF open_period_start IS NOT NULL AND open_period_start >= p_period_start THEN
+                ROLLBACK;
+                SELECT 'SKIPPED' as status, 'Budget period already open' as message;
+                LEAVE proc;
+            END IF;
+
+            IF user_rollover = 'sweep' AND leftover > 0 THEN
+                SET swept = leftover;
+            END IF;
+
+            IF open_period_id IS NOT NULL THEN
+                UPDATE budget_periods 
+                SET status = 'closed',
+                    closing_balance = leftover,
+                    total_spent = period_spent,
+                    total_income = (
+                        SELECT COALESCE(SUM(amount), 0.00) FROM transactions
+                        WHERE user_id = p_user_id AND transaction_type = 'income'
+                          AND transaction_date >= open_period_start AND transaction_date < p_period_start
+                    ),
+                    swept_to_savings = swept,
+                    closed_at = NOW()
+                WHERE id = open_period_id;
+            END IF;
+
+            SELECT COALESCE(MAX(IF(rule_type = 'allowance_fixed', value, ROUND(user_allowance * value / 100, 2))), 0.00)
+            INTO savings_deduction
+            FROM savings_rules 
+            WHERE user_id = p_user_id AND is_active = TRUE
+              AND rule_type IN ('allowance_fixed', 'allowance_percent');
+
+            SET savings_deduction = LEAST(savings_deduction, user_allowance);
+
+            UPDATE users 
+            SET current_balance = current_balance - swept + user_allowance - savings_deduction,
+                total_savings = total_savings + swept + savings_deduction,
+                total_spent = 0.00
+            WHERE id = p_user_id;
+
+            UPDATE user_expense_summaries 
+            SET total_amount = 0.00, transaction_count = 0
+            WHERE user_id = p_user_id;
+
+            INSERT INTO budget_periods (user_id, period_start, period_end, opening_balance, allowance_credited, savings_deduction)
+            VALUES (p_user_id, p_period_start, p_period_end, leftover - swept, user_allowance, savings_deduction);
+
+            COMMIT;
+            SELECT 'SUCCESS' as status, 'Budget period opened' as message, LAST_INSERT_ID() as period_id;
+        END
+    `,
+    MergeUserCategories: `
+        CREATE PROCEDURE MergeUserCategories(
+            IN p_user_id INT,
+            IN p_source_category VARCHAR(100),
+            IN p_target_category VARCHAR(100)
+        )
+        proc: BEGIN
+            DECLARE period_start_date DATE;
+
+            START TRANSACTION;
+
+            IF (SELECT COUNT(*) FROM user_categories 
+                WHERE user_id = p_user_id AND category_name IN (p_source_category, p_target_category)) < 2 THEN
+                ROLLBACK;
+                SELECT 'ERROR' as status, 'Category not found' as message;
+                LEAVE proc;
+            END IF;
+
+            UPDATE transactions 
+            SET category = p_target_category
+            WHERE user_id = p_user_id AND category = p_source_category;
+
+            UPDATE reminders 
+            SET condition_category = p_target_category
+            WHERE user_id = p_user_id AND condition_category = p_source_category;
+
+            -- Keep rules for the target where both categories had the same pattern
+            DELETE src FROM category_rules src
+            JOIN category_rules dst ON dst.user_id = src.user_id AND dst.pattern = src.pattern
+            WHERE src.user_id = p_user_id AND src.category = p_source_category AND dst.category = p_target_category;
+
+            UPDATE category_rules 
+            SET category = p_target_category
+            WHERE user_id = p_user_id AND category = p_source_category;
+
+            UPDATE recurring_transactions 
+            SET category = p_target_category
+            WHERE user_id = p_user_id AND category = p_source_category;
+
+            -- Summaries cover the open budget period only
+            SELECT period_start INTO period_start_date
+            FROM budget_periods 
+            WHERE user_id = p_user_id AND status = 'open';
+
+            DELETE FROM user_expense_summaries WHERE user_id = p_user_id AND category = p_source_category;
+
+            UPDATE user_expense_summaries 
+            SET total_amount = 0.00, transaction_count = 0
+            WHERE user_id = p_user_id AND category = p_target_category;
+
+            INSERT INTO user_expense_summaries (user_id, category, total_amount, transaction_count)
+            SELECT p_user_id, p_target_category, SUM(amount), COUNT(*)
+            FROM transactions 
+            WHERE user_id = p_user_id AND transaction_type = 'expense' AND category = p_target_category
+              AND transaction_date >= COALESCE(period_start_date, '1970-01-01')
+            HAVING COUNT(*) > 0
+            ON DUPLICATE KEY UPDATE
+                total_amount = VALUES(total_amount),
+                transaction_count = VALUES(transaction_count);
+
+            DELETE FROM user_categories WHERE user_id = p_user_id AND category_name = p_source_category;
+
+            COMMIT;
+            SELECT 'SUCCESS' as status, 'Categories merged successfully' as message;
+        END
+    `
+};
+
+// The baseline tables in creation order, so every table comes after the tables it references
+const TABLES = {
+    // Users table
+    users: `
+        CREATE TABLE IF NOT EXISTS users (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            name VARCHAR(255) NOT NULL,
+            email VARCHAR(255) UNIQUE NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            monthly_allowance DECIMAL(10,2) NOT NULL,
+            current_balance DECIMAL(10,2) DEFAULT 0.00,
+            total_savings DECIMAL(10,2) DEFAULT 0.00,
+            total_spent DECIMAL(10,2) DEFAULT 0.00,
+            pay_day TINYINT DEFAULT 1,
+            rollover_mode ENUM('carry', 'sweep') DEFAULT 'carry',
+            notes TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_email (email),
+            INDEX idx_created_at (created_at)
+        )
+    `,
+
+    // Expense categories table
+    expense_categories: `
+        CREATE TABLE IF NOT EXISTS expense_categories (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            category_name VARCHAR(100) NOT NULL UNIQUE,
+            icon_class VARCHAR(100) NOT NULL,
+            display_name VARCHAR(150) NOT NULL,
+            color CHAR(7) DEFAULT '#FFD700',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `,
+
+    // Transactions table
+    transactions: `
+        CREATE TABLE IF NOT EXISTS transactions (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            transaction_type ENUM('income', 'expense') NOT NULL,
+            category VARCHAR(100),
+            amount DECIMAL(10,2) NOT NULL,
+            savings_amount DECIMAL(10,2) DEFAULT 0.00,
+            description TEXT,
+            source VARCHAR(100),
+            transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_user_id (user_id),
+            INDEX idx_transaction_type (transaction_type),
+            INDEX idx_category (category),
+            INDEX idx_transaction_date (transaction_date)
+        )
+    `,
+
+    // User expense summaries table
+    user_expense_summaries: `
+        CREATE TABLE IF NOT EXISTS user_expense_summaries (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            category VARCHAR(100) NOT NULL,
+            total_amount DECIMAL(10,2) DEFAULT 0.00,
+            transaction_count INT DEFAULT 0,
+            last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE KEY unique_user_category (user_id, category),
+            INDEX idx_user_id (user_id),
+            INDEX idx_category (category)
+        )
+    `,
+
+    // User categories table (each user's own copy of the categories, seeded from expense_categories)
+    user_categories: `
+        CREATE TABLE IF NOT EXISTS user_categories (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            category_name VARCHAR(100) NOT NULL,
+            display_name VARCHAR(150) NOT NULL,
+            icon_class VARCHAR(100) NOT NULL,
+            color CHAR(7) DEFAULT '#FFD700',
+            is_archived BOOLEAN DEFAULT FALSE,
+            monthly_limit DECIMAL(10,2) NULL DEFAULT NULL,
+            limit_action ENUM('warn', 'block') DEFAULT 'warn',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE KEY unique_user_category (user_id, category_name),
+            INDEX idx_user_id (user_id)
+        )
+    `,
+
+    // AI Chat conversations table (threads of chat messages)
+    chat_conversations: `
+        CREATE TABLE IF NOT EXISTS chat_conversations (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            title VARCHAR(150) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_user_updated (user_id, updated_at)
+        )
+    `,
+
+    // AI Chat messages table
+    chat_messages: `
+        CREATE TABLE IF NOT EXISTS chat_messages (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            conversation_id BIGINT NOT NULL,
+            message_type ENUM('user', 'ai') NOT NULL,
+            message_content TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (conversation_id) REFERENCES chat_conversations(id) ON DELETE CASCADE,
+            INDEX idx_user_id (user_id),
+            INDEX idx_conversation_created (conversation_id, created_at),
+            INDEX idx_created_at (created_at)
+        )
+    `,
+
+    // Financial goals table
+    financial_goals: `
+        CREATE TABLE IF NOT EXISTS financial_goals (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            goal_name VARCHAR(255) NOT NULL,
+            target_amount DECIMAL(10,2) NOT NULL,
+            current_amount DECIMAL(10,2) DEFAULT 0.00,
+            target_date DATE,
+            status ENUM('active', 'completed', 'paused') DEFAULT 'active',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_user_id (user_id),
+            INDEX idx_status (status)
+        )
+    `,
+
+    // Reminders table
+    reminders: `
+        CREATE TABLE IF NOT EXISTS reminders (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            reminder_type VARCHAR(100) NOT NULL,
+            message TEXT NOT NULL,
+            frequency ENUM('daily', 'weekly', 'monthly') NULL DEFAULT NULL,
+            condition_type ENUM('balance_below', 'category_over') NULL DEFAULT NULL,
+            condition_category VARCHAR(100) NULL DEFAULT NULL,
+            condition_threshold DECIMAL(10,2) NULL DEFAULT NULL,
+            condition_met BOOLEAN DEFAULT FALSE,
+            next_run_at TIMESTAMP NULL DEFAULT NULL,
+            last_triggered_at TIMESTAMP NULL DEFAULT NULL,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_user_id (user_id),
+            INDEX idx_reminder_type (reminder_type),
+            INDEX idx_next_run_at (next_run_at)
+        )
+    `,
+
+    // Notifications table (produced by the reminder scheduler, polled by the client)
+    notifications: `
+        CREATE TABLE IF NOT EXISTS notifications (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            reminder_id INT NULL,
+            message TEXT NOT NULL,
+            is_read BOOLEAN DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE SET NULL,
+            INDEX idx_user_id (user_id),
+            INDEX idx_user_unread (user_id, is_read)
+        )
+    `,
+
+    // Password reset tokens table (only SHA-256 hashes of tokens are stored)
+    password_resets: `
+        CREATE TABLE IF NOT EXISTS password_resets (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at TIMESTAMP NOT NULL,
+            used_at TIMESTAMP NULL DEFAULT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_user_id (user_id)
+        )
+    `,
+
+    // Sessions table (one row per logged-in device; refresh tokens are stored as SHA-256 hashes)
+    sessions: `
+        CREATE TABLE IF NOT EXISTS sessions (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+            previous_token_hash CHAR(64) NULL DEFAULT NULL,
+            user_agent VARCHAR(255),
+            ip_address VARCHAR(45),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL,
+            revoked_at TIMESTAMP NULL DEFAULT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_user_id (user_id),
+            INDEX idx_previous_token_hash (previous_token_hash)
+        )
+    `,
+
+    // Budget periods table (one row per monthly cycle; closed rows are the archive)
+    budget_periods: `
+        CREATE TABLE IF NOT EXISTS budget_periods (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            period_start DATE NOT NULL,
+            period_end DATE NOT NULL,
+            opening_balance DECIMAL(10,2) DEFAULT 0.00,
+            allowance_credited DECIMAL(10,2) DEFAULT 0.00,
+            savings_deduction DECIMAL(10,2) DEFAULT 0.00,
+            total_spent DECIMAL(10,2) DEFAULT 0.00,
+            total_income DECIMAL(10,2) DEFAULT 0.00,
+            closing_balance DECIMAL(10,2) NULL DEFAULT NULL,
+            swept_to_savings DECIMAL(10,2) DEFAULT 0.00,
+            status ENUM('open', 'closed') DEFAULT 'open',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            closed_at TIMESTAMP NULL DEFAULT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE KEY unique_user_period (user_id, period_start),
+            INDEX idx_user_status (user_id, status),
+            INDEX idx_period_end (period_end)
+        )
+    `,
+
+    // Savings rules table (per-user rules deciding what is routed to savings)
+    savings_rules: `
+        CREATE TABLE IF NOT EXISTS savings_rules (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            rule_type ENUM('allowance_fixed', 'allowance_percent', 'income_split', 'expense_roundup') NOT NULL,
+            income_source VARCHAR(100) NULL DEFAULT NULL,
+            value DECIMAL(10,2) NOT NULL,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_user_rule (user_id, rule_type, is_active)
+        )
+    `,
+
+    // Category rules table (description keywords that auto-categorize imported transactions)
+    category_rules: `
+        CREATE TABLE IF NOT EXISTS category_rules (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            pattern VARCHAR(100) NOT NULL,
+            category VARCHAR(100) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE KEY unique_user_pattern (user_id, pattern),
+            INDEX idx_user_id (user_id)
+        )
+    `,
+
+    // Import batches table (parsed statement rows held between preview and confirm)
+    import_batches: `
+        CREATE TABLE IF NOT EXISTS import_batches (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            file_name VARCHAR(255) NOT NULL,
+            file_format ENUM('csv', 'ofx', 'qif') NOT NULL,
+            stored_path VARCHAR(500),
+            rows_json LONGTEXT NOT NULL,
+            row_count INT DEFAULT 0,
+            imported_count INT DEFAULT 0,
+            status ENUM('pending', 'confirmed', 'cancelled') DEFAULT 'pending',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            confirmed_at TIMESTAMP NULL DEFAULT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_user_status (user_id, status)
+        )
+    `,
+
+    // Recurring transactions table (rent, mess fees, recharges, subscriptions)
+    recurring_transactions: `
+        CREATE TABLE IF NOT EXISTS recurring_transactions (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            name VARCHAR(150) NOT NULL,
+            transaction_type ENUM('income', 'expense') NOT NULL,
+            category VARCHAR(100) NULL DEFAULT NULL,
+            source VARCHAR(100) NULL DEFAULT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            description TEXT,
+            frequency ENUM('daily', 'weekly', 'monthly', 'custom') NOT NULL,
+            cron_expression VARCHAR(100) NULL DEFAULT NULL,
+            starts_at TIMESTAMP NOT NULL,
+            ends_at TIMESTAMP NULL DEFAULT NULL,
+            next_run_at TIMESTAMP NULL DEFAULT NULL,
+            last_run_at TIMESTAMP NULL DEFAULT NULL,
+            last_status ENUM('success', 'failed') NULL DEFAULT NULL,
+            last_error VARCHAR(255) NULL DEFAULT NULL,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_user_id (user_id),
+            INDEX idx_active_next_run (is_active, next_run_at)
+        )
+    `,
+
+    // Idempotency keys table (stored responses so retried POSTs never apply twice)
+    idempotency_keys: `
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            idempotency_key VARCHAR(100) NOT NULL,
+            request_hash CHAR(64) NOT NULL,
+            status_code SMALLINT NULL DEFAULT NULL,
+            response_body TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE KEY unique_user_key (user_id, idempotency_key),
+            INDEX idx_created_at (created_at)
+        )
+    `,
+
+    // Chat entry drafts table (a transaction typed into the chat, held while the user is asked about it)
+    chat_entry_drafts: `
+        CREATE TABLE IF NOT EXISTS chat_entry_drafts (
+            user_id INT PRIMARY KEY,
+            draft_json TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `,
+
+    // Expense groups table (students who split bills together)
+    expense_groups: `
+        CREATE TABLE IF NOT EXISTS expense_groups (
+            id INT PRIMARY KEY AUTO_INCREMENT,
+            name VARCHAR(100) NOT NULL,
+            created_by INT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `,
+
+    // Group members table
+    group_members: `
+        CREATE TABLE IF NOT EXISTS group_members (
+            group_id INT NOT NULL,
+            user_id INT NOT NULL,
+            joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (group_id, user_id),
+            FOREIGN KEY (group_id) REFERENCES expense_groups(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_user_id (user_id)
+        )
+    `,
+
+    // Group expenses table (a bill paid by one member and split between several)
+    group_expenses: `
+        CREATE TABLE IF NOT EXISTS group_expenses (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            group_id INT NOT NULL,
+            paid_by INT NOT NULL,
+            created_by INT NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            description VARCHAR(255) NOT NULL,
+            category VARCHAR(100) NOT NULL DEFAULT 'friends',
+            split_method ENUM('equal', 'shares', 'exact') NOT NULL,
+            expense_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (group_id) REFERENCES expense_groups(id) ON DELETE CASCADE,
+            FOREIGN KEY (paid_by) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_group_date (group_id, expense_date)
+        )
+    `,
+
+    // Group expense shares table (each member's part, and the transaction it was booked as)
+    group_expense_shares: `
+        CREATE TABLE IF NOT EXISTS group_expense_shares (
+            expense_id BIGINT NOT NULL,
+            user_id INT NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            shares DECIMAL(10,2) NULL,
+            transaction_id BIGINT NULL,
+            booking_error VARCHAR(255) NULL,
+            PRIMARY KEY (expense_id, user_id),
+            FOREIGN KEY (expense_id) REFERENCES group_expenses(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL,
+            INDEX idx_user_id (user_id)
+        )
+    `,
+
+    // Group settlements table (money paid between members to settle up)
+    group_settlements: `
+        CREATE TABLE IF NOT EXISTS group_settlements (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            group_id INT NOT NULL,
+            from_user INT NOT NULL,
+            to_user INT NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            note VARCHAR(255),
+            created_by INT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (group_id) REFERENCES expense_groups(id) ON DELETE CASCADE,
+            FOREIGN KEY (from_user) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (to_user) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+            INDEX idx_group_id (group_id)
+        )
+    `
+};
+
+// Column names in a CREATE TABLE statement, skipping keys, indexes and constraints
+const tableColumns = (sql) => sql
+    .slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'))
+    .split('\n')
+    .map(line => line.trim().match(/^(\w+)\s/))
+    .filter(match => match && !['PRIMARY', 'FOREIGN', 'INDEX', 'UNIQUE', 'KEY', 'CONSTRAINT'].includes(match[1]))
+    .map(match => match[1]);
+
+// Throw when existing tables lack columns of the baseline, i.e. the database was set up by an older setup script
+async function refuseOutdatedSchema(connection) {
+    const [rows] = await connection.query(
+        'SELECT TABLE_NAME AS tableName, COLUMN_NAME AS columnName FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE()'
+    );
+    const existing = new Map();
+    rows.forEach(({ tableName, columnName }) => {
+        existing.set(tableName, (existing.get(tableName) || new Set()).add(columnName));
+    });
+
+    const missing = Object.entries(TABLES)
+        .filter(([table]) => existing.has(table))
+        .flatMap(([table, sql]) => tableColumns(sql)
+            .filter(column => !existing.get(table).has(column))
+            .map(column => `${table}.${column}`));
+
+    if (missing.length > 0) {
+        throw new Error(
+            `This database was set up by an older version of finhigh.js and is missing ${missing.join(', ')}. `
+            + 'Migrations cannot adopt it: export your data, point DB_NAME at a new database and run node migrate.js migrate.'
+        );
+    }
+}
+
+async function up(connection) {
+    await refuseOutdatedSchema(connection);
+
+    for (const sql of Object.values(TABLES)) {
+        await connection.query(sql);
+    }
+
+    // Insert default categories
+    await connection.query(`
+        INSERT IGNORE INTO expense_categories (category_name, icon_class, display_name, color) VALUES
+        ('food', 'fas fa-utensils', 'Food & Dining', '#FFD700'),
+        ('shopping', 'fas fa-shopping-bag', 'Shopping', '#FFA500'),
+        ('friends', 'fas fa-users', 'Friends & Social', '#FF8C00'),
+        ('weekend', 'fas fa-glass-cheers', 'Weekend Outing', '#F59E0B'),
+        ('social', 'fas fa-hands-helping', 'Social Service', '#10B981')
+    `);
+
+    // Stored procedures, dropped first so an adopted database gets the current definitions
+    await connection.query('DROP PROCEDURE IF EXISTS AddNewUser');
+    await connection.query('DROP PROCEDURE IF EXISTS AddExpenseTransaction');
+    await connection.query('DROP PROCEDURE IF EXISTS AddIncomeTransaction');
+    await connection.query('DROP PROCEDURE IF EXISTS GetUserDashboard');
+    await connection.query('DROP PROCEDURE IF EXISTS ContributeToGoal');
+    await connection.query('DROP PROCEDURE IF EXISTS DeleteFinancialGoal');
+    await connection.query('DROP PROCEDURE IF EXISTS UpdateTransaction');
+    await connection.query('DROP PROCEDURE IF EXISTS DeleteTransaction');
+    await connection.query('DROP PROCEDURE IF EXISTS OpenBudgetPeriod');
+    await connection.query('DROP PROCEDURE IF EXISTS MergeUserCategories');
+
+    // AddNewUser procedure
+    await connection.query(ACCOUNT_PROCEDURES.AddNewUser);
+
+    // AddExpenseTransaction procedure
+    await connection.query(LEDGER_PROCEDURES.AddExpenseTransaction);
+
+    // AddIncomeTransaction procedure
+    await connection.query(LEDGER_PROCEDURES.AddIncomeTransaction);
+
+    // UpdateTransaction procedure - reverses the original effects and applies the edited values
+    await connection.query(LEDGER_PROCEDURES.UpdateTransaction);
+
+    // DeleteTransaction procedure - removes a transaction and reverses its effects
+    await connection.query(LEDGER_PROCEDURES.DeleteTransaction);
+
+    // OpenBudgetPeriod procedure - archives the open cycle and starts the next one
+    await connection.query(ACCOUNT_PROCEDURES.OpenBudgetPeriod);
+
+    // MergeUserCategories procedure - moves transactions to the target category and rebuilds summaries
+    await connection.query(ACCOUNT_PROCEDURES.MergeUserCategories);
+
+    // GetUserDashboard procedure
+    await connection.query(`
+        CREATE PROCEDURE GetUserDashboard(IN p_user_id INT)
+        BEGIN
+            SELECT 
+                u.id, u.name, u.email, u.monthly_allowance, u.current_balance, 
+                u.total_savings, u.total_spent, u.notes, u.pay_day, u.rollover_mode,
+                bp.period_start, bp.period_end
+            FROM users u
+            LEFT JOIN budget_periods bp ON bp.user_id = u.id AND bp.status = 'open'
+            WHERE u.id = p_user_id;
+
+            SELECT 
+                ues.category, 
+                ues.total_amount, 
+                ues.transaction_count,
+                uc.icon_class,
+                uc.display_name,
+                uc.color,
+                uc.is_archived
+            FROM user_expense_summaries ues
+            JOIN user_categories uc ON uc.user_id = ues.user_id AND uc.category_name = ues.category
+            WHERE ues.user_id = p_user_id
+            ORDER BY ues.total_amount DESC;
+
+            SELECT 
+                id, transaction_type, category, amount, savings_amount, description, 
+                source, transaction_date
+            FROM transactions 
+            WHERE user_id = p_user_id 
+            ORDER BY transaction_date DESC 
+            LIMIT 20;
+
+            SELECT 
+                id, goal_name, target_amount, current_amount, target_date,
+                status, created_at
+            FROM financial_goals 
+            WHERE user_id = p_user_id AND status = 'active'
+            ORDER BY target_date IS NULL, target_date ASC, created_at ASC;
+        END
+    `);
+
+    // ContributeToGoal procedure - moves money from balance or savings into a goal
+    await connection.query(LEDGER_PROCEDURES.ContributeToGoal);
+
+    // DeleteFinancialGoal procedure - returns any saved amount to total savings
+    await connection.query(LEDGER_PROCEDURES.DeleteFinancialGoal);
+
+    // Views
+    await connection.query('DROP VIEW IF EXISTS transaction_history_view');
+    await connection.query(`
+        CREATE VIEW transaction_history_view AS
+        SELECT 
+            t.id,
+            t.user_id,
+            t.transaction_type,
+            t.category,
+            t.amount,
+            t.description,
+            t.source,
+            t.transaction_date,
+            DATE_FORMAT(t.transaction_date, '%d %M %Y at %h:%i %p') as formatted_date,
+            u.name as user_name
+        FROM transactions t
+        JOIN users u ON t.user_id = u.id
+    `);
+
+    await connection.query('DROP VIEW IF EXISTS spending_analysis_view');
+    await connection.query(`
+        CREATE VIEW spending_analysis_view AS
+        SELECT 
+            u.id as user_id,
+            u.name,
+            u.monthly_allowance,
+            u.current_balance,
+            u.total_spent,
+            u.total_savings,
+            bp.period_start,
+            bp.period_end,
+            ROUND((u.total_spent / u.monthly_allowance) * 100, 2) as spent_percentage,
+            CASE 
+                WHEN (u.total_spent / u.monthly_allowance) * 100 < 50 THEN 'GOOD'
+                WHEN (u.total_spent / u.monthly_allowance) * 100 < 75 THEN 'MODERATE'
+                ELSE 'HIGH'
+            END as spending_status
+        FROM users u
+        LEFT JOIN budget_periods bp ON bp.user_id = u.id AND bp.status = 'open'
+    `);
+
+    // Additional indexes
+    await connection.query('CREATE INDEX IF NOT EXISTS idx_users_updated_at ON users(updated_at)');
+    await connection.query('CREATE INDEX IF NOT EXISTS idx_transactions_user_date ON transactions(user_id, transaction_date)');
+    await connection.query('CREATE INDEX IF NOT EXISTS idx_expense_summaries_user_category ON user_expense_summaries(user_id, category)');
+}
+
+async function down(connection) {
+    await connection.query('DROP VIEW IF EXISTS spending_analysis_view');
+    await connection.query('DROP VIEW IF EXISTS transaction_history_view');
+
+    for (const procedure of [
+        'AddNewUser',
+        'AddExpenseTransaction',
+        'AddIncomeTransaction',
+        'UpdateTransaction',
+        'DeleteTransaction',
+        'OpenBudgetPeriod',
+        'MergeUserCategories',
+        'GetUserDashboard',
+        'ContributeToGoal',
+        'DeleteFinancialGoal'
+    ]) {
+        await connection.query(`DROP PROCEDURE IF EXISTS ${procedure}`);
+    }
+
+    // Reverse creation order, so tables are dropped before the tables they reference
+    for (const table of Object.keys(TABLES).reverse()) {
+        await connection.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
+
+module.exports = { up, down, LEDGER_PROCEDURES, ACCOUNT_PROCEDURES };
@@ -0,0 +1,163 @@
+// Multi-currency: a base currency per user, the original currency of each transaction and a local
+// exchange rate table. Transaction amounts stay in the user's base currency so balances, summaries and
+// spending_analysis_view keep adding up; the amount as entered is kept alongside in original_amount.
+
+// Reference rates to INR so conversions work out of the box; import current ones with exchangeRates.js
+const REFERENCE_RATES = [
+    ['USD', '83.20000000'],
+    ['EUR', '90.80000000'],
+    ['GBP', '105.90000000'],
+    ['AUD', '54.60000000'],
+    ['CAD', '61.40000000'],
+    ['SGD', '62.30000000'],
+    ['AED', '22.65000000'],
+    ['JPY', '0.56000000']
+];
+
+const dashboardProcedure = (withCurrency) => `
+    CREATE PROCEDURE GetUserDashboard(IN p_user_id INT)
+    BEGIN
+        SELECT
+            u.id, u.name, u.email, u.monthly_allowance, u.current_balance,
+            u.total_savings, u.total_spent, u.notes, u.pay_day, u.rollover_mode,${withCurrency ? ' u.base_currency,' : ''}
+            bp.period_start, bp.period_end
+        FROM users u
+        LEFT JOIN budget_periods bp ON bp.user_id = u.id AND bp.status = 'open'
+        WHERE u.id = p_user_id;
+
+        SELECT
+            ues.category,
+            ues.total_amount,
+            ues.transaction_count,
+            uc.icon_class,
+            uc.display_name,
+            uc.color,
+            uc.is_archived
+        FROM user_expense_summaries ues
+        JOIN user_categories uc ON uc.user_id = ues.user_id AND uc.category_name = ues.category
+        WHERE ues.user_id = p_user_id
+        ORDER BY ues.total_amount DESC;
+
+        SELECT
+            id, transaction_type, category, amount, savings_amount, description,
+            source, transaction_date${withCurrency ? ', currency, original_amount, exchange_rate' : ''}
+        FROM transactions
+        WHERE user_id = p_user_id
+        ORDER BY transaction_date DESC
+        LIMIT 20;
+
+        SELECT
+            id, goal_name, target_amount, current_amount, target_date,
+            status, created_at
+        FROM financial_goals
+        WHERE user_id = p_user_id AND status = 'active'
+        ORDER BY target_date IS NULL, target_date ASC, created_at ASC;
+    END
+`;
+
+const transactionHistoryView = (withCurrency) => `
+    CREATE VIEW transaction_history_view AS
+    SELECT
+        t.id,
+        t.user_id,
+        t.transaction_type,
+        t.category,
+        t.amount,${withCurrency ? `
+        u.base_currency,
+        t.currency,
+        t.original_amount,` : ''}
+        t.description,
+        t.source,
+        t.transaction_date,
+        DATE_FORMAT(t.transaction_date, '%d %M %Y at %h:%i %p') as formatted_date,
+        u.name as user_name
+    FROM transactions t
+    JOIN users u ON t.user_id = u.id
+`;
+
+const spendingAnalysisView = (withCurrency) => `
+    CREATE VIEW spending_analysis_view AS
+    SELECT
+        u.id as user_id,
+        u.name,${withCurrency ? `
+        u.base_currency,` : ''}
+        u.monthly_allowance,
+        u.current_balance,
+        u.total_spent,
+        u.total_savings,
+        bp.period_start,
+        bp.period_end,
+        ROUND((u.total_spent / u.monthly_allowance) * 100, 2) as spent_percentage,
+        CASE
+            WHEN (u.total_spent / u.monthly_allowance) * 100 < 50 THEN 'GOOD'
+            WHEN (u.total_spent / u.monthly_allowance) * 100 < 75 THEN 'MODERATE'
+            ELSE 'HIGH'
+        END as spending_status${withCurrency ? `,
+        -- Part of this period's spending entered in other currencies, already converted to base_currency
+        (SELECT COALESCE(SUM(t.amount), 0.00)
+         FROM transactions t
+         WHERE t.user_id = u.id AND t.transaction_type = 'expense' AND t.currency IS NOT NULL
+           AND t.transaction_date >= bp.period_start) as foreign_spent` : ''}
+    FROM users u
+    LEFT JOIN budget_periods bp ON bp.user_id = u.id AND bp.status = 'open'
+`;
+
+async function up(connection) {
+    await connection.query(`ALTER TABLE users ADD COLUMN base_currency CHAR(3) NOT NULL DEFAULT 'INR' AFTER monthly_allowance`);
+
+    // currency is NULL for amounts entered in the base currency
+    await connection.query(`
+        ALTER TABLE transactions
+            ADD COLUMN currency CHAR(3) NULL AFTER amount,
+            ADD COLUMN original_amount DECIMAL(12,2) NULL AFTER currency,
+            ADD COLUMN exchange_rate DECIMAL(18,8) NULL AFTER original_amount
+    `);
+
+    // One base_currency buys `rate` of quote_currency on rate_date
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS exchange_rates (
+            base_currency CHAR(3) NOT NULL,
+            quote_currency CHAR(3) NOT NULL,
+            rate_date DATE NOT NULL,
+            rate DECIMAL(18,8) NOT NULL,
+            source VARCHAR(50) DEFAULT 'manual',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (base_currency, quote_currency, rate_date),
+            INDEX idx_quote_currency (quote_currency, rate_date)
+        )
+    `);
+
+    await connection.query(
+        `INSERT IGNORE INTO exchange_rates (base_currency, quote_currency, rate_date, rate, source) VALUES ?`,
+        [REFERENCE_RATES.map(([currency, rate]) => [currency, 'INR', '2024-01-01', rate, 'reference'])]
+    );
+
+    await connection.query('DROP PROCEDURE IF EXISTS GetUserDashboard');
+    await connection.query(dashboardProcedure(true));
+
+    await connection.query('DROP VIEW IF EXISTS transaction_history_view');
+    await connection.query(transactionHistoryView(true));
+    await connection.query('DROP VIEW IF EXISTS spending_analysis_view');
+    await connection.query(spendingAnalysisView(true));
+}
+
+async function down(connection) {
+    await connection.query('DROP VIEW IF EXISTS spending_analysis_view');
+    await connection.query(spendingAnalysisView(false));
+    await connection.query('DROP VIEW IF EXISTS transaction_history_view');
+    await connection.query(transactionHistoryView(false));
+
+    await connection.query('DROP PROCEDURE IF EXISTS GetUserDashboard');
+    await connection.query(dashboardProcedure(false));
+
+    await connection.query('DROP TABLE IF EXISTS exchange_rates');
+    await connection.query(`
+        ALTER TABLE transactions
+            DROP COLUMN exchange_rate,
+            DROP COLUMN original_amount,
+            DROP COLUMN currency
+    `);
+    await connection.query('ALTER TABLE users DROP COLUMN base_currency');
+}
+
+module.exports = { up, down, REFERENCE_RATES, dashboardProcedure };
@@ -0,0 +1,34 @@
+// Audit log: one row per operation that changed a user's balance or savings, with both balances before and
+// after it. actor_id is who triggered it (another member booking a shared bill, say) and is NULL when a
+// scheduler did; request_id matches the X-Request-Id of the request in the server logs.
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id BIGINT PRIMARY KEY AUTO_INCREMENT,
+            user_id INT NOT NULL,
+            actor_id INT NULL,
+            action VARCHAR(50) NOT NULL,
+            entity_type VARCHAR(50) NULL,
+            entity_id INT NULL,
+            amount DECIMAL(12,2) NULL,
+            balance_before DECIMAL(10,2) NOT NULL,
+            balance_after DECIMAL(10,2) NOT NULL,
+            savings_before DECIMAL(10,2) NOT NULL,
+            savings_after DECIMAL(10,2) NOT NULL,
+            details_json TEXT NULL,
+            request_id VARCHAR(100) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+            INDEX idx_user_created (user_id, created_at, id),
+            INDEX idx_user_action (user_id, action)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS audit_log');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// The expense, income, edit, delete, dashboard and goal rules now live in ledger.js, which both storage
+// backends share; the stored procedures that duplicated them are dropped so the two cannot drift apart.
+// AddNewUser, OpenBudgetPeriod and MergeUserCategories stay, as nothing replaces them yet.
+const { LEDGER_PROCEDURES } = require('./001_baseline');
+const { dashboardProcedure } = require('./002_multi_currency');
+
+async function up(connection) {
+    for (const procedure of [...Object.keys(LEDGER_PROCEDURES), 'GetUserDashboard']) {
+        await connection.query(`DROP PROCEDURE IF EXISTS ${procedure}`);
+    }
+}
+
+async function down(connection) {
+    for (const [procedure, sql] of Object.entries(LEDGER_PROCEDURES)) {
+        await connection.query(`DROP PROCEDURE IF EXISTS ${procedure}`);
+        await connection.query(sql);
+    }
+    await connection.query('DROP PROCEDURE IF EXISTS GetUserDashboard');
+    await connection.query(dashboardProcedure(true));
+}
+
+module.exports = { up, down };
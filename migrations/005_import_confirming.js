@@ -0,0 +1,21 @@
+// A 'confirming' state for import batches. Confirm claims the batch by moving it from 'pending' to
+// 'confirming' before it records any row, so a retried or concurrent confirm finds it taken and cannot
+// import the same statement twice.
+
+async function up(connection) {
+    await connection.query(`
+        ALTER TABLE import_batches
+        MODIFY status ENUM('pending', 'confirming', 'confirmed', 'cancelled') DEFAULT 'pending'
+    `);
+}
+
+async function down(connection) {
+    // A confirm interrupted mid-way has recorded part of its rows; it counts as confirmed
+    await connection.query(`UPDATE import_batches SET status = 'confirmed' WHERE status = 'confirming'`);
+    await connection.query(`
+        ALTER TABLE import_batches
+        MODIFY status ENUM('pending', 'confirmed', 'cancelled') DEFAULT 'pending'
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// Group invitations. Adding someone to a group now invites them; they become a member, and shares of
+// new expenses can be booked against them, only once they accept. Existing members stay active.
+
+async function up(connection) {
+    await connection.query(`
+        ALTER TABLE group_members
+        ADD COLUMN status ENUM('invited', 'active') NOT NULL DEFAULT 'active' AFTER user_id
+    `);
+}
+
+async function down(connection) {
+    await connection.query(`DELETE FROM group_members WHERE status = 'invited'`);
+    await connection.query('ALTER TABLE group_members DROP COLUMN status');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+// Group history outlives the accounts in it. Deleting an account used to cascade to every group it created
+// and every bill it paid, added or settled, which rewrote the other members' balances. Those references
+// now become NULL instead; account deletion is refused while the user is not settled up in a group.
+
+const USER_REFERENCES = [
+    ['expense_groups', 'created_by'],
+    ['group_expenses', 'paid_by'],
+    ['group_expenses', 'created_by'],
+    ['group_settlements', 'from_user'],
+    ['group_settlements', 'to_user'],
+    ['group_settlements', 'created_by']
+];
+
+// Name of the foreign key from table.column to users, whatever the server called it
+async function userForeignKey(connection, table, column) {
+    const [rows] = await connection.query(
+        `SELECT CONSTRAINT_NAME AS name
+         FROM information_schema.KEY_COLUMN_USAGE
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME = 'users'`,
+        [table, column]
+    );
+    return rows.length > 0 ? rows[0].name : null;
+}
+
+async function referToUsers(connection, nullable) {
+    for (const [table, column] of USER_REFERENCES) {
+        const name = await userForeignKey(connection, table, column);
+        if (name) {
+            await connection.query(`ALTER TABLE ${table} DROP FOREIGN KEY ${name}`);
+        }
+        await connection.query(`ALTER TABLE ${table} MODIFY ${column} INT ${nullable ? 'NULL' : 'NOT NULL'}`);
+        await connection.query(
+            `ALTER TABLE ${table} ADD CONSTRAINT fk_${table}_${column}
+             FOREIGN KEY (${column}) REFERENCES users(id) ON DELETE ${nullable ? 'SET NULL' : 'CASCADE'}`
+        );
+    }
+}
+
+async function up(connection) {
+    await referToUsers(connection, true);
+}
+
+async function down(connection) {
+    for (const [table, column] of USER_REFERENCES) {
+        const [rows] = await connection.query(`SELECT COUNT(*) AS count FROM ${table} WHERE ${column} IS NULL`);
+        if (rows[0].count > 0) {
+            throw new Error(`Cannot roll back: ${rows[0].count} ${table} rows belong to deleted accounts (${column})`);
+        }
+    }
+    await referToUsers(connection, false);
+}
+
+module.exports = { up, down };
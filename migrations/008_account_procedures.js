@@ -0,0 +1,19 @@
+// Account creation, budget period roll-over and category merges now run in the storage backends and
+// ledger.js like the rest of the ledger, so the procedures that did them are dropped; the in-memory
+// backend and MySQL can no longer disagree about a new account or a closed period.
+const { ACCOUNT_PROCEDURES } = require('./001_baseline');
+
+async function up(connection) {
+    for (const procedure of Object.keys(ACCOUNT_PROCEDURES)) {
+        await connection.query(`DROP PROCEDURE IF EXISTS ${procedure}`);
+    }
+}
+
+async function down(connection) {
+    for (const [procedure, sql] of Object.entries(ACCOUNT_PROCEDURES)) {
+        await connection.query(`DROP PROCEDURE IF EXISTS ${procedure}`);
+        await connection.query(sql);
+    }
+}
+
+module.exports = { up, down };
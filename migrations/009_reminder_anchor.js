@@ -0,0 +1,14 @@
+// An anchor for recurring reminders. The next run used to be stepped from the previous one, so a monthly
+// reminder on the 31st was clamped to the 28th in February and stayed on the 28th from then on. Runs are
+// now counted from start_at. Existing reminders are anchored at their next run, the best guess left.
+
+async function up(connection) {
+    await connection.query('ALTER TABLE reminders ADD COLUMN start_at TIMESTAMP NULL DEFAULT NULL AFTER frequency');
+    await connection.query(`UPDATE reminders SET start_at = next_run_at WHERE reminder_type = 'recurring'`);
+}
+
+async function down(connection) {
+    await connection.query('ALTER TABLE reminders DROP COLUMN start_at');
+}
+
+module.exports = { up, down };
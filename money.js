@@ -0,0 +1,214 @@
+// FINHIGH Money
+// Exact money arithmetic in minor units (paise, cents) plus the supported currencies. Amounts from MySQL
+// arrive as DECIMAL strings and are parsed digit by digit, so no value ever passes through a float sum.
+
+const DEFAULT_CURRENCY = 'INR';
+
+const CURRENCIES = {
+    INR: { name: 'Indian Rupee', symbol: '₹', decimals: 2 },
+    USD: { name: 'US Dollar', symbol: '$', decimals: 2 },
+    EUR: { name: 'Euro', symbol: '€', decimals: 2 },
+    GBP: { name: 'British Pound', symbol: '£', decimals: 2 },
+    AUD: { name: 'Australian Dollar', symbol: 'A$', decimals: 2 },
+    CAD: { name: 'Canadian Dollar', symbol: 'C$', decimals: 2 },
+    SGD: { name: 'Singapore Dollar', symbol: 'S$', decimals: 2 },
+    AED: { name: 'UAE Dirham', symbol: 'AED ', decimals: 2 },
+    JPY: { name: 'Japanese Yen', symbol: '¥', decimals: 0 }
+};
+
+class MoneyError extends Error {}
+
+const DECIMAL = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+const isCurrency = (code) => typeof code === 'string' && Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+function currencyInfo(code) {
+    if (!isCurrency(code)) {
+        throw new MoneyError(`Unsupported currency "${code}"`);
+    }
+    return CURRENCIES[code];
+}
+
+// Split a decimal string or number into sign, integer digits and fraction digits
+function decimalParts(value) {
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+        throw new MoneyError('Amount must be a finite number');
+    }
+    // String() gives the shortest round-trip form (0.1 + 0.2 -> "0.30000000000000004"), exponents excepted
+    const text = typeof value === 'number' ? (/e/i.test(String(value)) ? value.toFixed(20) : String(value)) : String(value).trim();
+    const match = text.match(DECIMAL);
+    if (!match || (!match[2] && !match[3])) {
+        throw new MoneyError(`"${value}" is not a valid amount`);
+    }
+    return { negative: match[1] === '-', whole: match[2] || '0', fraction: match[3] || '' };
+}
+
+// Amount (number or decimal string in major units) -> integer minor units, rounding half away from zero
+function toMinor(value, currency = DEFAULT_CURRENCY) {
+    const { decimals } = currencyInfo(currency);
+    const { negative, whole, fraction } = decimalParts(value);
+
+    let minor = Number(whole + fraction.slice(0, decimals).padEnd(decimals, '0'));
+    if (fraction.length > decimals && fraction[decimals] >= '5') {
+        minor += 1;
+    }
+    if (!Number.isSafeInteger(minor)) {
+        throw new MoneyError(`"${value}" is too large`);
+    }
+    return negative && minor !== 0 ? -minor : minor;
+}
+
+// A positive amount from a request body -> minor units, or null when it is not one
+function toPositiveMinor(value, currency = DEFAULT_CURRENCY) {
+    if (typeof value !== 'number' && typeof value !== 'string') {
+        return null;
+    }
+    try {
+        const minor = toMinor(value, currency);
+        return minor > 0 ? minor : null;
+    } catch (error) {
+        if (error instanceof MoneyError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Integer minor units -> number in major units, for JSON responses and display
+function fromMinor(minor, currency = DEFAULT_CURRENCY) {
+    return minor / 10 ** currencyInfo(currency).decimals;
+}
+
+// Integer minor units -> exact decimal string ("1234.50"), for SQL parameters
+function toDecimal(minor, currency = DEFAULT_CURRENCY) {
+    const { decimals } = currencyInfo(currency);
+    const digits = String(Math.abs(minor)).padStart(decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - decimals);
+    return `${minor < 0 ? '-' : ''}${whole}${decimals > 0 ? `.${digits.slice(-decimals)}` : ''}`;
+}
+
+// Normalise a DECIMAL column (or any amount) to a number with the currency's precision
+const toAmount = (value, currency = DEFAULT_CURRENCY) => fromMinor(toMinor(value, currency), currency);
+
+// Sum amounts exactly; resolves to major units
+const sumAmounts = (values, currency = DEFAULT_CURRENCY) =>
+    fromMinor(values.reduce((total, value) => total + toMinor(value, currency), 0), currency);
+
+// numerator / denominator for BigInts, rounded half away from zero
+function divideRounded(numerator, denominator) {
+    const negative = (numerator < 0n) !== (denominator < 0n);
+    const n = numerator < 0n ? -numerator : numerator;
+    const d = denominator < 0n ? -denominator : denominator;
+    const quotient = (n * 2n + d) / (d * 2n);
+    return negative ? -quotient : quotient;
+}
+
+// A decimal factor as an exact fraction of BigInts
+function toFraction(value) {
+    const { negative, whole, fraction } = decimalParts(value);
+    const numerator = BigInt(whole + fraction);
+    return { numerator: negative ? -numerator : numerator, denominator: 10n ** BigInt(fraction.length) };
+}
+
+// minor * factor, exactly, rounded to whole minor units (e.g. a 12.5% cut of a bill)
+function multiply(minor, factor) {
+    const { numerator, denominator } = toFraction(factor);
+    return Number(divideRounded(BigInt(minor) * numerator, denominator));
+}
+
+// part / whole as a percentage with two decimals; null when whole is zero
+const percentage = (part, whole) => (whole === 0 ? null : Number(divideRounded(BigInt(part) * 10000n, BigInt(whole))) / 100);
+
+// Share `minor` out in proportion to `weights`; left-over units go to the largest remainders so the
+// parts always add up to the total
+function allocate(minor, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + Number(weight), 0);
+    if (!(totalWeight > 0)) {
+        throw new MoneyError('Weights must add up to more than zero');
+    }
+    const parts = weights.map((weight, index) => {
+        const exact = (minor * Number(weight)) / totalWeight;
+        return { index, units: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    let extra = minor - parts.reduce((sum, part) => sum + part.units, 0);
+    [...parts].sort((a, b) => b.remainder - a.remainder || a.index - b.index).forEach(part => {
+        if (extra > 0) {
+            part.units++;
+            extra--;
+        }
+    });
+
+    return parts.map(part => part.units);
+}
+
+// Convert minor units of `from` into minor units of `to`, where one `from` buys `rate` of `to`
+function convert(minor, from, to, rate) {
+    const source = currencyInfo(from);
+    const target = currencyInfo(to);
+    if (from === to) {
+        return minor;
+    }
+    const { numerator, denominator } = toFraction(rate);
+    if (numerator <= 0n) {
+        throw new MoneyError(`Exchange rate for ${from}/${to} must be positive`);
+    }
+    return Number(divideRounded(
+        BigInt(minor) * numerator * 10n ** BigInt(target.decimals),
+        denominator * 10n ** BigInt(source.decimals)
+    ));
+}
+
+// Exchange rates are stored with 8 decimals (DECIMAL(18,8))
+const RATE_DECIMALS = 8;
+
+const fractionToRate = ({ numerator, denominator }) =>
+    toDecimalPlaces(divideRounded(numerator * 10n ** BigInt(RATE_DECIMALS), denominator), RATE_DECIMALS);
+
+function toDecimalPlaces(units, places) {
+    const digits = String(units).padStart(places + 1, '0');
+    return `${digits.slice(0, digits.length - places)}.${digits.slice(-places)}`;
+}
+
+// The rate for the opposite direction: USD/INR 83.2 -> INR/USD 0.01201923
+function invertRate(rate) {
+    const { numerator, denominator } = toFraction(rate);
+    if (numerator <= 0n) {
+        throw new MoneyError('Exchange rate must be positive');
+    }
+    return fractionToRate({ numerator: denominator, denominator: numerator });
+}
+
+// Chain two rates through a shared currency: USD/INR x INR/JPY -> USD/JPY
+function combineRates(first, second) {
+    const a = toFraction(first);
+    const b = toFraction(second);
+    return fractionToRate({ numerator: a.numerator * b.numerator, denominator: a.denominator * b.denominator });
+}
+
+// "₹1234.50", "-$12.00", "¥1500"
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+    const minor = toMinor(amount, currency);
+    return `${minor < 0 ? '-' : ''}${currencyInfo(currency).symbol}${toDecimal(Math.abs(minor), currency)}`;
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    MoneyError,
+    isCurrency,
+    toMinor,
+    toPositiveMinor,
+    fromMinor,
+    toDecimal,
+    toAmount,
+    sumAmounts,
+    multiply,
+    percentage,
+    allocate,
+    convert,
+    RATE_DECIMALS,
+    invertRate,
+    combineRates,
+    formatMoney
+};
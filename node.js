@@ -7,11 +7,67 @@ const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { once } = require('events');
+const { createMailer } = require('./mailer');
+const { createIdempotencyMiddleware } = require('./idempotency');
+const { REMINDER_FREQUENCIES, CONDITION_TYPES, computeNextRun, createReminderScheduler } = require('./reminders');
+const { MAX_PAY_DAY, ROLLOVER_MODES, toDateString, createBudgetPeriodScheduler } = require('./budgetPeriods');
+const {
+    RECURRING_FREQUENCIES,
+    parseCron,
+    nextOccurrence,
+    occurrencesBetween,
+    recordOccurrence,
+    createRecurringScheduler
+} = require('./recurring');
+const { renderStatementPdf } = require('./statements');
+const { SERIES_INTERVALS, resolveRange, buildSeries, categoryShare, monthOverMonth } = require('./analytics');
+const { IMPORT_FORMATS, DATE_FORMATS, ImportError, detectFormat, parseStatement, descriptionKey, suggestCategory } = require('./importers');
+const { loadAssistantContext, createAssistantProvider } = require('./assistant');
+const { parseEntry, resolveDraft, describeEntry, entryQuestion } = require('./quickEntry');
+const { SPLIT_METHODS, SplitError, splitExpense, groupBalances, simplifyDebts } = require('./splits');
+const { status: migrationStatus } = require('./migrate');
+const {
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    toMinor,
+    fromMinor,
+    toDecimal,
+    toAmount,
+    percentage,
+    formatMoney
+} = require('./money');
+const { Joi, MAX_AMOUNT, id, amount, currency, category, dateString, day, limit, flag, createValidator } = require('./validation');
+const { logger, requestLogger } = require('./logger');
+const { AUDIT_ACTIONS, auditOrigin } = require('./audit');
+const { createStorage } = require('./storage');
+const { createLedger } = require('./ledger');
+const { formatBudgetPeriod, createReports } = require('./reports');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.SESSION_MAX_AGE) || 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB
+const UPLOAD_PATH = process.env.UPLOAD_PATH || 'uploads/';
+
+// Mailer for account emails (password resets)
+const mailer = createMailer({
+    transport: process.env.MAIL_TRANSPORT || 'file',
+    from: process.env.MAIL_FROM,
+    outboxDir: process.env.MAIL_OUTBOX_PATH
+});
+
+// Request ids, per-request loggers (req.log) and access logs; first, so rejected requests are logged too
+app.use(requestLogger);
 
 // Security middleware
 app.use(helmet());
@@ -20,10 +76,10 @@ app.use(cors({
     credentials: true
 }));
 
-// Rate limiting
+// Rate limiting (by default each IP gets 100 requests per 15 minutes)
 const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per windowMs
+    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    max: Number(process.env.RATE_LIMIT_MAX) || 100,
     message: { error: 'Too many requests, please try again later' }
 });
 app.use(limiter);
@@ -52,19 +108,60 @@ const dbConfig = {
 // Create connection pool
 const pool = mysql.createPool(dbConfig);
 
+// Storage behind the ledger and reports (STORAGE_DRIVER: mysql or memory; see storage/index.js)
+const storage = createStorage({ driver: process.env.STORAGE_DRIVER || 'mysql', pool });
+
+// Expense and income recording, the dashboard and the analytics reports
+const ledger = createLedger({ storage });
+const reports = createReports({ storage });
+
+// Idempotency-Key support for money-moving POSTs (retries from the offline queue replay the first response)
+const idempotent = createIdempotencyMiddleware({ storage });
+
+// Joi validation of route params, query strings and bodies (400 with one detail per field problem)
+const validate = createValidator({ storage });
+
+// Chat assistant provider (ASSISTANT_PROVIDER: rules or mock)
+const assistant = createAssistantProvider(process.env.ASSISTANT_PROVIDER || 'rules');
+
+// Reminder scheduler (evaluates reminders and writes notifications)
+const reminderScheduler = createReminderScheduler({
+    storage,
+    intervalMs: parseInt(process.env.REMINDER_INTERVAL_MS) || 60000
+});
+
+// Budget period scheduler (opens a new monthly cycle when the current one ends)
+const budgetPeriodScheduler = createBudgetPeriodScheduler({
+    storage,
+    intervalMs: parseInt(process.env.BUDGET_PERIOD_INTERVAL_MS) || 60 * 60 * 1000
+});
+
+// Recurring transaction scheduler (records due bills, subscriptions and regular income)
+const recurringScheduler = createRecurringScheduler({
+    storage,
+    intervalMs: parseInt(process.env.RECURRING_INTERVAL_MS) || 60000
+});
+
 // Test database connection
 async function testConnection() {
     try {
         const connection = await pool.getConnection();
-        console.log('Database connected successfully');
-        connection.release();
+        logger.info('Database connected successfully');
+        try {
+            const pending = (await migrationStatus(connection)).filter(row => row.state === 'pending');
+            if (pending.length > 0) {
+                logger.warn('Database migrations pending, run "npm run migrate"', { pending: pending.map(row => row.name) });
+            }
+        } finally {
+            connection.release();
+        }
     } catch (error) {
-        console.error('Database connection failed:', error.message);
+        logger.error('Database connection failed', { error });
         process.exit(1);
     }
 }
 
-// Middleware to verify JWT token
+// Middleware to verify JWT token (and that its session has not been revoked)
 const verifyToken = async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     
@@ -72,18 +169,31 @@ const verifyToken = async (req, res, next) => {
         return res.status(401).json({ error: 'Access token required' });
     }
     
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ error: 'Invalid token' });
+    }
+    
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
+        if (!(await storage.isSessionActive(decoded.sessionId, decoded.userId))) {
+            return res.status(401).json({ error: 'Session has been revoked' });
+        }
+        
         req.userId = decoded.userId;
+        req.sessionId = decoded.sessionId;
+        req.log = req.log.child({ userId: decoded.userId });
         next();
     } catch (error) {
-        return res.status(401).json({ error: 'Invalid token' });
+        req.log.error('Session check error', { error });
+        res.status(500).json({ error: 'Failed to verify session' });
     }
 };
 
 // Error handling middleware
 const handleError = (error, req, res, next) => {
-    console.error('Error:', error);
+    (req.log || logger).error('Unhandled error', { error });
     res.status(500).json({ 
         error: 'Internal server error',
         message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
@@ -92,468 +202,3853 @@ const handleError = (error, req, res, next) => {
 
 // AUTHENTICATION ROUTES
 
-// User registration/login
-app.post('/api/auth/login', async (req, res) => {
+// Field rules shared by the auth routes
+const strongPassword = () => Joi.string().min(MIN_PASSWORD_LENGTH)
+    .messages({ 'string.min': `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+
+const emailAddress = () => Joi.string().trim().email({ tlds: { allow: false } }).max(255);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (userId, sessionId) => jwt.sign({ userId, sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Open a new session for a device and return its access and refresh tokens
+async function createSession(userId, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    
+    const sessionId = await storage.createSession({
+        userId,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: (req.get('user-agent') || '').slice(0, 255),
+        ipAddress: req.ip || null,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+    
+    return {
+        token: signAccessToken(userId, sessionId),
+        refreshToken
+    };
+}
+
+// User registration
+app.post('/api/auth/register', validate({
+    body: {
+        name: Joi.string().trim().max(255).required(),
+        email: emailAddress().required(),
+        password: strongPassword().required(),
+        monthlyAllowance: amount('baseCurrency').required(),
+        baseCurrency: currency().default(DEFAULT_CURRENCY)
+    }
+}), async (req, res) => {
     try {
-        const { name, email, monthlyAllowance } = req.body;
+        const { name, email, password, monthlyAllowance, baseCurrency } = req.body;
         
-        if (!name || !email || !monthlyAllowance || monthlyAllowance <= 0) {
-            return res.status(400).json({ error: 'All fields are required and allowance must be positive' });
+        if (await storage.findUserByEmail(email)) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
         }
         
-        const connection = await pool.getConnection();
+        const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
         
-        try {
-            // Check if user exists
-            const [existingUsers] = await connection.execute(
-                'SELECT id FROM users WHERE email = ?',
-                [email]
-            );
-            
-            let userId;
-            
-            if (existingUsers.length > 0) {
-                // User exists, update their info
-                userId = existingUsers[0].id;
-                await connection.execute(
-                    'UPDATE users SET name = ?, monthly_allowance = ? WHERE id = ?',
-                    [name, monthlyAllowance, userId]
-                );
-            } else {
-                // Create new user using stored procedure
-                const [result] = await connection.execute(
-                    'CALL AddNewUser(?, ?, ?)',
-                    [name, email, monthlyAllowance]
-                );
-                userId = result[0][0].user_id;
-            }
-            
-            // Generate JWT token
-            const token = jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
-            
-            // Get user data
-            const [userData] = await connection.execute(
-                'SELECT id, name, email, monthly_allowance, current_balance, total_savings, total_spent, notes FROM users WHERE id = ?',
-                [userId]
-            );
-            
-            res.json({
-                success: true,
-                message: 'Login successful',
-                token,
-                user: userData[0]
-            });
-            
-        } finally {
-            connection.release();
+        const userId = await storage.createUser({
+            name,
+            email,
+            passwordHash,
+            allowance: toDecimal(toMinor(monthlyAllowance, baseCurrency), baseCurrency),
+            baseCurrency: baseCurrency !== DEFAULT_CURRENCY ? baseCurrency : null
+        });
+        // A concurrent sign-up with the same email got there first
+        if (!userId) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
         }
         
+        // The opening balance is the first month's allowance
+        await storage.recordAudit({
+            userId,
+            action: 'account.opened',
+            entityType: 'user',
+            entityId: userId,
+            before: { balance: '0.00', savings: '0.00' },
+            origin: { actorId: userId, requestId: req.id }
+        });
+        
+        const { token, refreshToken } = await createSession(userId, req);
+        
+        const { password_hash, ...user } = await storage.findUserByEmail(email);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Registration successful',
+            token,
+            refreshToken,
+            user
+        });
+        
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Login failed' });
+        req.log.error('Registration error', { error });
+        res.status(500).json({ error: 'Registration failed' });
     }
 });
 
-// USER DATA ROUTES
-
-// Get user dashboard data
-app.get('/api/user/dashboard', verifyToken, async (req, res) => {
+// User login (never modifies the stored profile)
+app.post('/api/auth/login', validate({
+    body: {
+        email: Joi.string().trim().max(255).required(),
+        password: Joi.string().required()
+    }
+}), async (req, res) => {
     try {
-        const connection = await pool.getConnection();
+        const { email, password } = req.body;
         
-        try {
-            // Get user data and expense summaries using stored procedure
-            const [results] = await connection.execute('CALL GetUserDashboard(?)', [req.userId]);
-            
-            const userData = results[0][0];
-            const expenseSummaries = results[1];
-            const recentTransactions = results[2];
-            
-            // Format expense data
-            const expenses = {};
-            expenseSummaries.forEach(summary => {
-                expenses[summary.category] = summary.total_amount;
-            });
-            
-            // Format transactions
-            const transactions = recentTransactions.map(t => ({
-                id: t.id,
-                type: t.transaction_type,
-                category: t.category,
-                amount: parseFloat(t.amount),
-                description: t.description || 'No description',
-                source: t.source,
-                date: t.transaction_date.toISOString(),
-                displayDate: new Date(t.transaction_date).toLocaleDateString('en-IN', {
-                    day: 'numeric',
-                    month: 'long',
-                    year: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                })
-            }));
-            
-            res.json({
-                success: true,
-                data: {
-                    balance: parseFloat(userData.current_balance),
-                    savings: parseFloat(userData.total_savings),
-                    totalSpent: parseFloat(userData.total_spent),
-                    expenses,
-                    notes: userData.notes || '',
-                    transactions,
-                    user: {
-                        id: userData.id,
-                        name: userData.name,
-                        email: userData.email,
-                        allowance: parseFloat(userData.monthly_allowance)
-                    }
-                }
-            });
-            
-        } finally {
-            connection.release();
+        const user = await storage.findUserByEmail(email);
+        const passwordMatches = user ? await bcrypt.compare(password, user.password_hash) : false;
+        
+        if (!passwordMatches) {
+            return res.status(401).json({ error: 'Invalid email or password' });
         }
         
+        const { token, refreshToken } = await createSession(user.id, req);
+        delete user.password_hash;
+        
+        res.json({
+            success: true,
+            message: 'Login successful',
+            token,
+            refreshToken,
+            user
+        });
+        
     } catch (error) {
-        console.error('Dashboard error:', error);
-        res.status(500).json({ error: 'Failed to fetch dashboard data' });
+        req.log.error('Login error', { error });
+        res.status(500).json({ error: 'Login failed' });
     }
 });
 
-// Update user notes
-app.put('/api/user/notes', verifyToken, async (req, res) => {
+// Exchange a refresh token for a new access token (the refresh token is rotated on every use)
+app.post('/api/auth/refresh', validate({
+    body: { refreshToken: Joi.string().required() }
+}), async (req, res) => {
     try {
-        const { notes } = req.body;
+        const { refreshToken } = req.body;
         
-        const connection = await pool.getConnection();
+        const tokenHash = hashToken(refreshToken);
+        const session = await storage.findSessionByToken(tokenHash);
         
-        try {
-            await connection.execute(
-                'UPDATE users SET notes = ? WHERE id = ?',
-                [notes, req.userId]
-            );
-            
-            res.json({ success: true, message: 'Notes saved successfully' });
-            
-        } finally {
-            connection.release();
+        if (!session) {
+            // A rotated-out token being replayed means it leaked: end that session
+            await storage.revokeRotatedSession(tokenHash);
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+        
+        if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+            return res.status(401).json({ error: 'Session has expired, please log in again' });
+        }
+        
+        const newRefreshToken = crypto.randomBytes(48).toString('hex');
+        
+        const rotated = await storage.rotateSession(session.id, {
+            refreshTokenHash: hashToken(newRefreshToken),
+            previousTokenHash: tokenHash,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+        });
+        
+        if (!rotated) {
+            // Another refresh with the same token got there first: the token was used twice, so treat it as
+            // a replay and end the session
+            await storage.revokeSession(session.user_id, session.id);
+            return res.status(401).json({ error: 'Invalid refresh token' });
         }
         
+        res.json({
+            success: true,
+            token: signAccessToken(session.user_id, session.id),
+            refreshToken: newRefreshToken
+        });
+        
     } catch (error) {
-        console.error('Notes update error:', error);
-        res.status(500).json({ error: 'Failed to save notes' });
+        req.log.error('Token refresh error', { error });
+        res.status(500).json({ error: 'Failed to refresh token' });
     }
 });
 
-// TRANSACTION ROUTES
-
-// Add expense
-app.post('/api/transactions/expense', verifyToken, async (req, res) => {
+// Logout (pass allDevices: true to end every session of the user)
+app.post('/api/auth/logout', verifyToken, validate({
+    body: { allDevices: Joi.boolean().default(false) }
+}), async (req, res) => {
     try {
-        const { amount, category, description = '' } = req.body;
+        const { allDevices } = req.body;
         
-        if (!amount || amount <= 0 || !category) {
-            return res.status(400).json({ error: 'Amount and category are required' });
+        if (allDevices) {
+            await storage.revokeAllSessions(req.userId);
+        } else {
+            await storage.revokeSession(req.userId, req.sessionId);
         }
         
-        const connection = await pool.getConnection();
+        res.json({
+            success: true,
+            message: allDevices ? 'Logged out from all devices' : 'Logged out successfully'
+        });
         
-        try {
-            // Use stored procedure to add expense
-            const [result] = await connection.execute(
-                'CALL AddExpenseTransaction(?, ?, ?, ?)',
-                [req.userId, category, amount, description]
-            );
-            
-            const response = result[0][0];
-            
-            if (response.status === 'SUCCESS') {
-                res.json({ success: true, message: response.message });
-            } else {
-                res.status(400).json({ error: response.message });
-            }
-            
-        } finally {
-            connection.release();
+    } catch (error) {
+        req.log.error('Logout error', { error });
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// List active sessions
+app.get('/api/auth/sessions', verifyToken, async (req, res) => {
+    try {
+        const sessions = await storage.activeSessions(req.userId, new Date());
+        
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                id: session.id,
+                userAgent: session.user_agent,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastUsedAt: session.last_used_at,
+                expiresAt: session.expires_at,
+                current: session.id === req.sessionId
+            }))
+        });
+        
+    } catch (error) {
+        req.log.error('Sessions error', { error });
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Revoke a single session
+app.delete('/api/auth/sessions/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        if (!await storage.revokeSession(req.userId, req.params.id)) {
+            return res.status(404).json({ error: 'Session not found' });
         }
         
+        res.json({ success: true, message: 'Session revoked successfully' });
+        
     } catch (error) {
-        console.error('Add expense error:', error);
-        res.status(500).json({ error: 'Failed to add expense' });
+        req.log.error('Session revoke error', { error });
+        res.status(500).json({ error: 'Failed to revoke session' });
     }
 });
 
-// Add income
-app.post('/api/transactions/income', verifyToken, async (req, res) => {
+// Change password
+app.put('/api/auth/password', verifyToken, validate({
+    body: {
+        currentPassword: Joi.string().required(),
+        newPassword: strongPassword().required()
+    }
+}), async (req, res) => {
     try {
-        const { amount, source, description = '' } = req.body;
+        const { currentPassword, newPassword } = req.body;
         
-        if (!amount || amount <= 0 || !source) {
-            return res.status(400).json({ error: 'Amount and source are required' });
+        const passwordHash = await storage.findPasswordHash(req.userId);
+        if (!passwordHash || !(await bcrypt.compare(currentPassword, passwordHash))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
         }
         
-        const connection = await pool.getConnection();
+        const newHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+        await storage.transaction(async (tx) => {
+            await tx.setPasswordHash(req.userId, newHash);
+            // Other devices must log in again with the new password
+            await tx.revokeAllSessions(req.userId, { except: req.sessionId });
+        });
         
-        try {
-            // Use stored procedure to add income
-            const [result] = await connection.execute(
-                'CALL AddIncomeTransaction(?, ?, ?, ?)',
-                [req.userId, amount, source, description]
-            );
-            
-            const response = result[0][0];
-            
-            res.json({ success: true, message: response.message });
-            
-        } finally {
-            connection.release();
-        }
+        res.json({ success: true, message: 'Password changed successfully' });
         
     } catch (error) {
-        console.error('Add income error:', error);
-        res.status(500).json({ error: 'Failed to add income' });
+        req.log.error('Password change error', { error });
+        res.status(500).json({ error: 'Failed to change password' });
     }
 });
 
-// Get category transactions
-app.get('/api/transactions/category/:category', verifyToken, async (req, res) => {
+// Request a password reset email
+app.post('/api/auth/forgot-password', validate({
+    body: { email: emailAddress().required() }
+}), async (req, res) => {
     try {
-        const { category } = req.params;
+        const user = await storage.findUserByEmail(req.body.email);
         
-        const connection = await pool.getConnection();
-        
-        try {
-            const [transactions] = await connection.execute(
-                `SELECT id, amount, description, transaction_date, 
-                 DATE_FORMAT(transaction_date, '%d %M %Y at %h:%i %p') as formatted_date
-                 FROM transactions 
-                 WHERE user_id = ? AND category = ? AND transaction_type = 'expense'
-                 ORDER BY transaction_date DESC`,
-                [req.userId, category]
-            );
-            
-            // Get category total
-            const [summary] = await connection.execute(
-                'SELECT total_amount, transaction_count FROM user_expense_summaries WHERE user_id = ? AND category = ?',
-                [req.userId, category]
-            );
+        // Respond the same way whether or not the account exists
+        if (user) {
+            const token = crypto.randomBytes(32).toString('hex');
             
-            const categoryData = summary[0] || { total_amount: 0, transaction_count: 0 };
-            
-            res.json({
-                success: true,
-                data: {
-                    category,
-                    total: parseFloat(categoryData.total_amount),
-                    count: categoryData.transaction_count,
-                    transactions: transactions.map(t => ({
-                        id: t.id,
-                        amount: parseFloat(t.amount),
-                        description: t.description || 'No description',
-                        date: t.transaction_date.toISOString(),
-                        displayDate: t.formatted_date
-                    }))
-                }
+            await storage.createPasswordReset({
+                userId: user.id,
+                tokenHash: hashToken(token),
+                expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS)
             });
             
-        } finally {
-            connection.release();
+            await mailer.sendMail({
+                to: user.email,
+                subject: 'Reset your FINHIGH password',
+                text: `Hi ${user.name},\n\nUse the link below to reset your FINHIGH password. It expires in 1 hour.\n\n` +
+                    `${process.env.FRONTEND_URL || 'http://localhost:3000'}/?resetToken=${token}\n\n` +
+                    'If you did not request this, you can ignore this email.'
+            });
         }
         
+        res.json({ success: true, message: 'If an account exists for this email, a reset link has been sent' });
+        
     } catch (error) {
-        console.error('Category transactions error:', error);
-        res.status(500).json({ error: 'Failed to fetch category transactions' });
+        req.log.error('Forgot password error', { error });
+        res.status(500).json({ error: 'Failed to start password reset' });
     }
 });
 
-// Get all transactions
-app.get('/api/transactions', verifyToken, async (req, res) => {
+// Reset password with an emailed token
+app.post('/api/auth/reset-password', validate({
+    body: {
+        token: Joi.string().hex().required(),
+        newPassword: strongPassword().required()
+    }
+}), async (req, res) => {
     try {
-        const { limit = 50, offset = 0 } = req.query;
-        
-        const connection = await pool.getConnection();
+        const { token, newPassword } = req.body;
         
-        try {
-            const [transactions] = await connection.execute(
-                `SELECT id, transaction_type, category, amount, description, source, transaction_date,
-                 DATE_FORMAT(transaction_date, '%d %M %Y at %h:%i %p') as formatted_date
-                 FROM transactions 
-                 WHERE user_id = ? 
-                 ORDER BY transaction_date DESC 
-                 LIMIT ? OFFSET ?`,
-                [req.userId, parseInt(limit), parseInt(offset)]
-            );
-            
-            res.json({
-                success: true,
-                data: transactions.map(t => ({
-                    id: t.id,
-                    type: t.transaction_type,
-                    category: t.category,
-                    amount: parseFloat(t.amount),
-                    description: t.description || 'No description',
-                    source: t.source,
-                    date: t.transaction_date.toISOString(),
-                    displayDate: t.formatted_date
-                }))
-            });
-            
-        } finally {
-            connection.release();
+        const reset = await storage.findPasswordReset(hashToken(token), new Date());
+        if (!reset) {
+            return res.status(400).json({ error: 'Reset token is invalid or has expired' });
         }
         
+        const newHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+        await storage.transaction(async (tx) => {
+            await tx.setPasswordHash(reset.user_id, newHash);
+            // Using one token invalidates every outstanding token for the account
+            await tx.usePasswordResets(reset.user_id);
+            await tx.revokeAllSessions(reset.user_id);
+        });
+        
+        res.json({ success: true, message: 'Password has been reset. You can now log in' });
+        
     } catch (error) {
-        console.error('Transactions error:', error);
-        res.status(500).json({ error: 'Failed to fetch transactions' });
+        req.log.error('Reset password error', { error });
+        res.status(500).json({ error: 'Failed to reset password' });
     }
 });
 
-// AI CHAT ROUTES
+// USER DATA ROUTES
 
-// Save chat message
-app.post('/api/chat/message', verifyToken, async (req, res) => {
+// Get user dashboard data
+app.get('/api/user/dashboard', verifyToken, async (req, res) => {
     try {
-        const { message, messageType } = req.body;
+        const dashboard = await ledger.dashboard(req.userId);
         
-        if (!message || !messageType) {
-            return res.status(400).json({ error: 'Message and type are required' });
+        if (!dashboard) {
+            return res.status(404).json({ error: 'User not found' });
         }
         
-        const connection = await pool.getConnection();
+        const { user: userData, summaries: expenseSummaries, transactions: recentTransactions, goals: activeGoals } = dashboard;
         
-        try {
-            await connection.execute(
-                'INSERT INTO chat_messages (user_id, message_type, message_content) VALUES (?, ?, ?)',
-                [req.userId, messageType, message]
-            );
-            
-            res.json({ success: true, message: 'Chat message saved' });
-            
-        } finally {
-            connection.release();
-        }
+        // Format expense data
+        const expenses = {};
+        expenseSummaries.forEach(summary => {
+            expenses[summary.category] = toAmount(summary.total_amount);
+        });
+        
+        const categories = expenseSummaries.map(summary => ({
+            name: summary.category,
+            label: summary.display_name,
+            icon: summary.icon_class,
+            color: summary.color,
+            archived: Boolean(summary.is_archived)
+        }));
+        
+        // Format transactions
+        const transactions = recentTransactions.map(t => ({
+            id: t.id,
+            type: t.transaction_type,
+            category: t.category,
+            amount: toAmount(t.amount),
+            original: foreignAmount(t),
+            savingsAmount: toAmount(t.savings_amount),
+            description: t.description || 'No description',
+            source: t.source,
+            date: t.transaction_date.toISOString(),
+            displayDate: new Date(t.transaction_date).toLocaleDateString('en-IN', {
+                day: 'numeric',
+                month: 'long',
+                year: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            })
+        }));
+        
+        res.json({
+            success: true,
+            data: {
+                balance: toAmount(userData.current_balance),
+                savings: toAmount(userData.total_savings),
+                totalSpent: toAmount(userData.total_spent),
+                expenses,
+                categories,
+                notes: userData.notes || '',
+                transactions,
+                goals: activeGoals.map(formatGoal),
+                user: {
+                    id: userData.id,
+                    name: userData.name,
+                    email: userData.email,
+                    allowance: toAmount(userData.monthly_allowance),
+                    baseCurrency: userData.base_currency,
+                    payDay: userData.pay_day,
+                    rolloverMode: userData.rollover_mode
+                },
+                period: userData.period_start ? {
+                    start: toDateString(userData.period_start),
+                    end: toDateString(userData.period_end)
+                } : null
+            }
+        });
         
     } catch (error) {
-        console.error('Chat message error:', error);
-        res.status(500).json({ error: 'Failed to save chat message' });
+        req.log.error('Dashboard error', { error });
+        res.status(500).json({ error: 'Failed to fetch dashboard data' });
     }
 });
 
-// Get chat history
-app.get('/api/chat/history', verifyToken, async (req, res) => {
+// Update user notes
+app.put('/api/user/notes', verifyToken, validate({
+    body: { notes: Joi.string().allow('').max(65535).required() }
+}), async (req, res) => {
     try {
-        const connection = await pool.getConnection();
+        const { notes } = req.body;
         
-        try {
-            const [messages] = await connection.execute(
-                'SELECT message_type, message_content, created_at FROM chat_messages WHERE user_id = ? ORDER BY created_at ASC LIMIT 50',
-                [req.userId]
-            );
+        await storage.updateNotes(req.userId, notes);
+        
+        res.json({ success: true, message: 'Notes saved successfully' });
+        
+    } catch (error) {
+        req.log.error('Notes update error', { error });
+        res.status(500).json({ error: 'Failed to save notes' });
+    }
+});
+
+// Update budget cycle settings (a new pay day applies from the next cycle onwards). Stored amounts are not
+// converted, so the base currency can only change while the account holds nothing but its opening
+// allowance (read in the new currency, as if the user had registered with it): no transactions, goals or
+// category limits, and nothing moved since the account was opened.
+app.put('/api/user/budget-settings', verifyToken, validate({
+    body: {
+        payDay: Joi.number().integer().min(1).max(MAX_PAY_DAY),
+        rolloverMode: Joi.string().valid(...ROLLOVER_MODES),
+        monthlyAllowance: amount('baseCurrency'),
+        baseCurrency: currency()
+    }
+}), async (req, res) => {
+    try {
+        const { payDay, rolloverMode, monthlyAllowance, baseCurrency } = req.body;
+        
+        // The balances are locked, so no expense can be recorded between the check and the change
+        const saved = await storage.transaction(async (tx) => {
+            const balances = await tx.lockBalances(req.userId);
+            const user = await tx.findUser(req.userId);
+            if (baseCurrency !== undefined && user.base_currency !== baseCurrency) {
+                const opening = toMinor(balances.total_spent) === 0
+                    && toMinor(balances.current_balance) + toMinor(balances.total_savings) === toMinor(user.monthly_allowance);
+                if (!opening || await tx.hasMoneyRecords(req.userId)) {
+                    return false;
+                }
+            }
             
-            res.json({
-                success: true,
-                data: messages.map(m => ({
-                    type: m.message_type,
-                    content: m.message_content,
-                    timestamp: m.created_at
-                }))
+            await tx.updateBudgetSettings(req.userId, {
+                payDay,
+                rolloverMode,
+                allowance: monthlyAllowance !== undefined ? toDecimal(toMinor(monthlyAllowance)) : undefined,
+                baseCurrency
             });
-            
-        } finally {
-            connection.release();
+            return true;
+        });
+        if (!saved) {
+            return res.status(409).json({ error: 'The base currency can only be changed before any money is recorded' });
         }
         
+        const user = await storage.findUser(req.userId);
+        
+        res.json({
+            success: true,
+            message: 'Budget settings saved successfully',
+            data: {
+                payDay: user.pay_day,
+                rolloverMode: user.rollover_mode,
+                allowance: toAmount(user.monthly_allowance),
+                baseCurrency: user.base_currency
+            }
+        });
+        
     } catch (error) {
-        console.error('Chat history error:', error);
-        res.status(500).json({ error: 'Failed to fetch chat history' });
+        req.log.error('Budget settings error', { error });
+        res.status(500).json({ error: 'Failed to save budget settings' });
     }
 });
 
-// ANALYTICS ROUTES
-
-// Get spending analysis
-app.get('/api/analytics/spending', verifyToken, async (req, res) => {
+// Delete account (the user's data is removed; shared group history is kept, with the account's side set to
+// NULL)
+app.delete('/api/user/account', verifyToken, validate({
+    body: { password: Joi.string().required() }
+}), async (req, res) => {
     try {
-        const connection = await pool.getConnection();
+        const { password } = req.body;
         
-        try {
-            const [analysis] = await connection.execute(
-                'SELECT * FROM spending_analysis_view WHERE user_id = ?',
-                [req.userId]
-            );
-            
-            if (analysis.length === 0) {
-                return res.status(404).json({ error: 'User not found' });
+        const passwordHash = await storage.findPasswordHash(req.userId);
+        if (!passwordHash || !(await bcrypt.compare(password, passwordHash))) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+        
+        // Group history stays after the account goes, so nobody may be left owing or owed by it
+        for (const group of await storage.listGroups(req.userId)) {
+            const members = await loadGroupMembers(group.id, req.userId);
+            const { balances } = await loadGroupBalances(group.id, members);
+            if (toMinor(balances.get(req.userId) || 0) !== 0) {
+                return res.status(400).json({ error: 'Settle up in your groups before deleting your account' });
             }
-            
-            const data = analysis[0];
-            
-            res.json({
-                success: true,
-                data: {
-                    monthlyAllowance: parseFloat(data.monthly_allowance),
-                    currentBalance: parseFloat(data.current_balance),
-                    totalSpent: parseFloat(data.total_spent),
-                    totalSavings: parseFloat(data.total_savings),
-                    spentPercentage: parseFloat(data.spent_percentage),
-                    spendingStatus: data.spending_status
-                }
-            });
-            
-        } finally {
-            connection.release();
         }
         
+        await storage.deleteUser(req.userId);
+        
+        res.json({ success: true, message: 'Account deleted successfully' });
+        
     } catch (error) {
-        console.error('Analytics error:', error);
-        res.status(500).json({ error: 'Failed to fetch analytics' });
+        req.log.error('Account deletion error', { error });
+        res.status(500).json({ error: 'Failed to delete account' });
     }
 });
 
-// UTILITY ROUTES
+// CURRENCY ROUTES
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
-    });
+// Supported currencies with the latest stored rate into the user's base currency (null when none is stored)
+app.get('/api/currencies', verifyToken, async (req, res) => {
+    try {
+        const { base_currency: baseCurrency } = await storage.findUser(req.userId);
+        const rates = new Map((await storage.latestRates(baseCurrency)).map(r => [r.currency, r]));
+        
+        res.json({
+            success: true,
+            data: {
+                baseCurrency,
+                currencies: Object.entries(CURRENCIES).map(([code, info]) => ({
+                    code,
+                    name: info.name,
+                    symbol: info.symbol,
+                    decimals: info.decimals,
+                    rate: code === baseCurrency ? 1 : rates.get(code)?.rate ?? null,
+                    rateDate: rates.get(code)?.rateDate ?? null
+                }))
+            }
+        });
+        
+    } catch (error) {
+        req.log.error('Currencies error', { error });
+        res.status(500).json({ error: 'Failed to fetch currencies' });
+    }
 });
 
-// Get expense categories
-app.get('/api/categories', async (req, res) => {
+// TRANSACTION ROUTES
+
+// When an entry was made: `date` is set when an offline entry is synced later, and defaults to now. A
+// device clock running ahead cannot date an entry in the future.
+const entryDate = (date) => (date ? new Date(Math.min(date.getTime(), Date.now())) : null);
+
+// Add expense (an Idempotency-Key header makes retries safe; `currency` defaults to the user's base currency)
+app.post('/api/transactions/expense', verifyToken, validate({
+    body: {
+        amount: amount().required(),
+        category: category().required(),
+        description: Joi.string().trim().allow('').max(1000).default(''),
+        currency: currency().allow(null).default(null),
+        date: Joi.date().iso()
+    }
+}), idempotent, async (req, res) => {
     try {
-        const connection = await pool.getConnection();
+        const { amount, category, description, currency, date } = req.body;
         
-        try {
-            const [categories] = await connection.execute(
-                'SELECT category_name, icon_class, display_name FROM expense_categories ORDER BY category_name'
-            );
-            
+        const response = await ledger.recordTransaction(req.userId, {
+            type: 'expense',
+            amount,
+            category,
+            description,
+            currency,
+            date: entryDate(date),
+            origin: auditOrigin(req)
+        });
+        
+        if (response.status === 'SUCCESS') {
             res.json({
                 success: true,
-                data: categories.reduce((acc, cat) => {
-                    acc[cat.category_name] = {
-                        icon: cat.icon_class,
-                        label: cat.display_name
-                    };
-                    return acc;
-                }, {})
+                message: response.message,
+                savingsAmount: toAmount(response.savings_amount),
+                warning: response.budget_warning || null,
+                conversion: response.conversion || null
             });
-            
-        } finally {
-            connection.release();
+        } else {
+            res.status(400).json({ error: response.message });
         }
         
     } catch (error) {
-        console.error('Categories error:', error);
-        res.status(500).json({ error: 'Failed to fetch categories' });
+        req.log.error('Add expense error', { error });
+        res.status(500).json({ error: 'Failed to add expense' });
     }
 });
 
-// Serve the main HTML file
+// Add income (an Idempotency-Key header makes retries safe; `currency` defaults to the user's base currency)
+app.post('/api/transactions/income', verifyToken, validate({
+    body: {
+        amount: amount().required(),
+        source: Joi.string().trim().max(100).required(),
+        description: Joi.string().trim().allow('').max(1000).default(''),
+        currency: currency().allow(null).default(null),
+        date: Joi.date().iso()
+    }
+}), idempotent, async (req, res) => {
+    try {
+        const { amount, source, description, currency, date } = req.body;
+        
+        const response = await ledger.recordTransaction(req.userId, {
+            type: 'income',
+            amount,
+            source,
+            description,
+            currency,
+            date: entryDate(date),
+            origin: auditOrigin(req)
+        });
+        
+        if (response.status !== 'SUCCESS') {
+            return res.status(400).json({ error: response.message });
+        }
+        
+        res.json({
+            success: true,
+            message: response.message,
+            savingsAmount: toAmount(response.savings_amount),
+            conversion: response.conversion || null
+        });
+        
+    } catch (error) {
+        req.log.error('Add income error', { error });
+        res.status(500).json({ error: 'Failed to add income' });
+    }
+});
+
+const TRANSACTION_TYPES = ['income', 'expense'];
+const TRANSACTION_SORTS = ['date', 'amount'];
+const MAX_PAGE_SIZE = 100;
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?Z$/;
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+// Decode an encodeCursor() value, or null when it is malformed. `v` must be an ISO timestamp, or a finite
+// number for pages sorted by amount, so a tampered cursor never reaches a query.
+function decodeCursor(cursor, sort = 'date') {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!decoded || !Number.isInteger(decoded.id)) {
+            return null;
+        }
+        const valid = sort === 'amount'
+            ? Number.isFinite(decoded.v)
+            : typeof decoded.v === 'string' && ISO_TIMESTAMP.test(decoded.v) && !Number.isNaN(Date.parse(decoded.v));
+        return valid ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Split a comma separated query value (or repeated query keys) into a list
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Query fields of the history, search and export views
+const TRANSACTION_FILTER_FIELDS = {
+    type: Joi.string().valid(...TRANSACTION_TYPES),
+    categories: Joi.alternatives(Joi.array().items(Joi.string().max(100)), Joi.string()),
+    category: Joi.string().max(100),
+    source: Joi.string().max(100),
+    minAmount: Joi.number().min(0).max(MAX_AMOUNT),
+    maxAmount: Joi.number().min(0).max(MAX_AMOUNT),
+    from: dateString(),
+    to: dateString(),
+    q: Joi.string().allow('').max(200)
+};
+
+const TRANSACTION_PAGE_FIELDS = {
+    sort: Joi.string().valid(...TRANSACTION_SORTS).default('date'),
+    order: Joi.string().lowercase().valid('asc', 'desc').default('desc'),
+    limit: limit(MAX_PAGE_SIZE).default(50),
+    cursor: Joi.string().max(500)
+};
+
+// Turn a query validated against TRANSACTION_FILTER_FIELDS into the filters the storage search methods take
+// (amounts as decimals, dates as Dates with an exclusive "to"), shared by the history, search and export views
+function buildTransactionFilters(query) {
+    const { type, categories, category, source, minAmount, maxAmount, from, to, q } = query;
+    const filters = { type, categories: toList(categories ?? category ?? []), source, q };
+    
+    if (minAmount !== undefined) {
+        filters.minAmount = toDecimal(toMinor(minAmount));
+    }
+    if (maxAmount !== undefined) {
+        filters.maxAmount = toDecimal(toMinor(maxAmount));
+    }
+    if (from !== undefined) {
+        filters.from = new Date(from);
+    }
+    if (to !== undefined) {
+        filters.to = new Date(to);
+        // A bare YYYY-MM-DD "to" date includes that whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+            filters.to.setDate(filters.to.getDate() + 1);
+        }
+    }
+    
+    return filters;
+}
+
+// Run a filtered, sorted, cursor-paginated transaction search with totals for the whole filtered set.
+// Pages are keyed on (sort column, id), so rows added while paging never shift or repeat results.
+// Returns { error } for a cursor that cannot be decoded.
+async function queryTransactions(userId, query) {
+    const filters = buildTransactionFilters(query);
+    const { sort, order, limit } = query;
+    
+    let after = null;
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor, sort);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+        after = { value: sort === 'date' ? new Date(cursor.v) : cursor.v, id: cursor.id };
+    }
+    
+    const rows = await storage.searchTransactions(userId, filters, { sort, order, limit: limit + 1, after });
+    const totals = await storage.transactionSummary(userId, filters);
+    
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+    const last = page[page.length - 1];
+    
+    return {
+        transactions: page,
+        nextCursor: hasMore
+            ? encodeCursor(sort === 'date' ? last.transaction_date.toISOString() : toAmount(last.amount), last.id)
+            : null,
+        totals: {
+            count: Number(totals.count),
+            expense: toAmount(totals.total_expense),
+            income: toAmount(totals.total_income)
+        }
+    };
+}
+
+// The amount as entered for transactions recorded in another currency ({ currency, amount, rate }), else null
+function foreignAmount(t) {
+    return t.currency ? {
+        currency: t.currency,
+        amount: toAmount(t.original_amount, t.currency),
+        rate: Number(t.exchange_rate)
+    } : null;
+}
+
+// Transaction dates as the history shows them, e.g. "05 March 2024 at 02:30 PM"
+function formatDisplayDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const month = date.toLocaleString('en-US', { month: 'long' });
+    const time = `${pad(date.getHours() % 12 || 12)}:${pad(date.getMinutes())} ${date.getHours() < 12 ? 'AM' : 'PM'}`;
+    return `${pad(date.getDate())} ${month} ${date.getFullYear()} at ${time}`;
+}
+
+// Format a transactions row for API responses
+function formatTransaction(t) {
+    return {
+        id: t.id,
+        type: t.transaction_type,
+        category: t.category,
+        amount: toAmount(t.amount),
+        original: foreignAmount(t),
+        savingsAmount: toAmount(t.savings_amount),
+        description: t.description || 'No description',
+        source: t.source,
+        date: t.transaction_date.toISOString(),
+        displayDate: formatDisplayDate(t.transaction_date)
+    };
+}
+
+// Get category transactions (paged like /api/transactions)
+app.get('/api/transactions/category/:category', verifyToken, validate({
+    params: { category: category().required() },
+    query: { ...TRANSACTION_FILTER_FIELDS, ...TRANSACTION_PAGE_FIELDS }
+}), async (req, res) => {
+    try {
+        const { category } = req.params;
+        
+        const result = await queryTransactions(req.userId, {
+            ...req.query,
+            type: 'expense',
+            categories: undefined,
+            category
+        });
+        
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        // Get category total
+        const categoryData = await storage.categorySummary(req.userId, category) || { total_amount: 0, transaction_count: 0 };
+        
+        res.json({
+            success: true,
+            data: {
+                category,
+                total: toAmount(categoryData.total_amount),
+                count: categoryData.transaction_count,
+                transactions: result.transactions.map(formatTransaction),
+                nextCursor: result.nextCursor
+            }
+        });
+        
+    } catch (error) {
+        req.log.error('Category transactions error', { error });
+        res.status(500).json({ error: 'Failed to fetch category transactions' });
+    }
+});
+
+// Search transactions. Filters: type, categories, source, minAmount, maxAmount, from, to, q (description).
+// Sorting: sort=date|amount, order=asc|desc. Paging: limit plus the nextCursor of the previous page.
+app.get('/api/transactions', verifyToken, validate({
+    query: { ...TRANSACTION_FILTER_FIELDS, ...TRANSACTION_PAGE_FIELDS }
+}), async (req, res) => {
+    try {
+        const result = await queryTransactions(req.userId, req.query);
+        
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        res.json({
+            success: true,
+            data: result.transactions.map(formatTransaction),
+            nextCursor: result.nextCursor,
+            totals: result.totals
+        });
+        
+    } catch (error) {
+        req.log.error('Transactions error', { error });
+        res.status(500).json({ error: 'Failed to fetch transactions' });
+    }
+});
+
+// Edit transaction (balances, savings and category summaries are adjusted in one storage transaction)
+app.put('/api/transactions/:id', verifyToken, validate({
+    params: { id: id().required() },
+    body: Joi.object({
+        amount: amount(),
+        category: category(),
+        source: Joi.string().trim().max(100),
+        description: Joi.string().trim().allow('').max(1000)
+    }).or('amount', 'category', 'source', 'description').messages({ 'object.missing': 'Nothing to update' })
+}), async (req, res) => {
+    try {
+        const { amount, category, source, description } = req.body;
+        
+        const response = await ledger.updateTransaction(req.userId, req.params.id, {
+            amount,
+            category: category || undefined,
+            source: source || undefined,
+            description,
+            origin: auditOrigin(req),
+            details: { fields: Object.keys(req.body) }
+        });
+        
+        if (response.status === 'SUCCESS') {
+            res.json({ success: true, message: response.message });
+        } else {
+            const statusCode = response.message === 'Transaction not found' ? 404 : 400;
+            res.status(statusCode).json({ error: response.message });
+        }
+        
+    } catch (error) {
+        req.log.error('Update transaction error', { error });
+        res.status(500).json({ error: 'Failed to update transaction' });
+    }
+});
+
+// Delete transaction (its effect on balances, savings and summaries is reversed)
+app.delete('/api/transactions/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        const response = await ledger.deleteTransaction(req.userId, req.params.id, { origin: auditOrigin(req) });
+        
+        if (response.status === 'SUCCESS') {
+            res.json({ success: true, message: response.message });
+        } else {
+            const statusCode = response.message === 'Transaction not found' ? 404 : 400;
+            res.status(statusCode).json({ error: response.message });
+        }
+        
+    } catch (error) {
+        req.log.error('Delete transaction error', { error });
+        res.status(500).json({ error: 'Failed to delete transaction' });
+    }
+});
+
+// IMPORT ROUTES
+
+const IMPORT_INCOME_SOURCE = 'import';
+
+// Column mapping and date order accepted when parsing a statement
+const IMPORT_PARSE_FIELDS = {
+    mapping: Joi.object().pattern(Joi.string(), Joi.string().max(100)),
+    dateFormat: Joi.string().uppercase().valid(...DATE_FORMATS)
+};
+
+// Save an uploaded statement under UPLOAD_PATH/<userId>/ so its preview can be re-mapped later
+async function storeUpload(userId, fileName, buffer) {
+    const dir = path.join(UPLOAD_PATH, String(userId));
+    await fs.mkdir(dir, { recursive: true });
+    const safeName = path.basename(fileName).replace(/[^A-Za-z0-9._-]+/g, '_');
+    const storedPath = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName}`);
+    await fs.writeFile(storedPath, buffer);
+    return storedPath;
+}
+
+// Category rules and past descriptions used to suggest categories for imported and chat-entered expenses
+async function loadCategorySuggestions(userId) {
+    const categories = await storage.listCategories(userId, { includeArchived: false });
+    const activeCategories = new Set(categories.map(c => c.category_name));
+    
+    // Longer patterns are more specific, so they are tried first
+    const rules = (await storage.listCategoryRules(userId))
+        .map(r => ({ pattern: r.pattern, category: r.category }))
+        .sort((a, b) => b.pattern.length - a.pattern.length);
+    
+    // Most used category per past description
+    const history = new Map();
+    for (const row of await storage.descriptionHistory(userId, 2000)) {
+        const key = descriptionKey(row.description);
+        if (key && activeCategories.has(row.category) && !history.has(key)) {
+            history.set(key, row.category);
+        }
+    }
+    
+    return { activeCategories, rules, history };
+}
+
+// Parse a statement and annotate each row with a suggested category, duplicate match and status.
+// Rows are only previewed here; nothing touches balances or summaries until the batch is confirmed.
+async function buildImportPreview(userId, format, text, options) {
+    const parsed = parseStatement(format, text, options);
+    
+    const user = await storage.findUser(userId);
+    const periodStart = user.period_start ? toDateString(new Date(user.period_start)) : null;
+    const today = toDateString(new Date());
+    const { activeCategories, rules, history } = await loadCategorySuggestions(userId);
+    
+    // Existing transactions on the same day, of the same type and amount, count as duplicates
+    const dates = parsed.filter(r => r.date).map(r => toDateString(r.date)).sort();
+    const existing = new Map();
+    if (dates.length > 0) {
+        for (const t of await storage.transactionsOnDays(userId, dates[0], dates[dates.length - 1])) {
+            existing.set(`${t.transaction_type}|${t.day}|${toMinor(t.amount)}`, t.id);
+        }
+    }
+    
+    const seen = new Map();
+    
+    return parsed.map((row, index) => {
+        const date = row.date ? toDateString(row.date) : null;
+        const preview = {
+            index,
+            line: row.line,
+            date,
+            type: row.type,
+            amount: row.amount,
+            description: row.description,
+            reference: row.reference,
+            category: null,
+            categorySource: null,
+            source: row.type === 'income' ? IMPORT_INCOME_SOURCE : null,
+            duplicateOf: null,
+            status: 'ready',
+            error: row.error,
+            include: false
+        };
+        
+        if (!preview.error && date > today) {
+            preview.error = 'Date is in the future';
+        } else if (!preview.error && periodStart && date < periodStart) {
+            preview.error = 'Falls in a closed budget period';
+        }
+        if (preview.error) {
+            preview.status = 'invalid';
+            return preview;
+        }
+        
+        if (row.type === 'expense') {
+            const suggestion = suggestCategory(row.description, rules, history);
+            if (suggestion.category && activeCategories.has(suggestion.category)) {
+                preview.category = suggestion.category;
+                preview.categorySource = suggestion.reason;
+            }
+        }
+        
+        const key = `${row.type}|${date}|${toMinor(row.amount)}`;
+        const fileKey = row.reference || `${key}|${descriptionKey(row.description)}`;
+        
+        if (existing.has(key)) {
+            preview.duplicateOf = { transactionId: existing.get(key) };
+            preview.status = 'duplicate';
+        } else if (seen.has(fileKey)) {
+            preview.duplicateOf = { index: seen.get(fileKey) };
+            preview.status = 'duplicate';
+        } else if (row.type === 'expense' && !preview.category) {
+            preview.status = 'needs_category';
+        }
+        
+        seen.set(fileKey, index);
+        preview.include = preview.status === 'ready';
+        return preview;
+    });
+}
+
+// Counts per status, shown alongside the preview
+function summarizeImport(rows) {
+    const summary = { total: rows.length, ready: 0, duplicate: 0, needs_category: 0, invalid: 0 };
+    for (const row of rows) {
+        summary[row.status]++;
+    }
+    return summary;
+}
+
+// Format an import_batches row for API responses
+function formatImportBatch(batch) {
+    const rows = JSON.parse(batch.rows_json);
+    return {
+        id: batch.id,
+        fileName: batch.file_name,
+        format: batch.file_format,
+        status: batch.status,
+        importedCount: batch.imported_count,
+        createdAt: batch.created_at,
+        confirmedAt: batch.confirmed_at,
+        summary: summarizeImport(rows),
+        rows
+    };
+}
+
+// Get a pending batch owned by the user, or send the matching error response
+async function findPendingBatch(userId, batchId, res) {
+    const batch = await storage.findImportBatch(userId, batchId);
+    
+    if (!batch) {
+        res.status(404).json({ error: 'Import not found' });
+        return null;
+    }
+    if (batch.status === 'confirming') {
+        res.status(409).json({ error: 'Import is already being confirmed' });
+        return null;
+    }
+    if (batch.status !== 'pending') {
+        res.status(409).json({ error: `Import has already been ${batch.status}` });
+        return null;
+    }
+    return batch;
+}
+
+// Upload a statement and get a preview of the rows that would be imported
+app.post('/api/import/preview', verifyToken, validate({
+    body: {
+        fileName: Joi.string().trim().max(255).required(),
+        content: Joi.string().required(),
+        encoding: Joi.string().valid('utf8', 'base64').default('utf8'),
+        format: Joi.string().lowercase().valid(...IMPORT_FORMATS),
+        ...IMPORT_PARSE_FIELDS
+    }
+}), async (req, res) => {
+    try {
+        const { fileName, content, encoding, mapping, dateFormat } = req.body;
+        const format = req.body.format || detectFormat(fileName);
+        
+        if (!format) {
+            return res.status(400).json({ error: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+        }
+        
+        const buffer = Buffer.from(content, encoding);
+        if (buffer.length > MAX_FILE_SIZE) {
+            return res.status(413).json({ error: `File is larger than ${MAX_FILE_SIZE} bytes` });
+        }
+        
+        let rows;
+        try {
+            rows = await buildImportPreview(req.userId, format, buffer.toString('utf8'), { mapping, dateFormat });
+        } catch (error) {
+            if (error instanceof ImportError) {
+                return res.status(400).json({ error: error.message });
+            }
+            throw error;
+        }
+        
+        const storedPath = await storeUpload(req.userId, fileName, buffer);
+        const batchId = await storage.createImportBatch(req.userId, { fileName, format, storedPath, rows });
+        
+        res.status(201).json({ success: true, data: formatImportBatch(await storage.findImportBatch(req.userId, batchId)) });
+        
+    } catch (error) {
+        req.log.error('Import preview error', { error });
+        res.status(500).json({ error: 'Failed to preview import' });
+    }
+});
+
+// Get an import batch and its preview rows
+app.get('/api/import/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        const batch = await storage.findImportBatch(req.userId, req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+        
+        res.json({ success: true, data: formatImportBatch(batch) });
+        
+    } catch (error) {
+        req.log.error('Import fetch error', { error });
+        res.status(500).json({ error: 'Failed to fetch import' });
+    }
+});
+
+// Re-parse a pending import's stored file with a different column mapping or date format
+app.put('/api/import/:id/mapping', verifyToken, validate({
+    params: { id: id().required() },
+    body: IMPORT_PARSE_FIELDS
+}), async (req, res) => {
+    try {
+        const { mapping, dateFormat } = req.body;
+        
+        const batch = await findPendingBatch(req.userId, req.params.id, res);
+        if (!batch) {
+            return;
+        }
+        
+        const text = await fs.readFile(batch.stored_path, 'utf8');
+        
+        let rows;
+        try {
+            rows = await buildImportPreview(req.userId, batch.file_format, text, { mapping, dateFormat });
+        } catch (error) {
+            if (error instanceof ImportError) {
+                return res.status(400).json({ error: error.message });
+            }
+            throw error;
+        }
+        
+        await storage.updateImportRows(batch.id, rows);
+        
+        res.json({ success: true, data: formatImportBatch(await storage.findImportBatch(req.userId, batch.id)) });
+        
+    } catch (error) {
+        req.log.error('Import mapping error', { error });
+        res.status(500).json({ error: 'Failed to re-map import' });
+    }
+});
+
+// Record the included rows of an import through `importLedger`, pushing one result per row as it goes
+async function recordImportRows(importLedger, userId, included, results) {
+    for (const row of included) {
+        let error = null;
+        
+        if (row.status === 'invalid') {
+            error = row.error;
+        } else if (row.type === 'expense' && !row.category) {
+            error = 'Category is required';
+        } else {
+            // The ledger also refuses rows a rollover since the preview has put in a closed period
+            const response = await importLedger.recordTransaction(userId, {
+                type: row.type,
+                amount: row.amount,
+                category: row.category,
+                source: row.source || IMPORT_INCOME_SOURCE,
+                description: row.description,
+                date: new Date(`${row.date}T00:00:00`),
+                audit: null
+            });
+            
+            if (response.status !== 'SUCCESS') {
+                error = response.message;
+            } else if (response.budget_warning) {
+                row.warning = response.budget_warning;
+            }
+        }
+        
+        row.result = error ? 'failed' : 'imported';
+        results.push({ index: row.index, status: row.result, error, warning: row.warning || null });
+    }
+}
+
+// Confirm an import. `rows` may override include/category/source/description per row index;
+// included rows are recorded oldest first through the ledger, like manual entries. The claim, the
+// rows and the closed batch are one storage transaction: a confirm that fails records nothing and
+// can be retried, and a concurrent one finds the batch taken and gets a 409.
+app.post('/api/import/:id/confirm', verifyToken, validate({
+    params: { id: id().required() },
+    body: {
+        rows: Joi.array().items(Joi.object({
+            index: Joi.number().integer().min(0).required(),
+            include: Joi.boolean(),
+            category: category().allow(null),
+            source: Joi.string().trim().max(100).allow(null),
+            description: Joi.string().trim().allow('').max(1000)
+        })).default([])
+    }
+}), async (req, res) => {
+    try {
+        const { rows: overrides } = req.body;
+        
+        const batch = await findPendingBatch(req.userId, req.params.id, res);
+        if (!batch) {
+            return;
+        }
+        
+        const rows = JSON.parse(batch.rows_json);
+        for (const override of overrides) {
+            const row = rows[override.index];
+            if (!row) {
+                return res.status(400).json({ error: `Row ${override.index} does not exist in this import` });
+            }
+            for (const field of ['include', 'category', 'source', 'description']) {
+                if (override[field] !== undefined) {
+                    row[field] = override[field];
+                }
+            }
+        }
+        
+        const included = rows
+            .filter(row => row.include)
+            .sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.index - b.index);
+        
+        const results = await storage.transaction(async (tx) => {
+            if (!await tx.claimImportBatch(batch.id, 'confirming')) {
+                return null;
+            }
+            
+            // The whole batch is audited as one change
+            const before = await tx.readBalances(req.userId);
+            const recorded = [];
+            await recordImportRows(createLedger({ storage: tx }), req.userId, included, recorded);
+            
+            const imported = recorded.filter(r => r.status === 'imported').length;
+            await tx.recordAudit({
+                userId: req.userId,
+                action: 'import.confirmed',
+                entityType: 'import',
+                entityId: batch.id,
+                details: { importedCount: imported, failedCount: included.length - imported },
+                before,
+                origin: auditOrigin(req)
+            });
+            await tx.confirmImportBatch(batch.id, { rows, importedCount: imported });
+            return recorded;
+        });
+        
+        if (!results) {
+            return res.status(409).json({ error: 'Import is already being confirmed' });
+        }
+        
+        const importedCount = results.filter(r => r.status === 'imported').length;
+        
+        res.json({
+            success: true,
+            message: `Imported ${importedCount} of ${included.length} transactions`,
+            data: {
+                importedCount,
+                failedCount: included.length - importedCount,
+                skippedCount: rows.length - included.length,
+                results
+            }
+        });
+        
+    } catch (error) {
+        req.log.error('Import confirm error', { error });
+        res.status(500).json({ error: 'Failed to confirm import' });
+    }
+});
+
+// Cancel a pending import and delete its stored file
+app.delete('/api/import/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        const batch = await findPendingBatch(req.userId, req.params.id, res);
+        if (!batch) {
+            return;
+        }
+        
+        if (!await storage.claimImportBatch(batch.id, 'cancelled')) {
+            return res.status(409).json({ error: 'Import is already being confirmed' });
+        }
+        await fs.rm(batch.stored_path, { force: true });
+        
+        res.json({ success: true, message: 'Import cancelled' });
+        
+    } catch (error) {
+        req.log.error('Import cancel error', { error });
+        res.status(500).json({ error: 'Failed to cancel import' });
+    }
+});
+
+// CATEGORY RULE ROUTES (description keywords used to auto-categorize imports)
+
+// Get category rules
+app.get('/api/category-rules', verifyToken, async (req, res) => {
+    try {
+        const rules = await storage.listCategoryRules(req.userId);
+        
+        res.json({
+            success: true,
+            data: rules.map(r => ({ id: r.id, pattern: r.pattern, category: r.category, createdAt: r.created_at }))
+        });
+        
+    } catch (error) {
+        req.log.error('Category rules error', { error });
+        res.status(500).json({ error: 'Failed to fetch category rules' });
+    }
+});
+
+// Create or replace the rule for a pattern
+app.post('/api/category-rules', verifyToken, validate({
+    body: {
+        pattern: Joi.string().trim().max(100).required(),
+        category: category().required()
+    }
+}), async (req, res) => {
+    try {
+        const { pattern, category } = req.body;
+        
+        if (!(await storage.findActiveCategory(req.userId, category))) {
+            return res.status(400).json({ error: 'Unknown or archived category' });
+        }
+        
+        const rule = await storage.saveCategoryRule(req.userId, pattern.toLowerCase(), category);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Category rule saved successfully',
+            data: { id: rule.id, pattern: rule.pattern, category: rule.category, createdAt: rule.created_at }
+        });
+        
+    } catch (error) {
+        req.log.error('Create category rule error', { error });
+        res.status(500).json({ error: 'Failed to save category rule' });
+    }
+});
+
+// Delete category rule
+app.delete('/api/category-rules/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        if (!(await storage.deleteCategoryRule(req.userId, req.params.id))) {
+            return res.status(404).json({ error: 'Category rule not found' });
+        }
+        
+        res.json({ success: true, message: 'Category rule deleted successfully' });
+        
+    } catch (error) {
+        req.log.error('Delete category rule error', { error });
+        res.status(500).json({ error: 'Failed to delete category rule' });
+    }
+});
+
+// RECURRING TRANSACTION ROUTES
+
+const MAX_UPCOMING_DAYS = 90;
+
+// Format a recurring_transactions row for API responses
+function formatRecurring(schedule) {
+    return {
+        id: schedule.id,
+        name: schedule.name,
+        type: schedule.transaction_type,
+        category: schedule.category,
+        source: schedule.source,
+        amount: toAmount(schedule.amount),
+        description: schedule.description,
+        frequency: schedule.frequency,
+        cronExpression: schedule.cron_expression,
+        startsAt: schedule.starts_at,
+        endsAt: schedule.ends_at,
+        nextRunAt: schedule.next_run_at,
+        lastRunAt: schedule.last_run_at,
+        lastStatus: schedule.last_status,
+        lastError: schedule.last_error,
+        isActive: Boolean(schedule.is_active),
+        createdAt: schedule.created_at
+    };
+}
+
+// Returns an error message for an invalid schedule (the merged row for updates), or null
+async function validateRecurring(userId, schedule) {
+    if (!schedule.name || !String(schedule.name).trim()) {
+        return 'Name is required';
+    }
+    if (!TRANSACTION_TYPES.includes(schedule.transaction_type)) {
+        return `Type must be one of: ${TRANSACTION_TYPES.join(', ')}`;
+    }
+    if (typeof schedule.amount !== 'number' || isNaN(schedule.amount) || schedule.amount <= 0) {
+        return 'Amount must be a positive number';
+    }
+    if (!RECURRING_FREQUENCIES.includes(schedule.frequency)) {
+        return `Frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}`;
+    }
+    if (schedule.frequency === 'custom') {
+        try {
+            parseCron(schedule.cron_expression);
+        } catch (error) {
+            return error.message;
+        }
+    }
+    if (isNaN(schedule.starts_at.getTime())) {
+        return 'Start time must be a valid date';
+    }
+    if (schedule.ends_at && (isNaN(schedule.ends_at.getTime()) || schedule.ends_at <= schedule.starts_at)) {
+        return 'End time must be a valid date after the start time';
+    }
+    if (schedule.transaction_type === 'income') {
+        return schedule.source ? null : 'Source is required for recurring income';
+    }
+    
+    const category = await storage.findActiveCategory(userId, schedule.category || '');
+    return category ? null : 'Unknown or archived category';
+}
+
+// Get recurring transactions
+app.get('/api/recurring', verifyToken, async (req, res) => {
+    try {
+        const schedules = await storage.listRecurring(req.userId);
+        
+        res.json({ success: true, data: schedules.map(formatRecurring) });
+        
+    } catch (error) {
+        req.log.error('Recurring transactions error', { error });
+        res.status(500).json({ error: 'Failed to fetch recurring transactions' });
+    }
+});
+
+// Upcoming bills for the next ?days (default 30), with the balance projected after each one.
+// Pass ?includeIncome=true to project recurring income as well.
+app.get('/api/recurring/upcoming', verifyToken, validate({
+    query: {
+        days: limit(MAX_UPCOMING_DAYS).default(30),
+        includeIncome: flag().default(false)
+    }
+}), async (req, res) => {
+    try {
+        const { days, includeIncome } = req.query;
+        
+        const schedules = await storage.listRecurring(req.userId, { activeOnly: true, includeIncome });
+        const { balance: currentBalance } = await storage.readBalances(req.userId);
+        
+        const now = new Date();
+        const until = new Date(now.getTime() + days * DAY_MS);
+        
+        const upcoming = [];
+        schedules.forEach(schedule => {
+            // Occurrences still waiting for the scheduler are due now, not skipped
+            const from = new Date(Math.min(new Date(schedule.next_run_at).getTime() - 1, now.getTime()));
+            occurrencesBetween(schedule, from, until).forEach(dueAt => upcoming.push({ schedule, dueAt }));
+        });
+        upcoming.sort((a, b) => a.dueAt - b.dueAt);
+        
+        // Projection ignores savings round-ups and income splits; sums run in paise
+        let balance = toMinor(currentBalance);
+        let totalDue = 0;
+        
+        const data = upcoming.map(({ schedule, dueAt }) => {
+            const amount = toMinor(schedule.amount);
+            const isExpense = schedule.transaction_type === 'expense';
+            const insufficientBalance = isExpense && balance < amount;
+            
+            if (isExpense) {
+                totalDue += amount;
+                balance -= insufficientBalance ? 0 : amount;
+            } else {
+                balance += amount;
+            }
+            
+            return {
+                recurringId: schedule.id,
+                name: schedule.name,
+                type: schedule.transaction_type,
+                category: schedule.category,
+                source: schedule.source,
+                amount: fromMinor(amount),
+                dueAt,
+                projectedBalance: fromMinor(balance),
+                insufficientBalance
+            };
+        });
+        
+        res.json({
+            success: true,
+            data,
+            totals: {
+                count: data.length,
+                due: fromMinor(totalDue),
+                currentBalance: toAmount(currentBalance),
+                projectedBalance: fromMinor(balance)
+            }
+        });
+        
+    } catch (error) {
+        req.log.error('Upcoming bills error', { error });
+        res.status(500).json({ error: 'Failed to fetch upcoming bills' });
+    }
+});
+
+// Fields of a recurring transaction; the merged schedule is checked again by validateRecurring
+const RECURRING_FIELDS = {
+    name: Joi.string().trim().max(150),
+    amount: amount(),
+    category: category().allow(null),
+    source: Joi.string().trim().max(100).allow(null),
+    description: Joi.string().trim().allow('').max(1000),
+    frequency: Joi.string().valid(...RECURRING_FREQUENCIES),
+    cronExpression: Joi.string().trim().max(100).allow(null),
+    startsAt: Joi.date(),
+    endsAt: Joi.date().allow(null)
+};
+
+// Create recurring transaction
+app.post('/api/recurring', verifyToken, validate({
+    body: {
+        ...RECURRING_FIELDS,
+        name: RECURRING_FIELDS.name.required(),
+        type: Joi.string().valid(...TRANSACTION_TYPES).required(),
+        amount: RECURRING_FIELDS.amount.required(),
+        frequency: RECURRING_FIELDS.frequency.required()
+    }
+}), async (req, res) => {
+    try {
+        const {
+            name, type, amount, category = null, source = null, description = '',
+            frequency, cronExpression = null, startsAt, endsAt = null
+        } = req.body;
+        
+        const schedule = {
+            name: name && String(name).trim(),
+            transaction_type: type,
+            amount,
+            category: type === 'expense' ? category : null,
+            source: type === 'income' ? source : null,
+            description,
+            frequency,
+            cron_expression: frequency === 'custom' ? cronExpression : null,
+            starts_at: startsAt ? new Date(startsAt) : new Date(),
+            ends_at: endsAt ? new Date(endsAt) : null
+        };
+        
+        const validationError = await validateRecurring(req.userId, schedule);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        // A schedule starting now is due straight away
+        const nextRunAt = nextOccurrence(schedule, new Date(Date.now() - 1));
+        if (!nextRunAt) {
+            return res.status(400).json({ error: 'Schedule has no occurrences before its end time' });
+        }
+        
+        const recurringId = await storage.createRecurring(req.userId, {
+            name: schedule.name,
+            type,
+            category: schedule.category,
+            source: schedule.source,
+            amount,
+            description,
+            frequency,
+            cronExpression: schedule.cron_expression,
+            startsAt: schedule.starts_at,
+            endsAt: schedule.ends_at,
+            nextRunAt
+        });
+        const created = await storage.findRecurring(req.userId, recurringId);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Recurring transaction created successfully',
+            data: formatRecurring(created)
+        });
+        
+    } catch (error) {
+        req.log.error('Create recurring transaction error', { error });
+        res.status(500).json({ error: 'Failed to create recurring transaction' });
+    }
+});
+
+// Update recurring transaction (changing the schedule or reactivating it recomputes the next run)
+app.put('/api/recurring/:id', verifyToken, validate({
+    params: { id: id().required() },
+    body: { ...RECURRING_FIELDS, isActive: Joi.boolean() }
+}), async (req, res) => {
+    try {
+        const { name, amount, category, source, description, frequency, cronExpression, startsAt, endsAt, isActive } = req.body;
+        
+        const current = await storage.findRecurring(req.userId, req.params.id);
+        
+        if (!current) {
+            return res.status(404).json({ error: 'Recurring transaction not found' });
+        }
+        
+        const schedule = {
+            ...current,
+            name: name !== undefined ? name && String(name).trim() : current.name,
+            amount: amount !== undefined ? amount : toAmount(current.amount),
+            category: category !== undefined ? category : current.category,
+            source: source !== undefined ? source : current.source,
+            description: description !== undefined ? description : current.description,
+            frequency: frequency !== undefined ? frequency : current.frequency,
+            cron_expression: cronExpression !== undefined ? cronExpression : current.cron_expression,
+            starts_at: startsAt !== undefined ? new Date(startsAt) : new Date(current.starts_at),
+            ends_at: endsAt !== undefined ? (endsAt ? new Date(endsAt) : null) : current.ends_at && new Date(current.ends_at),
+            is_active: isActive !== undefined ? Boolean(isActive) : Boolean(current.is_active)
+        };
+        if (schedule.frequency !== 'custom') {
+            schedule.cron_expression = null;
+        }
+        
+        const validationError = await validateRecurring(req.userId, schedule);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        let nextRunAt = current.next_run_at;
+        const scheduleChanged = [frequency, cronExpression, startsAt, endsAt].some(v => v !== undefined);
+        
+        if (schedule.is_active && (scheduleChanged || !current.is_active || !nextRunAt)) {
+            // Never re-record an occurrence that already ran
+            const now = new Date(Date.now() - 1);
+            const lastRun = current.last_run_at ? new Date(current.last_run_at) : null;
+            nextRunAt = nextOccurrence(schedule, lastRun && lastRun > now ? lastRun : now);
+            
+            if (!nextRunAt) {
+                return res.status(400).json({ error: 'Schedule has no occurrences before its end time' });
+            }
+        }
+        
+        await storage.updateRecurring(current.id, {
+            name: schedule.name,
+            amount: schedule.amount,
+            category: schedule.category,
+            source: schedule.source,
+            description: schedule.description,
+            frequency: schedule.frequency,
+            cronExpression: schedule.cron_expression,
+            startsAt: schedule.starts_at,
+            endsAt: schedule.ends_at,
+            nextRunAt,
+            isActive: schedule.is_active
+        });
+        const updated = await storage.findRecurring(req.userId, current.id);
+        
+        res.json({
+            success: true,
+            message: 'Recurring transaction updated successfully',
+            data: formatRecurring(updated)
+        });
+        
+    } catch (error) {
+        req.log.error('Update recurring transaction error', { error });
+        res.status(500).json({ error: 'Failed to update recurring transaction' });
+    }
+});
+
+// Retry the last occurrence after it failed (e.g. once the balance has been topped up)
+app.post('/api/recurring/:id/retry', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        const schedule = await storage.findRecurring(req.userId, req.params.id);
+        
+        if (!schedule) {
+            return res.status(404).json({ error: 'Recurring transaction not found' });
+        }
+        
+        if (schedule.last_status !== 'failed') {
+            return res.status(409).json({ error: 'The last occurrence did not fail' });
+        }
+        
+        const response = await recordOccurrence(ledger, schedule, new Date(schedule.last_run_at), auditOrigin(req));
+        
+        if (response.status !== 'SUCCESS') {
+            await storage.updateRecurring(schedule.id, { lastError: response.message });
+            return res.status(400).json({ error: response.message });
+        }
+        
+        await storage.updateRecurring(schedule.id, { lastStatus: 'success', lastError: null });
+        
+        res.json({ success: true, message: response.message, warning: response.budget_warning || null });
+        
+    } catch (error) {
+        req.log.error('Retry recurring transaction error', { error });
+        res.status(500).json({ error: 'Failed to retry recurring transaction' });
+    }
+});
+
+// Delete recurring transaction (transactions it already recorded are kept)
+app.delete('/api/recurring/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        if (!(await storage.deleteRecurring(req.userId, req.params.id))) {
+            return res.status(404).json({ error: 'Recurring transaction not found' });
+        }
+        
+        res.json({ success: true, message: 'Recurring transaction deleted successfully' });
+        
+    } catch (error) {
+        req.log.error('Delete recurring transaction error', { error });
+        res.status(500).json({ error: 'Failed to delete recurring transaction' });
+    }
+});
+
+// SAVINGS RULE ROUTES
+
+const SAVINGS_RULE_TYPES = ['allowance_fixed', 'allowance_percent', 'income_split', 'expense_roundup'];
+
+const ruleValue = () => Joi.number().min(0).max(MAX_AMOUNT);
+
+// Returns an error message for a rule value out of range for its rule type, or null
+function validateSavingsRuleValue(ruleType, value) {
+    if ((ruleType === 'allowance_percent' || ruleType === 'income_split') && value > 100) {
+        return 'Percentage rules must be between 0 and 100';
+    }
+    if (ruleType === 'expense_roundup' && value <= 0) {
+        return 'Round-up step must be positive (e.g. 10 rounds 47 up to 50)';
+    }
+    return null;
+}
+
+// Format a savings_rules row for API responses
+function formatSavingsRule(rule) {
+    return {
+        id: rule.id,
+        ruleType: rule.rule_type,
+        incomeSource: rule.income_source,
+        value: toAmount(rule.value),
+        isActive: Boolean(rule.is_active),
+        createdAt: rule.created_at,
+        updatedAt: rule.updated_at
+    };
+}
+
+// Get savings rules
+app.get('/api/savings-rules', verifyToken, async (req, res) => {
+    try {
+        const rules = await storage.listSavingsRules(req.userId);
+        
+        res.json({ success: true, data: rules.map(formatSavingsRule) });
+        
+    } catch (error) {
+        req.log.error('Savings rules error', { error });
+        res.status(500).json({ error: 'Failed to fetch savings rules' });
+    }
+});
+
+// Create savings rule (replaces the active rule it conflicts with)
+app.post('/api/savings-rules', verifyToken, validate({
+    body: {
+        ruleType: Joi.string().valid(...SAVINGS_RULE_TYPES).required(),
+        value: ruleValue().required(),
+        incomeSource: Joi.string().trim().max(100).allow(null).default(null)
+    }
+}), async (req, res) => {
+    try {
+        const { ruleType, value, incomeSource } = req.body;
+        
+        const valueError = validateSavingsRuleValue(ruleType, value);
+        if (valueError) {
+            return res.status(400).json({ error: valueError });
+        }
+        
+        if (incomeSource && ruleType !== 'income_split') {
+            return res.status(400).json({ error: 'Income source can only be set on income_split rules' });
+        }
+        
+        // Only one allowance rule and one rule per income source / round-up may be active at a time
+        const ruleId = await storage.transaction(async (tx) => {
+            const created = await tx.createSavingsRule(req.userId, { ruleType, incomeSource: incomeSource || null, value });
+            await tx.deactivateConflictingRules(req.userId, { ruleType, incomeSource: incomeSource || null, keepId: created });
+            return created;
+        });
+        const rule = await storage.findSavingsRule(req.userId, ruleId);
+        
+        res.status(201).json({ success: true, message: 'Savings rule created successfully', data: formatSavingsRule(rule) });
+        
+    } catch (error) {
+        req.log.error('Create savings rule error', { error });
+        res.status(500).json({ error: 'Failed to create savings rule' });
+    }
+});
+
+// Update savings rule value or active flag
+app.put('/api/savings-rules/:id', verifyToken, validate({
+    params: { id: id().required() },
+    body: { value: ruleValue(), isActive: Joi.boolean() }
+}), async (req, res) => {
+    try {
+        const { value, isActive } = req.body;
+        
+        const rule = await storage.findSavingsRule(req.userId, req.params.id);
+        
+        if (!rule) {
+            return res.status(404).json({ error: 'Savings rule not found' });
+        }
+        
+        if (value !== undefined) {
+            const valueError = validateSavingsRuleValue(rule.rule_type, value);
+            if (valueError) {
+                return res.status(400).json({ error: valueError });
+            }
+        }
+        
+        const newActive = isActive !== undefined ? Boolean(isActive) : Boolean(rule.is_active);
+        
+        await storage.transaction(async (tx) => {
+            await tx.updateSavingsRule(rule.id, { value: value !== undefined ? value : rule.value, isActive: newActive });
+            if (newActive) {
+                await tx.deactivateConflictingRules(req.userId, { ruleType: rule.rule_type, incomeSource: rule.income_source, keepId: rule.id });
+            }
+        });
+        const updated = await storage.findSavingsRule(req.userId, rule.id);
+        
+        res.json({ success: true, message: 'Savings rule updated successfully', data: formatSavingsRule(updated) });
+        
+    } catch (error) {
+        req.log.error('Update savings rule error', { error });
+        res.status(500).json({ error: 'Failed to update savings rule' });
+    }
+});
+
+// Delete savings rule
+app.delete('/api/savings-rules/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        if (!(await storage.deleteSavingsRule(req.userId, req.params.id))) {
+            return res.status(404).json({ error: 'Savings rule not found' });
+        }
+        
+        res.json({ success: true, message: 'Savings rule deleted successfully' });
+        
+    } catch (error) {
+        req.log.error('Delete savings rule error', { error });
+        res.status(500).json({ error: 'Failed to delete savings rule' });
+    }
+});
+
+// BUDGET ROUTES
+
+const LIMIT_ACTIONS = ['warn', 'block'];
+
+// Get per-category limits with remaining amount, percent used and projected end-of-period spend
+app.get('/api/budgets', verifyToken, async (req, res) => {
+    try {
+        const user = await storage.findUser(req.userId);
+        const summaries = new Map((await storage.categorySummaries(req.userId)).map(s => [s.category, s.total_amount]));
+        const categories = await storage.listCategories(req.userId, { includeArchived: false });
+        
+        // Linear projection of spend so far over the whole budget period
+        let elapsedDays = 1;
+        let periodDays = 1;
+        if (user.period_start) {
+            const start = new Date(user.period_start);
+            const end = new Date(user.period_end);
+            periodDays = Math.round((end - start) / DAY_MS) + 1;
+            elapsedDays = Math.min(periodDays, Math.max(1, Math.floor((Date.now() - start) / DAY_MS) + 1));
+        }
+        
+        res.json({
+            success: true,
+            period: user.period_start ? {
+                start: toDateString(user.period_start),
+                end: toDateString(user.period_end),
+                elapsedDays,
+                totalDays: periodDays
+            } : null,
+            data: categories.map(category => {
+                const spent = toMinor(summaries.get(category.category_name) || 0);
+                const limit = category.monthly_limit !== null ? toMinor(category.monthly_limit) : null;
+                const projected = Math.round((spent / elapsedDays) * periodDays);
+                
+                return {
+                    category: category.category_name,
+                    label: category.display_name,
+                    limit: limit !== null ? fromMinor(limit) : null,
+                    action: category.limit_action,
+                    spent: fromMinor(spent),
+                    remaining: limit !== null ? fromMinor(limit - spent) : null,
+                    percentUsed: limit ? percentage(spent, limit) : null,
+                    projectedSpend: fromMinor(projected),
+                    projectedOverspend: limit !== null ? projected > limit : null
+                };
+            })
+        });
+        
+    } catch (error) {
+        req.log.error('Budgets error', { error });
+        res.status(500).json({ error: 'Failed to fetch budgets' });
+    }
+});
+
+// Set a category's monthly limit (action "warn" allows overspending with a warning, "block" rejects it)
+app.put('/api/budgets/:category', verifyToken, validate({
+    params: { category: Joi.string().max(100).required() },
+    body: {
+        limit: amount().required(),
+        action: Joi.string().valid(...LIMIT_ACTIONS).default('warn')
+    }
+}), async (req, res) => {
+    try {
+        const { limit, action } = req.body;
+        
+        if (!(await storage.setCategoryLimit(req.userId, req.params.category, { limit, action }))) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        res.json({ success: true, message: 'Budget limit saved successfully' });
+        
+    } catch (error) {
+        req.log.error('Budget limit error', { error });
+        res.status(500).json({ error: 'Failed to save budget limit' });
+    }
+});
+
+// Remove a category's monthly limit
+app.delete('/api/budgets/:category', verifyToken, validate({
+    params: { category: Joi.string().max(100).required() }
+}), async (req, res) => {
+    try {
+        if (!(await storage.setCategoryLimit(req.userId, req.params.category, { limit: null, action: 'warn' }))) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        res.json({ success: true, message: 'Budget limit removed successfully' });
+        
+    } catch (error) {
+        req.log.error('Budget limit error', { error });
+        res.status(500).json({ error: 'Failed to remove budget limit' });
+    }
+});
+
+// GOAL ROUTES
+
+const GOAL_STATUSES = ['active', 'completed', 'paused'];
+
+// Project when a goal will be reached from its average daily contribution rate so far
+function projectGoalCompletion(goal, now = new Date()) {
+    const target = toMinor(goal.target_amount);
+    const current = toMinor(goal.current_amount);
+    
+    if (current >= target || current <= 0) {
+        return null;
+    }
+    
+    const elapsedDays = Math.max(1, (now - new Date(goal.created_at)) / DAY_MS);
+    const dailyRate = current / elapsedDays;
+    const daysRemaining = Math.ceil((target - current) / dailyRate);
+    
+    return new Date(now.getTime() + daysRemaining * DAY_MS);
+}
+
+// Format a financial_goals row for API responses
+function formatGoal(goal) {
+    const target = toMinor(goal.target_amount);
+    const current = toMinor(goal.current_amount);
+    const projected = goal.status === 'active' ? projectGoalCompletion(goal) : null;
+    const targetDate = goal.target_date ? new Date(goal.target_date) : null;
+    
+    return {
+        id: goal.id,
+        name: goal.goal_name,
+        targetAmount: fromMinor(target),
+        currentAmount: fromMinor(current),
+        remainingAmount: fromMinor(Math.max(0, target - current)),
+        progress: Math.min(100, percentage(current, target)),
+        targetDate: targetDate ? targetDate.toISOString().slice(0, 10) : null,
+        status: goal.status,
+        projectedCompletionDate: projected ? projected.toISOString().slice(0, 10) : null,
+        onTrack: projected && targetDate ? projected <= targetDate : null,
+        createdAt: goal.created_at
+    };
+}
+
+// Goal fields; an empty target date clears it
+const GOAL_FIELDS = {
+    goalName: Joi.string().trim().max(255),
+    targetAmount: amount(),
+    targetDate: day().allow(null, ''),
+    status: Joi.string().valid(...GOAL_STATUSES)
+};
+
+// Get all goals
+app.get('/api/goals', verifyToken, validate({
+    query: { status: GOAL_FIELDS.status }
+}), async (req, res) => {
+    try {
+        const goals = await storage.listGoals(req.userId, req.query.status);
+        
+        res.json({ success: true, data: goals.map(formatGoal) });
+        
+    } catch (error) {
+        req.log.error('Goals error', { error });
+        res.status(500).json({ error: 'Failed to fetch goals' });
+    }
+});
+
+// Get a single goal
+app.get('/api/goals/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        const goal = await storage.findGoal(req.userId, req.params.id);
+        
+        if (!goal) {
+            return res.status(404).json({ error: 'Goal not found' });
+        }
+        
+        res.json({ success: true, data: formatGoal(goal) });
+        
+    } catch (error) {
+        req.log.error('Goal error', { error });
+        res.status(500).json({ error: 'Failed to fetch goal' });
+    }
+});
+
+// Create goal
+app.post('/api/goals', verifyToken, validate({
+    body: {
+        goalName: GOAL_FIELDS.goalName.required(),
+        targetAmount: GOAL_FIELDS.targetAmount.required(),
+        targetDate: GOAL_FIELDS.targetDate.default(null)
+    }
+}), async (req, res) => {
+    try {
+        const { goalName, targetAmount, targetDate } = req.body;
+        
+        const goalId = await storage.createGoal(req.userId, {
+            name: goalName,
+            targetAmount: toDecimal(toMinor(targetAmount)),
+            targetDate: targetDate || null
+        });
+        const goal = await storage.findGoal(req.userId, goalId);
+        
+        res.status(201).json({ success: true, message: 'Goal created successfully', data: formatGoal(goal) });
+        
+    } catch (error) {
+        req.log.error('Create goal error', { error });
+        res.status(500).json({ error: 'Failed to create goal' });
+    }
+});
+
+// Update goal
+app.put('/api/goals/:id', verifyToken, validate({
+    params: { id: id().required() },
+    body: GOAL_FIELDS
+}), async (req, res) => {
+    try {
+        const { goalName, targetAmount, targetDate, status } = req.body;
+        
+        const goal = await storage.findGoal(req.userId, req.params.id);
+        
+        if (!goal) {
+            return res.status(404).json({ error: 'Goal not found' });
+        }
+        
+        const newTarget = targetAmount !== undefined ? toDecimal(toMinor(targetAmount)) : goal.target_amount;
+        let newStatus = status !== undefined ? status : goal.status;
+        
+        // A goal whose target is already covered cannot stay active
+        if (newStatus === 'active' && toMinor(goal.current_amount) >= toMinor(newTarget)) {
+            newStatus = 'completed';
+        }
+        
+        await storage.updateGoal(goal.id, {
+            name: goalName || goal.goal_name,
+            targetAmount: newTarget,
+            targetDate: targetDate !== undefined ? targetDate || null : goal.target_date,
+            status: newStatus
+        });
+        const updated = await storage.findGoal(req.userId, goal.id);
+        
+        res.json({ success: true, message: 'Goal updated successfully', data: formatGoal(updated) });
+        
+    } catch (error) {
+        req.log.error('Update goal error', { error });
+        res.status(500).json({ error: 'Failed to update goal' });
+    }
+});
+
+// Delete goal (any saved amount goes back to savings)
+app.delete('/api/goals/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        const response = await ledger.deleteGoal(req.userId, req.params.id, { origin: auditOrigin(req) });
+        
+        if (response.status === 'SUCCESS') {
+            res.json({
+                success: true,
+                message: response.message,
+                refundedToSavings: toAmount(response.refundedAmount)
+            });
+        } else {
+            res.status(404).json({ error: response.message });
+        }
+        
+    } catch (error) {
+        req.log.error('Delete goal error', { error });
+        res.status(500).json({ error: 'Failed to delete goal' });
+    }
+});
+
+// Contribute to goal from current balance or total savings
+app.post('/api/goals/:id/contribute', verifyToken, validate({
+    params: { id: id().required() },
+    body: {
+        amount: amount().required(),
+        fundingSource: Joi.string().valid('balance', 'savings').default('balance')
+    }
+}), async (req, res) => {
+    try {
+        const { amount, fundingSource } = req.body;
+        
+        const response = await ledger.contributeToGoal(req.userId, req.params.id, {
+            amount,
+            fundingSource,
+            origin: auditOrigin(req)
+        });
+        
+        if (response.status !== 'SUCCESS') {
+            const statusCode = response.message === 'Goal not found' ? 404 : 400;
+            return res.status(statusCode).json({ error: response.message });
+        }
+        
+        const goal = await storage.findGoal(req.userId, req.params.id);
+        
+        res.json({
+            success: true,
+            message: response.message,
+            goalCompleted: response.goalCompleted,
+            data: formatGoal(goal)
+        });
+        
+    } catch (error) {
+        req.log.error('Goal contribution error', { error });
+        res.status(500).json({ error: 'Failed to contribute to goal' });
+    }
+});
+
+// GROUP ROUTES (shared expenses and settling up)
+// A member's share of a bill is booked as their own expense when the bill is added, so their balance and
+// category summaries show what they actually spent. Settlements only move money between members that is
+// already accounted for, so they change who owes whom but not anyone's balance.
+// People added by email are invited, not made members: nothing is split with them until they accept, and
+// the inviter is never told whether the email has an account.
+
+const MAX_GROUP_MEMBERS = 50;
+
+// The group's members ([{ user_id, name }]), or null when the user is not one of them. Invitees who have
+// not accepted are not members.
+async function loadGroupMembers(groupId, userId) {
+    const members = await storage.groupMembers(groupId);
+    return members.some(m => m.user_id === userId) ? members : null;
+}
+
+// Invite the accounts among `emails` that are not in the group yet and notify them. A group's amounts are
+// not converted, so everyone in it uses the same base currency: emails without an account, or whose
+// account uses another currency than the inviter's, are skipped silently.
+async function inviteToGroup(tx, group, inviter, emails) {
+    for (const user of await tx.uninvitedUsers(group.id, emails)) {
+        if (user.base_currency !== inviter.base_currency) {
+            continue;
+        }
+        await tx.inviteToGroup(group.id, user.id);
+        await tx.createNotification({
+            userId: user.id,
+            message: `${inviter.name} invited you to the group ${group.name}. Accept to start splitting expenses.`
+        });
+    }
+}
+
+// Whether the group's members all use the same base currency; one who changed theirs after joining
+// leaves the group unable to add expenses until they leave
+const sharesCurrency = (members) => new Set(members.map(m => m.base_currency)).size <= 1;
+
+// Net balance per member and the simplified payments that would settle the group
+async function loadGroupBalances(groupId, members) {
+    const { expenses, shares, settlements } = await storage.groupLedger(groupId);
+    
+    const balances = groupBalances(
+        members.map(m => m.user_id),
+        expenses.map(e => ({
+            paidBy: e.paid_by,
+            amount: toAmount(e.amount),
+            shares: shares.filter(s => s.expense_id === e.id).map(s => ({ userId: s.user_id, amount: toAmount(s.amount) }))
+        })),
+        settlements.map(s => ({ fromUser: s.from_user, toUser: s.to_user, amount: toAmount(s.amount) }))
+    );
+    
+    return { balances, payments: simplifyDebts(balances) };
+}
+
+// Book a member's share as their own expense: in the bill's category if they have it, otherwise their
+// 'friends' category, otherwise their first active category, in the storage transaction `tx`. Resolves to
+// { transactionId, error }.
+async function bookGroupShare(tx, userId, amount, expense, origin) {
+    const names = (await tx.listCategories(userId, { includeArchived: false })).map(c => c.category_name);
+    const category = [expense.category, 'friends', names[0]].find(name => names.includes(name));
+    if (!category) {
+        return { transactionId: null, error: 'No active category to record the share in' };
+    }
+    
+    const response = await createLedger({ storage: tx }).recordTransaction(userId, {
+        type: 'expense',
+        amount,
+        category,
+        description: `${expense.description} (${expense.groupName})`,
+        date: expense.date,
+        origin,
+        details: { groupExpenseId: expense.id }
+    });
+    if (response.status !== 'SUCCESS') {
+        return { transactionId: null, error: response.message };
+    }
+    return { transactionId: response.transactionId, error: null };
+}
+
+const formatMember = (member, balances) => ({
+    id: member.user_id,
+    name: member.name,
+    balance: balances ? balances.get(member.user_id) || 0 : undefined
+});
+
+// Get the user's groups with their own balance in each
+app.get('/api/groups', verifyToken, async (req, res) => {
+    try {
+        const data = [];
+        for (const group of await storage.listGroups(req.userId)) {
+            const members = await loadGroupMembers(group.id, req.userId);
+            const { balances } = await loadGroupBalances(group.id, members);
+            data.push({
+                id: group.id,
+                name: group.name,
+                createdBy: group.created_by,
+                memberCount: members.length,
+                myBalance: balances.get(req.userId) || 0,
+                createdAt: group.created_at
+            });
+        }
+        
+        res.json({ success: true, data });
+    
+    } catch (error) {
+        req.log.error('Groups error', { error });
+        res.status(500).json({ error: 'Failed to fetch groups' });
+    }
+});
+
+// Create a group; the people added by the email they registered with are invited to join
+app.post('/api/groups', verifyToken, validate({
+    body: {
+        name: Joi.string().trim().max(100).required(),
+        memberEmails: Joi.array().items(emailAddress()).max(MAX_GROUP_MEMBERS - 1).default([])
+    }
+}), async (req, res) => {
+    try {
+        const { name, memberEmails } = req.body;
+        
+        const emails = [...new Set(memberEmails.map(email => String(email).trim().toLowerCase()))];
+        const creator = await storage.findUser(req.userId);
+        
+        const groupId = await storage.transaction(async (tx) => {
+            const id = await tx.createGroup(req.userId, name.trim());
+            await inviteToGroup(tx, { id, name: name.trim() }, creator, emails);
+            return id;
+        });
+        
+        const members = await loadGroupMembers(groupId, req.userId);
+        
+        res.status(201).json({
+            success: true,
+            message: emails.length > 0 ? 'Group created. The people you added have been invited' : 'Group created successfully',
+            data: { id: groupId, name: name.trim(), createdBy: req.userId, members: members.map(m => formatMember(m)) }
+        });
+    
+    } catch (error) {
+        req.log.error('Create group error', { error });
+        res.status(500).json({ error: 'Failed to create group' });
+    }
+});
+
+// Get the groups the user has been invited to and not answered yet
+app.get('/api/groups/invitations', verifyToken, async (req, res) => {
+    try {
+        const invitations = await storage.groupInvitations(req.userId);
+        
+        res.json({
+            success: true,
+            data: invitations.map(i => ({ groupId: i.id, name: i.name, memberCount: i.member_count, invitedAt: i.invited_at }))
+        });
+    
+    } catch (error) {
+        req.log.error('Group invitations error', { error });
+        res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+});
+
+// Get a group with members, balances and the simplified "who pays whom" list
+app.get('/api/groups/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        const members = await loadGroupMembers(req.params.id, req.userId);
+        if (!members) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        
+        const group = await storage.findGroup(req.params.id);
+        const { balances, payments } = await loadGroupBalances(req.params.id, members);
+        
+        res.json({
+            success: true,
+            data: {
+                id: group.id,
+                name: group.name,
+                createdBy: group.created_by,
+                createdAt: group.created_at,
+                members: members.map(m => formatMember(m, balances)),
+                payments
+            }
+        });
+    
+    } catch (error) {
+        req.log.error('Group error', { error });
+        res.status(500).json({ error: 'Failed to fetch group' });
+    }
+});
+
+// Invite someone by email. The answer is the same whether or not the email has an account, or is already
+// in the group, so it cannot be used to look up who uses FINHIGH.
+app.post('/api/groups/:id/members', verifyToken, validate({
+    params: { id: id().required() },
+    body: { email: emailAddress().required() }
+}), async (req, res) => {
+    try {
+        const { email } = req.body;
+        
+        const members = await loadGroupMembers(req.params.id, req.userId);
+        if (!members) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        if (members.length >= MAX_GROUP_MEMBERS) {
+            return res.status(400).json({ error: `A group can have at most ${MAX_GROUP_MEMBERS} members` });
+        }
+        
+        const group = await storage.findGroup(req.params.id);
+        const inviter = members.find(m => m.user_id === req.userId);
+        await storage.transaction(tx => inviteToGroup(tx, group, inviter, [String(email).trim().toLowerCase()]));
+        
+        res.status(202).json({ success: true, message: 'If this email belongs to a FINHIGH account, they have been invited' });
+    
+    } catch (error) {
+        req.log.error('Add group member error', { error });
+        res.status(500).json({ error: 'Failed to invite member' });
+    }
+});
+
+// Accept an invitation to a group. Only someone using the members' base currency can join.
+app.post('/api/groups/:id/invitation', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        if (!(await storage.groupInvitations(req.userId)).some(i => i.id === req.params.id)) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+        if (await storage.countGroupMembers(req.params.id) >= MAX_GROUP_MEMBERS) {
+            return res.status(400).json({ error: `A group can have at most ${MAX_GROUP_MEMBERS} members` });
+        }
+        
+        const user = await storage.findUser(req.userId);
+        const members = await storage.groupMembers(req.params.id);
+        if (!sharesCurrency([user, ...members])) {
+            return res.status(409).json({
+                error: `Members of this group use ${members[0].base_currency}; you can only join groups in your base currency (${user.base_currency})`
+            });
+        }
+        
+        if (!(await storage.acceptGroupInvitation(req.params.id, req.userId))) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+        
+        res.json({ success: true, message: 'You joined the group' });
+    
+    } catch (error) {
+        req.log.error('Accept group invitation error', { error });
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+});
+
+// Decline an invitation to a group
+app.delete('/api/groups/:id/invitation', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        if (!(await storage.declineGroupInvitation(req.params.id, req.userId))) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+        
+        res.json({ success: true, message: 'Invitation declined' });
+    
+    } catch (error) {
+        req.log.error('Decline group invitation error', { error });
+        res.status(500).json({ error: 'Failed to decline invitation' });
+    }
+});
+
+// Remove a member (or leave the group). Anyone can leave; only the group's creator can remove others.
+// Only members who are settled up can go; the group is deleted once nobody is left.
+app.delete('/api/groups/:id/members/:userId', verifyToken, validate({
+    params: { id: id().required(), userId: id().required() }
+}), async (req, res) => {
+    try {
+        const memberId = req.params.userId;
+        
+        const members = await loadGroupMembers(req.params.id, req.userId);
+        if (!members || !members.some(m => m.user_id === memberId)) {
+            return res.status(404).json({ error: 'Group member not found' });
+        }
+        if (memberId !== req.userId && (await storage.findGroup(req.params.id)).created_by !== req.userId) {
+            return res.status(403).json({ error: 'Only the group creator can remove other members' });
+        }
+        
+        const { balances } = await loadGroupBalances(req.params.id, members);
+        if (toMinor(balances.get(memberId) || 0) !== 0) {
+            return res.status(400).json({ error: 'Settle up before leaving the group' });
+        }
+        
+        await storage.transaction(async (tx) => {
+            await tx.removeGroupMember(req.params.id, memberId);
+            if (members.length === 1) {
+                await tx.deleteGroup(req.params.id);
+            }
+        });
+        
+        res.json({ success: true, message: memberId === req.userId ? 'You left the group' : 'Member removed' });
+    
+    } catch (error) {
+        req.log.error('Remove group member error', { error });
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+// Get a group's expenses with every member's share, newest first
+app.get('/api/groups/:id/expenses', verifyToken, validate({
+    params: { id: id().required() },
+    query: { limit: limit(MAX_PAGE_SIZE).default(50), cursor: Joi.string().max(500) }
+}), async (req, res) => {
+    try {
+        const { limit } = req.query;
+        
+        const members = await loadGroupMembers(req.params.id, req.userId);
+        if (!members) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        
+        let after = null;
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            after = { value: new Date(cursor.v), id: cursor.id };
+        }
+        
+        const expenses = await storage.groupExpenses(req.params.id, { limit: limit + 1, after });
+        
+        const hasMore = expenses.length > limit;
+        const page = hasMore ? expenses.slice(0, limit) : expenses;
+        const last = page[page.length - 1];
+        
+        const shares = await storage.groupExpenseShares(page.map(e => e.id));
+        
+        res.json({
+            success: true,
+            data: page.map(e => ({
+                id: e.id,
+                paidBy: e.paid_by,
+                createdBy: e.created_by,
+                amount: toAmount(e.amount),
+                description: e.description,
+                category: e.category,
+                splitMethod: e.split_method,
+                date: e.expense_date,
+                shares: shares.filter(s => s.expense_id === e.id).map(s => ({
+                    userId: s.user_id,
+                    amount: toAmount(s.amount),
+                    shares: s.shares !== null ? toAmount(s.shares) : null,
+                    // Booking details are private to the member the share belongs to
+                    transactionId: s.user_id === req.userId ? s.transaction_id : undefined,
+                    bookingError: s.user_id === req.userId ? s.booking_error : undefined
+                }))
+            })),
+            nextCursor: hasMore ? encodeCursor(last.expense_date.toISOString(), last.id) : null
+        });
+    
+    } catch (error) {
+        req.log.error('Group expenses error', { error });
+        res.status(500).json({ error: 'Failed to fetch group expenses' });
+    }
+});
+
+// Add a shared expense. splitMethod: equal (default), shares or exact. splits: [{ userId, shares | amount }],
+// defaulting to everyone in the group. paidBy defaults to the caller; only the group's creator can record
+// an expense someone else paid. Each share is booked as that member's own expense, in the same storage
+// transaction as the expense; a share that cannot be booked (e.g. insufficient balance) still counts
+// towards what they owe and is reported back.
+app.post('/api/groups/:id/expenses', verifyToken, validate({
+    params: { id: id().required() },
+    body: {
+        amount: amount().required(),
+        description: Joi.string().trim().max(255).required(),
+        category: category().default('friends'),
+        splitMethod: Joi.string().valid(...SPLIT_METHODS).default('equal'),
+        splits: Joi.array().items(Joi.object({
+            userId: id().required(),
+            shares: Joi.number().positive(),
+            amount: Joi.number().min(0).max(MAX_AMOUNT)
+        })).min(1),
+        paidBy: id(),
+        date: day().allow(null).default(null)
+    }
+}), async (req, res) => {
+    try {
+        const { amount, description, category, splitMethod, splits, date } = req.body;
+        const paidBy = req.body.paidBy ?? req.userId;
+        
+        let expenseDate = null;
+        if (date) {
+            expenseDate = new Date(`${date}T00:00:00`);
+            if (expenseDate > new Date()) {
+                return res.status(400).json({ error: 'Date cannot be in the future' });
+            }
+        }
+        
+        const members = await loadGroupMembers(req.params.id, req.userId);
+        if (!members) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        
+        if (!sharesCurrency(members)) {
+            return res.status(409).json({ error: 'Members of this group use different base currencies' });
+        }
+        
+        const group = await storage.findGroup(req.params.id);
+        const memberIds = members.map(m => m.user_id);
+        if (!memberIds.includes(paidBy)) {
+            return res.status(400).json({ error: 'paidBy must be a member of the group' });
+        }
+        if (paidBy !== req.userId && group.created_by !== req.userId) {
+            return res.status(403).json({ error: 'Only the group creator can add an expense paid by someone else' });
+        }
+        
+        const participants = Array.isArray(splits)
+            ? splits.map(s => ({ userId: s.userId, shares: s.shares, amount: s.amount }))
+            : memberIds.map(userId => ({ userId }));
+        if (participants.some(p => !memberIds.includes(p.userId))) {
+            return res.status(400).json({ error: 'Every split must be for a member of the group' });
+        }
+        
+        let split;
+        try {
+            split = splitExpense(amount, splitMethod, participants);
+        } catch (error) {
+            if (error instanceof SplitError) {
+                return res.status(400).json({ error: error.message });
+            }
+            throw error;
+        }
+        
+        const { expenseId, shares } = await storage.transaction(async (tx) => {
+            const newExpenseId = await tx.createGroupExpense({
+                groupId: req.params.id,
+                paidBy,
+                createdBy: req.userId,
+                amount,
+                description,
+                category,
+                splitMethod,
+                date: expenseDate
+            });
+            
+            const expense = { id: newExpenseId, description, category, groupName: group.name, date: expenseDate };
+            // Members are booked in id order, so concurrent expenses lock their balances in the same order
+            const booked = [];
+            for (const share of [...split].sort((x, y) => x.userId - y.userId)) {
+                const booking = share.amount > 0
+                    ? await bookGroupShare(tx, share.userId, share.amount, expense, auditOrigin(req))
+                    : { transactionId: null, error: null };
+                
+                await tx.addGroupExpenseShare({
+                    expenseId: newExpenseId,
+                    userId: share.userId,
+                    amount: share.amount,
+                    shares: share.shares,
+                    transactionId: booking.transactionId,
+                    bookingError: booking.error
+                });
+                
+                if (share.userId !== req.userId) {
+                    await tx.createNotification({
+                        userId: share.userId,
+                        message: `${description} (${toDecimal(toMinor(amount))}) was added to ${group.name}. Your share is ${toDecimal(toMinor(share.amount))}`
+                            + (booking.error ? `, but it could not be added to your transactions: ${booking.error}` : '')
+                    });
+                }
+                booked.push({ userId: share.userId, amount: share.amount, shares: share.shares, bookingError: booking.error });
+            }
+            return { expenseId: newExpenseId, shares: booked };
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Shared expense added',
+            data: { id: expenseId, paidBy, amount: toAmount(amount), description, category, splitMethod, shares }
+        });
+    
+    } catch (error) {
+        req.log.error('Add group expense error', { error });
+        res.status(500).json({ error: 'Failed to add shared expense' });
+    }
+});
+
+// Delete a shared expense (by whoever added or paid it); each member's booked share is reversed
+app.delete('/api/groups/:id/expenses/:expenseId', verifyToken, validate({
+    params: { id: id().required(), expenseId: id().required() }
+}), async (req, res) => {
+    try {
+        const members = await loadGroupMembers(req.params.id, req.userId);
+        if (!members) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        
+        const expense = await storage.findGroupExpense(req.params.id, req.params.expenseId);
+        if (!expense) {
+            return res.status(404).json({ error: 'Shared expense not found' });
+        }
+        if (![expense.paid_by, expense.created_by].includes(req.userId)) {
+            return res.status(403).json({ error: 'Only the member who added or paid this expense can delete it' });
+        }
+        
+        // Shares from a closed budget period stay in that member's history
+        const kept = [];
+        for (const share of await storage.bookedGroupShares(expense.id)) {
+            const response = await ledger.deleteTransaction(share.user_id, share.transaction_id, {
+                origin: auditOrigin(req),
+                details: { groupExpenseId: expense.id }
+            });
+            if (response.status !== 'SUCCESS') {
+                kept.push({ userId: share.user_id, reason: response.message });
+            }
+        }
+        
+        await storage.deleteGroupExpense(expense.id);
+        
+        res.json({ success: true, message: 'Shared expense deleted', keptShares: kept });
+    
+    } catch (error) {
+        req.log.error('Delete group expense error', { error });
+        res.status(500).json({ error: 'Failed to delete shared expense' });
+    }
+});
+
+// Get a group's settlements, newest first
+app.get('/api/groups/:id/settlements', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        const members = await loadGroupMembers(req.params.id, req.userId);
+        if (!members) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        
+        const settlements = await storage.groupSettlements(req.params.id, 100);
+        
+        res.json({
+            success: true,
+            data: settlements.map(s => ({
+                id: s.id,
+                fromUserId: s.from_user,
+                toUserId: s.to_user,
+                amount: toAmount(s.amount),
+                note: s.note,
+                createdBy: s.created_by,
+                createdAt: s.created_at
+            }))
+        });
+    
+    } catch (error) {
+        req.log.error('Group settlements error', { error });
+        res.status(500).json({ error: 'Failed to fetch settlements' });
+    }
+});
+
+// Record a settle-up payment between two members. Either side can record it; fromUserId defaults to the caller.
+app.post('/api/groups/:id/settlements', verifyToken, validate({
+    params: { id: id().required() },
+    body: {
+        amount: amount().required(),
+        toUserId: id().required(),
+        fromUserId: id(),
+        note: Joi.string().trim().max(255).allow(null, '').default(null)
+    }
+}), async (req, res) => {
+    try {
+        const { amount, note } = req.body;
+        const fromUser = req.body.fromUserId ?? req.userId;
+        const toUser = req.body.toUserId;
+        
+        if (fromUser === toUser) {
+            return res.status(400).json({ error: 'A member cannot settle up with themselves' });
+        }
+        if (![fromUser, toUser].includes(req.userId)) {
+            return res.status(403).json({ error: 'You can only record settlements you paid or received' });
+        }
+        
+        const members = await loadGroupMembers(req.params.id, req.userId);
+        if (!members) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+        if (!members.some(m => m.user_id === fromUser) || !members.some(m => m.user_id === toUser)) {
+            return res.status(400).json({ error: 'Both sides of a settlement must be members of the group' });
+        }
+        if (!sharesCurrency(members.filter(m => [fromUser, toUser].includes(m.user_id)))) {
+            return res.status(409).json({ error: 'Both sides of a settlement must use the same base currency' });
+        }
+        
+        const otherUser = fromUser === req.userId ? toUser : fromUser;
+        const me = members.find(m => m.user_id === req.userId);
+        const settlementId = await storage.transaction(async (tx) => {
+            const id = await tx.createGroupSettlement({
+                groupId: req.params.id,
+                fromUser,
+                toUser,
+                amount: toDecimal(toMinor(amount)),
+                note,
+                createdBy: req.userId
+            });
+            await tx.createNotification({
+                userId: otherUser,
+                message: `${me.name} recorded a settlement of ${toDecimal(toMinor(amount))} ${fromUser === req.userId ? 'paid to' : 'received from'} you`
+            });
+            return id;
+        });
+        
+        const { balances, payments } = await loadGroupBalances(req.params.id, members);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Settlement recorded',
+            data: {
+                id: settlementId,
+                fromUserId: fromUser,
+                toUserId: toUser,
+                amount: toAmount(amount),
+                note,
+                members: members.map(m => formatMember(m, balances)),
+                payments
+            }
+        });
+    
+    } catch (error) {
+        req.log.error('Settlement error', { error });
+        res.status(500).json({ error: 'Failed to record settlement' });
+    }
+});
+
+// REMINDER ROUTES
+
+// Format a reminders row for API responses
+function formatReminder(reminder) {
+    return {
+        id: reminder.id,
+        type: reminder.reminder_type,
+        message: reminder.message,
+        frequency: reminder.frequency,
+        startAt: reminder.start_at,
+        conditionType: reminder.condition_type,
+        conditionCategory: reminder.condition_category,
+        threshold: reminder.condition_threshold !== null ? toAmount(reminder.condition_threshold) : null,
+        nextRunAt: reminder.next_run_at,
+        lastTriggeredAt: reminder.last_triggered_at,
+        isActive: Boolean(reminder.is_active),
+        createdAt: reminder.created_at
+    };
+}
+
+// First run of a recurring reminder anchored at `startAt`: the anchor if still ahead, otherwise the next
+// occurrence after now. Later runs are counted from the anchor too (see computeNextRun).
+function firstRunAt(frequency, startAt) {
+    const now = new Date();
+    return startAt > now ? startAt : computeNextRun(frequency, startAt, now);
+}
+
+// Returns an error message for invalid condition settings, or null
+async function validateReminderCondition(userId, conditionType, conditionCategory, threshold) {
+    if (!CONDITION_TYPES.includes(conditionType)) {
+        return `Condition type must be one of: ${CONDITION_TYPES.join(', ')}`;
+    }
+    if (!threshold || threshold <= 0) {
+        return 'A positive threshold is required';
+    }
+    if (conditionType === 'category_over' && !(await storage.findCategory(userId, conditionCategory || ''))) {
+        return 'A valid category is required for category_over reminders';
+    }
+    return null;
+}
+
+// Get all reminders
+app.get('/api/reminders', verifyToken, async (req, res) => {
+    try {
+        const reminders = await storage.listReminders(req.userId);
+        
+        res.json({ success: true, data: reminders.map(formatReminder) });
+        
+    } catch (error) {
+        req.log.error('Reminders error', { error });
+        res.status(500).json({ error: 'Failed to fetch reminders' });
+    }
+});
+
+const REMINDER_FIELDS = {
+    message: Joi.string().trim().max(1000),
+    isActive: Joi.boolean(),
+    frequency: Joi.string().valid(...REMINDER_FREQUENCIES),
+    startAt: Joi.date().allow(null),
+    conditionCategory: category().allow(null),
+    threshold: amount()
+};
+
+// Create reminder (recurring when frequency is given, condition-based when conditionType is given)
+app.post('/api/reminders', verifyToken, validate({
+    body: {
+        ...REMINDER_FIELDS,
+        message: REMINDER_FIELDS.message.required(),
+        frequency: REMINDER_FIELDS.frequency.when('conditionType', { not: Joi.exist(), then: Joi.required() }),
+        conditionType: Joi.string().valid(...CONDITION_TYPES),
+        conditionCategory: REMINDER_FIELDS.conditionCategory.default(null)
+    }
+}), async (req, res) => {
+    try {
+        const { message, frequency, startAt, conditionType, conditionCategory, threshold } = req.body;
+        
+        let reminderId;
+        
+        if (conditionType) {
+            const conditionError = await validateReminderCondition(req.userId, conditionType, conditionCategory, threshold);
+            if (conditionError) {
+                return res.status(400).json({ error: conditionError });
+            }
+            
+            reminderId = await storage.createReminder(req.userId, {
+                type: 'condition',
+                message,
+                conditionType,
+                conditionCategory: conditionType === 'category_over' ? conditionCategory : null,
+                threshold: toDecimal(toMinor(threshold))
+            });
+        } else {
+            const anchor = startAt ? new Date(startAt) : new Date();
+            reminderId = await storage.createReminder(req.userId, {
+                type: 'recurring',
+                message,
+                frequency,
+                startAt: anchor,
+                nextRunAt: firstRunAt(frequency, anchor)
+            });
+        }
+        
+        const reminder = await storage.findReminder(req.userId, reminderId);
+        
+        res.status(201).json({ success: true, message: 'Reminder created successfully', data: formatReminder(reminder) });
+        
+    } catch (error) {
+        req.log.error('Create reminder error', { error });
+        res.status(500).json({ error: 'Failed to create reminder' });
+    }
+});
+
+// Update reminder
+app.put('/api/reminders/:id', verifyToken, validate({
+    params: { id: id().required() },
+    body: REMINDER_FIELDS
+}), async (req, res) => {
+    try {
+        const { message, isActive, frequency, startAt, conditionCategory, threshold } = req.body;
+        
+        const reminder = await storage.findReminder(req.userId, req.params.id);
+        if (!reminder) {
+            return res.status(404).json({ error: 'Reminder not found' });
+        }
+        
+        const newMessage = message || reminder.message;
+        const newActive = isActive !== undefined ? Boolean(isActive) : Boolean(reminder.is_active);
+        
+        if (reminder.reminder_type === 'recurring') {
+            const newFrequency = frequency || reminder.frequency;
+            
+            if (!REMINDER_FREQUENCIES.includes(newFrequency)) {
+                return res.status(400).json({ error: `Frequency must be one of: ${REMINDER_FREQUENCIES.join(', ')}` });
+            }
+            
+            const anchor = startAt ? new Date(startAt) : new Date(reminder.start_at);
+            const nextRunAt = frequency || startAt ? firstRunAt(newFrequency, anchor) : reminder.next_run_at;
+            
+            await storage.updateReminder(reminder.id, {
+                message: newMessage,
+                isActive: newActive,
+                frequency: newFrequency,
+                startAt: anchor,
+                nextRunAt
+            });
+        } else {
+            const newCategory = conditionCategory !== undefined ? conditionCategory : reminder.condition_category;
+            const newThreshold = threshold !== undefined
+                ? threshold
+                : reminder.condition_threshold !== null ? toAmount(reminder.condition_threshold) : null;
+            
+            const conditionError = await validateReminderCondition(req.userId, reminder.condition_type, newCategory, newThreshold);
+            if (conditionError) {
+                return res.status(400).json({ error: conditionError });
+            }
+            
+            // Changed conditions are re-evaluated from scratch on the next tick
+            await storage.updateReminder(reminder.id, {
+                message: newMessage,
+                isActive: newActive,
+                conditionCategory: newCategory,
+                threshold: toDecimal(toMinor(newThreshold)),
+                conditionMet: false
+            });
+        }
+        
+        const updated = await storage.findReminder(req.userId, reminder.id);
+        
+        res.json({ success: true, message: 'Reminder updated successfully', data: formatReminder(updated) });
+        
+    } catch (error) {
+        req.log.error('Update reminder error', { error });
+        res.status(500).json({ error: 'Failed to update reminder' });
+    }
+});
+
+// Delete reminder
+app.delete('/api/reminders/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        if (!(await storage.deleteReminder(req.userId, req.params.id))) {
+            return res.status(404).json({ error: 'Reminder not found' });
+        }
+        
+        res.json({ success: true, message: 'Reminder deleted successfully' });
+        
+    } catch (error) {
+        req.log.error('Delete reminder error', { error });
+        res.status(500).json({ error: 'Failed to delete reminder' });
+    }
+});
+
+// NOTIFICATION ROUTES
+
+// Poll notifications (pass ?unread=true for unread only, ?afterId= to fetch only newer ones)
+app.get('/api/notifications', verifyToken, validate({
+    query: {
+        unread: flag().default(false),
+        afterId: Joi.number().integer().min(0).default(0)
+    }
+}), async (req, res) => {
+    try {
+        const { unread, afterId } = req.query;
+        
+        const notifications = await storage.listNotifications(req.userId, { unreadOnly: unread, afterId, limit: 50 });
+        
+        res.json({
+            success: true,
+            unreadCount: await storage.unreadNotifications(req.userId),
+            data: notifications.map(n => ({
+                id: n.id,
+                reminderId: n.reminder_id,
+                message: n.message,
+                isRead: Boolean(n.is_read),
+                createdAt: n.created_at
+            }))
+        });
+        
+    } catch (error) {
+        req.log.error('Notifications error', { error });
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+// Mark all notifications as read
+app.put('/api/notifications/read-all', verifyToken, async (req, res) => {
+    try {
+        await storage.markNotificationsRead(req.userId);
+        
+        res.json({ success: true, message: 'All notifications marked as read' });
+        
+    } catch (error) {
+        req.log.error('Notifications update error', { error });
+        res.status(500).json({ error: 'Failed to update notifications' });
+    }
+});
+
+// Mark a notification as read
+app.put('/api/notifications/:id/read', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        if (!(await storage.markNotificationRead(req.userId, req.params.id))) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        
+        res.json({ success: true, message: 'Notification marked as read' });
+        
+    } catch (error) {
+        req.log.error('Notification update error', { error });
+        res.status(500).json({ error: 'Failed to update notification' });
+    }
+});
+
+// AI CHAT ROUTES
+
+const MAX_CHAT_MESSAGE_LENGTH = 1000;
+const CHAT_TITLE_LENGTH = 60;
+const CHAT_DRAFT_TTL_MS = 15 * 60 * 1000; // unanswered entry questions are dropped after 15 minutes
+
+// Pending chat entry waiting on an answer, or null once it has expired
+async function loadChatDraft(userId) {
+    const draft = await storage.findChatDraft(userId, new Date(Date.now() - CHAT_DRAFT_TTL_MS));
+    return draft ? JSON.parse(draft.draft_json) : null;
+}
+
+// Transaction entry by chat ("spent 120 on samosas yesterday"). Resolves to { reply, entry } when the message
+// started or answered an entry, or null to let the assistant reply. Ambiguous entries are held as a draft
+// and the user is asked about them; complete ones go through the ledger like the transaction routes.
+async function handleChatEntry(userId, message, categories, origin) {
+    const { base_currency: currency } = await storage.findUser(userId);
+    let draft = await loadChatDraft(userId);
+    let answered = false;
+    
+    if (draft) {
+        const outcome = resolveDraft(draft, message, { categories });
+        if (outcome.action === 'cancel' || outcome.action === 'unrelated') {
+            await storage.deleteChatDraft(userId);
+        }
+        if (outcome.action === 'cancel') {
+            return { reply: 'Okay, I did not record it.', entry: { status: 'cancelled', draft } };
+        }
+        draft = outcome.action === 'unrelated' ? null : outcome.draft;
+        answered = draft !== null;
+    }
+    
+    if (!draft) {
+        const { rules, history } = await loadCategorySuggestions(userId);
+        draft = parseEntry(message, { categories, rules, history });
+        if (!draft) {
+            return null;
+        }
+    }
+    
+    if (draft.missing.length > 0 || (draft.needsConfirmation && !answered)) {
+        await storage.saveChatDraft(userId, JSON.stringify(draft));
+        return { reply: entryQuestion(draft, categories, currency), entry: { status: 'pending', draft } };
+    }
+    
+    await storage.deleteChatDraft(userId);
+    
+    const response = await ledger.recordTransaction(userId, {
+        type: draft.type,
+        amount: draft.amount,
+        category: draft.category,
+        source: draft.source,
+        description: draft.description,
+        // Entries for today keep the current time; earlier days are recorded at midnight like imports
+        date: draft.date === toDateString(new Date()) ? null : new Date(`${draft.date}T00:00:00`),
+        origin,
+        details: { via: 'chat' }
+    });
+    
+    if (response.status !== 'SUCCESS') {
+        return {
+            reply: `I could not record ${describeEntry(draft, categories, currency)}: ${response.message}`,
+            entry: { status: 'failed', draft, error: response.message }
+        };
+    }
+    
+    const balance = formatMoney((await storage.readBalances(userId)).balance, currency);
+    return {
+        reply: `Recorded ${describeEntry(draft, categories, currency)}. Your balance is now ${balance}.${response.budget_warning ? ` ${response.budget_warning}` : ''}`,
+        entry: { status: 'recorded', draft }
+    };
+}
+
+// Query fields of the newest-first chat pages
+const chatPage = (defaultLimit) => ({
+    limit: limit(MAX_PAGE_SIZE).default(defaultLimit),
+    cursor: Joi.string().max(500)
+});
+
+// Format a chat_conversations row for API responses
+const formatConversation = (conversation) => ({
+    id: conversation.id,
+    title: conversation.title || 'New conversation',
+    createdAt: conversation.created_at,
+    updatedAt: conversation.updated_at
+});
+
+// The conversation a message goes to: the given one (null if it is not the user's), otherwise the most
+// recently active one, otherwise a new one
+async function resolveConversation(userId, conversationId) {
+    if (conversationId !== undefined && conversationId !== null) {
+        const conversation = await storage.findConversation(userId, conversationId);
+        return conversation ? conversation.id : null;
+    }
+    
+    const latest = await storage.latestConversation(userId);
+    return latest ? latest.id : storage.createConversation(userId);
+}
+
+// Ask the assistant. Replies are generated server-side from the user's own data, and both turns are saved.
+// Messages that describe a transaction are recorded (after a confirmation question if anything is unclear).
+// Without a conversationId the message continues the most recent conversation.
+app.post('/api/chat', verifyToken, validate({
+    body: {
+        message: Joi.string().trim().max(MAX_CHAT_MESSAGE_LENGTH).required(),
+        conversationId: id().allow(null)
+    }
+}), async (req, res) => {
+    try {
+        const { message, conversationId } = req.body;
+        
+        const conversation = await resolveConversation(req.userId, conversationId);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        
+        const { context, history } = await loadAssistantContext(storage, req.userId, { conversationId: conversation });
+        
+        const userTurn = await storage.addChatMessage({ userId: req.userId, conversationId: conversation, type: 'user', content: message });
+        
+        // Untitled conversations are named after their first message
+        await storage.touchConversation(conversation, message.slice(0, CHAT_TITLE_LENGTH));
+        
+        const handled = await handleChatEntry(req.userId, message, context.categories, auditOrigin(req));
+        
+        let reply = handled ? handled.reply : null;
+        if (!handled) {
+            try {
+                reply = await assistant.generateReply({ message, context, history });
+            } catch (error) {
+                req.log.error('Assistant provider error', { provider: assistant.name, error });
+                return res.status(502).json({ error: 'The assistant is unavailable right now, please try again later' });
+            }
+        }
+        
+        const aiTurn = await storage.addChatMessage({ userId: req.userId, conversationId: conversation, type: 'ai', content: reply });
+        
+        const turns = await storage.findChatMessages([userTurn, aiTurn]);
+        
+        res.json({
+            success: true,
+            conversationId: conversation,
+            data: turns.map(m => ({
+                id: m.id,
+                type: m.message_type,
+                content: m.message_content,
+                timestamp: m.created_at
+            })),
+            entry: handled ? handled.entry : null
+        });
+        
+    } catch (error) {
+        req.log.error('Chat error', { error });
+        res.status(500).json({ error: 'Failed to answer chat message' });
+    }
+});
+
+// List conversations, most recently active first. Paging: limit plus the nextCursor of the previous page.
+app.get('/api/chat/conversations', verifyToken, validate({ query: chatPage(20) }), async (req, res) => {
+    try {
+        const { limit } = req.query;
+        
+        let after = null;
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            after = { value: new Date(cursor.v), id: cursor.id };
+        }
+        
+        const conversations = await storage.listConversations(req.userId, { limit: limit + 1, after });
+        
+        const hasMore = conversations.length > limit;
+        const page = hasMore ? conversations.slice(0, limit) : conversations;
+        const last = page[page.length - 1];
+        
+        res.json({
+            success: true,
+            data: page.map(formatConversation),
+            nextCursor: hasMore ? encodeCursor(last.updated_at.toISOString(), last.id) : null
+        });
+        
+    } catch (error) {
+        req.log.error('Chat conversations error', { error });
+        res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+});
+
+// Start a new conversation (untitled ones are named after their first message)
+app.post('/api/chat/conversations', verifyToken, validate({
+    body: { title: Joi.string().trim().allow('').max(150).default('') }
+}), async (req, res) => {
+    try {
+        const { title } = req.body;
+        
+        const conversationId = await storage.createConversation(req.userId, title || null);
+        const conversation = await storage.findConversation(req.userId, conversationId);
+        
+        res.status(201).json({ success: true, message: 'Conversation started', data: formatConversation(conversation) });
+        
+    } catch (error) {
+        req.log.error('Create conversation error', { error });
+        res.status(500).json({ error: 'Failed to start conversation' });
+    }
+});
+
+// Delete a conversation and its messages
+app.delete('/api/chat/conversations/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        if (!(await storage.deleteConversation(req.userId, req.params.id))) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        
+        res.json({ success: true, message: 'Conversation deleted' });
+        
+    } catch (error) {
+        req.log.error('Delete conversation error', { error });
+        res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+});
+
+// Get chat history, newest first, for ?conversationId (default: the most recently active conversation).
+// Paging: limit plus the nextCursor of the previous page, which continues with older messages.
+app.get('/api/chat/history', verifyToken, validate({
+    query: { ...chatPage(50), conversationId: id() }
+}), async (req, res) => {
+    try {
+        const { limit } = req.query;
+        
+        const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+        if (req.query.cursor && !cursor) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        
+        const conversation = req.query.conversationId !== undefined
+            ? await storage.findConversation(req.userId, req.query.conversationId)
+            : await storage.latestConversation(req.userId);
+        
+        if (!conversation) {
+            if (req.query.conversationId !== undefined) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+            return res.json({ success: true, conversation: null, data: [], nextCursor: null });
+        }
+        
+        const messages = await storage.chatMessages(conversation.id, {
+            limit: limit + 1,
+            after: cursor ? { value: new Date(cursor.v), id: cursor.id } : null
+        });
+        
+        const hasMore = messages.length > limit;
+        const page = hasMore ? messages.slice(0, limit) : messages;
+        const last = page[page.length - 1];
+        
+        res.json({
+            success: true,
+            conversation: formatConversation(conversation),
+            data: page.map(m => ({
+                id: m.id,
+                type: m.message_type,
+                content: m.message_content,
+                timestamp: m.created_at
+            })),
+            nextCursor: hasMore ? encodeCursor(last.created_at.toISOString(), last.id) : null
+        });
+        
+    } catch (error) {
+        req.log.error('Chat history error', { error });
+        res.status(500).json({ error: 'Failed to fetch chat history' });
+    }
+});
+
+// Forget all chat data: every conversation, message and pending chat entry
+app.delete('/api/chat/history', verifyToken, async (req, res) => {
+    try {
+        const deletedConversations = await storage.transaction(tx => tx.deleteChatHistory(req.userId));
+        
+        res.json({ success: true, message: 'Chat history deleted', deletedConversations });
+        
+    } catch (error) {
+        req.log.error('Delete chat history error', { error });
+        res.status(500).json({ error: 'Failed to delete chat history' });
+    }
+});
+
+// ANALYTICS ROUTES
+
+// Get spending analysis
+app.get('/api/analytics/spending', verifyToken, async (req, res) => {
+    try {
+        const data = await reports.spending(req.userId);
+        
+        if (!data) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({ success: true, data });
+        
+    } catch (error) {
+        req.log.error('Analytics error', { error });
+        res.status(500).json({ error: 'Failed to fetch analytics' });
+    }
+});
+
+// Get budget periods (current and archived)
+app.get('/api/analytics/periods', verifyToken, async (req, res) => {
+    try {
+        res.json({ success: true, data: await reports.budgetPeriods(req.userId) });
+        
+    } catch (error) {
+        req.log.error('Budget periods error', { error });
+        res.status(500).json({ error: 'Failed to fetch budget periods' });
+    }
+});
+
+// Get one budget period with its category breakdown
+app.get('/api/analytics/periods/:id', verifyToken, validate({ params: { id: id().required() } }), async (req, res) => {
+    try {
+        const data = await reports.budgetPeriod(req.userId, req.params.id);
+        
+        if (!data) {
+            return res.status(404).json({ error: 'Budget period not found' });
+        }
+        
+        res.json({ success: true, data });
+        
+    } catch (error) {
+        req.log.error('Budget period error', { error });
+        res.status(500).json({ error: 'Failed to fetch budget period' });
+    }
+});
+
+const SERIES_QUERY = {
+    interval: Joi.string().valid(...SERIES_INTERVALS),
+    from: dateString(),
+    to: dateString()
+};
+
+// Spending, income and savings series (?interval=day|week|month, optional ?from and ?to)
+app.get('/api/analytics/series', verifyToken, validate({ query: SERIES_QUERY }), async (req, res) => {
+    try {
+        const range = resolveRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+        
+        const rows = await reports.dailyTotals(req.userId, range.from, range.to);
+        
+        res.json({
+            success: true,
+            interval: range.interval,
+            data: buildSeries(rows, range).map(({ categories, ...bucket }) => bucket)
+        });
+        
+    } catch (error) {
+        req.log.error('Analytics series error', { error });
+        res.status(500).json({ error: 'Failed to fetch analytics series' });
+    }
+});
+
+// Category share of spending per bucket (same query parameters as /api/analytics/series)
+app.get('/api/analytics/category-share', verifyToken, validate({ query: SERIES_QUERY }), async (req, res) => {
+    try {
+        const range = resolveRange({ interval: 'month', ...req.query });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+        
+        const rows = await reports.dailyTotals(req.userId, range.from, range.to);
+        
+        res.json({
+            success: true,
+            interval: range.interval,
+            data: categoryShare(buildSeries(rows, range))
+        });
+        
+    } catch (error) {
+        req.log.error('Category share error', { error });
+        res.status(500).json({ error: 'Failed to fetch category share' });
+    }
+});
+
+// Month-over-month totals and deltas for the last ?months calendar months (default 6)
+app.get('/api/analytics/month-over-month', verifyToken, validate({
+    query: { months: Joi.number().integer().min(2).max(24).default(6) }
+}), async (req, res) => {
+    try {
+        const { months } = req.query;
+        
+        const today = new Date();
+        const range = resolveRange({
+            interval: 'month',
+            from: new Date(today.getFullYear(), today.getMonth() - (months - 1), 1)
+        }, today);
+        
+        const rows = await reports.dailyTotals(req.userId, range.from, range.to);
+        
+        res.json({ success: true, data: monthOverMonth(buildSeries(rows, range)) });
+        
+    } catch (error) {
+        req.log.error('Month over month error', { error });
+        res.status(500).json({ error: 'Failed to fetch month-over-month analytics' });
+    }
+});
+
+// Average daily spend over the last ?days (default 30) and the projected run-out date for current_balance
+app.get('/api/analytics/burn-rate', verifyToken, validate({
+    query: { days: limit(365).default(30) }
+}), async (req, res) => {
+    try {
+        const data = await reports.burnRate(req.userId, req.query.days);
+        
+        if (!data) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({ success: true, data });
+        
+    } catch (error) {
+        req.log.error('Burn rate error', { error });
+        res.status(500).json({ error: 'Failed to fetch burn rate' });
+    }
+});
+
+// EXPORT ROUTES
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_BATCH_SIZE = 500;
+const EXPORT_COLUMNS = ['id', 'date', 'type', 'category', 'amount', 'originalCurrency', 'originalAmount', 'savingsAmount', 'source', 'description'];
+
+// Read filtered transactions oldest first in keyset batches, so exports never hold the full history in memory
+async function* iterateTransactions(userId, filters) {
+    let after = null;
+    
+    while (true) {
+        const rows = await storage.searchTransactions(userId, filters, {
+            sort: 'date',
+            order: 'asc',
+            limit: EXPORT_BATCH_SIZE,
+            after
+        });
+        
+        yield* rows;
+        
+        if (rows.length < EXPORT_BATCH_SIZE) {
+            return;
+        }
+        const last = rows[rows.length - 1];
+        after = { value: last.transaction_date, id: last.id };
+    }
+}
+
+// Quote a CSV cell; cells that spreadsheets would run as formulas are prefixed with '
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write a chunk, waiting for the client to drain the buffer when it is full. A client that disconnects
+// never drains, so the wait also ends when the response closes; callers check res.destroyed after.
+async function writeChunk(res, chunk) {
+    if (res.destroyed || res.write(chunk)) {
+        return;
+    }
+    
+    const controller = new AbortController();
+    try {
+        await Promise.race([
+            once(res, 'drain', { signal: controller.signal }),
+            once(res, 'close', { signal: controller.signal })
+        ]);
+    } finally {
+        // Drops the listener of whichever event did not fire
+        controller.abort();
+    }
+}
+
+// Stream transactions as CSV or JSON (?format=csv|json), with the same filters as GET /api/transactions
+app.get('/api/export/transactions', verifyToken, validate({
+    query: {
+        format: Joi.string().lowercase().valid(...EXPORT_FORMATS).default('csv'),
+        ...TRANSACTION_FILTER_FIELDS
+    }
+}), async (req, res) => {
+    try {
+        const { format } = req.query;
+        const filters = buildTransactionFilters(req.query);
+        
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename="finhigh-transactions-${toDateString(new Date())}.${format}"`
+        );
+        
+        await writeChunk(res, format === 'csv' ? `${EXPORT_COLUMNS.join(',')}\n` : '[');
+        
+        let first = true;
+        for await (const row of iterateTransactions(req.userId, filters)) {
+            if (res.destroyed) {
+                break;
+            }
+            
+            const t = formatTransaction(row);
+            const record = {
+                ...t,
+                originalCurrency: t.original ? t.original.currency : null,
+                originalAmount: t.original ? t.original.amount : null,
+                description: row.description || ''
+            };
+            delete record.displayDate;
+            delete record.original;
+            
+            await writeChunk(res, format === 'csv'
+                ? `${EXPORT_COLUMNS.map(column => toCsvCell(record[column])).join(',')}\n`
+                : `${first ? '' : ','}\n${JSON.stringify(record)}`);
+            first = false;
+        }
+        
+        res.end(format === 'csv' ? '' : '\n]\n');
+        
+    } catch (error) {
+        req.log.error('Export transactions error', { error });
+        // Once streaming has started the status line is gone, so cut the response short instead
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to export transactions' });
+        }
+    }
+});
+
+// Monthly statement PDF for a budget period (?periodId=, defaults to the current period)
+app.get('/api/export/statement', verifyToken, validate({ query: { periodId: id() } }), async (req, res) => {
+    try {
+        const period = req.query.periodId
+            ? await storage.findBudgetPeriod(req.userId, req.query.periodId)
+            : (await storage.budgetPeriods(req.userId)).find(p => p.status === 'open');
+        
+        if (!period) {
+            return res.status(404).json({ error: 'Budget period not found' });
+        }
+        
+        const user = await storage.findUser(req.userId);
+        
+        const end = new Date(period.period_end);
+        const rows = [];
+        for await (const row of iterateTransactions(req.userId, {
+            from: new Date(period.period_start),
+            to: new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1)
+        })) {
+            rows.push(row);
+        }
+        
+        const categoryInfo = new Map((await storage.listCategories(req.userId)).map(c => [c.category_name, c]));
+        
+        const totals = new Map();
+        let income = 0;
+        let saved = toMinor(period.savings_deduction) + toMinor(period.swept_to_savings);
+        rows.forEach(t => {
+            saved += toMinor(t.savings_amount);
+            if (t.transaction_type === 'income') {
+                income += toMinor(t.amount);
+            } else {
+                totals.set(t.category, (totals.get(t.category) || 0) + toMinor(t.amount));
+            }
+        });
+        
+        const spent = [...totals.values()].reduce((sum, amount) => sum + amount, 0);
+        
+        const statement = {
+            user,
+            currency: user.base_currency,
+            period: formatBudgetPeriod({ ...period, total_income: toDecimal(income) }, user),
+            savings: {
+                period: fromMinor(saved),
+                total: toAmount(user.total_savings)
+            },
+            categories: [...totals.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .map(([name, total]) => ({
+                    name,
+                    label: categoryInfo.get(name)?.display_name || name,
+                    color: categoryInfo.get(name)?.color,
+                    total: fromMinor(total),
+                    share: spent > 0 ? Math.round(percentage(total, spent) * 10) / 10 : 0
+                })),
+            transactions: rows.map(t => ({
+                date: toDateString(t.transaction_date),
+                type: t.transaction_type,
+                category: categoryInfo.get(t.category)?.display_name || t.category,
+                source: t.source,
+                description: t.description,
+                amount: toAmount(t.amount),
+                original: foreignAmount(t)
+            })),
+            generatedAt: new Date()
+        };
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename="finhigh-statement-${statement.period.start}.pdf"`
+        );
+        await renderStatementPdf(statement, res);
+        
+    } catch (error) {
+        req.log.error('Export statement error', { error });
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to export statement' });
+        }
+    }
+});
+
+// ACTIVITY ROUTES
+
+const formatActivity = (entry) => ({
+    id: entry.id,
+    action: entry.action,
+    entityType: entry.entity_type,
+    entityId: entry.entity_id,
+    amount: entry.amount !== null ? toAmount(entry.amount) : null,
+    balanceBefore: toAmount(entry.balance_before),
+    balanceAfter: toAmount(entry.balance_after),
+    savingsBefore: toAmount(entry.savings_before),
+    savingsAfter: toAmount(entry.savings_after),
+    details: entry.details_json ? JSON.parse(entry.details_json) : null,
+    // null when a scheduler made the change (a recurring bill, a new budget period)
+    actor: entry.actor_id !== null ? { id: entry.actor_id, name: entry.actor_name } : null,
+    requestId: entry.request_id,
+    createdAt: entry.created_at
+});
+
+// Every change to the user's balance or savings from the audit log, newest first, with the balances before
+// and after it. Filters: action, from/to (a bare YYYY-MM-DD "to" includes that day). Paging: limit plus the
+// nextCursor of the previous page.
+app.get('/api/user/activity', verifyToken, validate({
+    query: {
+        action: Joi.string().valid(...AUDIT_ACTIONS),
+        from: dateString(),
+        to: dateString(),
+        limit: limit(MAX_PAGE_SIZE).default(50),
+        cursor: Joi.string().max(500)
+    }
+}), async (req, res) => {
+    try {
+        const { action, from, to, limit } = req.query;
+        
+        const filters = { action, limit: limit + 1 };
+        if (from !== undefined) {
+            filters.from = new Date(from);
+        }
+        if (to !== undefined) {
+            filters.to = new Date(to);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+                filters.to.setDate(filters.to.getDate() + 1);
+            }
+        }
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            filters.after = { value: new Date(cursor.v), id: cursor.id };
+        }
+        
+        const entries = await storage.auditEntries(req.userId, filters);
+        
+        const hasMore = entries.length > limit;
+        const page = hasMore ? entries.slice(0, limit) : entries;
+        const last = page[page.length - 1];
+        
+        res.json({
+            success: true,
+            data: page.map(formatActivity),
+            nextCursor: hasMore ? encodeCursor(last.created_at.toISOString(), last.id) : null
+        });
+        
+    } catch (error) {
+        req.log.error('Activity error', { error });
+        res.status(500).json({ error: 'Failed to fetch activity' });
+    }
+});
+
+// UTILITY ROUTES
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        timestamp: new Date().toISOString(),
+        version: '1.0.0'
+    });
+});
+
+// CATEGORY ROUTES
+
+// Icons offered by the category icon picker (Font Awesome classes)
+const CATEGORY_ICONS = [
+    'fas fa-utensils', 'fas fa-shopping-bag', 'fas fa-users', 'fas fa-glass-cheers', 'fas fa-hands-helping',
+    'fas fa-calendar-weekend', 'fas fa-bus', 'fas fa-home', 'fas fa-book', 'fas fa-graduation-cap',
+    'fas fa-mobile-alt', 'fas fa-wifi', 'fas fa-film', 'fas fa-gamepad', 'fas fa-music',
+    'fas fa-tshirt', 'fas fa-heartbeat', 'fas fa-dumbbell', 'fas fa-coffee', 'fas fa-pizza-slice',
+    'fas fa-plane', 'fas fa-gift', 'fas fa-paw', 'fas fa-tools', 'fas fa-ellipsis-h'
+];
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+const CATEGORY_FIELDS = {
+    label: Joi.string().trim().max(150),
+    icon: Joi.string().valid(...CATEGORY_ICONS)
+        .messages({ 'any.only': 'Icon must be one of the icons from /api/categories/icons' }),
+    color: Joi.string().pattern(COLOR_PATTERN)
+        .messages({ 'string.pattern.base': 'Color must be a hex value like #FFD700' })
+};
+
+// Format a user_categories row for API responses
+function formatCategory(category) {
+    return {
+        icon: category.icon_class,
+        label: category.display_name,
+        color: category.color,
+        archived: Boolean(category.is_archived)
+    };
+}
+
+// Derive a category key from its label, unique among the user's categories
+async function uniqueCategoryName(userId, label) {
+    const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 90) || 'category';
+    
+    const taken = new Set((await storage.listCategories(userId)).map(c => c.category_name));
+    let name = base;
+    for (let suffix = 2; taken.has(name); suffix++) {
+        name = `${base}-${suffix}`;
+    }
+    return name;
+}
+
+// Get icons available to the category icon picker
+app.get('/api/categories/icons', (req, res) => {
+    res.json({ success: true, data: CATEGORY_ICONS });
+});
+
+// Get the user's expense categories (pass ?includeArchived=true to include archived ones)
+app.get('/api/categories', verifyToken, validate({
+    query: { includeArchived: flag().default(false) }
+}), async (req, res) => {
+    try {
+        const categories = await storage.listCategories(req.userId, { includeArchived: req.query.includeArchived });
+        
+        res.json({
+            success: true,
+            data: categories.reduce((acc, cat) => {
+                acc[cat.category_name] = formatCategory(cat);
+                return acc;
+            }, {})
+        });
+        
+    } catch (error) {
+        req.log.error('Categories error', { error });
+        res.status(500).json({ error: 'Failed to fetch categories' });
+    }
+});
+
+// Create a custom category
+app.post('/api/categories', verifyToken, validate({
+    body: {
+        label: CATEGORY_FIELDS.label.required(),
+        icon: CATEGORY_FIELDS.icon.default('fas fa-ellipsis-h'),
+        color: CATEGORY_FIELDS.color.default('#FFD700')
+    }
+}), async (req, res) => {
+    try {
+        const { label, icon, color } = req.body;
+        
+        const name = await uniqueCategoryName(req.userId, label);
+        await storage.createCategory(req.userId, { name, label, icon, color });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Category created successfully',
+            data: { name, icon, label: label, color, archived: false }
+        });
+        
+    } catch (error) {
+        req.log.error('Create category error', { error });
+        res.status(500).json({ error: 'Failed to create category' });
+    }
+});
+
+// Rename, recolor, change icon or archive/unarchive a category
+app.put('/api/categories/:name', verifyToken, validate({
+    params: { name: Joi.string().max(100).required() },
+    body: { ...CATEGORY_FIELDS, archived: Joi.boolean() }
+}), async (req, res) => {
+    try {
+        const { label, icon, color, archived } = req.body;
+        
+        // The category key stays the same so existing transactions keep pointing at it
+        if (!await storage.updateCategory(req.userId, req.params.name, { label, icon, color, archived })) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        const category = await storage.findCategory(req.userId, req.params.name);
+        
+        res.json({
+            success: true,
+            message: 'Category updated successfully',
+            data: { name: req.params.name, ...formatCategory(category) }
+        });
+        
+    } catch (error) {
+        req.log.error('Update category error', { error });
+        res.status(500).json({ error: 'Failed to update category' });
+    }
+});
+
+// Merge a category into another one (its transactions are moved and summaries rebuilt)
+app.post('/api/categories/:name/merge', verifyToken, validate({
+    params: { name: Joi.string().max(100).required() },
+    body: { into: Joi.string().trim().max(100).required() }
+}), async (req, res) => {
+    try {
+        const { into } = req.body;
+        
+        if (into === req.params.name) {
+            return res.status(400).json({ error: 'A category cannot be merged into itself' });
+        }
+        
+        if (!(await storage.mergeCategories(req.userId, req.params.name, into))) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        res.json({ success: true, message: 'Categories merged successfully' });
+        
+    } catch (error) {
+        req.log.error('Merge categories error', { error });
+        res.status(500).json({ error: 'Failed to merge categories' });
+    }
+});
+
+// Serve the main HTML file
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
@@ -568,18 +4063,40 @@ app.use(handleError);
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-    console.log('Shutting down server...');
+    logger.info('Shutting down server');
+    reminderScheduler.stop();
+    budgetPeriodScheduler.stop();
+    recurringScheduler.stop();
     await pool.end();
     process.exit(0);
 });
 
 // Start server
 async function startServer() {
-    await testConnection();
+    if (storage.driver === 'mysql') {
+        await testConnection();
+    }
+    reminderScheduler.start();
+    budgetPeriodScheduler.start();
+    await budgetPeriodScheduler.tick();
+    // Runs after the rollover so catch-up occurrences land in the right budget period
+    recurringScheduler.start();
+    await recurringScheduler.tick();
     
     app.listen(PORT, () => {
-        console.log(FINHIGH Server running on port ${PORT});
-        console.log(Environment: ${process.env.NODE_ENV || 'development'});
-        console.log(Frontend URL: ${process.env.FRONTEND_URL || 'All origins allowed'});
+        logger.info('FINHIGH server running', {
+            port: PORT,
+            environment: process.env.NODE_ENV || 'development',
+            frontendUrl: process.env.FRONTEND_URL || 'All origins allowed'
+        });
     });
 }
+
+// Run directly, this starts the server; required (by supertest), it only builds the app
+if (require.main === module) {
+    startServer();
+}
+
+// The app, its storage and mailer, for supertest (STORAGE_DRIVER=memory runs them without MySQL, and
+// MAIL_TRANSPORT=memory keeps the emails sent in mailer.transport.sent)
+module.exports = { app, storage, mailer };
@@ -0,0 +1,318 @@
+// FINHIGH Quick Entry
+// Turns chat messages like "spent 120 on samosas with friends yesterday" into expense/income drafts:
+// { type, amount, category, source, date: 'YYYY-MM-DD', description, missing, candidates, needsConfirmation }
+const { toDateString } = require('./budgetPeriods');
+const { suggestCategory } = require('./importers');
+const { DEFAULT_CURRENCY, toAmount, formatMoney } = require('./money');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const EXPENSE_WORDS = /\b(spent|spend|paid|pay|bought|buy|gave|donated|lost)\b/i;
+const INCOME_WORDS = /\b(received|receive|earned|earn|got|credited|won|refunded|income)\b/i;
+const QUESTION = /\?|^\s*(how|what|where|when|why|which|who|did|do|does|can|could|should|will|am|is|are)\b/i;
+const CONFIRM = /^\s*(y|yes|yeah|yep|ok|okay|sure|confirm|correct|right|do it|go ahead)\b/i;
+const CANCEL = /^\s*(n|no|nope|cancel|stop|never ?mind|don'?t|forget it)\b/i;
+const AMOUNT = /(₹|\brs\.?|\binr)?\s*(\d[\d,]*(?:\.\d{1,2})?)(\s*k\b)?(\s*(?:rupees|rs\b|inr\b|bucks))?/gi;
+const FILLER = /^(?:\s|\b(?:on|for|at|of|a|an|the|to|rs|rupees|inr|bucks|worth)\b|[,.:-])+|(?:\s|\b(?:on|for|at|of|and|to)\b|[,.:-])+$/gi;
+
+// Words that point at the default categories; only used when the user has that category
+const CATEGORY_HINTS = {
+    food: ['food', 'lunch', 'dinner', 'breakfast', 'snack', 'samosa', 'chai', 'tea', 'coffee', 'pizza', 'burger',
+        'biryani', 'canteen', 'mess', 'restaurant', 'cafe', 'swiggy', 'zomato', 'groceries', 'maggi'],
+    shopping: ['shopping', 'clothes', 'shirt', 'shoes', 'jeans', 'amazon', 'flipkart', 'myntra', 'stationery', 'book'],
+    friends: ['friend', 'treat', 'party', 'birthday'],
+    weekend: ['weekend', 'movie', 'outing', 'trip', 'trek', 'concert'],
+    social: ['donation', 'donated', 'charity', 'ngo', 'volunteer']
+};
+
+// Income sources offered by the web client, with the words that point at them
+const SOURCE_HINTS = {
+    internship: ['internship', 'intern', 'stipend'],
+    freelancing: ['freelance', 'freelancing', 'client', 'project', 'gig'],
+    'part-time': ['part-time', 'part time', 'job', 'shift', 'salary', 'tutoring', 'tuition'],
+    allowance: ['allowance', 'pocket money', 'parents', 'mom', 'dad', 'home']
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const hasWord = (text, word) => new RegExp(`\\b${escapeRegExp(word)}s?\\b`, 'i').test(text);
+
+const daysBefore = (today, days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+
+// Date phrases, tried in order. Each returns a Date (or null) for its match; dates that would be in the
+// future are read as the most recent past one ("on 25th" on the 19th means last month), unless the year
+// is given.
+const DATE_PATTERNS = [
+    [/\bday before yesterday\b/i, (m, today) => daysBefore(today, 2)],
+    [/\byesterday\b/i, (m, today) => daysBefore(today, 1)],
+    [/\b(today|tonight|this morning|this evening)\b/i, (m, today) => daysBefore(today, 0)],
+    [/\b(\d{1,2}) days? ago\b/i, (m, today) => daysBefore(today, +m[1])],
+    [/\b(last|on|this past)?\s*(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i, (m, today) => {
+        const back = (today.getDay() - WEEKDAYS.indexOf(m[2].toLowerCase()) + 7) % 7;
+        return daysBefore(today, back === 0 && m[1] && m[1].toLowerCase() === 'last' ? 7 : back);
+    }],
+    [/\b(\d{1,2})(?:st|nd|rd|th)?\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i,
+        (m, today) => pastDate(today, +m[1], MONTHS.indexOf(m[2].toLowerCase()))],
+    [/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+(\d{1,2})(?:st|nd|rd|th)?\b/i,
+        (m, today) => pastDate(today, +m[2], MONTHS.indexOf(m[1].toLowerCase()))],
+    [/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/, (m) => validDate(+m[1], +m[2] - 1, +m[3])],
+    [/\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?\b/i, (m, today) => {
+        if (!m[3]) {
+            return pastDate(today, +m[1], +m[2] - 1);
+        }
+        const year = +m[3] < 100 ? 2000 + +m[3] : +m[3];
+        return validDate(year, +m[2] - 1, +m[1]);
+    }],
+    [/\bon (?:the )?(\d{1,2})(?:st|nd|rd|th)\b/i, (m, today) => pastDate(today, +m[1], null)]
+];
+
+// The date for a month (0-11) and day, or null when they do not make one ("30/02", "15/13")
+function validDate(year, month, day) {
+    const date = new Date(year, month, day);
+    return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+// Latest date on or before today with the given day (and month, if known)
+function pastDate(today, day, month) {
+    if (month === null) {
+        for (let back = 0; back < 3; back++) {
+            const first = new Date(today.getFullYear(), today.getMonth() - back, 1);
+            const date = validDate(first.getFullYear(), first.getMonth(), day);
+            if (date && date <= today) {
+                return date;
+            }
+        }
+        return null;
+    }
+    const date = validDate(today.getFullYear(), month, day);
+    return date && date > today ? validDate(today.getFullYear() - 1, month, day) : date;
+}
+
+// Find the date phrase in `text`; returns { date, phrase } (phrase is null when defaulting to today). The
+// date is null when the phrase is not a real date or is after today.
+function findDate(text, today) {
+    for (const [pattern, toDate] of DATE_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) {
+            const date = toDate(match, today);
+            return { date: date && date <= daysBefore(today, 0) ? date : null, phrase: match[0] };
+        }
+    }
+    return { date: daysBefore(today, 0), phrase: null };
+}
+
+// Amounts in the text; numbers written with a currency marker win over bare ones ("paid ₹60 for 2 teas")
+function findAmounts(text) {
+    const found = [...text.matchAll(AMOUNT)].map(match => ({
+        phrase: match[0],
+        amount: parseFloat(match[2].replace(/,/g, '')) * (match[3] ? 1000 : 1),
+        marked: Boolean(match[1] || match[3] || match[4])
+    })).filter(a => a.amount > 0);
+
+    const marked = found.filter(a => a.marked);
+    return marked.length > 0 ? marked : found;
+}
+
+// Categories the text points at: named outright, matched by a user rule, or hinted by a keyword
+function findCategories(text, categories, rules) {
+    const matches = new Set();
+
+    categories.forEach(category => {
+        if (hasWord(text, category.name) || text.toLowerCase().includes(category.label.toLowerCase())) {
+            matches.add(category.name);
+        }
+        (CATEGORY_HINTS[category.name] || []).forEach(hint => {
+            if (hasWord(text, hint)) {
+                matches.add(category.name);
+            }
+        });
+    });
+
+    const rule = suggestCategory(text, rules, new Map());
+    if (rule.category && categories.some(c => c.name === rule.category)) {
+        matches.add(rule.category);
+    }
+
+    return [...matches];
+}
+
+function findSource(text) {
+    const named = Object.keys(SOURCE_HINTS).find(source => SOURCE_HINTS[source].some(hint => hasWord(text, hint)));
+    return named || 'other';
+}
+
+// What is still needed before a draft can be recorded
+function missingFields(draft) {
+    const missing = [];
+    if (!draft.type) {
+        missing.push('type');
+    }
+    if (!draft.amount) {
+        missing.push('amount');
+    }
+    if (draft.type !== 'income' && !draft.category) {
+        missing.push('category');
+    }
+    if (!draft.date) {
+        missing.push('date');
+    }
+    return missing;
+}
+
+// Parse a chat message into a draft, or return null when it is not a transaction (e.g. a question).
+// options: { categories: [{ name, label }], rules, history (descriptionKey -> category), today }
+function parseEntry(message, { categories = [], rules = [], history = new Map(), today = new Date() } = {}) {
+    const text = String(message || '').trim();
+    const spent = EXPENSE_WORDS.test(text);
+    const received = INCOME_WORDS.test(text);
+
+    if ((!spent && !received) || QUESTION.test(text)) {
+        return null;
+    }
+
+    const { date, phrase: datePhrase } = findDate(text, today);
+    const withoutDate = datePhrase ? text.replace(datePhrase, ' ') : text;
+    const amounts = findAmounts(withoutDate);
+    const distinctAmounts = [...new Set(amounts.map(a => a.amount))];
+
+    let description = withoutDate.replace(spent ? EXPENSE_WORDS : INCOME_WORDS, ' ');
+    if (distinctAmounts.length === 1) {
+        amounts.forEach(a => {
+            description = description.replace(a.phrase, ' ');
+        });
+    }
+    description = description.replace(/\s+/g, ' ').replace(FILLER, '').trim();
+
+    const draft = {
+        type: spent && received ? null : spent ? 'expense' : 'income',
+        amount: distinctAmounts.length === 1 ? toAmount(distinctAmounts[0]) : null,
+        category: null,
+        source: null,
+        date: date ? toDateString(date) : null,
+        description,
+        candidates: {},
+        needsConfirmation: false
+    };
+
+    if (distinctAmounts.length > 1) {
+        draft.candidates.amount = distinctAmounts;
+    }
+
+    if (draft.type !== 'income') {
+        const matches = findCategories(text, categories, rules);
+        if (matches.length === 1) {
+            draft.category = matches[0];
+        } else if (matches.length > 1) {
+            draft.candidates.category = matches;
+        } else {
+            // A guess from the user's past descriptions is only a suggestion, so confirm it first
+            const guess = suggestCategory(description, [], history);
+            if (guess.category && categories.some(c => c.name === guess.category)) {
+                draft.category = guess.category;
+                draft.needsConfirmation = true;
+            } else {
+                draft.candidates.category = categories.map(c => c.name);
+            }
+        }
+    }
+    if (draft.type !== 'expense') {
+        draft.source = findSource(text);
+    }
+
+    draft.missing = missingFields(draft);
+    return draft;
+}
+
+// Apply a reply to a pending draft. Returns { action, draft } where action is 'confirm', 'cancel',
+// 'updated' (an answer filled something in) or 'unrelated'.
+function resolveDraft(draft, message, { categories = [], today = new Date() } = {}) {
+    const text = String(message || '').trim();
+    const next = { ...draft, candidates: { ...draft.candidates } };
+    let updated = false;
+
+    if (!next.type) {
+        if (EXPENSE_WORDS.test(text) || /\bexpense\b/i.test(text)) {
+            next.type = 'expense';
+            updated = true;
+        } else if (INCOME_WORDS.test(text)) {
+            next.type = 'income';
+            next.source = next.source || findSource(draft.description);
+            updated = true;
+        }
+    }
+
+    if (!next.amount) {
+        const amounts = [...new Set(findAmounts(text).map(a => a.amount))];
+        if (amounts.length === 1) {
+            next.amount = toAmount(amounts[0]);
+            delete next.candidates.amount;
+            updated = true;
+        }
+    }
+
+    if (!next.date) {
+        const { date, phrase } = findDate(text, today);
+        if (phrase && date) {
+            next.date = toDateString(date);
+            updated = true;
+        }
+    }
+
+    if (next.type !== 'income') {
+        const named = categories.filter(c => hasWord(text, c.name) || text.toLowerCase().includes(c.label.toLowerCase()));
+        if (named.length === 1 && named[0].name !== next.category) {
+            next.category = named[0].name;
+            delete next.candidates.category;
+            updated = true;
+        }
+    }
+
+    next.missing = missingFields(next);
+
+    if (updated) {
+        return { action: 'updated', draft: next };
+    }
+    if (CONFIRM.test(text)) {
+        return { action: next.missing.length === 0 ? 'confirm' : 'updated', draft: next };
+    }
+    if (CANCEL.test(text)) {
+        return { action: 'cancel', draft: next };
+    }
+    return { action: 'unrelated', draft: next };
+}
+
+// One-line summary of a draft, e.g. "₹120.00 expense on Food & Dining (samosas with friends) for 2024-05-01".
+// Amounts are in the user's base `currency`.
+function describeEntry(draft, categories = [], currency = DEFAULT_CURRENCY) {
+    const category = categories.find(c => c.name === draft.category);
+    const amount = draft.amount ? formatMoney(draft.amount, currency) : 'an amount';
+    const target = draft.type === 'income'
+        ? ` from ${draft.source}`
+        : draft.category ? ` on ${category ? category.label : draft.category}` : '';
+    return `${amount} ${draft.type || 'transaction'}${target}${draft.description ? ` (${draft.description})` : ''}${draft.date ? ` for ${draft.date}` : ''}`;
+}
+
+// The question to ask about a draft that cannot be recorded as-is
+function entryQuestion(draft, categories = [], currency = DEFAULT_CURRENCY) {
+    const label = (name) => (categories.find(c => c.name === name) || { label: name }).label;
+
+    if (draft.missing.includes('type')) {
+        return `Did you spend or receive ${draft.amount ? formatMoney(draft.amount, currency) : 'this money'}?`;
+    }
+    if (draft.missing.includes('amount')) {
+        return draft.candidates.amount
+            ? `How much was it: ${draft.candidates.amount.map(a => formatMoney(a, currency)).join(' or ')}?`
+            : 'How much was it?';
+    }
+    if (draft.missing.includes('category')) {
+        return `Which category should ${describeEntry(draft, categories, currency)} go in: ${(draft.candidates.category || []).map(label).join(', ')}?`;
+    }
+    if (draft.missing.includes('date')) {
+        return `Which day was ${describeEntry(draft, categories, currency)}? For example "yesterday", "15 Mar" or "2024-03-15".`;
+    }
+    return draft.type === 'income'
+        ? `Should I record ${describeEntry(draft, categories, currency)}? Reply yes to confirm or no to cancel.`
+        : `Should I record ${describeEntry(draft, categories, currency)}? Reply yes to confirm, or name a different category.`;
+}
+
+module.exports = { parseEntry, resolveDraft, describeEntry, entryQuestion };
@@ -0,0 +1,264 @@
+// FINHIGH Recurring Transactions
+// Schedules for rent, mess fees, recharges and subscriptions, and the scheduler that records them when due.
+const { computeNextRun } = require('./reminders');
+const { toDateString } = require('./budgetPeriods');
+const { toMinor, toDecimal } = require('./money');
+const { createLedger } = require('./ledger');
+const { logger } = require('./logger');
+
+const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'custom'];
+const MAX_CATCH_UP_RUNS = 31; // occurrences recorded per schedule per tick after downtime
+const CRON_SEARCH_DAYS = 366 * 5;
+
+// Field ranges for "minute hour day-of-month month day-of-week" (0 = Sunday, 7 also accepted)
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Expand one cron field ("*", "5", "1-5", "*/15", "1,15", "10-20/5") into the set of matching values
+function parseCronField(text, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid ${name} in cron expression: ${part}`);
+        }
+
+        const start = match[1] === '*' ? min : +match[2];
+        const end = match[1] === '*' ? max : match[3] !== undefined ? +match[3] : match[4] ? max : start;
+        const step = match[4] ? +match[4] : 1;
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid ${name} in cron expression: ${part}`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+// Parse a 5-field cron expression; throws on invalid input
+function parseCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+    if (weekdays.has(7)) {
+        weekdays.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // As in cron, a restricted day-of-month and day-of-week match when either one does
+        dayRestricted: fields[2] !== '*',
+        weekdayRestricted: fields[4] !== '*'
+    };
+}
+
+function cronMatchesDay(cron, date) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+        return false;
+    }
+    const dayMatch = cron.days.has(date.getDate());
+    const weekdayMatch = cron.weekdays.has(date.getDay());
+    if (cron.dayRestricted && cron.weekdayRestricted) {
+        return dayMatch || weekdayMatch;
+    }
+    return cron.dayRestricted ? dayMatch : cron.weekdayRestricted ? weekdayMatch : true;
+}
+
+// First minute matching the cron schedule strictly after `after`, or null if none within five years
+function nextCronRun(cron, after) {
+    const start = new Date(after.getTime());
+    start.setSeconds(0, 0);
+    start.setMinutes(start.getMinutes() + 1);
+
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const sortedHours = [...cron.hours].sort((a, b) => a - b);
+    const sortedMinutes = [...cron.minutes].sort((a, b) => a - b);
+
+    for (let i = 0; i < CRON_SEARCH_DAYS; i++, day.setDate(day.getDate() + 1)) {
+        if (!cronMatchesDay(cron, day)) {
+            continue;
+        }
+        for (const hour of sortedHours) {
+            for (const minute of sortedMinutes) {
+                const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+                if (candidate >= start) {
+                    return candidate;
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+// Next occurrence of a schedule strictly after `after` (starts_at itself counts), or null once it has ended.
+// Fixed frequencies step from starts_at so monthly schedules keep their day of month.
+function nextOccurrence(schedule, after) {
+    const start = new Date(schedule.starts_at);
+    let next;
+
+    if (schedule.frequency === 'custom') {
+        next = nextCronRun(parseCron(schedule.cron_expression), start > after ? new Date(start.getTime() - 1) : after);
+    } else {
+        next = start > after ? start : computeNextRun(schedule.frequency, start, after);
+    }
+
+    if (next && schedule.ends_at && next > new Date(schedule.ends_at)) {
+        return null;
+    }
+    return next;
+}
+
+// Every occurrence of a schedule in (from, until], capped at `limit`
+function occurrencesBetween(schedule, from, until, limit = 100) {
+    const dates = [];
+    let next = nextOccurrence(schedule, from);
+    while (next && next <= until && dates.length < limit) {
+        dates.push(next);
+        next = nextOccurrence(schedule, next);
+    }
+    return dates;
+}
+
+// Record one occurrence through the ledger (ledger.js), like a manual entry; resolves to { status, message }.
+// `origin` ({ actorId, requestId }) is set when a user retries a failed occurrence.
+function recordOccurrence(ledger, schedule, dueAt, origin = {}) {
+    return ledger.recordTransaction(schedule.user_id, {
+        type: schedule.transaction_type,
+        amount: schedule.amount,
+        category: schedule.category,
+        source: schedule.source,
+        description: schedule.description || schedule.name,
+        date: dueAt,
+        origin,
+        audit: {
+            action: 'recurring.recorded',
+            entityType: 'recurring',
+            entityId: schedule.id,
+            details: { type: schedule.transaction_type, dueAt: dueAt.toISOString() }
+        }
+    });
+}
+
+// Create a scheduler bound to a storage backend (storage/). Pass `now` to drive it with a fake clock.
+function createRecurringScheduler({ storage, now = () => new Date(), intervalMs = 60000 }) {
+    let timer = null;
+    let running = false;
+
+    // Record one occurrence and move the schedule past it in the same transaction, so a crash in between
+    // can neither record it twice nor lose it. A failed occurrence (e.g. insufficient balance) is skipped,
+    // noted on the schedule and reported to the user as a notification. Resolves to null, recording
+    // nothing, when the schedule has been changed or run elsewhere since it was read.
+    function runOccurrence(schedule, dueAt, currentTime) {
+        return storage.transaction(async (tx) => {
+            const current = await tx.lockRecurring(schedule.id);
+            if (!current || !current.is_active || new Date(current.next_run_at).getTime() !== dueAt.getTime()) {
+                return null;
+            }
+
+            const response = await recordOccurrence(createLedger({ storage: tx }), schedule, dueAt);
+            const error = response.status === 'SUCCESS' ? null : response.message;
+
+            if (error) {
+                await tx.createNotification({
+                    userId: schedule.user_id,
+                    message: `${schedule.name} (${toDecimal(toMinor(schedule.amount))}) due ${toDateString(dueAt)} was not recorded: ${error}`,
+                    createdAt: currentTime
+                });
+            }
+
+            const next = nextOccurrence(schedule, dueAt);
+            await tx.updateRecurring(schedule.id, {
+                nextRunAt: next,
+                isActive: next !== null,
+                lastRunAt: dueAt,
+                lastStatus: error ? 'failed' : 'success',
+                lastError: error
+            });
+
+            return { recorded: !error, next };
+        });
+    }
+
+    // Record every due occurrence of one schedule, up to MAX_CATCH_UP_RUNS per tick
+    async function runSchedule(schedule, currentTime) {
+        let dueAt = new Date(schedule.next_run_at);
+        let recorded = 0;
+
+        for (let runs = 0; dueAt && dueAt <= currentTime && runs < MAX_CATCH_UP_RUNS; runs++) {
+            const result = await runOccurrence(schedule, dueAt, currentTime);
+            if (!result) {
+                break;
+            }
+            recorded += result.recorded ? 1 : 0;
+            dueAt = result.next;
+        }
+
+        return recorded;
+    }
+
+    // Run a single pass; resolves to the number of transactions recorded
+    async function tick() {
+        if (running) {
+            return 0;
+        }
+        running = true;
+
+        const currentTime = now();
+
+        try {
+            const due = await storage.dueRecurring(currentTime);
+
+            let recorded = 0;
+            for (const schedule of due) {
+                recorded += await runSchedule(schedule, currentTime);
+            }
+            return recorded;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) {
+            return;
+        }
+        timer = setInterval(() => {
+            tick().catch(error => logger.error('Recurring transaction scheduler error', { error }));
+        }, intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { tick, start, stop };
+}
+
+module.exports = {
+    RECURRING_FREQUENCIES,
+    parseCron,
+    nextCronRun,
+    nextOccurrence,
+    occurrencesBetween,
+    recordOccurrence,
+    createRecurringScheduler
+};
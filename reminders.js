@@ -0,0 +1,157 @@
+// FINHIGH Reminder Scheduler
+// Evaluates recurring and condition-based reminders and writes due notifications.
+const { toMinor } = require('./money');
+const { logger } = require('./logger');
+
+const REMINDER_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const CONDITION_TYPES = ['balance_below', 'category_over'];
+
+// The `count`th occurrence after `anchor`. Monthly ones keep the anchor's day of month, clamped to the
+// length of shorter months.
+function occurrence(frequency, anchor, count) {
+    const next = new Date(anchor.getTime());
+
+    if (frequency === 'daily') {
+        next.setDate(next.getDate() + count);
+    } else if (frequency === 'weekly') {
+        next.setDate(next.getDate() + 7 * count);
+    } else if (frequency === 'monthly') {
+        next.setDate(1);
+        next.setMonth(next.getMonth() + count);
+        const daysInMonth = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+        next.setDate(Math.min(anchor.getDate(), daysInMonth));
+    } else {
+        throw new Error(`Unknown reminder frequency: ${frequency}`);
+    }
+
+    return next;
+}
+
+// Next occurrence of a recurring reminder strictly after `after`, counted from its first run `anchor`
+// rather than from the previous run, so a reminder on the 31st is back on the 31st after February
+function computeNextRun(frequency, anchor, after = anchor) {
+    let count = 1;
+    let next = occurrence(frequency, anchor, count);
+
+    while (next <= after) {
+        next = occurrence(frequency, anchor, ++count);
+    }
+
+    return next;
+}
+
+// Whether a condition reminder's trigger holds for the given user state
+function isConditionMet(reminder, state) {
+    if (reminder.condition_type === 'balance_below') {
+        return toMinor(state.current_balance) < toMinor(reminder.condition_threshold);
+    }
+
+    // The threshold is a percentage of the allowance here
+    if (reminder.condition_type === 'category_over') {
+        const allowance = toMinor(state.monthly_allowance);
+        const spent = toMinor(state.category_spent || 0);
+        return allowance > 0 && (spent / allowance) * 100 > parseFloat(reminder.condition_threshold);
+    }
+
+    return false;
+}
+
+// Create a scheduler bound to a storage backend (storage/). Pass `now` to drive it with a fake clock.
+function createReminderScheduler({ storage, now = () => new Date(), intervalMs = 60000 }) {
+    let timer = null;
+    let running = false;
+
+    async function fireRecurring(currentTime) {
+        const due = await storage.dueReminders(currentTime);
+
+        for (const reminder of due) {
+            // Missed runs collapse into a single notification
+            const nextRun = computeNextRun(reminder.frequency, new Date(reminder.start_at), currentTime);
+
+            await storage.transaction(async (tx) => {
+                await tx.createNotification({
+                    userId: reminder.user_id,
+                    reminderId: reminder.id,
+                    message: reminder.message,
+                    createdAt: currentTime
+                });
+                await tx.updateReminder(reminder.id, { nextRunAt: nextRun, lastTriggeredAt: currentTime });
+            });
+        }
+
+        return due.length;
+    }
+
+    async function fireConditions(currentTime) {
+        const reminders = await storage.conditionReminders();
+
+        let fired = 0;
+
+        for (const reminder of reminders) {
+            const met = isConditionMet(reminder, reminder);
+            const wasMet = Boolean(reminder.condition_met);
+
+            if (met === wasMet) {
+                continue;
+            }
+
+            // Only notify when a condition starts holding, not on every tick while it holds
+            if (met) {
+                await storage.createNotification({
+                    userId: reminder.user_id,
+                    reminderId: reminder.id,
+                    message: reminder.message,
+                    createdAt: currentTime
+                });
+                fired++;
+            }
+
+            await storage.updateReminder(reminder.id, met ? { conditionMet: true, lastTriggeredAt: currentTime } : { conditionMet: false });
+        }
+
+        return fired;
+    }
+
+    // Run a single evaluation pass; resolves to the number of notifications created
+    async function tick() {
+        if (running) {
+            return 0;
+        }
+        running = true;
+
+        const currentTime = now();
+
+        try {
+            const recurring = await fireRecurring(currentTime);
+            const conditions = await fireConditions(currentTime);
+            return recurring + conditions;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start() {
+        if (timer) {
+            return;
+        }
+        timer = setInterval(() => {
+            tick().catch(error => logger.error('Reminder scheduler error', { error }));
+        }, intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { tick, start, stop };
+}
+
+module.exports = {
+    REMINDER_FREQUENCIES,
+    CONDITION_TYPES,
+    computeNextRun,
+    isConditionMet,
+    createReminderScheduler
+};
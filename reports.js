@@ -0,0 +1,154 @@
+// FINHIGH Reports
+// The analytics behind /api/analytics on top of a storage backend (storage/): spending against the allowance
+// (what spending_analysis_view computes), budget periods with their live totals, daily totals for the
+// series endpoints and the burn rate. Amounts come back in major units, ready for the JSON responses.
+const { toMinor, toDecimal, fromMinor, toAmount, percentage } = require('./money');
+const { toDateString } = require('./budgetPeriods');
+const { bucketStart, burnRate } = require('./analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const nextDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+
+// Sum one column of transactionTotals() rows of the given type, in minor units
+const sumTotals = (rows, type, column = 'total_amount') => rows
+    .filter(row => row.transaction_type === type)
+    .reduce((sum, row) => sum + toMinor(row[column]), 0);
+
+const spendingStatus = (spentPercentage) => {
+    if (spentPercentage !== null && spentPercentage < 50) {
+        return 'GOOD';
+    }
+    return spentPercentage !== null && spentPercentage < 75 ? 'MODERATE' : 'HIGH';
+};
+
+// Format a budget_periods row; the open period reports live totals from the user row
+function formatBudgetPeriod(period, user) {
+    const isOpen = period.status === 'open';
+
+    return {
+        id: period.id,
+        start: toDateString(period.period_start),
+        end: toDateString(period.period_end),
+        status: period.status,
+        openingBalance: toAmount(period.opening_balance),
+        allowanceCredited: toAmount(period.allowance_credited),
+        savingsDeduction: toAmount(period.savings_deduction),
+        totalSpent: toAmount(isOpen ? user.total_spent : period.total_spent),
+        totalIncome: toAmount(period.total_income),
+        closingBalance: isOpen ? null : toAmount(period.closing_balance),
+        currentBalance: isOpen ? toAmount(user.current_balance) : null,
+        sweptToSavings: toAmount(period.swept_to_savings),
+        spentPercentage: toMinor(period.allowance_credited) > 0
+            ? percentage(toMinor(isOpen ? user.total_spent : period.total_spent), toMinor(period.allowance_credited))
+            : 0
+    };
+}
+
+function createReports({ storage }) {
+    // Spending against the monthly allowance with the GOOD / MODERATE / HIGH status. Resolves to null for an
+    // unknown user.
+    async function spending(userId) {
+        const user = await storage.findUser(userId);
+        if (!user) {
+            return null;
+        }
+
+        // Part of this period's spending entered in other currencies, already converted to base_currency
+        const foreignSpent = user.period_start
+            ? sumTotals(await storage.transactionTotals(userId, user.period_start), 'expense', 'foreign_amount')
+            : 0;
+        const spentPercentage = percentage(toMinor(user.total_spent), toMinor(user.monthly_allowance));
+
+        return {
+            baseCurrency: user.base_currency,
+            monthlyAllowance: toAmount(user.monthly_allowance),
+            currentBalance: toAmount(user.current_balance),
+            totalSpent: toAmount(user.total_spent),
+            totalSavings: toAmount(user.total_savings),
+            foreignSpent: fromMinor(foreignSpent),
+            spentPercentage: spentPercentage ?? 0,
+            spendingStatus: spendingStatus(spentPercentage),
+            periodStart: user.period_start ? toDateString(user.period_start) : null,
+            periodEnd: user.period_end ? toDateString(user.period_end) : null
+        };
+    }
+
+    // Every budget period, newest first; the open one with the income recorded in it so far
+    async function budgetPeriods(userId) {
+        const user = await storage.findUser(userId);
+        const periods = await storage.budgetPeriods(userId);
+
+        return Promise.all(periods.map(async (period) => {
+            if (period.status !== 'open') {
+                return formatBudgetPeriod(period, user);
+            }
+            const totals = await storage.transactionTotals(userId, period.period_start, nextDay(new Date(period.period_end)));
+            return formatBudgetPeriod({ ...period, total_income: toDecimal(sumTotals(totals, 'income')) }, user);
+        }));
+    }
+
+    // One budget period with its spending per category; null when it is not the user's
+    async function budgetPeriod(userId, periodId) {
+        const period = await storage.findBudgetPeriod(userId, periodId);
+        if (!period) {
+            return null;
+        }
+
+        const user = await storage.findUser(userId);
+        const totals = await storage.transactionTotals(userId, period.period_start, nextDay(new Date(period.period_end)));
+
+        const categories = {};
+        totals
+            .filter(row => row.transaction_type === 'expense')
+            .forEach(row => {
+                categories[row.category] = {
+                    total: toAmount(row.total_amount),
+                    count: row.transaction_count
+                };
+            });
+
+        return {
+            ...formatBudgetPeriod({ ...period, total_income: toDecimal(sumTotals(totals, 'income')) }, user),
+            categories
+        };
+    }
+
+    // Per-day, per-type, per-category totals for [from, to), the rows analytics.buildSeries() takes
+    const dailyTotals = (userId, from, to) => storage.dailyTotals(userId, from, to);
+
+    // Average daily spend over the last `days` and the projected run-out date for current_balance. Resolves
+    // to null for an unknown user.
+    async function burnRateReport(userId, days, today = new Date()) {
+        const user = await storage.findUser(userId);
+        if (!user) {
+            return null;
+        }
+
+        const tomorrow = nextDay(today);
+        // New accounts average over the days they have existed, not the full window
+        const accountDays = Math.ceil((tomorrow - bucketStart(new Date(user.created_at), 'day')) / DAY_MS);
+        const windowDays = Math.max(1, Math.min(days, accountDays));
+        const windowStart = new Date(tomorrow.getFullYear(), tomorrow.getMonth(), tomorrow.getDate() - windowDays);
+
+        const spent = fromMinor(sumTotals(await storage.transactionTotals(userId, windowStart, tomorrow), 'expense'));
+        const balance = toAmount(user.current_balance);
+        const projection = burnRate({ spent, days: windowDays, balance, today });
+        const periodEnd = user.period_end ? toDateString(user.period_end) : null;
+
+        return {
+            windowDays,
+            spent,
+            currentBalance: balance,
+            ...projection,
+            periodEnd,
+            lastsUntilPeriodEnd: periodEnd
+                ? projection.runOutDate === null || projection.runOutDate > periodEnd
+                : null
+        };
+    }
+
+    return { spending, budgetPeriods, budgetPeriod, dailyTotals, burnRate: burnRateReport };
+}
+
+module.exports = { formatBudgetPeriod, createReports };
@@ -0,0 +1,73 @@
+// FINHIGH Sample Data
+// Seeds a demo account with a few transactions for local testing. Run after the migrations: node seed.js
+const bcrypt = require('bcryptjs');
+const { openDatabase, status } = require('./migrate');
+const { createMySqlStorage } = require('./storage');
+const { createLedger } = require('./ledger');
+
+const DEMO_EMAIL = 'demo@finhigh.com';
+const DEMO_PASSWORD = 'finhigh-demo';
+
+// Create the demo user and its transactions; does nothing if the demo user already exists
+async function seedSampleData(connection, { log = console.log } = {}) {
+    const pending = (await status(connection)).filter(row => row.state === 'pending');
+    if (pending.length > 0) {
+        throw new Error(`${pending.length} migration(s) pending, run "node migrate.js migrate" first`);
+    }
+
+    const [existingUser] = await connection.query('SELECT id FROM users WHERE email = ?', [DEMO_EMAIL]);
+    if (existingUser.length > 0) {
+        log('Sample data already present');
+        return false;
+    }
+
+    // Everything is written through the ledger, like the API does, in one transaction
+    const storage = createMySqlStorage(connection, { inTransaction: true });
+    const ledger = createLedger({ storage });
+
+    await connection.beginTransaction();
+    try {
+        const userId = await storage.createUser({
+            name: 'Demo User',
+            email: DEMO_EMAIL,
+            passwordHash: await bcrypt.hash(DEMO_PASSWORD, 10),
+            allowance: '5000.00'
+        });
+
+        for (const entry of [
+            { type: 'expense', category: 'food', amount: '250.00', description: 'Lunch at college cafeteria' },
+            { type: 'expense', category: 'shopping', amount: '800.00', description: 'Bought new books and stationery' },
+            { type: 'income', source: 'freelancing', amount: '1000.00', description: 'Web development project' }
+        ]) {
+            const response = await ledger.recordTransaction(userId, entry);
+            if (response.status !== 'SUCCESS') {
+                throw new Error(`Sample ${entry.type} not recorded: ${response.message}`);
+            }
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    }
+
+    log(`✅ Sample user created (${DEMO_EMAIL} / ${DEMO_PASSWORD})`);
+    log('✅ Sample transactions added');
+    return true;
+}
+
+if (require.main === module) {
+    (async () => {
+        const connection = await openDatabase();
+        try {
+            await seedSampleData(connection);
+        } finally {
+            await connection.end();
+        }
+    })().catch(error => {
+        console.error('❌ Seeding failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { seedSampleData };
@@ -0,0 +1,128 @@
+// FINHIGH Bill Splitting
+// Splits a shared expense between group members, works out who owes whom and simplifies the debts.
+// Amounts are handled in paise so shares always add up to the bill exactly.
+const { MoneyError, toMinor, fromMinor, allocate } = require('./money');
+
+const SPLIT_METHODS = ['equal', 'shares', 'exact'];
+
+class SplitError extends Error {}
+
+// Unparseable amounts become NaN so the checks below report them as split errors
+function toPaise(amount) {
+    try {
+        return toMinor(amount);
+    } catch (error) {
+        if (error instanceof MoneyError) {
+            return NaN;
+        }
+        throw error;
+    }
+}
+const toRupees = (paise) => fromMinor(paise);
+
+// Split `amount` between participants ([{ userId, shares?, amount? }]).
+// equal: the same for everyone; shares: in proportion to each `shares` weight; exact: the given amounts,
+// which must add up to the bill. Left-over paise go one each to the first participants (equal) or to the
+// largest remainders (shares). Returns [{ userId, amount, shares }].
+function splitExpense(amount, method, participants) {
+    const total = toPaise(amount);
+
+    if (!SPLIT_METHODS.includes(method)) {
+        throw new SplitError(`Split method must be one of: ${SPLIT_METHODS.join(', ')}`);
+    }
+    if (!(total > 0)) {
+        throw new SplitError('Amount must be greater than zero');
+    }
+    if (!Array.isArray(participants) || participants.length === 0) {
+        throw new SplitError('At least one participant is required');
+    }
+    if (new Set(participants.map(p => p.userId)).size !== participants.length) {
+        throw new SplitError('Each participant can only appear once');
+    }
+
+    if (method === 'equal') {
+        const base = Math.floor(total / participants.length);
+        const extra = total - base * participants.length;
+        return participants.map((p, i) => ({ userId: p.userId, amount: toRupees(base + (i < extra ? 1 : 0)), shares: null }));
+    }
+
+    if (method === 'shares') {
+        if (participants.some(p => !(Number(p.shares) > 0))) {
+            throw new SplitError('Every participant needs a positive number of shares');
+        }
+        const split = allocate(total, participants.map(p => Number(p.shares)));
+        return participants.map((p, i) => ({ userId: p.userId, amount: toRupees(split[i]), shares: Number(p.shares) }));
+    }
+
+    if (participants.some(p => !(Number(p.amount) >= 0))) {
+        throw new SplitError('Every participant needs an amount of zero or more');
+    }
+    const assigned = participants.reduce((sum, p) => sum + toPaise(p.amount), 0);
+    if (assigned !== total) {
+        throw new SplitError(`Split amounts add up to ${toRupees(assigned).toFixed(2)}, not ${toRupees(total).toFixed(2)}`);
+    }
+    return participants.map(p => ({ userId: p.userId, amount: toRupees(toPaise(p.amount)), shares: null }));
+}
+
+// Net balance per member: positive means the group owes them, negative means they owe the group.
+// expenses: [{ paidBy, amount, shares: [{ userId, amount }] }], settlements: [{ fromUser, toUser, amount }].
+// A null user is a deleted account, which was settled up when it went, so its side is left out.
+function groupBalances(memberIds, expenses, settlements) {
+    const net = new Map(memberIds.map(id => [id, 0]));
+    const add = (userId, paise) => {
+        if (userId !== null) {
+            net.set(userId, (net.get(userId) || 0) + paise);
+        }
+    };
+
+    expenses.forEach(expense => {
+        add(expense.paidBy, toPaise(expense.amount));
+        expense.shares.forEach(share => add(share.userId, -toPaise(share.amount)));
+    });
+    settlements.forEach(settlement => {
+        add(settlement.fromUser, toPaise(settlement.amount));
+        add(settlement.toUser, -toPaise(settlement.amount));
+    });
+
+    return new Map([...net].map(([userId, paise]) => [userId, toRupees(paise)]));
+}
+
+// The fewest payments that settle everyone: the largest debtor repeatedly pays the largest creditor.
+// Returns [{ from, to, amount }].
+function simplifyDebts(balances) {
+    const creditors = [];
+    const debtors = [];
+    balances.forEach((amount, userId) => {
+        const paise = toPaise(amount);
+        if (paise > 0) {
+            creditors.push({ userId, paise });
+        } else if (paise < 0) {
+            debtors.push({ userId, paise: -paise });
+        }
+    });
+
+    const byAmount = (a, b) => b.paise - a.paise || a.userId - b.userId;
+    const payments = [];
+
+    while (creditors.length > 0 && debtors.length > 0) {
+        creditors.sort(byAmount);
+        debtors.sort(byAmount);
+        const creditor = creditors[0];
+        const debtor = debtors[0];
+        const paise = Math.min(creditor.paise, debtor.paise);
+
+        payments.push({ from: debtor.userId, to: creditor.userId, amount: toRupees(paise) });
+        creditor.paise -= paise;
+        debtor.paise -= paise;
+        if (creditor.paise === 0) {
+            creditors.shift();
+        }
+        if (debtor.paise === 0) {
+            debtors.shift();
+        }
+    }
+
+    return payments;
+}
+
+module.exports = { SPLIT_METHODS, SplitError, splitExpense, groupBalances, simplifyDebts };
@@ -0,0 +1,133 @@
+// FINHIGH Statements
+// Renders a budget period statement as a PDF: balances, savings, category breakdown and transactions.
+const PDFDocument = require('pdfkit');
+const { DEFAULT_CURRENCY, CURRENCIES } = require('./money');
+
+const PAGE_MARGIN = 50;
+const GOLD = '#B8860B';
+const GREY = '#555555';
+
+// The built-in PDF fonts have no rupee glyph, so amounts are written as "Rs." (other currencies by code)
+const formatMoney = (amount, currency = DEFAULT_CURRENCY) => `${currency === 'INR' ? 'Rs.' : currency} ${Number(amount).toLocaleString('en-IN', {
+    minimumFractionDigits: CURRENCIES[currency].decimals,
+    maximumFractionDigits: CURRENCIES[currency].decimals
+})}`;
+
+function drawSummary(doc, statement) {
+    const { period, savings } = statement;
+    const money = (amount) => formatMoney(amount, statement.currency);
+    const rows = [
+        ['Opening balance', money(period.openingBalance)],
+        ['Allowance credited', money(period.allowanceCredited)],
+        ['Income', money(period.totalIncome)],
+        ['Spent', money(period.totalSpent)],
+        [period.status === 'open' ? 'Current balance' : 'Closing balance',
+            money(period.status === 'open' ? period.currentBalance : period.closingBalance)],
+        ['Saved this period', money(savings.period)],
+        ['Total savings', money(savings.total)]
+    ];
+
+    doc.fontSize(13).fillColor(GOLD).text('Summary');
+    doc.moveDown(0.3);
+    rows.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.fontSize(10).fillColor('black').text(label, PAGE_MARGIN, y);
+        doc.text(value, PAGE_MARGIN, y, { align: 'right' });
+    });
+    doc.moveDown();
+}
+
+function drawCategories(doc, categories, currency) {
+    doc.fontSize(13).fillColor(GOLD).text('Spending by category', PAGE_MARGIN);
+    doc.moveDown(0.3);
+
+    if (categories.length === 0) {
+        doc.fontSize(10).fillColor(GREY).text('No expenses in this period.');
+        doc.moveDown();
+        return;
+    }
+
+    const barWidth = doc.page.width - PAGE_MARGIN * 2 - 200;
+    categories.forEach(category => {
+        const y = doc.y;
+        doc.fontSize(10).fillColor('black').text(category.label, PAGE_MARGIN, y, { width: 120 });
+        doc.rect(PAGE_MARGIN + 120, y + 2, Math.max(1, barWidth * category.share / 100), 8).fill(category.color || GOLD);
+        doc.fillColor('black').text(
+            `${formatMoney(category.total, currency)} (${category.share}%)`,
+            PAGE_MARGIN,
+            y,
+            { align: 'right' }
+        );
+    });
+    doc.moveDown();
+}
+
+function drawTransactions(doc, transactions, currency) {
+    const columns = [
+        { label: 'Date', x: PAGE_MARGIN, width: 70 },
+        { label: 'Type', x: PAGE_MARGIN + 70, width: 50 },
+        { label: 'Category / Source', x: PAGE_MARGIN + 120, width: 100 },
+        { label: 'Description', x: PAGE_MARGIN + 220, width: 185 },
+        { label: 'Amount', x: PAGE_MARGIN + 405, width: 90, align: 'right' }
+    ];
+    const bottom = doc.page.height - PAGE_MARGIN;
+
+    const drawRow = (cells, options = {}) => {
+        if (doc.y + 14 > bottom) {
+            doc.addPage();
+        }
+        const y = doc.y;
+        doc.fontSize(9).fillColor(options.color || 'black');
+        columns.forEach((column, i) => {
+            doc.text(cells[i], column.x, y, { width: column.width, align: column.align || 'left', lineBreak: false, ellipsis: true });
+        });
+        doc.x = PAGE_MARGIN;
+        doc.y = y + 14;
+    };
+
+    doc.fontSize(13).fillColor(GOLD).text('Transactions', PAGE_MARGIN);
+    doc.moveDown(0.3);
+    drawRow(columns.map(c => c.label), { color: GREY });
+
+    if (transactions.length === 0) {
+        doc.fontSize(10).fillColor(GREY).text('No transactions in this period.');
+        return;
+    }
+
+    transactions.forEach(t => drawRow([
+        t.date,
+        t.type,
+        t.type === 'expense' ? t.category : t.source || '',
+        // Amounts entered in another currency show the original next to the description
+        `${t.description || ''}${t.original ? ` (${formatMoney(t.original.amount, t.original.currency)})` : ''}`,
+        `${t.type === 'expense' ? '-' : '+'}${formatMoney(t.amount, currency)}`
+    ]));
+}
+
+// Write a statement PDF to `stream` (e.g. an HTTP response); resolves when the PDF is complete
+function renderStatementPdf(statement, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: 'FINHIGH Statement' } });
+    const finished = new Promise((resolve, reject) => {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+    });
+
+    doc.pipe(stream);
+
+    doc.fontSize(20).fillColor(GOLD).text('FINHIGH');
+    doc.fontSize(10).fillColor(GREY).text('Monthly statement');
+    doc.moveDown(0.5);
+    doc.fontSize(11).fillColor('black').text(`${statement.user.name} <${statement.user.email}>`);
+    doc.text(`Period: ${statement.period.start} to ${statement.period.end}${statement.period.status === 'open' ? ' (in progress)' : ''}`);
+    doc.fontSize(9).fillColor(GREY).text(`Generated ${statement.generatedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`);
+    doc.moveDown();
+
+    drawSummary(doc, statement);
+    drawCategories(doc, statement.categories, statement.currency);
+    drawTransactions(doc, statement.transactions, statement.currency);
+
+    doc.end();
+    return finished;
+}
+
+module.exports = { formatMoney, renderStatementPdf };
@@ -0,0 +1,6 @@
+// What a new account starts with, in both storage backends: the allowance_fixed rule moves this much of
+// each allowance to savings, and the income_split rule saves this percentage of income
+const DEFAULT_SAVINGS_DEDUCTION = '100.00';
+const DEFAULT_INCOME_SPLIT = '50.00';
+
+module.exports = { DEFAULT_SAVINGS_DEDUCTION, DEFAULT_INCOME_SPLIT };
@@ -0,0 +1,29 @@
+// FINHIGH Storage
+// Repositories behind the ledger and reports services (ledger.js, reports.js), the schedulers and every
+// route: users, sessions and password resets, categories and their rules, balances and savings rules,
+// transactions, recurring schedules, budget periods, goals, imports, groups, reminders and notifications,
+// chat, exchange rates and the audit log. STORAGE_DRIVER picks the backend:
+//   mysql   the FINHIGH database (default)
+//   memory  plain in-process arrays, so the API can run and be tested on a machine without MySQL
+// Both return rows in mysql2's shapes (snake_case columns, DECIMALs as strings), so the services and route
+// handlers never need to know which one they talk to.
+const { createMySqlStorage } = require('./mysql');
+const { createMemoryStorage } = require('./memory');
+
+const STORAGE_DRIVERS = ['mysql', 'memory'];
+
+// `pool` is required for mysql; `now` drives the memory store's clock
+function createStorage({ driver = 'mysql', pool, now } = {}) {
+    if (driver === 'mysql') {
+        if (!pool) {
+            throw new Error('The mysql storage driver needs a connection pool');
+        }
+        return createMySqlStorage(pool);
+    }
+    if (driver === 'memory') {
+        return createMemoryStorage({ now });
+    }
+    throw new Error(`Unknown storage driver "${driver}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+}
+
+module.exports = { STORAGE_DRIVERS, createStorage, createMySqlStorage, createMemoryStorage };
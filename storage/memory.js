@@ -0,0 +1,1424 @@
+// In-memory storage: the same repository methods over plain arrays, for running the API without MySQL
+// (tests, demos). Rows have the shapes mysql2 returns: DECIMAL columns as "12.50" strings, DATE and
+// TIMESTAMP columns as Dates. Nothing is persisted; each createMemoryStorage() starts empty apart from the
+// shared categories and reference exchange rates the migrations seed.
+const { DEFAULT_CURRENCY, toMinor, toDecimal } = require('../money');
+const { convertWithRates, latestRatesWith } = require('../exchangeRates');
+const { auditRow } = require('../audit');
+const { toDateString } = require('../budgetPeriods');
+const { REFERENCE_RATES } = require('../migrations/002_multi_currency');
+const { DEFAULT_SAVINGS_DEDUCTION, DEFAULT_INCOME_SPLIT } = require('./defaults');
+
+// The columns findUserByEmail() returns, as the MySQL query selects them
+const USER_FIELDS = ['id', 'name', 'email', 'monthly_allowance', 'base_currency', 'current_balance', 'total_savings', 'total_spent', 'notes'];
+
+// Same rows as the baseline migration
+const DEFAULT_CATEGORIES = [
+    ['food', 'fas fa-utensils', 'Food & Dining', '#FFD700'],
+    ['shopping', 'fas fa-shopping-bag', 'Shopping', '#FFA500'],
+    ['friends', 'fas fa-users', 'Friends & Social', '#FF8C00'],
+    ['weekend', 'fas fa-glass-cheers', 'Weekend Outing', '#F59E0B'],
+    ['social', 'fas fa-hands-helping', 'Social Service', '#10B981']
+];
+
+const addDecimal = (a, b) => toDecimal(toMinor(a) + toMinor(b));
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Copies, so callers can change the rows they get back without touching the store
+const copy = (row) => (row ? structuredClone(row) : null);
+
+// A DATE column value from a YYYY-MM-DD string, as mysql2 returns it (local midnight)
+const toDay = (value) => (typeof value === 'string' ? new Date(`${value}T00:00:00`) : value);
+
+// The columns each query returns, as the MySQL backend selects them
+const transactionRow = ({ user_id, created_at, ...transaction }) => copy(transaction);
+const goalRow = ({ user_id, updated_at, ...goal }) => copy(goal);
+const ruleRow = (rule) => copy({ id: rule.id, pattern: rule.pattern, category: rule.category, created_at: rule.created_at });
+const conversationRow = (conversation) => copy({
+    id: conversation.id,
+    title: conversation.title,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at
+});
+const messageRow = (message) => copy({
+    id: message.id,
+    message_type: message.message_type,
+    message_content: message.message_content,
+    created_at: message.created_at
+});
+const groupRow = (group) => copy({ id: group.id, name: group.name, created_by: group.created_by, created_at: group.created_at });
+const categoryRow = (category) => copy({
+    category_name: category.category_name,
+    icon_class: category.icon_class,
+    display_name: category.display_name,
+    color: category.color,
+    is_archived: category.is_archived,
+    monthly_limit: category.monthly_limit,
+    limit_action: category.limit_action
+});
+
+// updateTransaction() fields and their columns
+const TRANSACTION_FIELDS = {
+    amount: 'amount',
+    savingsAmount: 'savings_amount',
+    category: 'category',
+    source: 'source',
+    description: 'description',
+    currency: 'currency',
+    originalAmount: 'original_amount',
+    exchangeRate: 'exchange_rate'
+};
+
+// Columns that outlive the account they point at (ON DELETE SET NULL)
+const USER_REFERENCES = [
+    ['expense_groups', 'created_by'],
+    ['group_expenses', 'paid_by'],
+    ['group_expenses', 'created_by'],
+    ['group_settlements', 'from_user'],
+    ['group_settlements', 'to_user'],
+    ['group_settlements', 'created_by'],
+    ['audit_log', 'actor_id']
+];
+
+// updateReminder() fields and their columns
+const REMINDER_FIELDS = {
+    message: 'message',
+    isActive: 'is_active',
+    frequency: 'frequency',
+    startAt: 'start_at',
+    nextRunAt: 'next_run_at',
+    conditionCategory: 'condition_category',
+    threshold: 'condition_threshold',
+    conditionMet: 'condition_met',
+    lastTriggeredAt: 'last_triggered_at'
+};
+
+// updateRecurring() fields and their columns
+const RECURRING_FIELDS = {
+    name: 'name',
+    amount: 'amount',
+    category: 'category',
+    source: 'source',
+    description: 'description',
+    frequency: 'frequency',
+    cronExpression: 'cron_expression',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    nextRunAt: 'next_run_at',
+    isActive: 'is_active',
+    lastRunAt: 'last_run_at',
+    lastStatus: 'last_status',
+    lastError: 'last_error'
+};
+
+const ALLOWANCE_RULE_TYPES = ['allowance_fixed', 'allowance_percent'];
+
+// Ascending sort key for a nullable column; MySQL sorts NULL first
+const nullsFirst = (value) => (value === null ? -Infinity : value);
+
+// Sort keys of searchTransactions(), for rows and for the `after` value of a cursor
+const TRANSACTION_SORTS = {
+    date: { row: t => t.transaction_date.getTime(), value: v => new Date(v).getTime() },
+    amount: { row: t => toMinor(t.amount), value: v => toMinor(v) }
+};
+
+// The transaction filters ({ type, categories, source, minAmount, maxAmount, from, to, q }) as a predicate;
+// the description search is case-insensitive like MySQL's LIKE
+const transactionFilter = ({ type, categories = [], source, minAmount, maxAmount, from, to, q } = {}) => (t) =>
+    (type === undefined || t.transaction_type === type)
+    && (categories.length === 0 || categories.includes(t.category))
+    && (source === undefined || t.source === source)
+    && (minAmount === undefined || toMinor(t.amount) >= toMinor(minAmount))
+    && (maxAmount === undefined || toMinor(t.amount) <= toMinor(maxAmount))
+    && (from === undefined || t.transaction_date >= from)
+    && (to === undefined || t.transaction_date < to)
+    && (!q || (t.description || '').toLowerCase().includes(String(q).toLowerCase()));
+
+function emptyTables(now) {
+    return {
+        users: [],
+        sessions: [],
+        password_resets: [],
+        expense_categories: DEFAULT_CATEGORIES.map(([category_name, icon_class, display_name, color], i) => ({
+            id: i + 1, category_name, icon_class, display_name, color
+        })),
+        user_categories: [],
+        user_expense_summaries: [],
+        savings_rules: [],
+        recurring_transactions: [],
+        transactions: [],
+        budget_periods: [],
+        financial_goals: [],
+        idempotency_keys: [],
+        exchange_rates: REFERENCE_RATES.map(([currency, rate]) => ({
+            base_currency: currency, quote_currency: DEFAULT_CURRENCY, rate_date: '2024-01-01', rate, created_at: now()
+        })),
+        audit_log: [],
+        category_rules: [],
+        import_batches: [],
+        chat_entry_drafts: [],
+        chat_conversations: [],
+        chat_messages: [],
+        reminders: [],
+        notifications: [],
+        expense_groups: [],
+        group_members: [],
+        group_expenses: [],
+        group_expense_shares: [],
+        group_settlements: []
+    };
+}
+
+function createMemoryStorage({ now = () => new Date() } = {}) {
+    let tables = emptyTables(now);
+    const nextIds = {};
+    const insert = (table, row) => {
+        nextIds[table] = (nextIds[table] || tables[table].length) + 1;
+        const stored = { id: nextIds[table], created_at: now(), ...row };
+        tables[table].push(stored);
+        return stored;
+    };
+    const findUserRow = (userId) => tables.users.find(u => u.id === userId);
+    const findCategoryRow = (userId, name) => tables.user_categories.find(c => c.user_id === userId && c.category_name === name);
+    const findSummaryRow = (userId, category) => tables.user_expense_summaries.find(s => s.user_id === userId && s.category === category);
+    const findGoalRow = (userId, goalId) => tables.financial_goals.find(g => g.id === goalId && g.user_id === userId);
+    const findMemberRow = (groupId, userId) => tables.group_members.find(m => m.group_id === groupId && m.user_id === userId);
+    const findIdempotencyRow = (userId, key) => tables.idempotency_keys.find(k => k.user_id === userId && k.idempotency_key === key);
+
+    // Transactions run one at a time; a failed one puts every table back as it was
+    let queue = Promise.resolve();
+
+    const lookupRate = async (base, quote, day) => {
+        const latest = tables.exchange_rates
+            .filter(r => r.base_currency === base && r.quote_currency === quote && r.rate_date <= day)
+            .sort((a, b) => b.rate_date.localeCompare(a.rate_date))[0];
+        return latest ? { rate: latest.rate, rateDate: latest.rate_date } : null;
+    };
+
+    const storage = {
+        driver: 'memory',
+
+        transaction(work) {
+            const run = queue.then(async () => {
+                const snapshot = structuredClone(tables);
+                const ids = { ...nextIds };
+                const inner = { ...storage, transaction: (nested) => nested(inner) };
+                try {
+                    return await work(inner);
+                } catch (error) {
+                    tables = snapshot;
+                    Object.assign(nextIds, ids);
+                    throw error;
+                }
+            });
+            queue = run.catch(() => {});
+            return run;
+        },
+
+        // USERS AND SESSIONS
+
+        // Default savings rules, a copy of the shared categories and a first budget period running to the end
+        // of the month. Null when the email is already registered.
+        async createUser({ name, email, passwordHash, allowance, baseCurrency }) {
+            if (tables.users.some(u => u.email === email)) {
+                return null;
+            }
+            const deduction = toDecimal(Math.min(toMinor(DEFAULT_SAVINGS_DEDUCTION), toMinor(allowance)));
+            const user = insert('users', {
+                name,
+                email,
+                password_hash: passwordHash,
+                monthly_allowance: toDecimal(toMinor(allowance)),
+                base_currency: baseCurrency || DEFAULT_CURRENCY,
+                current_balance: addDecimal(allowance, `-${deduction}`),
+                total_savings: deduction,
+                total_spent: '0.00',
+                pay_day: 1,
+                rollover_mode: 'carry',
+                notes: null
+            });
+
+            insert('savings_rules', { user_id: user.id, rule_type: 'allowance_fixed', income_source: null, value: DEFAULT_SAVINGS_DEDUCTION, is_active: 1, updated_at: now() });
+            insert('savings_rules', { user_id: user.id, rule_type: 'income_split', income_source: null, value: DEFAULT_INCOME_SPLIT, is_active: 1, updated_at: now() });
+
+            for (const category of tables.expense_categories) {
+                insert('user_categories', {
+                    user_id: user.id,
+                    category_name: category.category_name,
+                    display_name: category.display_name,
+                    icon_class: category.icon_class,
+                    color: category.color,
+                    is_archived: 0,
+                    monthly_limit: null,
+                    limit_action: 'warn'
+                });
+                insert('user_expense_summaries', { user_id: user.id, category: category.category_name, total_amount: '0.00', transaction_count: 0 });
+            }
+
+            const today = startOfDay(now());
+            insert('budget_periods', {
+                user_id: user.id,
+                period_start: today,
+                period_end: new Date(today.getFullYear(), today.getMonth() + 1, 0),
+                opening_balance: '0.00',
+                allowance_credited: user.monthly_allowance,
+                savings_deduction: deduction,
+                total_spent: '0.00',
+                total_income: '0.00',
+                closing_balance: null,
+                swept_to_savings: '0.00',
+                status: 'open',
+                closed_at: null
+            });
+
+            return user.id;
+        },
+
+        async findUser(userId) {
+            const user = findUserRow(userId);
+            if (!user) {
+                return null;
+            }
+            const period = tables.budget_periods.find(p => p.user_id === userId && p.status === 'open');
+            const { password_hash, ...columns } = user;
+            return copy({ ...columns, period_start: period ? period.period_start : null, period_end: period ? period.period_end : null });
+        },
+
+        async findUserByEmail(email) {
+            const user = tables.users.find(u => u.email === email);
+            return user ? copy(Object.fromEntries([...USER_FIELDS, 'password_hash'].map(field => [field, user[field]]))) : null;
+        },
+
+        async updateNotes(userId, notes) {
+            const user = findUserRow(userId);
+            if (user) {
+                user.notes = notes;
+            }
+        },
+
+        async updateBudgetSettings(userId, { payDay, rolloverMode, allowance, baseCurrency }) {
+            const user = findUserRow(userId);
+            if (user) {
+                user.pay_day = payDay ?? user.pay_day;
+                user.rollover_mode = rolloverMode ?? user.rollover_mode;
+                user.monthly_allowance = allowance !== undefined ? toDecimal(toMinor(allowance)) : user.monthly_allowance;
+                user.base_currency = baseCurrency ?? user.base_currency;
+            }
+        },
+
+        // Like the schema's foreign keys: the user's own rows go, shared group history stays with the
+        // account's side set to null
+        async deleteUser(userId) {
+            tables.users = tables.users.filter(u => u.id !== userId);
+            Object.keys(tables).forEach(table => {
+                tables[table] = tables[table].filter(row => row.user_id !== userId);
+            });
+            USER_REFERENCES.forEach(([table, column]) => {
+                tables[table].filter(row => row[column] === userId).forEach(row => { row[column] = null; });
+            });
+            const transactionIds = new Set(tables.transactions.map(t => t.id));
+            tables.group_expense_shares
+                .filter(s => s.transaction_id !== null && !transactionIds.has(s.transaction_id))
+                .forEach(s => { s.transaction_id = null; });
+        },
+
+        // Whether the user has transactions, goals or category limits, all of which are in their base currency
+        hasMoneyRecords: async (userId) => tables.transactions.some(t => t.user_id === userId)
+            || tables.financial_goals.some(g => g.user_id === userId)
+            || tables.user_categories.some(c => c.user_id === userId && c.monthly_limit !== null),
+
+        async createSession({ userId, refreshTokenHash, userAgent, ipAddress, expiresAt }) {
+            return insert('sessions', {
+                user_id: userId,
+                refresh_token_hash: refreshTokenHash,
+                user_agent: userAgent,
+                ip_address: ipAddress,
+                expires_at: expiresAt,
+                previous_token_hash: null,
+                last_used_at: now(),
+                revoked_at: null
+            }).id;
+        },
+
+        isSessionActive: async (sessionId, userId) =>
+            tables.sessions.some(s => s.id === sessionId && s.user_id === userId && s.revoked_at === null),
+
+        async findSessionByToken(refreshTokenHash) {
+            const session = tables.sessions.find(s => s.refresh_token_hash === refreshTokenHash);
+            return session
+                ? copy({ id: session.id, user_id: session.user_id, expires_at: session.expires_at, revoked_at: session.revoked_at })
+                : null;
+        },
+
+        async rotateSession(sessionId, { refreshTokenHash, previousTokenHash, expiresAt }) {
+            const session = tables.sessions
+                .find(s => s.id === sessionId && s.refresh_token_hash === previousTokenHash && s.revoked_at === null);
+            if (!session) {
+                return false;
+            }
+            Object.assign(session, {
+                refresh_token_hash: refreshTokenHash,
+                previous_token_hash: previousTokenHash,
+                last_used_at: now(),
+                expires_at: expiresAt
+            });
+            return true;
+        },
+
+        async revokeRotatedSession(previousTokenHash) {
+            tables.sessions
+                .filter(s => s.previous_token_hash === previousTokenHash && s.revoked_at === null)
+                .forEach(s => { s.revoked_at = now(); });
+        },
+
+        activeSessions: async (userId, at) => tables.sessions
+            .filter(s => s.user_id === userId && s.revoked_at === null && s.expires_at > at)
+            .sort((a, b) => b.last_used_at - a.last_used_at)
+            .map(s => copy({
+                id: s.id,
+                user_agent: s.user_agent,
+                ip_address: s.ip_address,
+                created_at: s.created_at,
+                last_used_at: s.last_used_at,
+                expires_at: s.expires_at
+            })),
+
+        async revokeSession(userId, sessionId) {
+            const session = tables.sessions.find(s => s.id === sessionId && s.user_id === userId && s.revoked_at === null);
+            if (!session) {
+                return false;
+            }
+            session.revoked_at = now();
+            return true;
+        },
+
+        async revokeAllSessions(userId, { except = null } = {}) {
+            tables.sessions
+                .filter(s => s.user_id === userId && s.revoked_at === null && s.id !== except)
+                .forEach(s => { s.revoked_at = now(); });
+        },
+
+        // PASSWORDS
+
+        findPasswordHash: async (userId) => findUserRow(userId)?.password_hash ?? null,
+
+        async setPasswordHash(userId, passwordHash) {
+            const user = findUserRow(userId);
+            if (user) {
+                user.password_hash = passwordHash;
+            }
+        },
+
+        async createPasswordReset({ userId, tokenHash, expiresAt }) {
+            insert('password_resets', { user_id: userId, token_hash: tokenHash, expires_at: expiresAt, used_at: null });
+        },
+
+        async findPasswordReset(tokenHash, at) {
+            const reset = tables.password_resets.find(r => r.token_hash === tokenHash && r.used_at === null && r.expires_at > at);
+            return reset ? { id: reset.id, user_id: reset.user_id } : null;
+        },
+
+        async usePasswordResets(userId) {
+            tables.password_resets
+                .filter(r => r.user_id === userId && r.used_at === null)
+                .forEach(r => { r.used_at = now(); });
+        },
+
+        // IDEMPOTENCY KEYS
+
+        async claimIdempotencyKey({ userId, key, requestHash, expiredBefore }) {
+            tables.idempotency_keys = tables.idempotency_keys
+                .filter(k => !(k.user_id === userId && k.idempotency_key === key && k.created_at < expiredBefore));
+            const previous = findIdempotencyRow(userId, key);
+            if (previous) {
+                return {
+                    claimed: false,
+                    previous: copy({ request_hash: previous.request_hash, status_code: previous.status_code, response_body: previous.response_body })
+                };
+            }
+            insert('idempotency_keys', { user_id: userId, idempotency_key: key, request_hash: requestHash, status_code: null, response_body: null });
+            return { claimed: true };
+        },
+
+        async saveIdempotentResponse(userId, key, statusCode, body) {
+            const row = findIdempotencyRow(userId, key);
+            if (row) {
+                row.status_code = statusCode;
+                row.response_body = JSON.stringify(body);
+            }
+        },
+
+        async releaseIdempotencyKey(userId, key) {
+            tables.idempotency_keys = tables.idempotency_keys.filter(k => !(k.user_id === userId && k.idempotency_key === key));
+        },
+
+        // CATEGORIES
+
+        categoryExists: async (userId, name) =>
+            tables.expense_categories.some(c => c.category_name === name)
+            || tables.user_categories.some(c => c.user_id === userId && c.category_name === name),
+
+        async findActiveCategory(userId, name) {
+            const category = findCategoryRow(userId, name);
+            return category && !category.is_archived
+                ? { category_name: category.category_name, monthly_limit: category.monthly_limit, limit_action: category.limit_action }
+                : null;
+        },
+
+        async findCategory(userId, name) {
+            const category = findCategoryRow(userId, name);
+            return category ? categoryRow(category) : null;
+        },
+
+        listCategories: async (userId, { includeArchived = true } = {}) => tables.user_categories
+            .filter(c => c.user_id === userId && (includeArchived || !c.is_archived))
+            .sort((a, b) => a.category_name.localeCompare(b.category_name))
+            .map(categoryRow),
+
+        async createCategory(userId, { name, label, icon, color }) {
+            insert('user_categories', {
+                user_id: userId,
+                category_name: name,
+                display_name: label,
+                icon_class: icon,
+                color,
+                is_archived: 0,
+                monthly_limit: null,
+                limit_action: 'warn'
+            });
+            if (!findSummaryRow(userId, name)) {
+                insert('user_expense_summaries', { user_id: userId, category: name, total_amount: '0.00', transaction_count: 0 });
+            }
+        },
+
+        async updateCategory(userId, name, { label, icon, color, archived }) {
+            const category = findCategoryRow(userId, name);
+            if (!category) {
+                return false;
+            }
+            category.display_name = label ?? category.display_name;
+            category.icon_class = icon ?? category.icon_class;
+            category.color = color ?? category.color;
+            category.is_archived = archived !== undefined ? Number(Boolean(archived)) : category.is_archived;
+            return true;
+        },
+
+        async setCategoryLimit(userId, name, { limit, action }) {
+            const category = findCategoryRow(userId, name);
+            if (!category) {
+                return false;
+            }
+            category.monthly_limit = limit !== null ? toDecimal(toMinor(limit)) : null;
+            category.limit_action = action;
+            return true;
+        },
+
+        async mergeCategories(userId, source, target) {
+            if (!findCategoryRow(userId, source) || !findCategoryRow(userId, target)) {
+                return false;
+            }
+
+            tables.transactions.concat(tables.recurring_transactions)
+                .filter(row => row.user_id === userId && row.category === source)
+                .forEach(row => { row.category = target; });
+            tables.reminders
+                .filter(r => r.user_id === userId && r.condition_category === source)
+                .forEach(r => { r.condition_category = target; });
+            const targetPatterns = new Set(tables.category_rules
+                .filter(r => r.user_id === userId && r.category === target)
+                .map(r => r.pattern));
+            tables.category_rules = tables.category_rules
+                .filter(r => !(r.user_id === userId && r.category === source && targetPatterns.has(r.pattern)));
+            tables.category_rules
+                .filter(r => r.user_id === userId && r.category === source)
+                .forEach(r => { r.category = target; });
+
+            const period = tables.budget_periods.find(p => p.user_id === userId && p.status === 'open');
+            const expenses = tables.transactions.filter(t => t.user_id === userId && t.transaction_type === 'expense'
+                && t.category === target && (!period || t.transaction_date >= period.period_start));
+            tables.user_expense_summaries = tables.user_expense_summaries
+                .filter(s => !(s.user_id === userId && s.category === source));
+            let summary = findSummaryRow(userId, target);
+            if (!summary) {
+                summary = insert('user_expense_summaries', { user_id: userId, category: target });
+            }
+            summary.total_amount = toDecimal(expenses.reduce((sum, t) => sum + toMinor(t.amount), 0));
+            summary.transaction_count = expenses.length;
+
+            tables.user_categories = tables.user_categories
+                .filter(c => !(c.user_id === userId && c.category_name === source));
+            return true;
+        },
+
+        async categorySummaries(userId) {
+            return tables.user_expense_summaries
+                .filter(s => s.user_id === userId)
+                .map(s => ({ summary: s, category: tables.user_categories.find(c => c.user_id === userId && c.category_name === s.category) }))
+                .filter(({ category }) => category)
+                .sort((a, b) => toMinor(b.summary.total_amount) - toMinor(a.summary.total_amount))
+                .map(({ summary, category }) => copy({
+                    category: summary.category,
+                    total_amount: summary.total_amount,
+                    transaction_count: summary.transaction_count,
+                    icon_class: category.icon_class,
+                    display_name: category.display_name,
+                    color: category.color,
+                    is_archived: category.is_archived
+                }));
+        },
+
+        async categorySummary(userId, category) {
+            const summary = findSummaryRow(userId, category);
+            return summary ? copy({ total_amount: summary.total_amount, transaction_count: summary.transaction_count }) : null;
+        },
+
+        async addToCategorySummary(userId, category, amount, count = 1) {
+            const summary = findSummaryRow(userId, category);
+            if (summary) {
+                summary.total_amount = addDecimal(summary.total_amount, amount);
+                summary.transaction_count += count;
+            } else {
+                insert('user_expense_summaries', { user_id: userId, category, total_amount: toDecimal(toMinor(amount)), transaction_count: count });
+            }
+        },
+
+        // BALANCES AND SAVINGS RULES
+
+        async lockBalances(userId) {
+            const user = findUserRow(userId);
+            return user ? { current_balance: user.current_balance, total_savings: user.total_savings, total_spent: user.total_spent } : null;
+        },
+
+        async adjustBalances(userId, { balance = '0.00', savings = '0.00', spent = '0.00' }) {
+            const user = findUserRow(userId);
+            if (user) {
+                user.current_balance = addDecimal(user.current_balance, balance);
+                user.total_savings = addDecimal(user.total_savings, savings);
+                user.total_spent = addDecimal(user.total_spent, spent);
+            }
+        },
+
+        async readBalances(userId) {
+            const user = findUserRow(userId);
+            return user ? { balance: user.current_balance, savings: user.total_savings } : null;
+        },
+
+        async roundupStep(userId) {
+            const rule = tables.savings_rules
+                .filter(r => r.user_id === userId && r.rule_type === 'expense_roundup' && r.is_active)
+                .sort((a, b) => b.id - a.id)[0];
+            return rule ? rule.value : null;
+        },
+
+        async incomeSplit(userId, source) {
+            const rule = tables.savings_rules
+                .filter(r => r.user_id === userId && r.rule_type === 'income_split' && r.is_active
+                    && (r.income_source === (source ?? null) || r.income_source === null))
+                .sort((a, b) => (a.income_source === null) - (b.income_source === null) || b.id - a.id)[0];
+            return rule ? rule.value : null;
+        },
+
+        // TRANSACTIONS
+
+        async insertTransaction({
+            userId,
+            type,
+            category = null,
+            amount,
+            savingsAmount = '0.00',
+            description = null,
+            source = null,
+            date = null,
+            currency = null,
+            originalAmount = null,
+            exchangeRate = null
+        }) {
+            return insert('transactions', {
+                user_id: userId,
+                transaction_type: type,
+                category,
+                amount: toDecimal(toMinor(amount)),
+                savings_amount: toDecimal(toMinor(savingsAmount)),
+                description,
+                source,
+                transaction_date: date ? new Date(date) : now(),
+                currency,
+                original_amount: originalAmount,
+                exchange_rate: exchangeRate
+            }).id;
+        },
+
+        async findTransaction(userId, transactionId) {
+            const transaction = tables.transactions.find(t => t.id === transactionId && t.user_id === userId);
+            return transaction ? transactionRow(transaction) : null;
+        },
+
+        async updateTransaction(transactionId, fields) {
+            const transaction = tables.transactions.find(t => t.id === transactionId);
+            if (!transaction) {
+                return;
+            }
+            Object.entries(TRANSACTION_FIELDS)
+                .filter(([field]) => fields[field] !== undefined)
+                .forEach(([field, column]) => { transaction[column] = fields[field]; });
+        },
+
+        async deleteTransaction(transactionId) {
+            tables.transactions = tables.transactions.filter(t => t.id !== transactionId);
+            tables.group_expense_shares.filter(s => s.transaction_id === transactionId).forEach(s => { s.transaction_id = null; });
+        },
+
+        recentTransactions: async (userId, limit) => tables.transactions
+            .filter(t => t.user_id === userId)
+            .sort((a, b) => b.transaction_date - a.transaction_date || b.id - a.id)
+            .slice(0, limit)
+            .map(transactionRow),
+
+        async searchTransactions(userId, filters, { sort = 'date', order = 'desc', limit, after = null }) {
+            const key = TRANSACTION_SORTS[sort];
+            const direction = order === 'desc' ? -1 : 1;
+            const compare = (value, id, otherValue, otherId) => direction * (value - otherValue || id - otherId);
+            const cursor = after && { value: key.value(after.value), id: after.id };
+
+            return tables.transactions
+                .filter(t => t.user_id === userId && transactionFilter(filters)(t))
+                .filter(t => !cursor || compare(key.row(t), t.id, cursor.value, cursor.id) > 0)
+                .sort((a, b) => compare(key.row(a), a.id, key.row(b), b.id))
+                .slice(0, limit)
+                .map(transactionRow);
+        },
+
+        async transactionSummary(userId, filters) {
+            const matching = tables.transactions.filter(t => t.user_id === userId && transactionFilter(filters)(t));
+            const total = (type) => toDecimal(matching
+                .filter(t => t.transaction_type === type)
+                .reduce((sum, t) => sum + toMinor(t.amount), 0));
+            return { count: matching.length, total_expense: total('expense'), total_income: total('income') };
+        },
+
+        async transactionTotals(userId, from, to = null) {
+            const totals = new Map();
+            tables.transactions
+                .filter(t => t.user_id === userId && t.transaction_date >= new Date(from) && (!to || t.transaction_date < new Date(to)))
+                .forEach(t => {
+                    const key = `${t.transaction_type}:${t.category}`;
+                    const total = totals.get(key) || {
+                        transaction_type: t.transaction_type,
+                        category: t.category,
+                        total_amount: '0.00',
+                        transaction_count: 0,
+                        foreign_amount: '0.00'
+                    };
+                    total.total_amount = addDecimal(total.total_amount, t.amount);
+                    total.transaction_count++;
+                    if (t.currency) {
+                        total.foreign_amount = addDecimal(total.foreign_amount, t.amount);
+                    }
+                    totals.set(key, total);
+                });
+            return [...totals.values()];
+        },
+
+        async dailyTotals(userId, from, to) {
+            const totals = new Map();
+            tables.transactions
+                .filter(t => t.user_id === userId && t.transaction_date >= new Date(from) && t.transaction_date < new Date(to))
+                .forEach(t => {
+                    const day = toDateString(t.transaction_date);
+                    const key = `${day}:${t.transaction_type}:${t.category}`;
+                    const total = totals.get(key) || { day, transaction_type: t.transaction_type, category: t.category, amount: '0.00', savings_amount: '0.00' };
+                    total.amount = addDecimal(total.amount, t.amount);
+                    total.savings_amount = addDecimal(total.savings_amount, t.savings_amount);
+                    totals.set(key, total);
+                });
+            return [...totals.values()];
+        },
+
+        // BUDGET PERIODS AND GOALS
+
+        budgetPeriods: async (userId) => tables.budget_periods
+            .filter(p => p.user_id === userId)
+            .sort((a, b) => b.period_start - a.period_start)
+            .map(copy),
+
+        findBudgetPeriod: async (userId, periodId) =>
+            copy(tables.budget_periods.find(p => p.id === periodId && p.user_id === userId)),
+
+        findOpenBudgetPeriod: async (userId) =>
+            copy(tables.budget_periods.find(p => p.user_id === userId && p.status === 'open')),
+
+        endedBudgetPeriods: async (day) => tables.budget_periods
+            .filter(p => p.status === 'open' && toDateString(p.period_end) < day)
+            .map(p => copy({ user_id: p.user_id, period_end: p.period_end, pay_day: findUserRow(p.user_id).pay_day })),
+
+        async closeBudgetPeriod(periodId, { closingBalance, totalSpent, totalIncome, swept }) {
+            const period = tables.budget_periods.find(p => p.id === periodId);
+            if (period) {
+                Object.assign(period, {
+                    status: 'closed',
+                    closing_balance: closingBalance,
+                    total_spent: totalSpent,
+                    total_income: totalIncome,
+                    swept_to_savings: swept,
+                    closed_at: now()
+                });
+            }
+        },
+
+        async createBudgetPeriod(userId, { start, end, openingBalance, allowance, savingsDeduction }) {
+            return insert('budget_periods', {
+                user_id: userId,
+                period_start: toDay(start),
+                period_end: toDay(end),
+                opening_balance: openingBalance,
+                allowance_credited: allowance,
+                savings_deduction: savingsDeduction,
+                total_spent: '0.00',
+                total_income: '0.00',
+                closing_balance: null,
+                swept_to_savings: '0.00',
+                status: 'open',
+                closed_at: null
+            }).id;
+        },
+
+        async resetCategorySummaries(userId) {
+            tables.user_expense_summaries
+                .filter(s => s.user_id === userId)
+                .forEach(s => Object.assign(s, { total_amount: '0.00', transaction_count: 0 }));
+        },
+
+        activeGoals: async (userId) => tables.financial_goals
+            .filter(g => g.user_id === userId && g.status === 'active')
+            .sort((a, b) => (a.target_date === null) - (b.target_date === null)
+                || (a.target_date && b.target_date ? a.target_date - b.target_date : 0)
+                || a.created_at - b.created_at)
+            .map(goalRow),
+
+        listGoals: async (userId, status = null) => tables.financial_goals
+            .filter(g => g.user_id === userId && (!status || g.status === status))
+            .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+            .map(goalRow),
+
+        async findGoal(userId, goalId) {
+            const goal = findGoalRow(userId, goalId);
+            return goal ? goalRow(goal) : null;
+        },
+
+        async createGoal(userId, { name, targetAmount, targetDate = null }) {
+            return insert('financial_goals', {
+                user_id: userId,
+                goal_name: name,
+                target_amount: toDecimal(toMinor(targetAmount)),
+                current_amount: '0.00',
+                target_date: targetDate ? toDay(targetDate) : null,
+                status: 'active',
+                updated_at: now()
+            }).id;
+        },
+
+        async updateGoal(goalId, { name, targetAmount, targetDate, status }) {
+            const goal = tables.financial_goals.find(g => g.id === goalId);
+            if (goal) {
+                Object.assign(goal, {
+                    goal_name: name,
+                    target_amount: toDecimal(toMinor(targetAmount)),
+                    target_date: targetDate ? toDay(targetDate) : null,
+                    status,
+                    updated_at: now()
+                });
+            }
+        },
+
+        async addToGoal(goalId, amount) {
+            const goal = tables.financial_goals.find(g => g.id === goalId);
+            if (goal) {
+                goal.current_amount = addDecimal(goal.current_amount, amount);
+                if (toMinor(goal.current_amount) >= toMinor(goal.target_amount)) {
+                    goal.status = 'completed';
+                }
+                goal.updated_at = now();
+            }
+        },
+
+        async deleteGoal(goalId) {
+            tables.financial_goals = tables.financial_goals.filter(g => g.id !== goalId);
+        },
+
+        // CATEGORY RULES AND IMPORTS
+
+        listCategoryRules: async (userId) => tables.category_rules
+            .filter(r => r.user_id === userId)
+            .sort((a, b) => a.pattern.localeCompare(b.pattern))
+            .map(ruleRow),
+
+        async saveCategoryRule(userId, pattern, category) {
+            const rule = tables.category_rules.find(r => r.user_id === userId && r.pattern === pattern)
+                || insert('category_rules', { user_id: userId, pattern, category });
+            rule.category = category;
+            return ruleRow(rule);
+        },
+
+        async deleteCategoryRule(userId, ruleId) {
+            if (!tables.category_rules.some(r => r.id === ruleId && r.user_id === userId)) {
+                return false;
+            }
+            tables.category_rules = tables.category_rules.filter(r => r.id !== ruleId);
+            return true;
+        },
+
+        async descriptionHistory(userId, limit) {
+            const uses = new Map();
+            tables.transactions
+                .filter(t => t.user_id === userId && t.transaction_type === 'expense' && t.description)
+                .forEach(t => {
+                    const key = JSON.stringify([t.description, t.category]);
+                    const row = uses.get(key) || { description: t.description, category: t.category, uses: 0 };
+                    row.uses++;
+                    uses.set(key, row);
+                });
+            return [...uses.values()].sort((a, b) => b.uses - a.uses).slice(0, limit);
+        },
+
+        transactionsOnDays: async (userId, first, last) => tables.transactions
+            .map(t => ({ transaction: t, day: toDateString(t.transaction_date) }))
+            .filter(({ transaction, day }) => transaction.user_id === userId && day >= first && day <= last)
+            .map(({ transaction, day }) => ({ id: transaction.id, transaction_type: transaction.transaction_type, amount: transaction.amount, day })),
+
+        async createImportBatch(userId, { fileName, format, storedPath, rows }) {
+            return insert('import_batches', {
+                user_id: userId,
+                file_name: fileName,
+                file_format: format,
+                stored_path: storedPath,
+                rows_json: JSON.stringify(rows),
+                row_count: rows.length,
+                imported_count: 0,
+                status: 'pending',
+                confirmed_at: null
+            }).id;
+        },
+
+        findImportBatch: async (userId, batchId) =>
+            copy(tables.import_batches.find(b => b.id === batchId && b.user_id === userId)),
+
+        async updateImportRows(batchId, rows) {
+            const batch = tables.import_batches.find(b => b.id === batchId);
+            if (batch) {
+                Object.assign(batch, { rows_json: JSON.stringify(rows), row_count: rows.length });
+            }
+        },
+
+        async claimImportBatch(batchId, status) {
+            const batch = tables.import_batches.find(b => b.id === batchId && b.status === 'pending');
+            if (!batch) {
+                return false;
+            }
+            batch.status = status;
+            return true;
+        },
+
+        async confirmImportBatch(batchId, { rows, importedCount }) {
+            const batch = tables.import_batches.find(b => b.id === batchId && b.status === 'confirming');
+            if (batch) {
+                Object.assign(batch, { status: 'confirmed', rows_json: JSON.stringify(rows), imported_count: importedCount, confirmed_at: now() });
+            }
+        },
+
+        // CHAT
+
+        async findChatDraft(userId, since) {
+            const draft = tables.chat_entry_drafts.find(d => d.user_id === userId && d.created_at >= since);
+            return draft ? { draft_json: draft.draft_json } : null;
+        },
+
+        async saveChatDraft(userId, draftJson) {
+            tables.chat_entry_drafts = tables.chat_entry_drafts.filter(d => d.user_id !== userId);
+            insert('chat_entry_drafts', { user_id: userId, draft_json: draftJson });
+        },
+
+        async deleteChatDraft(userId) {
+            tables.chat_entry_drafts = tables.chat_entry_drafts.filter(d => d.user_id !== userId);
+        },
+
+        async findConversation(userId, conversationId) {
+            const conversation = tables.chat_conversations.find(c => c.id === conversationId && c.user_id === userId);
+            return conversation ? conversationRow(conversation) : null;
+        },
+
+        async latestConversation(userId) {
+            const [latest] = tables.chat_conversations
+                .filter(c => c.user_id === userId)
+                .sort((a, b) => b.updated_at - a.updated_at || b.id - a.id);
+            return latest ? conversationRow(latest) : null;
+        },
+
+        async createConversation(userId, title = null) {
+            return insert('chat_conversations', { user_id: userId, title, updated_at: now() }).id;
+        },
+
+        listConversations: async (userId, { limit, after = null }) => tables.chat_conversations
+            .filter(c => c.user_id === userId
+                && (!after || c.updated_at < after.value || (c.updated_at.getTime() === after.value.getTime() && c.id < after.id)))
+            .sort((a, b) => b.updated_at - a.updated_at || b.id - a.id)
+            .slice(0, limit)
+            .map(conversationRow),
+
+        async touchConversation(conversationId, title) {
+            const conversation = tables.chat_conversations.find(c => c.id === conversationId);
+            if (conversation) {
+                Object.assign(conversation, { title: conversation.title ?? title, updated_at: now() });
+            }
+        },
+
+        async deleteConversation(userId, conversationId) {
+            if (!tables.chat_conversations.some(c => c.id === conversationId && c.user_id === userId)) {
+                return false;
+            }
+            tables.chat_messages = tables.chat_messages.filter(m => m.conversation_id !== conversationId);
+            tables.chat_conversations = tables.chat_conversations.filter(c => c.id !== conversationId);
+            return true;
+        },
+
+        async addChatMessage({ userId, conversationId, type, content }) {
+            return insert('chat_messages', { user_id: userId, conversation_id: conversationId, message_type: type, message_content: content }).id;
+        },
+
+        findChatMessages: async (messageIds) => tables.chat_messages
+            .filter(m => messageIds.includes(m.id))
+            .sort((a, b) => a.id - b.id)
+            .map(messageRow),
+
+        chatMessages: async (conversationId, { limit, after = null }) => tables.chat_messages
+            .filter(m => m.conversation_id === conversationId
+                && (!after || m.created_at < after.value || (m.created_at.getTime() === after.value.getTime() && m.id < after.id)))
+            .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+            .slice(0, limit)
+            .map(messageRow),
+
+        async deleteChatHistory(userId) {
+            const deleted = tables.chat_conversations.filter(c => c.user_id === userId).length;
+            tables.chat_entry_drafts = tables.chat_entry_drafts.filter(d => d.user_id !== userId);
+            tables.chat_messages = tables.chat_messages.filter(m => m.user_id !== userId);
+            tables.chat_conversations = tables.chat_conversations.filter(c => c.user_id !== userId);
+            return deleted;
+        },
+
+        // GROUPS
+
+        groupMembers: async (groupId) => tables.group_members
+            .filter(m => m.group_id === groupId && m.status === 'active')
+            .sort((a, b) => a.joined_at - b.joined_at || a.user_id - b.user_id)
+            .map(m => {
+                const user = findUserRow(m.user_id);
+                return { user_id: m.user_id, name: user.name, base_currency: user.base_currency };
+            }),
+
+        listGroups: async (userId) => tables.expense_groups
+            .filter(g => tables.group_members.some(m => m.group_id === g.id && m.user_id === userId && m.status === 'active'))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(groupRow),
+
+        async findGroup(groupId) {
+            const group = tables.expense_groups.find(g => g.id === groupId);
+            return group ? groupRow(group) : null;
+        },
+
+        async createGroup(userId, name) {
+            const group = insert('expense_groups', { name, created_by: userId });
+            insert('group_members', { group_id: group.id, user_id: userId, status: 'active', joined_at: now() });
+            return group.id;
+        },
+
+        uninvitedUsers: async (groupId, emails) => tables.users
+            .filter(u => emails.includes(u.email.toLowerCase()) && !findMemberRow(groupId, u.id))
+            .map(u => ({ id: u.id, base_currency: u.base_currency })),
+
+        async inviteToGroup(groupId, userId) {
+            insert('group_members', { group_id: groupId, user_id: userId, status: 'invited', joined_at: now() });
+        },
+
+        groupInvitations: async (userId) => tables.group_members
+            .filter(m => m.user_id === userId && m.status === 'invited')
+            .sort((a, b) => b.joined_at - a.joined_at)
+            .map(m => {
+                const group = tables.expense_groups.find(g => g.id === m.group_id);
+                return copy({
+                    id: group.id,
+                    name: group.name,
+                    invited_at: m.joined_at,
+                    member_count: tables.group_members.filter(o => o.group_id === group.id && o.status === 'active').length
+                });
+            }),
+
+        countGroupMembers: async (groupId) =>
+            tables.group_members.filter(m => m.group_id === groupId && m.status === 'active').length,
+
+        async acceptGroupInvitation(groupId, userId) {
+            const member = findMemberRow(groupId, userId);
+            if (!member || member.status !== 'invited') {
+                return false;
+            }
+            Object.assign(member, { status: 'active', joined_at: now() });
+            return true;
+        },
+
+        async declineGroupInvitation(groupId, userId) {
+            const member = findMemberRow(groupId, userId);
+            if (!member || member.status !== 'invited') {
+                return false;
+            }
+            tables.group_members = tables.group_members.filter(m => m !== member);
+            return true;
+        },
+
+        async removeGroupMember(groupId, userId) {
+            tables.group_members = tables.group_members.filter(m => !(m.group_id === groupId && m.user_id === userId));
+        },
+
+        async deleteGroup(groupId) {
+            const expenseIds = tables.group_expenses.filter(e => e.group_id === groupId).map(e => e.id);
+            tables.group_expense_shares = tables.group_expense_shares.filter(s => !expenseIds.includes(s.expense_id));
+            tables.group_expenses = tables.group_expenses.filter(e => e.group_id !== groupId);
+            tables.group_settlements = tables.group_settlements.filter(s => s.group_id !== groupId);
+            tables.group_members = tables.group_members.filter(m => m.group_id !== groupId);
+            tables.expense_groups = tables.expense_groups.filter(g => g.id !== groupId);
+        },
+
+        async groupLedger(groupId) {
+            const expenses = tables.group_expenses.filter(e => e.group_id === groupId);
+            return copy({
+                expenses: expenses.map(e => ({ id: e.id, paid_by: e.paid_by, amount: e.amount })),
+                shares: tables.group_expense_shares
+                    .filter(s => expenses.some(e => e.id === s.expense_id))
+                    .map(s => ({ expense_id: s.expense_id, user_id: s.user_id, amount: s.amount })),
+                settlements: tables.group_settlements
+                    .filter(s => s.group_id === groupId)
+                    .map(s => ({ from_user: s.from_user, to_user: s.to_user, amount: s.amount }))
+            });
+        },
+
+        groupExpenses: async (groupId, { limit, after = null }) => tables.group_expenses
+            .filter(e => e.group_id === groupId
+                && (!after || e.expense_date < after.value || (e.expense_date.getTime() === after.value.getTime() && e.id < after.id)))
+            .sort((a, b) => b.expense_date - a.expense_date || b.id - a.id)
+            .slice(0, limit)
+            .map(({ group_id, created_at, ...expense }) => copy(expense)),
+
+        groupExpenseShares: async (expenseIds) => tables.group_expense_shares
+            .filter(s => expenseIds.includes(s.expense_id))
+            .map(({ id, created_at, ...share }) => copy(share)),
+
+        async findGroupExpense(groupId, expenseId) {
+            const expense = tables.group_expenses.find(e => e.id === expenseId && e.group_id === groupId);
+            return expense ? { id: expense.id, paid_by: expense.paid_by, created_by: expense.created_by } : null;
+        },
+
+        async createGroupExpense({ groupId, paidBy, createdBy, amount, description, category, splitMethod, date = null }) {
+            return insert('group_expenses', {
+                group_id: groupId,
+                paid_by: paidBy,
+                created_by: createdBy,
+                amount: toDecimal(toMinor(amount)),
+                description,
+                category,
+                split_method: splitMethod,
+                expense_date: date ? new Date(date) : now()
+            }).id;
+        },
+
+        async addGroupExpenseShare({ expenseId, userId, amount, shares = null, transactionId = null, bookingError = null }) {
+            insert('group_expense_shares', {
+                expense_id: expenseId,
+                user_id: userId,
+                amount: toDecimal(toMinor(amount)),
+                shares: shares !== null ? toDecimal(toMinor(shares)) : null,
+                transaction_id: transactionId,
+                booking_error: bookingError
+            });
+        },
+
+        bookedGroupShares: async (expenseId) => tables.group_expense_shares
+            .filter(s => s.expense_id === expenseId && s.transaction_id !== null)
+            .map(s => ({ user_id: s.user_id, transaction_id: s.transaction_id })),
+
+        async deleteGroupExpense(expenseId) {
+            tables.group_expense_shares = tables.group_expense_shares.filter(s => s.expense_id !== expenseId);
+            tables.group_expenses = tables.group_expenses.filter(e => e.id !== expenseId);
+        },
+
+        groupSettlements: async (groupId, limit) => tables.group_settlements
+            .filter(s => s.group_id === groupId)
+            .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+            .slice(0, limit)
+            .map(({ group_id, ...settlement }) => copy(settlement)),
+
+        async createGroupSettlement({ groupId, fromUser, toUser, amount, note = null, createdBy }) {
+            return insert('group_settlements', {
+                group_id: groupId,
+                from_user: fromUser,
+                to_user: toUser,
+                amount: toDecimal(toMinor(amount)),
+                note,
+                created_by: createdBy
+            }).id;
+        },
+
+        // RECURRING TRANSACTIONS
+
+        listRecurring: async (userId, { activeOnly = false, includeIncome = true } = {}) => tables.recurring_transactions
+            .filter(r => r.user_id === userId && (!activeOnly || r.is_active) && (includeIncome || r.transaction_type === 'expense'))
+            .sort((a, b) => b.is_active - a.is_active || nullsFirst(a.next_run_at) - nullsFirst(b.next_run_at) || a.id - b.id)
+            .map(copy),
+
+        findRecurring: async (userId, recurringId) =>
+            copy(tables.recurring_transactions.find(r => r.id === recurringId && r.user_id === userId)),
+
+        async createRecurring(userId, { name, type, category, source, amount, description, frequency, cronExpression, startsAt, endsAt, nextRunAt }) {
+            return insert('recurring_transactions', {
+                user_id: userId,
+                name,
+                transaction_type: type,
+                category,
+                source,
+                amount: toDecimal(toMinor(amount)),
+                description,
+                frequency,
+                cron_expression: cronExpression,
+                starts_at: startsAt,
+                ends_at: endsAt,
+                next_run_at: nextRunAt,
+                last_run_at: null,
+                last_status: null,
+                last_error: null,
+                is_active: 1,
+                updated_at: now()
+            }).id;
+        },
+
+        async updateRecurring(recurringId, fields) {
+            const schedule = tables.recurring_transactions.find(r => r.id === recurringId);
+            if (!schedule) {
+                return;
+            }
+            Object.entries(RECURRING_FIELDS)
+                .filter(([field]) => fields[field] !== undefined)
+                .forEach(([field, column]) => {
+                    const value = fields[field];
+                    schedule[column] = typeof value === 'boolean' ? Number(value)
+                        : column === 'amount' ? toDecimal(toMinor(value))
+                            : value;
+                });
+            schedule.updated_at = now();
+        },
+
+        async deleteRecurring(userId, recurringId) {
+            if (!tables.recurring_transactions.some(r => r.id === recurringId && r.user_id === userId)) {
+                return false;
+            }
+            tables.recurring_transactions = tables.recurring_transactions.filter(r => r.id !== recurringId);
+            return true;
+        },
+
+        dueRecurring: async (at) => tables.recurring_transactions
+            .filter(r => r.is_active && r.next_run_at !== null && r.next_run_at <= at)
+            .sort((a, b) => a.next_run_at - b.next_run_at)
+            .map(copy),
+
+        async lockRecurring(recurringId) {
+            const schedule = tables.recurring_transactions.find(r => r.id === recurringId);
+            return schedule ? { next_run_at: schedule.next_run_at, is_active: schedule.is_active } : null;
+        },
+
+        // SAVINGS RULES
+
+        listSavingsRules: async (userId) => tables.savings_rules
+            .filter(r => r.user_id === userId)
+            .sort((a, b) => b.is_active - a.is_active || a.rule_type.localeCompare(b.rule_type)
+                || (a.income_source !== null) - (b.income_source !== null) || (a.income_source || '').localeCompare(b.income_source || '')
+                || a.id - b.id)
+            .map(copy),
+
+        findSavingsRule: async (userId, ruleId) =>
+            copy(tables.savings_rules.find(r => r.id === ruleId && r.user_id === userId)),
+
+        async createSavingsRule(userId, { ruleType, incomeSource, value }) {
+            return insert('savings_rules', {
+                user_id: userId,
+                rule_type: ruleType,
+                income_source: incomeSource,
+                value: toDecimal(toMinor(value)),
+                is_active: 1,
+                updated_at: now()
+            }).id;
+        },
+
+        async updateSavingsRule(ruleId, { value, isActive }) {
+            const rule = tables.savings_rules.find(r => r.id === ruleId);
+            if (rule) {
+                Object.assign(rule, { value: toDecimal(toMinor(value)), is_active: Number(isActive), updated_at: now() });
+            }
+        },
+
+        async deleteSavingsRule(userId, ruleId) {
+            if (!tables.savings_rules.some(r => r.id === ruleId && r.user_id === userId)) {
+                return false;
+            }
+            tables.savings_rules = tables.savings_rules.filter(r => r.id !== ruleId);
+            return true;
+        },
+
+        async deactivateConflictingRules(userId, { ruleType, incomeSource, keepId }) {
+            tables.savings_rules
+                .filter(r => r.user_id === userId && r.id !== keepId && (ALLOWANCE_RULE_TYPES.includes(ruleType)
+                    ? ALLOWANCE_RULE_TYPES.includes(r.rule_type)
+                    : r.rule_type === ruleType && r.income_source === incomeSource))
+                .forEach(r => Object.assign(r, { is_active: 0, updated_at: now() }));
+        },
+
+        async allowanceRule(userId) {
+            const rule = tables.savings_rules
+                .filter(r => r.user_id === userId && ALLOWANCE_RULE_TYPES.includes(r.rule_type) && r.is_active)
+                .sort((a, b) => b.id - a.id)[0];
+            return rule ? { rule_type: rule.rule_type, value: rule.value } : null;
+        },
+
+        // REMINDERS AND NOTIFICATIONS
+
+        listReminders: async (userId) => tables.reminders
+            .filter(r => r.user_id === userId)
+            .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+            .map(copy),
+
+        findReminder: async (userId, reminderId) =>
+            copy(tables.reminders.find(r => r.id === reminderId && r.user_id === userId)),
+
+        async createReminder(userId, { type, message, frequency = null, startAt = null, nextRunAt = null, conditionType = null, conditionCategory = null, threshold = null }) {
+            return insert('reminders', {
+                user_id: userId,
+                reminder_type: type,
+                message,
+                frequency,
+                start_at: startAt,
+                condition_type: conditionType,
+                condition_category: conditionCategory,
+                condition_threshold: threshold !== null ? toDecimal(toMinor(threshold)) : null,
+                condition_met: 0,
+                next_run_at: nextRunAt,
+                last_triggered_at: null,
+                is_active: 1
+            }).id;
+        },
+
+        async updateReminder(reminderId, fields) {
+            const reminder = tables.reminders.find(r => r.id === reminderId);
+            if (!reminder) {
+                return;
+            }
+            Object.entries(REMINDER_FIELDS)
+                .filter(([field]) => fields[field] !== undefined)
+                .forEach(([field, column]) => {
+                    const value = fields[field];
+                    reminder[column] = typeof value === 'boolean' ? Number(value)
+                        : column === 'condition_threshold' && value !== null ? toDecimal(toMinor(value))
+                            : value;
+                });
+        },
+
+        async deleteReminder(userId, reminderId) {
+            if (!tables.reminders.some(r => r.id === reminderId && r.user_id === userId)) {
+                return false;
+            }
+            tables.reminders = tables.reminders.filter(r => r.id !== reminderId);
+            tables.notifications.filter(n => n.reminder_id === reminderId).forEach(n => { n.reminder_id = null; });
+            return true;
+        },
+
+        dueReminders: async (at) => tables.reminders
+            .filter(r => r.is_active && r.reminder_type === 'recurring' && r.next_run_at <= at)
+            .map(r => copy({
+                id: r.id,
+                user_id: r.user_id,
+                message: r.message,
+                frequency: r.frequency,
+                start_at: r.start_at,
+                next_run_at: r.next_run_at
+            })),
+
+        conditionReminders: async () => tables.reminders
+            .filter(r => r.is_active && r.reminder_type === 'condition')
+            .map(r => {
+                const user = findUserRow(r.user_id);
+                return copy({
+                    id: r.id,
+                    user_id: r.user_id,
+                    message: r.message,
+                    condition_type: r.condition_type,
+                    condition_category: r.condition_category,
+                    condition_threshold: r.condition_threshold,
+                    condition_met: r.condition_met,
+                    current_balance: user.current_balance,
+                    monthly_allowance: user.monthly_allowance,
+                    category_spent: findSummaryRow(r.user_id, r.condition_category)?.total_amount ?? '0.00'
+                });
+            }),
+
+        async createNotification({ userId, reminderId = null, message, createdAt = now() }) {
+            insert('notifications', { user_id: userId, reminder_id: reminderId, message, is_read: 0, created_at: createdAt });
+        },
+
+        listNotifications: async (userId, { unreadOnly = false, afterId = 0, limit }) => tables.notifications
+            .filter(n => n.user_id === userId && n.id > afterId && (!unreadOnly || !n.is_read))
+            .sort((a, b) => b.id - a.id)
+            .slice(0, limit)
+            .map(({ user_id, ...notification }) => copy(notification)),
+
+        unreadNotifications: async (userId) => tables.notifications.filter(n => n.user_id === userId && !n.is_read).length,
+
+        async markNotificationsRead(userId) {
+            tables.notifications.filter(n => n.user_id === userId).forEach(n => { n.is_read = 1; });
+        },
+
+        async markNotificationRead(userId, notificationId) {
+            const notification = tables.notifications.find(n => n.id === notificationId && n.user_id === userId);
+            if (!notification) {
+                return false;
+            }
+            notification.is_read = 1;
+            return true;
+        },
+
+        // EXCHANGE RATES AND AUDIT LOG
+
+        convertAmount: (amount, from, to, date) => convertWithRates(lookupRate, amount, from, to, date),
+
+        latestRates: (base, date) => latestRatesWith(lookupRate, base, date),
+
+        async recordAudit({ before, ...entry }) {
+            const row = auditRow(entry, before, await storage.readBalances(entry.userId));
+            return row ? insert('audit_log', row).id : null;
+        },
+
+        async audited(entry, operation, describe = () => ({})) {
+            const before = await storage.readBalances(entry.userId);
+            const result = await operation();
+            await storage.recordAudit({ ...entry, ...describe(result), before });
+            return result;
+        },
+
+        auditEntries: async (userId, { action, from, to, limit, after = null }) => tables.audit_log
+            .filter(a => a.user_id === userId
+                && (action === undefined || a.action === action)
+                && (from === undefined || a.created_at >= from)
+                && (to === undefined || a.created_at < to)
+                && (!after || a.created_at < after.value || (a.created_at.getTime() === after.value.getTime() && a.id < after.id)))
+            .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+            .slice(0, limit)
+            .map(a => copy({ ...a, actor_name: a.actor_id !== null ? findUserRow(a.actor_id)?.name ?? null : null }))
+    };
+
+    return storage;
+}
+
+module.exports = { createMemoryStorage };
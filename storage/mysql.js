@@ -0,0 +1,1411 @@
+// MySQL storage: the repository methods as plain queries against the FINHIGH schema (see migrations/).
+// `db` is the pool, or one connection while a transaction() is running.
+const { convertAmount, latestRates } = require('../exchangeRates');
+const { readBalances, recordAudit, audited } = require('../audit');
+const { DEFAULT_CURRENCY, toMinor, toDecimal } = require('../money');
+const { DEFAULT_SAVINGS_DEDUCTION, DEFAULT_INCOME_SPLIT } = require('./defaults');
+
+const USER_COLUMNS = 'u.id, u.name, u.email, u.monthly_allowance, u.base_currency, u.current_balance, u.total_savings, u.total_spent, u.notes';
+const TRANSACTION_COLUMNS = `id, transaction_type, category, amount, currency, original_amount, exchange_rate, savings_amount,
+                    description, source, transaction_date`;
+const CATEGORY_COLUMNS = 'category_name, icon_class, display_name, color, is_archived, monthly_limit, limit_action';
+const GOAL_COLUMNS = 'id, goal_name, target_amount, current_amount, target_date, status, created_at';
+const TRANSACTION_SORTS = { date: 'transaction_date', amount: 'amount' };
+
+// updateTransaction() fields and their columns
+const TRANSACTION_FIELDS = {
+    amount: 'amount',
+    savingsAmount: 'savings_amount',
+    category: 'category',
+    source: 'source',
+    description: 'description',
+    currency: 'currency',
+    originalAmount: 'original_amount',
+    exchangeRate: 'exchange_rate'
+};
+
+// updateReminder() fields and their columns
+const REMINDER_FIELDS = {
+    message: 'message',
+    isActive: 'is_active',
+    frequency: 'frequency',
+    startAt: 'start_at',
+    nextRunAt: 'next_run_at',
+    conditionCategory: 'condition_category',
+    threshold: 'condition_threshold',
+    conditionMet: 'condition_met',
+    lastTriggeredAt: 'last_triggered_at'
+};
+
+// updateRecurring() fields and their columns
+const RECURRING_FIELDS = {
+    name: 'name',
+    amount: 'amount',
+    category: 'category',
+    source: 'source',
+    description: 'description',
+    frequency: 'frequency',
+    cronExpression: 'cron_expression',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    nextRunAt: 'next_run_at',
+    isActive: 'is_active',
+    lastRunAt: 'last_run_at',
+    lastStatus: 'last_status',
+    lastError: 'last_error'
+};
+
+const ALLOWANCE_RULE_TYPES = ['allowance_fixed', 'allowance_percent'];
+
+// WHERE clause for the transaction filters ({ type, categories, source, minAmount, maxAmount, from, to, q })
+function transactionWhere(userId, { type, categories = [], source, minAmount, maxAmount, from, to, q } = {}) {
+    const where = ['user_id = ?'];
+    const params = [userId];
+    const add = (clause, ...values) => {
+        where.push(clause);
+        params.push(...values);
+    };
+
+    if (type !== undefined) {
+        add('transaction_type = ?', type);
+    }
+    if (categories.length > 0) {
+        add(`category IN (${categories.map(() => '?').join(', ')})`, ...categories);
+    }
+    if (source !== undefined) {
+        add('source = ?', source);
+    }
+    if (minAmount !== undefined) {
+        add('amount >= ?', minAmount);
+    }
+    if (maxAmount !== undefined) {
+        add('amount <= ?', maxAmount);
+    }
+    if (from !== undefined) {
+        add('transaction_date >= ?', from);
+    }
+    if (to !== undefined) {
+        add('transaction_date < ?', to);
+    }
+    if (q) {
+        add(`description LIKE ? ESCAPE '\\\\'`, `%${String(q).replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    return { where, params };
+}
+
+function createMySqlStorage(db, { inTransaction = false } = {}) {
+    const queryRows = async (sql, params) => (await db.execute(sql, params))[0];
+    const queryRow = async (sql, params) => (await queryRows(sql, params))[0] || null;
+    const affectsRows = async (sql, params) => (await db.execute(sql, params))[0].affectedRows > 0;
+    // Rows read inside a transaction are held until it ends
+    const forUpdate = inTransaction ? ' FOR UPDATE' : '';
+
+    const storage = {
+        driver: 'mysql',
+
+        // Run `work(storage)` in one database transaction; nested calls join the running one
+        async transaction(work) {
+            if (inTransaction) {
+                return work(storage);
+            }
+            const connection = await db.getConnection();
+            try {
+                await connection.beginTransaction();
+                const result = await work(createMySqlStorage(connection, { inTransaction: true }));
+                await connection.commit();
+                return result;
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            } finally {
+                connection.release();
+            }
+        },
+
+        // USERS AND SESSIONS
+
+        // A new account with the default savings rules, a copy of the shared categories and a first budget
+        // period running to the end of the month, the default deduction already moved to savings. Resolves to
+        // the new user's id, or null when the email is already registered.
+        async createUser({ name, email, passwordHash, allowance, baseCurrency }) {
+            if (!inTransaction) {
+                return storage.transaction(tx => tx.createUser({ name, email, passwordHash, allowance, baseCurrency }));
+            }
+            const credited = toMinor(allowance);
+            const deduction = Math.min(toMinor(DEFAULT_SAVINGS_DEDUCTION), credited);
+            let result;
+            try {
+                [result] = await db.execute(
+                    `INSERT INTO users (name, email, password_hash, monthly_allowance, base_currency, current_balance, total_savings)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        name, email, passwordHash, toDecimal(credited), baseCurrency || DEFAULT_CURRENCY,
+                        toDecimal(credited - deduction), toDecimal(deduction)
+                    ]
+                );
+            } catch (error) {
+                if (error.code === 'ER_DUP_ENTRY') {
+                    return null;
+                }
+                throw error;
+            }
+            const userId = result.insertId;
+
+            await db.execute(
+                `INSERT INTO savings_rules (user_id, rule_type, value) VALUES (?, 'allowance_fixed', ?), (?, 'income_split', ?)`,
+                [userId, DEFAULT_SAVINGS_DEDUCTION, userId, DEFAULT_INCOME_SPLIT]
+            );
+            await db.execute(
+                `INSERT INTO user_categories (user_id, category_name, display_name, icon_class, color)
+                 SELECT ?, category_name, display_name, icon_class, color FROM expense_categories`,
+                [userId]
+            );
+            await db.execute(
+                `INSERT INTO user_expense_summaries (user_id, category, total_amount)
+                 SELECT ?, category_name, 0.00 FROM expense_categories`,
+                [userId]
+            );
+            await db.execute(
+                `INSERT INTO budget_periods (user_id, period_start, period_end, allowance_credited, savings_deduction)
+                 VALUES (?, CURDATE(), LAST_DAY(CURDATE()), ?, ?)`,
+                [userId, toDecimal(credited), toDecimal(deduction)]
+            );
+            return userId;
+        },
+
+        // The user with their open budget period (period_start and period_end are null without one)
+        findUser: (userId) => queryRow(
+            `SELECT ${USER_COLUMNS}, u.pay_day, u.rollover_mode, u.created_at, bp.period_start, bp.period_end
+             FROM users u
+             LEFT JOIN budget_periods bp ON bp.user_id = u.id AND bp.status = 'open'
+             WHERE u.id = ?`,
+            [userId]
+        ),
+
+        findUserByEmail: (email) => queryRow(
+            `SELECT ${USER_COLUMNS}, u.password_hash FROM users u WHERE u.email = ?`,
+            [email]
+        ),
+
+        async updateNotes(userId, notes) {
+            await db.execute('UPDATE users SET notes = ? WHERE id = ?', [notes, userId]);
+        },
+
+        // Change the pay day, rollover mode, allowance or base currency (undefined fields are kept)
+        async updateBudgetSettings(userId, { payDay, rolloverMode, allowance, baseCurrency }) {
+            await db.execute(
+                `UPDATE users
+                 SET pay_day = COALESCE(?, pay_day),
+                     rollover_mode = COALESCE(?, rollover_mode),
+                     monthly_allowance = COALESCE(?, monthly_allowance),
+                     base_currency = COALESCE(?, base_currency)
+                 WHERE id = ?`,
+                [payDay ?? null, rolloverMode ?? null, allowance ?? null, baseCurrency ?? null, userId]
+            );
+        },
+
+        // The user's data goes through ON DELETE CASCADE foreign keys; shared group history is kept, with the
+        // account's side set to NULL
+        async deleteUser(userId) {
+            await db.execute('DELETE FROM users WHERE id = ?', [userId]);
+        },
+
+        // Whether the user has transactions, goals or category limits, all of which are in their base currency
+        async hasMoneyRecords(userId) {
+            const row = await queryRow(
+                `SELECT EXISTS (SELECT 1 FROM transactions WHERE user_id = ?)
+                     OR EXISTS (SELECT 1 FROM financial_goals WHERE user_id = ?)
+                     OR EXISTS (SELECT 1 FROM user_categories WHERE user_id = ? AND monthly_limit IS NOT NULL) AS recorded`,
+                [userId, userId, userId]
+            );
+            return Boolean(row.recorded);
+        },
+
+        async createSession({ userId, refreshTokenHash, userAgent, ipAddress, expiresAt }) {
+            const [result] = await db.execute(
+                `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [userId, refreshTokenHash, userAgent, ipAddress, expiresAt]
+            );
+            return result.insertId;
+        },
+
+        async isSessionActive(sessionId, userId) {
+            const rows = await queryRows(
+                'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [sessionId || 0, userId]
+            );
+            return rows.length > 0;
+        },
+
+        findSessionByToken: (refreshTokenHash) => queryRow(
+            'SELECT id, user_id, expires_at, revoked_at FROM sessions WHERE refresh_token_hash = ?',
+            [refreshTokenHash]
+        ),
+
+        // Swap in a new refresh token; the old one is kept so a replay of it can be recognised. Resolves to
+        // false when the session no longer holds `previousTokenHash` (a concurrent refresh rotated it first).
+        rotateSession: (sessionId, { refreshTokenHash, previousTokenHash, expiresAt }) => affectsRows(
+            `UPDATE sessions
+             SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = ?, expires_at = ?
+             WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+            [refreshTokenHash, previousTokenHash, new Date(), expiresAt, sessionId, previousTokenHash]
+        ),
+
+        // End the session a rotated-out refresh token belonged to
+        async revokeRotatedSession(previousTokenHash) {
+            await db.execute(
+                'UPDATE sessions SET revoked_at = ? WHERE previous_token_hash = ? AND revoked_at IS NULL',
+                [new Date(), previousTokenHash]
+            );
+        },
+
+        activeSessions: (userId, now) => queryRows(
+            `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+             FROM sessions
+             WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+             ORDER BY last_used_at DESC`,
+            [userId, now]
+        ),
+
+        // Resolves to false when the session is not the user's or has already ended
+        revokeSession: (userId, sessionId) => affectsRows(
+            'UPDATE sessions SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+            [new Date(), sessionId, userId]
+        ),
+
+        // End every session of the user, apart from the one whose id is `except`
+        async revokeAllSessions(userId, { except = null } = {}) {
+            await db.execute(
+                `UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL${except !== null ? ' AND id <> ?' : ''}`,
+                except !== null ? [new Date(), userId, except] : [new Date(), userId]
+            );
+        },
+
+        // PASSWORDS
+
+        async findPasswordHash(userId) {
+            const row = await queryRow('SELECT password_hash FROM users WHERE id = ?', [userId]);
+            return row ? row.password_hash : null;
+        },
+
+        async setPasswordHash(userId, passwordHash) {
+            await db.execute('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, userId]);
+        },
+
+        async createPasswordReset({ userId, tokenHash, expiresAt }) {
+            await db.execute(
+                'INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+                [userId, tokenHash, expiresAt]
+            );
+        },
+
+        // An unused reset token that has not expired at `now`
+        findPasswordReset: (tokenHash, now) => queryRow(
+            'SELECT id, user_id FROM password_resets WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+            [tokenHash, now]
+        ),
+
+        // Mark every outstanding reset token of the user as used
+        async usePasswordResets(userId) {
+            await db.execute(
+                'UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+                [new Date(), userId]
+            );
+        },
+
+        // IDEMPOTENCY KEYS
+
+        // Claim a key for a request, dropping an expired claim first. Resolves to { claimed: true }, or to
+        // { claimed: false, previous } with the stored { request_hash, status_code, response_body } (null if
+        // it was released in the meantime). The unique index makes concurrent retries lose the race.
+        async claimIdempotencyKey({ userId, key, requestHash, expiredBefore }) {
+            await db.execute(
+                'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND created_at < ?',
+                [userId, key, expiredBefore]
+            );
+            try {
+                await db.execute(
+                    'INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash) VALUES (?, ?, ?)',
+                    [userId, key, requestHash]
+                );
+                return { claimed: true };
+            } catch (error) {
+                if (error.code !== 'ER_DUP_ENTRY') {
+                    throw error;
+                }
+            }
+            const previous = await queryRow(
+                'SELECT request_hash, status_code, response_body FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+                [userId, key]
+            );
+            return { claimed: false, previous };
+        },
+
+        async saveIdempotentResponse(userId, key, statusCode, body) {
+            await db.execute(
+                'UPDATE idempotency_keys SET status_code = ?, response_body = ? WHERE user_id = ? AND idempotency_key = ?',
+                [statusCode, JSON.stringify(body), userId, key]
+            );
+        },
+
+        async releaseIdempotencyKey(userId, key) {
+            await db.execute('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key]);
+        },
+
+        // CATEGORIES
+
+        // A shared category or one of the user's own
+        async categoryExists(userId, name) {
+            const rows = await queryRows(
+                `SELECT 1 FROM expense_categories WHERE category_name = ?
+                 UNION ALL
+                 SELECT 1 FROM user_categories WHERE user_id = ? AND category_name = ?
+                 LIMIT 1`,
+                [name, userId ?? null, name]
+            );
+            return rows.length > 0;
+        },
+
+        findActiveCategory: (userId, name) => queryRow(
+            `SELECT category_name, monthly_limit, limit_action FROM user_categories
+             WHERE user_id = ? AND category_name = ? AND is_archived = FALSE`,
+            [userId, name]
+        ),
+
+        findCategory: (userId, name) => queryRow(
+            `SELECT ${CATEGORY_COLUMNS} FROM user_categories WHERE user_id = ? AND category_name = ?`,
+            [userId, name]
+        ),
+
+        listCategories: (userId, { includeArchived = true } = {}) => queryRows(
+            `SELECT ${CATEGORY_COLUMNS} FROM user_categories
+             WHERE user_id = ?${includeArchived ? '' : ' AND is_archived = FALSE'}
+             ORDER BY category_name`,
+            [userId]
+        ),
+
+        async createCategory(userId, { name, label, icon, color }) {
+            await db.execute(
+                'INSERT INTO user_categories (user_id, category_name, display_name, icon_class, color) VALUES (?, ?, ?, ?, ?)',
+                [userId, name, label, icon, color]
+            );
+            await db.execute(
+                'INSERT IGNORE INTO user_expense_summaries (user_id, category, total_amount) VALUES (?, ?, 0.00)',
+                [userId, name]
+            );
+        },
+
+        // Change the label, icon, colour or archived flag (undefined fields are kept); false when not found
+        updateCategory: (userId, name, { label, icon, color, archived }) => affectsRows(
+            `UPDATE user_categories
+             SET display_name = COALESCE(?, display_name),
+                 icon_class = COALESCE(?, icon_class),
+                 color = COALESCE(?, color),
+                 is_archived = COALESCE(?, is_archived)
+             WHERE user_id = ? AND category_name = ?`,
+            [label ?? null, icon ?? null, color ?? null, archived !== undefined ? Boolean(archived) : null, userId, name]
+        ),
+
+        // A null limit removes it (and resets the action to 'warn'); false when the category is not found
+        setCategoryLimit: (userId, name, { limit, action }) => affectsRows(
+            'UPDATE user_categories SET monthly_limit = ?, limit_action = ? WHERE user_id = ? AND category_name = ?',
+            [limit, action, userId, name]
+        ),
+
+        // Move everything filed under `source` into `target` and delete `source`: transactions, reminder
+        // conditions, recurring schedules and category rules (a source rule whose pattern the target already
+        // has is dropped). The target's summary is rebuilt from its expenses in the open budget period.
+        // Resolves to false when either category is missing.
+        async mergeCategories(userId, source, target) {
+            if (!inTransaction) {
+                return storage.transaction(tx => tx.mergeCategories(userId, source, target));
+            }
+            const found = await queryRows(
+                `SELECT category_name FROM user_categories WHERE user_id = ? AND category_name IN (?, ?)${forUpdate}`,
+                [userId, source, target]
+            );
+            if (found.length < 2) {
+                return false;
+            }
+
+            for (const table of ['transactions', 'recurring_transactions']) {
+                await db.execute(`UPDATE ${table} SET category = ? WHERE user_id = ? AND category = ?`, [target, userId, source]);
+            }
+            await db.execute(
+                'UPDATE reminders SET condition_category = ? WHERE user_id = ? AND condition_category = ?',
+                [target, userId, source]
+            );
+            await db.execute(
+                `DELETE src FROM category_rules src
+                 JOIN category_rules dst ON dst.user_id = src.user_id AND dst.pattern = src.pattern
+                 WHERE src.user_id = ? AND src.category = ? AND dst.category = ?`,
+                [userId, source, target]
+            );
+            await db.execute('UPDATE category_rules SET category = ? WHERE user_id = ? AND category = ?', [target, userId, source]);
+
+            await db.execute('DELETE FROM user_expense_summaries WHERE user_id = ? AND category = ?', [userId, source]);
+            await db.execute(
+                `INSERT INTO user_expense_summaries (user_id, category, total_amount, transaction_count)
+                 SELECT ?, ?, COALESCE(SUM(t.amount), 0.00), COUNT(t.id)
+                 FROM transactions t
+                 LEFT JOIN budget_periods bp ON bp.user_id = t.user_id AND bp.status = 'open'
+                 WHERE t.user_id = ? AND t.transaction_type = 'expense' AND t.category = ?
+                   AND t.transaction_date >= COALESCE(bp.period_start, '1970-01-01')
+                 ON DUPLICATE KEY UPDATE
+                    total_amount = VALUES(total_amount),
+                    transaction_count = VALUES(transaction_count)`,
+                [userId, target, userId, target]
+            );
+            await db.execute('DELETE FROM user_categories WHERE user_id = ? AND category_name = ?', [userId, source]);
+            return true;
+        },
+
+        categorySummaries: (userId) => queryRows(
+            `SELECT ues.category, ues.total_amount, ues.transaction_count,
+                    uc.icon_class, uc.display_name, uc.color, uc.is_archived
+             FROM user_expense_summaries ues
+             JOIN user_categories uc ON uc.user_id = ues.user_id AND uc.category_name = ues.category
+             WHERE ues.user_id = ?
+             ORDER BY ues.total_amount DESC`,
+            [userId]
+        ),
+
+        categorySummary: (userId, category) => queryRow(
+            'SELECT total_amount, transaction_count FROM user_expense_summaries WHERE user_id = ? AND category = ?',
+            [userId, category]
+        ),
+
+        // Add a signed amount and transaction count to a category's summary
+        async addToCategorySummary(userId, category, amount, count = 1) {
+            await db.execute(
+                `INSERT INTO user_expense_summaries (user_id, category, total_amount, transaction_count)
+                 VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                     total_amount = total_amount + VALUES(total_amount),
+                     transaction_count = transaction_count + VALUES(transaction_count)`,
+                [userId, category, amount, count]
+            );
+        },
+
+        // BALANCES AND SAVINGS RULES
+
+        // Read the balances, holding the user's row until the transaction ends
+        lockBalances: (userId) => queryRow(
+            `SELECT current_balance, total_savings, total_spent FROM users WHERE id = ?${forUpdate}`,
+            [userId]
+        ),
+
+        // Add signed decimal deltas to the user's balance, savings and spending
+        async adjustBalances(userId, { balance = '0.00', savings = '0.00', spent = '0.00' }) {
+            await db.execute(
+                `UPDATE users
+                 SET current_balance = current_balance + ?,
+                     total_savings = total_savings + ?,
+                     total_spent = total_spent + ?
+                 WHERE id = ?`,
+                [balance, savings, spent, userId]
+            );
+        },
+
+        readBalances: (userId) => readBalances(db, userId),
+
+        async roundupStep(userId) {
+            const row = await queryRow(
+                `SELECT value FROM savings_rules
+                 WHERE user_id = ? AND rule_type = 'expense_roundup' AND is_active = TRUE
+                 ORDER BY id DESC LIMIT 1`,
+                [userId]
+            );
+            return row ? row.value : null;
+        },
+
+        // A rule for the income source wins over the user's default split
+        async incomeSplit(userId, source) {
+            const row = await queryRow(
+                `SELECT value FROM savings_rules
+                 WHERE user_id = ? AND rule_type = 'income_split' AND is_active = TRUE
+                   AND (income_source = ? OR income_source IS NULL)
+                 ORDER BY income_source IS NULL, id DESC
+                 LIMIT 1`,
+                [userId, source ?? null]
+            );
+            return row ? row.value : null;
+        },
+
+        // TRANSACTIONS
+
+        async insertTransaction({
+            userId,
+            type,
+            category = null,
+            amount,
+            savingsAmount = '0.00',
+            description = null,
+            source = null,
+            date = null,
+            currency = null,
+            originalAmount = null,
+            exchangeRate = null
+        }) {
+            const [result] = await db.execute(
+                `INSERT INTO transactions
+                 (user_id, transaction_type, category, amount, savings_amount, description, source,
+                  transaction_date, currency, original_amount, exchange_rate)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?)`,
+                [userId, type, category, amount, savingsAmount, description, source, date, currency, originalAmount, exchangeRate]
+            );
+            return result.insertId;
+        },
+
+        findTransaction: (userId, transactionId) => queryRow(
+            `SELECT ${TRANSACTION_COLUMNS} FROM transactions WHERE id = ? AND user_id = ?${forUpdate}`,
+            [transactionId, userId]
+        ),
+
+        // Set the given fields (see TRANSACTION_FIELDS); undefined ones are left as they are
+        async updateTransaction(transactionId, fields) {
+            const changes = Object.entries(TRANSACTION_FIELDS).filter(([field]) => fields[field] !== undefined);
+            if (changes.length === 0) {
+                return;
+            }
+            await db.execute(
+                `UPDATE transactions SET ${changes.map(([, column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...changes.map(([field]) => fields[field]), transactionId]
+            );
+        },
+
+        async deleteTransaction(transactionId) {
+            await db.execute('DELETE FROM transactions WHERE id = ?', [transactionId]);
+        },
+
+        recentTransactions: (userId, limit) => queryRows(
+            `SELECT ${TRANSACTION_COLUMNS}
+             FROM transactions
+             WHERE user_id = ?
+             ORDER BY transaction_date DESC, id DESC
+             LIMIT ${Number(limit)}`,
+            [userId]
+        ),
+
+        // One page of filtered transactions ordered by (sort column, id). `after` ({ value, id }) is the last
+        // row of the previous page: a Date for the date sort, a number for the amount sort.
+        searchTransactions(userId, filters, { sort = 'date', order = 'desc', limit, after = null }) {
+            const { where, params } = transactionWhere(userId, filters);
+            const column = TRANSACTION_SORTS[sort];
+            if (after) {
+                const comparator = order === 'desc' ? '<' : '>';
+                where.push(`(${column} ${comparator} ? OR (${column} = ? AND id ${comparator} ?))`);
+                params.push(after.value, after.value, after.id);
+            }
+            const direction = order === 'desc' ? 'DESC' : 'ASC';
+            return queryRows(
+                `SELECT ${TRANSACTION_COLUMNS}
+                 FROM transactions
+                 WHERE ${where.join(' AND ')}
+                 ORDER BY ${column} ${direction}, id ${direction}
+                 LIMIT ${Number(limit)}`,
+                params
+            );
+        },
+
+        // Count, expense and income totals of every transaction matching the filters
+        transactionSummary(userId, filters) {
+            const { where, params } = transactionWhere(userId, filters);
+            return queryRow(
+                `SELECT COUNT(*) as count,
+                        COALESCE(SUM(CASE WHEN transaction_type = 'expense' THEN amount END), 0.00) as total_expense,
+                        COALESCE(SUM(CASE WHEN transaction_type = 'income' THEN amount END), 0.00) as total_income
+                 FROM transactions
+                 WHERE ${where.join(' AND ')}`,
+                params
+            );
+        },
+
+        // Totals per type and category for [from, to); `to` null means no upper bound. foreign_amount is the
+        // part entered in other currencies.
+        transactionTotals: (userId, from, to = null) => queryRows(
+            `SELECT transaction_type, category, SUM(amount) as total_amount, COUNT(*) as transaction_count,
+                    SUM(CASE WHEN currency IS NOT NULL THEN amount ELSE 0 END) as foreign_amount
+             FROM transactions
+             WHERE user_id = ? AND transaction_date >= ?${to ? ' AND transaction_date < ?' : ''}
+             GROUP BY transaction_type, category`,
+            to ? [userId, from, to] : [userId, from]
+        ),
+
+        // Per-day, per-type, per-category totals for [from, to)
+        dailyTotals: (userId, from, to) => queryRows(
+            `SELECT DATE_FORMAT(transaction_date, '%Y-%m-%d') as day, transaction_type, category,
+                    SUM(amount) as amount, SUM(savings_amount) as savings_amount
+             FROM transactions
+             WHERE user_id = ? AND transaction_date >= ? AND transaction_date < ?
+             GROUP BY day, transaction_type, category`,
+            [userId, from, to]
+        ),
+
+        // BUDGET PERIODS AND GOALS
+
+        budgetPeriods: (userId) => queryRows(
+            'SELECT * FROM budget_periods WHERE user_id = ? ORDER BY period_start DESC',
+            [userId]
+        ),
+
+        findBudgetPeriod: (userId, periodId) => queryRow(
+            'SELECT * FROM budget_periods WHERE id = ? AND user_id = ?',
+            [periodId, userId]
+        ),
+
+        // The user's open budget period; locked inside a transaction
+        findOpenBudgetPeriod: (userId) => queryRow(
+            `SELECT * FROM budget_periods WHERE user_id = ? AND status = 'open'${forUpdate}`,
+            [userId]
+        ),
+
+        // Open periods that ended before `day` (YYYY-MM-DD), with the user's pay day
+        endedBudgetPeriods: (day) => queryRows(
+            `SELECT bp.user_id, bp.period_end, u.pay_day
+             FROM budget_periods bp
+             JOIN users u ON u.id = bp.user_id
+             WHERE bp.status = 'open' AND bp.period_end < ?`,
+            [day]
+        ),
+
+        async closeBudgetPeriod(periodId, { closingBalance, totalSpent, totalIncome, swept }) {
+            await db.execute(
+                `UPDATE budget_periods
+                 SET status = 'closed', closing_balance = ?, total_spent = ?, total_income = ?, swept_to_savings = ?,
+                     closed_at = NOW()
+                 WHERE id = ?`,
+                [closingBalance, totalSpent, totalIncome, swept, periodId]
+            );
+        },
+
+        // `start` and `end` are YYYY-MM-DD; resolves to the new period's id
+        async createBudgetPeriod(userId, { start, end, openingBalance, allowance, savingsDeduction }) {
+            const [result] = await db.execute(
+                `INSERT INTO budget_periods (user_id, period_start, period_end, opening_balance, allowance_credited, savings_deduction)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [userId, start, end, openingBalance, allowance, savingsDeduction]
+            );
+            return result.insertId;
+        },
+
+        // Category summaries cover the open budget period, so a new one starts them from zero
+        async resetCategorySummaries(userId) {
+            await db.execute(
+                'UPDATE user_expense_summaries SET total_amount = 0.00, transaction_count = 0 WHERE user_id = ?',
+                [userId]
+            );
+        },
+
+        activeGoals: (userId) => queryRows(
+            `SELECT ${GOAL_COLUMNS}
+             FROM financial_goals
+             WHERE user_id = ? AND status = 'active'
+             ORDER BY target_date IS NULL, target_date ASC, created_at ASC`,
+            [userId]
+        ),
+
+        listGoals: (userId, status = null) => queryRows(
+            `SELECT ${GOAL_COLUMNS}
+             FROM financial_goals
+             WHERE user_id = ?${status ? ' AND status = ?' : ''}
+             ORDER BY created_at DESC, id DESC`,
+            status ? [userId, status] : [userId]
+        ),
+
+        findGoal: (userId, goalId) => queryRow(
+            `SELECT ${GOAL_COLUMNS} FROM financial_goals WHERE id = ? AND user_id = ?${forUpdate}`,
+            [goalId, userId]
+        ),
+
+        async createGoal(userId, { name, targetAmount, targetDate = null }) {
+            const [result] = await db.execute(
+                'INSERT INTO financial_goals (user_id, goal_name, target_amount, target_date) VALUES (?, ?, ?, ?)',
+                [userId, name, targetAmount, targetDate]
+            );
+            return result.insertId;
+        },
+
+        async updateGoal(goalId, { name, targetAmount, targetDate, status }) {
+            await db.execute(
+                'UPDATE financial_goals SET goal_name = ?, target_amount = ?, target_date = ?, status = ? WHERE id = ?',
+                [name, targetAmount, targetDate, status, goalId]
+            );
+        },
+
+        // Add to the saved amount; the goal is completed once it covers the target
+        async addToGoal(goalId, amount) {
+            await db.execute(
+                `UPDATE financial_goals
+                 SET status = IF(current_amount + ? >= target_amount, 'completed', status),
+                     current_amount = current_amount + ?
+                 WHERE id = ?`,
+                [amount, amount, goalId]
+            );
+        },
+
+        async deleteGoal(goalId) {
+            await db.execute('DELETE FROM financial_goals WHERE id = ?', [goalId]);
+        },
+
+        // CATEGORY RULES AND IMPORTS
+
+        listCategoryRules: (userId) => queryRows(
+            'SELECT id, pattern, category, created_at FROM category_rules WHERE user_id = ? ORDER BY pattern',
+            [userId]
+        ),
+
+        // Create or replace the rule for a pattern; resolves to the saved rule
+        async saveCategoryRule(userId, pattern, category) {
+            await db.execute(
+                `INSERT INTO category_rules (user_id, pattern, category) VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE category = VALUES(category)`,
+                [userId, pattern, category]
+            );
+            return queryRow(
+                'SELECT id, pattern, category, created_at FROM category_rules WHERE user_id = ? AND pattern = ?',
+                [userId, pattern]
+            );
+        },
+
+        // Resolves to false when the rule is not the user's
+        deleteCategoryRule: (userId, ruleId) => affectsRows(
+            'DELETE FROM category_rules WHERE id = ? AND user_id = ?',
+            [ruleId, userId]
+        ),
+
+        // How often each description of a past expense went to each category, most used first
+        descriptionHistory: (userId, limit) => queryRows(
+            `SELECT description, category, COUNT(*) as uses
+             FROM transactions
+             WHERE user_id = ? AND transaction_type = 'expense' AND description <> ''
+             GROUP BY description, category
+             ORDER BY uses DESC
+             LIMIT ${Number(limit)}`,
+            [userId]
+        ),
+
+        // The transactions from the `first` to the `last` day (YYYY-MM-DD, both included), with their day
+        transactionsOnDays: (userId, first, last) => queryRows(
+            `SELECT id, transaction_type, amount, DATE_FORMAT(transaction_date, '%Y-%m-%d') as day
+             FROM transactions
+             WHERE user_id = ? AND transaction_date >= ? AND transaction_date < DATE_ADD(?, INTERVAL 1 DAY)`,
+            [userId, first, last]
+        ),
+
+        // A pending batch of parsed statement rows; resolves to its id
+        async createImportBatch(userId, { fileName, format, storedPath, rows }) {
+            const [result] = await db.execute(
+                `INSERT INTO import_batches (user_id, file_name, file_format, stored_path, rows_json, row_count)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [userId, fileName, format, storedPath, JSON.stringify(rows), rows.length]
+            );
+            return result.insertId;
+        },
+
+        findImportBatch: (userId, batchId) => queryRow(
+            `SELECT * FROM import_batches WHERE id = ? AND user_id = ?${forUpdate}`,
+            [batchId, userId]
+        ),
+
+        async updateImportRows(batchId, rows) {
+            await db.execute(
+                'UPDATE import_batches SET rows_json = ?, row_count = ? WHERE id = ?',
+                [JSON.stringify(rows), rows.length, batchId]
+            );
+        },
+
+        // Move a batch out of 'pending'; false when another request changed its status first
+        claimImportBatch: (batchId, status) => affectsRows(
+            `UPDATE import_batches SET status = ? WHERE id = ? AND status = 'pending'`,
+            [status, batchId]
+        ),
+
+        // Close a batch being confirmed with its final rows
+        async confirmImportBatch(batchId, { rows, importedCount }) {
+            await db.execute(
+                `UPDATE import_batches
+                 SET status = 'confirmed', rows_json = ?, imported_count = ?, confirmed_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'confirming'`,
+                [JSON.stringify(rows), importedCount, batchId]
+            );
+        },
+
+        // CHAT
+
+        // The user's pending chat entry ({ draft_json }) if it was saved at or after `since`
+        findChatDraft: (userId, since) => queryRow(
+            'SELECT draft_json FROM chat_entry_drafts WHERE user_id = ? AND created_at >= ?',
+            [userId, since]
+        ),
+
+        async saveChatDraft(userId, draftJson) {
+            await db.execute(
+                `INSERT INTO chat_entry_drafts (user_id, draft_json) VALUES (?, ?)
+                 ON DUPLICATE KEY UPDATE draft_json = VALUES(draft_json), created_at = CURRENT_TIMESTAMP`,
+                [userId, draftJson]
+            );
+        },
+
+        async deleteChatDraft(userId) {
+            await db.execute('DELETE FROM chat_entry_drafts WHERE user_id = ?', [userId]);
+        },
+
+        findConversation: (userId, conversationId) => queryRow(
+            'SELECT id, title, created_at, updated_at FROM chat_conversations WHERE id = ? AND user_id = ?',
+            [conversationId, userId]
+        ),
+
+        // The user's most recently active conversation
+        latestConversation: (userId) => queryRow(
+            `SELECT id, title, created_at, updated_at FROM chat_conversations
+             WHERE user_id = ? ORDER BY updated_at DESC, id DESC LIMIT 1`,
+            [userId]
+        ),
+
+        async createConversation(userId, title = null) {
+            const [result] = await db.execute('INSERT INTO chat_conversations (user_id, title) VALUES (?, ?)', [userId, title]);
+            return result.insertId;
+        },
+
+        // One page of the user's conversations, most recently active first. `after` ({ value: Date, id }) is
+        // the last conversation of the previous page.
+        listConversations(userId, { limit, after = null }) {
+            const where = ['user_id = ?'];
+            const params = [userId];
+            if (after) {
+                where.push('(updated_at < ? OR (updated_at = ? AND id < ?))');
+                params.push(after.value, after.value, after.id);
+            }
+            return queryRows(
+                `SELECT id, title, created_at, updated_at
+                 FROM chat_conversations
+                 WHERE ${where.join(' AND ')}
+                 ORDER BY updated_at DESC, id DESC
+                 LIMIT ${Number(limit)}`,
+                params
+            );
+        },
+
+        // Mark a conversation as active now; an untitled one takes `title`
+        async touchConversation(conversationId, title) {
+            await db.execute(
+                'UPDATE chat_conversations SET title = COALESCE(title, ?), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [title, conversationId]
+            );
+        },
+
+        // Resolves to false when the conversation is not the user's
+        deleteConversation: (userId, conversationId) => affectsRows(
+            'DELETE FROM chat_conversations WHERE id = ? AND user_id = ?',
+            [conversationId, userId]
+        ),
+
+        // `type` is 'user' or 'ai'; resolves to the message's id
+        async addChatMessage({ userId, conversationId, type, content }) {
+            const [result] = await db.execute(
+                'INSERT INTO chat_messages (user_id, conversation_id, message_type, message_content) VALUES (?, ?, ?, ?)',
+                [userId, conversationId, type, content]
+            );
+            return result.insertId;
+        },
+
+        findChatMessages(messageIds) {
+            if (messageIds.length === 0) {
+                return [];
+            }
+            return queryRows(
+                `SELECT id, message_type, message_content, created_at FROM chat_messages
+                 WHERE id IN (${messageIds.map(() => '?').join(', ')}) ORDER BY id`,
+                messageIds
+            );
+        },
+
+        // One page of a conversation's messages, newest first. `after` ({ value: Date, id }) is the last
+        // message of the previous page.
+        chatMessages(conversationId, { limit, after = null }) {
+            const where = ['conversation_id = ?'];
+            const params = [conversationId];
+            if (after) {
+                where.push('(created_at < ? OR (created_at = ? AND id < ?))');
+                params.push(after.value, after.value, after.id);
+            }
+            return queryRows(
+                `SELECT id, message_type, message_content, created_at
+                 FROM chat_messages
+                 WHERE ${where.join(' AND ')}
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT ${Number(limit)}`,
+                params
+            );
+        },
+
+        // Every conversation, message and pending chat entry of the user; resolves to the number of
+        // conversations deleted
+        async deleteChatHistory(userId) {
+            await db.execute('DELETE FROM chat_entry_drafts WHERE user_id = ?', [userId]);
+            await db.execute('DELETE FROM chat_messages WHERE user_id = ?', [userId]);
+            const [result] = await db.execute('DELETE FROM chat_conversations WHERE user_id = ?', [userId]);
+            return result.affectedRows;
+        },
+
+        // GROUPS
+
+        // The group's active members ([{ user_id, name, base_currency }]) in the order they joined; invitees are
+        // left out
+        groupMembers: (groupId) => queryRows(
+            `SELECT gm.user_id, u.name, u.base_currency
+             FROM group_members gm
+             JOIN users u ON u.id = gm.user_id
+             WHERE gm.group_id = ? AND gm.status = 'active'
+             ORDER BY gm.joined_at, gm.user_id`,
+            [groupId]
+        ),
+
+        // The groups the user is an active member of
+        listGroups: (userId) => queryRows(
+            `SELECT g.id, g.name, g.created_by, g.created_at
+             FROM expense_groups g
+             JOIN group_members gm ON gm.group_id = g.id
+             WHERE gm.user_id = ? AND gm.status = 'active'
+             ORDER BY g.name`,
+            [userId]
+        ),
+
+        findGroup: (groupId) => queryRow(
+            'SELECT id, name, created_by, created_at FROM expense_groups WHERE id = ?',
+            [groupId]
+        ),
+
+        // A new group with its creator as the only member; resolves to its id
+        async createGroup(userId, name) {
+            const [result] = await db.execute('INSERT INTO expense_groups (name, created_by) VALUES (?, ?)', [name, userId]);
+            await db.execute('INSERT INTO group_members (group_id, user_id) VALUES (?, ?)', [result.insertId, userId]);
+            return result.insertId;
+        },
+
+        // The accounts registered with one of `emails` (lower case) that are neither in nor invited to the group
+        uninvitedUsers(groupId, emails) {
+            if (emails.length === 0) {
+                return [];
+            }
+            return queryRows(
+                `SELECT u.id, u.base_currency
+                 FROM users u
+                 LEFT JOIN group_members gm ON gm.group_id = ? AND gm.user_id = u.id
+                 WHERE LOWER(u.email) IN (${emails.map(() => '?').join(', ')}) AND gm.user_id IS NULL`,
+                [groupId, ...emails]
+            );
+        },
+
+        async inviteToGroup(groupId, userId) {
+            await db.execute(`INSERT INTO group_members (group_id, user_id, status) VALUES (?, ?, 'invited')`, [groupId, userId]);
+        },
+
+        // The groups the user has been invited to and not answered yet, newest invitation first
+        groupInvitations: (userId) => queryRows(
+            `SELECT g.id, g.name, gm.joined_at AS invited_at,
+                    (SELECT COUNT(*) FROM group_members m WHERE m.group_id = g.id AND m.status = 'active') AS member_count
+             FROM group_members gm
+             JOIN expense_groups g ON g.id = gm.group_id
+             WHERE gm.user_id = ? AND gm.status = 'invited'
+             ORDER BY gm.joined_at DESC`,
+            [userId]
+        ),
+
+        async countGroupMembers(groupId) {
+            const row = await queryRow(
+                `SELECT COUNT(*) AS members FROM group_members WHERE group_id = ? AND status = 'active'`,
+                [groupId]
+            );
+            return row.members;
+        },
+
+        // Resolves to false when the user has no open invitation to the group
+        acceptGroupInvitation: (groupId, userId) => affectsRows(
+            `UPDATE group_members SET status = 'active', joined_at = CURRENT_TIMESTAMP
+             WHERE group_id = ? AND user_id = ? AND status = 'invited'`,
+            [groupId, userId]
+        ),
+
+        declineGroupInvitation: (groupId, userId) => affectsRows(
+            `DELETE FROM group_members WHERE group_id = ? AND user_id = ? AND status = 'invited'`,
+            [groupId, userId]
+        ),
+
+        async removeGroupMember(groupId, userId) {
+            await db.execute('DELETE FROM group_members WHERE group_id = ? AND user_id = ?', [groupId, userId]);
+        },
+
+        async deleteGroup(groupId) {
+            await db.execute('DELETE FROM expense_groups WHERE id = ?', [groupId]);
+        },
+
+        // Every expense, share and settlement of the group, for working out who owes whom
+        async groupLedger(groupId) {
+            return {
+                expenses: await queryRows('SELECT id, paid_by, amount FROM group_expenses WHERE group_id = ?', [groupId]),
+                shares: await queryRows(
+                    `SELECT s.expense_id, s.user_id, s.amount
+                     FROM group_expense_shares s
+                     JOIN group_expenses e ON e.id = s.expense_id
+                     WHERE e.group_id = ?`,
+                    [groupId]
+                ),
+                settlements: await queryRows('SELECT from_user, to_user, amount FROM group_settlements WHERE group_id = ?', [groupId])
+            };
+        },
+
+        // One page of the group's expenses, newest first. `after` ({ value: Date, id }) is the last expense of
+        // the previous page.
+        groupExpenses(groupId, { limit, after = null }) {
+            const where = ['group_id = ?'];
+            const params = [groupId];
+            if (after) {
+                where.push('(expense_date < ? OR (expense_date = ? AND id < ?))');
+                params.push(after.value, after.value, after.id);
+            }
+            return queryRows(
+                `SELECT id, paid_by, created_by, amount, description, category, split_method, expense_date
+                 FROM group_expenses
+                 WHERE ${where.join(' AND ')}
+                 ORDER BY expense_date DESC, id DESC
+                 LIMIT ${Number(limit)}`,
+                params
+            );
+        },
+
+        groupExpenseShares(expenseIds) {
+            if (expenseIds.length === 0) {
+                return [];
+            }
+            return queryRows(
+                `SELECT expense_id, user_id, amount, shares, transaction_id, booking_error
+                 FROM group_expense_shares
+                 WHERE expense_id IN (${expenseIds.map(() => '?').join(', ')})`,
+                expenseIds
+            );
+        },
+
+        findGroupExpense: (groupId, expenseId) => queryRow(
+            'SELECT id, paid_by, created_by FROM group_expenses WHERE id = ? AND group_id = ?',
+            [expenseId, groupId]
+        ),
+
+        // `date` null means now
+        async createGroupExpense({ groupId, paidBy, createdBy, amount, description, category, splitMethod, date = null }) {
+            const [result] = await db.execute(
+                `INSERT INTO group_expenses (group_id, paid_by, created_by, amount, description, category, split_method, expense_date)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+                [groupId, paidBy, createdBy, amount, description, category, splitMethod, date]
+            );
+            return result.insertId;
+        },
+
+        async addGroupExpenseShare({ expenseId, userId, amount, shares = null, transactionId = null, bookingError = null }) {
+            await db.execute(
+                `INSERT INTO group_expense_shares (expense_id, user_id, amount, shares, transaction_id, booking_error)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [expenseId, userId, amount, shares, transactionId, bookingError]
+            );
+        },
+
+        // The shares of an expense that were booked as the member's own transaction
+        bookedGroupShares: (expenseId) => queryRows(
+            'SELECT user_id, transaction_id FROM group_expense_shares WHERE expense_id = ? AND transaction_id IS NOT NULL',
+            [expenseId]
+        ),
+
+        async deleteGroupExpense(expenseId) {
+            await db.execute('DELETE FROM group_expenses WHERE id = ?', [expenseId]);
+        },
+
+        // The group's latest settlements, newest first
+        groupSettlements: (groupId, limit) => queryRows(
+            `SELECT id, from_user, to_user, amount, note, created_by, created_at
+             FROM group_settlements
+             WHERE group_id = ?
+             ORDER BY created_at DESC, id DESC
+             LIMIT ${Number(limit)}`,
+            [groupId]
+        ),
+
+        async createGroupSettlement({ groupId, fromUser, toUser, amount, note = null, createdBy }) {
+            const [result] = await db.execute(
+                `INSERT INTO group_settlements (group_id, from_user, to_user, amount, note, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [groupId, fromUser, toUser, amount, note, createdBy]
+            );
+            return result.insertId;
+        },
+
+        // RECURRING TRANSACTIONS
+
+        // Active schedules first; `activeOnly` and `includeIncome: false` narrow the list for projections
+        listRecurring: (userId, { activeOnly = false, includeIncome = true } = {}) => queryRows(
+            `SELECT * FROM recurring_transactions
+             WHERE user_id = ?${activeOnly ? ' AND is_active = TRUE' : ''}${includeIncome ? '' : " AND transaction_type = 'expense'"}
+             ORDER BY is_active DESC, next_run_at`,
+            [userId]
+        ),
+
+        findRecurring: (userId, recurringId) => queryRow(
+            'SELECT * FROM recurring_transactions WHERE id = ? AND user_id = ?',
+            [recurringId, userId]
+        ),
+
+        // Resolves to the new schedule's id
+        async createRecurring(userId, { name, type, category, source, amount, description, frequency, cronExpression, startsAt, endsAt, nextRunAt }) {
+            const [result] = await db.execute(
+                `INSERT INTO recurring_transactions
+                 (user_id, name, transaction_type, category, source, amount, description, frequency, cron_expression,
+                  starts_at, ends_at, next_run_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [userId, name, type, category, source, amount, description, frequency, cronExpression, startsAt, endsAt, nextRunAt]
+            );
+            return result.insertId;
+        },
+
+        // Set the given fields (see RECURRING_FIELDS); undefined ones are left as they are
+        async updateRecurring(recurringId, fields) {
+            const changes = Object.entries(RECURRING_FIELDS).filter(([field]) => fields[field] !== undefined);
+            if (changes.length === 0) {
+                return;
+            }
+            await db.execute(
+                `UPDATE recurring_transactions SET ${changes.map(([, column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...changes.map(([field]) => fields[field]), recurringId]
+            );
+        },
+
+        // Resolves to false when the schedule is not the user's
+        deleteRecurring: (userId, recurringId) => affectsRows(
+            'DELETE FROM recurring_transactions WHERE id = ? AND user_id = ?',
+            [recurringId, userId]
+        ),
+
+        // Active schedules with an occurrence due at or before `at`, earliest first
+        dueRecurring: (at) => queryRows(
+            'SELECT * FROM recurring_transactions WHERE is_active = TRUE AND next_run_at <= ? ORDER BY next_run_at',
+            [at]
+        ),
+
+        // The schedule's next run and active flag; locked inside a transaction
+        lockRecurring: (recurringId) => queryRow(
+            `SELECT next_run_at, is_active FROM recurring_transactions WHERE id = ?${forUpdate}`,
+            [recurringId]
+        ),
+
+        // SAVINGS RULES
+
+        listSavingsRules: (userId) => queryRows(
+            'SELECT * FROM savings_rules WHERE user_id = ? ORDER BY is_active DESC, rule_type, income_source',
+            [userId]
+        ),
+
+        findSavingsRule: (userId, ruleId) => queryRow(
+            'SELECT * FROM savings_rules WHERE id = ? AND user_id = ?',
+            [ruleId, userId]
+        ),
+
+        // Resolves to the new rule's id
+        async createSavingsRule(userId, { ruleType, incomeSource, value }) {
+            const [result] = await db.execute(
+                'INSERT INTO savings_rules (user_id, rule_type, income_source, value) VALUES (?, ?, ?, ?)',
+                [userId, ruleType, incomeSource, value]
+            );
+            return result.insertId;
+        },
+
+        async updateSavingsRule(ruleId, { value, isActive }) {
+            await db.execute('UPDATE savings_rules SET value = ?, is_active = ? WHERE id = ?', [value, isActive, ruleId]);
+        },
+
+        // Resolves to false when the rule is not the user's
+        deleteSavingsRule: (userId, ruleId) => affectsRows(
+            'DELETE FROM savings_rules WHERE id = ? AND user_id = ?',
+            [ruleId, userId]
+        ),
+
+        // Only one allowance rule, and one rule per income source or round-up, may be active at a time:
+        // deactivate the user's rules other than `keepId` that conflict with it
+        async deactivateConflictingRules(userId, { ruleType, incomeSource, keepId }) {
+            if (ALLOWANCE_RULE_TYPES.includes(ruleType)) {
+                await db.execute(
+                    `UPDATE savings_rules SET is_active = FALSE
+                     WHERE user_id = ? AND rule_type IN ('allowance_fixed', 'allowance_percent') AND id <> ?`,
+                    [userId, keepId]
+                );
+            } else {
+                await db.execute(
+                    `UPDATE savings_rules SET is_active = FALSE
+                     WHERE user_id = ? AND rule_type = ? AND income_source <=> ? AND id <> ?`,
+                    [userId, ruleType, incomeSource, keepId]
+                );
+            }
+        },
+
+        // The active allowance_fixed or allowance_percent rule deducted when a budget period opens
+        allowanceRule: (userId) => queryRow(
+            `SELECT rule_type, value FROM savings_rules
+             WHERE user_id = ? AND rule_type IN ('allowance_fixed', 'allowance_percent') AND is_active = TRUE
+             ORDER BY id DESC LIMIT 1`,
+            [userId]
+        ),
+
+        // REMINDERS AND NOTIFICATIONS
+
+        listReminders: (userId) => queryRows(
+            'SELECT * FROM reminders WHERE user_id = ? ORDER BY created_at DESC',
+            [userId]
+        ),
+
+        findReminder: (userId, reminderId) => queryRow(
+            'SELECT * FROM reminders WHERE id = ? AND user_id = ?',
+            [reminderId, userId]
+        ),
+
+        // A recurring reminder (type 'recurring': frequency and nextRunAt) or a condition reminder (type
+        // 'condition': conditionType, conditionCategory and threshold); resolves to its id
+        async createReminder(userId, { type, message, frequency = null, startAt = null, nextRunAt = null, conditionType = null, conditionCategory = null, threshold = null }) {
+            const [result] = await db.execute(
+                `INSERT INTO reminders
+                 (user_id, reminder_type, message, frequency, start_at, next_run_at, condition_type, condition_category, condition_threshold)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [userId, type, message, frequency, startAt, nextRunAt, conditionType, conditionCategory, threshold]
+            );
+            return result.insertId;
+        },
+
+        // Set the given fields (see REMINDER_FIELDS); undefined ones are left as they are
+        async updateReminder(reminderId, fields) {
+            const changes = Object.entries(REMINDER_FIELDS).filter(([field]) => fields[field] !== undefined);
+            if (changes.length === 0) {
+                return;
+            }
+            await db.execute(
+                `UPDATE reminders SET ${changes.map(([, column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...changes.map(([field]) => fields[field]), reminderId]
+            );
+        },
+
+        // Resolves to false when the reminder is not the user's
+        deleteReminder: (userId, reminderId) => affectsRows(
+            'DELETE FROM reminders WHERE id = ? AND user_id = ?',
+            [reminderId, userId]
+        ),
+
+        // Active recurring reminders whose next run is at or before `at`
+        dueReminders: (at) => queryRows(
+            `SELECT id, user_id, message, frequency, start_at, next_run_at
+             FROM reminders
+             WHERE is_active = TRUE AND reminder_type = 'recurring' AND next_run_at <= ?`,
+            [at]
+        ),
+
+        // Active condition reminders with the user's balance, allowance and spending in the reminder's category
+        conditionReminders: () => queryRows(
+            `SELECT r.id, r.user_id, r.message, r.condition_type, r.condition_category,
+                    r.condition_threshold, r.condition_met,
+                    u.current_balance, u.monthly_allowance,
+                    COALESCE(ues.total_amount, 0) as category_spent
+             FROM reminders r
+             JOIN users u ON u.id = r.user_id
+             LEFT JOIN user_expense_summaries ues
+                ON ues.user_id = r.user_id AND ues.category = r.condition_category
+             WHERE r.is_active = TRUE AND r.reminder_type = 'condition'`,
+            []
+        ),
+
+        // `createdAt` defaults to now
+        async createNotification({ userId, reminderId = null, message, createdAt = new Date() }) {
+            await db.execute(
+                'INSERT INTO notifications (user_id, reminder_id, message, created_at) VALUES (?, ?, ?, ?)',
+                [userId, reminderId, message, createdAt]
+            );
+        },
+
+        // The user's latest notifications with an id above `afterId`, newest first
+        listNotifications: (userId, { unreadOnly = false, afterId = 0, limit }) => queryRows(
+            `SELECT id, reminder_id, message, is_read, created_at
+             FROM notifications
+             WHERE user_id = ? AND id > ?${unreadOnly ? ' AND is_read = FALSE' : ''}
+             ORDER BY id DESC
+             LIMIT ${Number(limit)}`,
+            [userId, afterId]
+        ),
+
+        async unreadNotifications(userId) {
+            const row = await queryRow(
+                'SELECT COUNT(*) as unread_count FROM notifications WHERE user_id = ? AND is_read = FALSE',
+                [userId]
+            );
+            return row.unread_count;
+        },
+
+        async markNotificationsRead(userId) {
+            await db.execute('UPDATE notifications SET is_read = TRUE WHERE user_id = ? AND is_read = FALSE', [userId]);
+        },
+
+        // Resolves to false when the notification is not the user's
+        markNotificationRead: (userId, notificationId) => affectsRows(
+            'UPDATE notifications SET is_read = TRUE WHERE id = ? AND user_id = ?',
+            [notificationId, userId]
+        ),
+
+        // EXCHANGE RATES AND AUDIT LOG
+
+        convertAmount: (amount, from, to, date) => convertAmount(db, amount, from, to, date),
+
+        latestRates: (base, date) => latestRates(db, base, date),
+
+        // Inside a transaction the user's row is locked first, so the balances read before the operation are
+        // the ones it changes
+        async audited(entry, operation, describe) {
+            if (inTransaction) {
+                await storage.lockBalances(entry.userId);
+            }
+            return audited(db, entry, operation, describe);
+        },
+
+        recordAudit: (entry) => recordAudit(db, entry),
+
+        // The user's audit log, newest first, with the actor's name. `after` ({ value: Date, id }) is the last
+        // entry of the previous page.
+        auditEntries(userId, { action, from, to, limit, after = null }) {
+            const where = ['a.user_id = ?'];
+            const params = [userId];
+            if (action !== undefined) {
+                where.push('a.action = ?');
+                params.push(action);
+            }
+            if (from !== undefined) {
+                where.push('a.created_at >= ?');
+                params.push(from);
+            }
+            if (to !== undefined) {
+                where.push('a.created_at < ?');
+                params.push(to);
+            }
+            if (after) {
+                where.push('(a.created_at < ? OR (a.created_at = ? AND a.id < ?))');
+                params.push(after.value, after.value, after.id);
+            }
+            return queryRows(
+                `SELECT a.*, u.name as actor_name
+                 FROM audit_log a
+                 LEFT JOIN users u ON u.id = a.actor_id
+                 WHERE ${where.join(' AND ')}
+                 ORDER BY a.created_at DESC, a.id DESC
+                 LIMIT ${Number(limit)}`,
+                params
+            );
+        }
+    };
+
+    return storage;
+}
+
+module.exports = { createMySqlStorage };
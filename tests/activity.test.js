@@ -0,0 +1,77 @@
+// Tests for log redaction, request ids and the audit trail (see helpers.js for the setup of the API tests)
+const { request, app, signUpUser, addExpense } = require('./helpers');
+const { redact, redactUrl } = require('../logger');
+
+const activity = async (auth, query = '') => (await request(app).get(`/api/user/activity${query}`).set(auth)).body;
+
+describe('redact', () => {
+    test('drops secrets and masks email addresses at any depth', () => {
+        const error = new Error('No account for jane.doe@example.com');
+
+        const redacted = redact({ body: { email: 'jane.doe@example.com', password: 'hunter22' }, refreshToken: 'abc', error });
+
+        expect(redacted.body).toEqual({ email: 'j***@example.com', password: '[REDACTED]' });
+        expect(redacted.refreshToken).toBe('[REDACTED]');
+        expect(redacted.error).toMatchObject({ name: 'Error', message: 'No account for j***@example.com' });
+    });
+
+    test('drops tokens from logged URLs', () => {
+        expect(redactUrl('/reset?token=abc123&step=2')).toBe('/reset?token=[REDACTED]&step=2');
+    });
+});
+
+describe('X-Request-Id', () => {
+    test('echoes a usable id from the client', async () => {
+        const response = await request(app).get('/api/health').set('X-Request-Id', 'client-42');
+
+        expect(response.headers['x-request-id']).toBe('client-42');
+    });
+
+    test('replaces an unusable id with a new one', async () => {
+        const response = await request(app).get('/api/health').set('X-Request-Id', 'not usable!');
+
+        expect(response.headers['x-request-id']).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    });
+});
+
+describe('GET /api/user/activity', () => {
+    test('records who changed the balance, by how much and from which request', async () => {
+        const { auth, user } = await signUpUser();
+
+        await addExpense({ ...auth, 'X-Request-Id': 'lunch-request' }, { amount: 120, category: 'food' });
+
+        const [entry] = (await activity(auth, '?action=transaction.expense')).data;
+        expect(entry).toMatchObject({
+            action: 'transaction.expense',
+            entityType: 'transaction',
+            amount: 120,
+            balanceBefore: 4900,
+            balanceAfter: 4780,
+            savingsBefore: 100,
+            savingsAfter: 100,
+            actor: { id: user.id },
+            requestId: 'lunch-request'
+        });
+    });
+
+    test('leaves out changes that were refused', async () => {
+        const { auth } = await signUpUser();
+
+        await addExpense(auth, { amount: 9000, category: 'food' });
+
+        expect((await activity(auth)).data.map(e => e.action)).toEqual(['account.opened']);
+    });
+
+    test('pages newest first', async () => {
+        const { auth } = await signUpUser();
+        await addExpense(auth, { amount: 10, category: 'food' });
+        await addExpense(auth, { amount: 20, category: 'food' });
+
+        const first = await activity(auth, '?limit=2');
+        const second = await activity(auth, `?limit=2&cursor=${first.nextCursor}`);
+
+        expect(first.data.map(e => e.amount)).toEqual([20, 10]);
+        expect(second.data.map(e => e.action)).toEqual(['account.opened']);
+        expect(second.nextCursor).toBeNull();
+    });
+});
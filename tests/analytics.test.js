@@ -0,0 +1,192 @@
+// Tests for analytics and exports (see helpers.js for the setup of the API tests)
+const { request, app, signUp, addExpense, addIncome } = require('./helpers');
+const { toDateString } = require('../budgetPeriods');
+const { resolveRange, buildSeries, monthOverMonth, burnRate } = require('../analytics');
+
+// A user with two expenses and one income in the open budget period
+async function signUpWithActivity() {
+    const auth = await signUp();
+    await addExpense(auth, { category: 'food', amount: 120, description: 'lunch' });
+    await addExpense(auth, { category: 'shopping', amount: 80, description: '=SUM(A1)' });
+    await addIncome(auth, { source: 'tutoring', amount: 1000, description: 'pay' });
+    return auth;
+}
+
+describe('GET /api/analytics', () => {
+    test('summarizes spending against the allowance', async () => {
+        const auth = await signUpWithActivity();
+
+        const response = await request(app).get('/api/analytics/spending').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            monthlyAllowance: 5000,
+            currentBalance: 5200,
+            totalSpent: 200,
+            totalSavings: 600,
+            spentPercentage: 4,
+            spendingStatus: 'GOOD'
+        });
+    });
+
+    test('totals today in the daily series', async () => {
+        const auth = await signUpWithActivity();
+
+        const response = await request(app).get('/api/analytics/series?interval=day').set(auth);
+
+        expect(response.status).toBe(200);
+        const today = response.body.data.find(bucket => bucket.period === toDateString(new Date()));
+        expect(today).toMatchObject({ expense: 200, income: 1000, savings: 500 });
+    });
+
+    test('splits this month\'s spending by category', async () => {
+        const auth = await signUpWithActivity();
+
+        const response = await request(app).get('/api/analytics/category-share').set(auth);
+
+        const month = response.body.data[response.body.data.length - 1];
+        expect(month.total).toBe(200);
+        expect(month.categories).toEqual({ food: { amount: 120, share: 60 }, shopping: { amount: 80, share: 40 } });
+    });
+
+    test('reports the open budget period with its income', async () => {
+        const auth = await signUpWithActivity();
+
+        const response = await request(app).get('/api/analytics/periods').set(auth);
+
+        expect(response.body.data).toHaveLength(1);
+        expect(response.body.data[0]).toMatchObject({ status: 'open', totalSpent: 200, totalIncome: 1000, allowanceCredited: 5000 });
+    });
+
+    test('rejects a range that ends before it starts', async () => {
+        const auth = await signUp();
+
+        const response = await request(app).get('/api/analytics/series?from=2026-02-01&to=2026-01-01').set(auth);
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('GET /api/export/transactions', () => {
+    test('writes CSV oldest first, defusing cells a spreadsheet would run', async () => {
+        const auth = await signUpWithActivity();
+
+        const response = await request(app).get('/api/export/transactions').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/csv/);
+        const lines = response.text.trim().split(/\r?\n/);
+        expect(lines[0]).toBe('id,date,type,category,amount,originalCurrency,originalAmount,savingsAmount,source,description');
+        expect(lines.slice(1).map(line => line.split(',').slice(2, 5))).toEqual([
+            ['expense', 'food', '120'],
+            ['expense', 'shopping', '80'],
+            ['income', '', '1000']
+        ]);
+        expect(lines[2].endsWith(`,'=SUM(A1)`)).toBe(true);
+    });
+
+    test('filters the JSON export like the transaction list', async () => {
+        const auth = await signUpWithActivity();
+
+        const response = await request(app).get('/api/export/transactions?format=json&type=income').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toHaveLength(1);
+        expect(response.body[0]).toMatchObject({ type: 'income', source: 'tutoring', amount: 1000, savingsAmount: 500 });
+    });
+
+    test('exports only the user\'s own transactions', async () => {
+        await signUpWithActivity();
+        const auth = await signUp();
+
+        const response = await request(app).get('/api/export/transactions?format=json').set(auth);
+
+        expect(response.body).toEqual([]);
+    });
+
+    test('quotes CSV cells holding commas or quotes', async () => {
+        const auth = await signUp();
+        await addExpense(auth, { category: 'food', amount: 45, description: 'tea, "masala"' });
+
+        const response = await request(app).get('/api/export/transactions').set(auth);
+
+        expect(response.text.trim().split(/\r?\n/)[1].endsWith(',"tea, ""masala"""')).toBe(true);
+    });
+});
+
+describe('GET /api/export/statement', () => {
+    test('renders a PDF', async () => {
+        const auth = await signUpWithActivity();
+
+        const response = await request(app).get('/api/export/statement').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('application/pdf');
+        expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('does not find another user\'s budget period', async () => {
+        const [period] = (await request(app).get('/api/analytics/periods').set(await signUp())).body.data;
+
+        const response = await request(app).get(`/api/export/statement?periodId=${period.id}`).set(await signUp());
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Budget period not found');
+    });
+});
+
+describe('resolveRange', () => {
+    test('widens the range to whole weeks starting on Monday', () => {
+        const range = resolveRange({ interval: 'week', from: '2026-10-07', to: '2026-10-19' });
+
+        expect(range.buckets.map(toDateString)).toEqual(['2026-10-05', '2026-10-12', '2026-10-19']);
+        expect(toDateString(range.to)).toBe('2026-10-26');
+    });
+
+    test('refuses an unknown interval', () => {
+        expect(resolveRange({ interval: 'year' })).toEqual({ error: 'Interval must be one of: day, week, month' });
+    });
+});
+
+describe('monthOverMonth', () => {
+    test('compares each month with the one before it', () => {
+        const range = resolveRange({ interval: 'month', from: '2026-08-01', to: '2026-09-30' });
+        const series = buildSeries([
+            { day: '2026-08-03', transaction_type: 'expense', category: 'food', amount: '200.00', savings_amount: '0.00' },
+            { day: '2026-09-12', transaction_type: 'expense', category: 'food', amount: '300.00', savings_amount: '0.00' },
+            { day: '2026-09-14', transaction_type: 'expense', category: 'shopping', amount: '50.00', savings_amount: '0.00' }
+        ], range);
+
+        const [august, september] = monthOverMonth(series);
+
+        expect(august.deltas).toBeNull();
+        expect(september.deltas.expense).toEqual({ change: 150, percent: 75 });
+        expect(september.deltas.income).toEqual({ change: 0, percent: null });
+        expect(september.deltas.categories).toEqual({
+            food: { change: 100, percent: 50 },
+            shopping: { change: 50, percent: null }
+        });
+    });
+});
+
+describe('burnRate', () => {
+    test('projects when the balance runs out at the average daily spend', () => {
+        expect(burnRate({ spent: 3000, days: 30, balance: 450, today: new Date(2026, 9, 19) }))
+            .toEqual({ dailyBurn: 100, daysLeft: 4, runOutDate: '2026-10-23' });
+    });
+
+    test('never runs out without spending', () => {
+        expect(burnRate({ spent: 0, days: 30, balance: 450 })).toEqual({ dailyBurn: 0, daysLeft: null, runOutDate: null });
+    });
+});
+
+describe('GET /api/analytics/burn-rate', () => {
+    test('averages a new account over the days it has existed', async () => {
+        const auth = await signUpWithActivity();
+
+        const response = await request(app).get('/api/analytics/burn-rate').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ windowDays: 1, spent: 200, currentBalance: 5200, dailyBurn: 200, daysLeft: 26 });
+    });
+});
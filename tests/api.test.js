@@ -0,0 +1,376 @@
+// API tests for sign-up, sessions, the dashboard and transactions (see helpers.js for the setup)
+const { request, app, storage, register, signUp, signUpUser, dashboard, addExpense, addIncome, latestTransactionId } = require('./helpers');
+
+describe('POST /api/auth/register', () => {
+    test('answers 409 to the loser of two sign-ups with the same email', async () => {
+        const body = { name: 'Twin', email: 'twin@example.com', password: 'Passw0rd!23', monthlyAllowance: 5000 };
+
+        const responses = await Promise.all([1, 2].map(() => request(app).post('/api/auth/register').send(body)));
+
+        expect(responses.map(r => r.status).sort()).toEqual([201, 409]);
+        expect(responses.find(r => r.status === 409).body.error).toBe('An account with this email already exists');
+    });
+});
+
+describe('POST /api/auth/refresh', () => {
+    const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    test('rotates the refresh token', async () => {
+        const { refreshToken } = (await register()).body;
+
+        const response = await refresh(refreshToken);
+
+        expect(response.status).toBe(200);
+        expect(response.body.refreshToken).not.toBe(refreshToken);
+        expect((await refresh(response.body.refreshToken)).status).toBe(200);
+    });
+
+    test('ends the session when the same token is used twice at once', async () => {
+        const { refreshToken } = (await register()).body;
+
+        const responses = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+
+        expect(responses.map(r => r.status).sort()).toEqual([200, 401]);
+        const winner = responses.find(r => r.status === 200);
+        expect((await refresh(winner.body.refreshToken)).status).toBe(401);
+    });
+});
+
+describe('GET /api/user/dashboard', () => {
+    test('shows a new user their opening balance, savings and categories', async () => {
+        const data = await dashboard(await signUp());
+
+        expect(data.balance).toBe(4900);
+        expect(data.savings).toBe(100);
+        expect(data.totalSpent).toBe(0);
+        expect(data.transactions).toEqual([]);
+        expect(data.categories.map(c => c.name).sort()).toEqual(['food', 'friends', 'shopping', 'social', 'weekend']);
+        expect(data.period).not.toBeNull();
+    });
+
+    test('requires a token', async () => {
+        const response = await request(app).get('/api/user/dashboard');
+
+        expect(response.status).toBe(401);
+    });
+
+    test('returns the notes saved from the page', async () => {
+        const auth = await signUp();
+
+        expect((await request(app).put('/api/user/notes').set(auth).send({ notes: 'Pay mess fee' })).status).toBe(200);
+
+        expect((await dashboard(auth)).notes).toBe('Pay mess fee');
+    });
+});
+
+describe('GET /api/transactions/category/:category', () => {
+    test('pages a category\'s expenses with its total', async () => {
+        const auth = await signUp();
+        await addExpense(auth, { amount: 10, category: 'food' });
+        await addExpense(auth, { amount: 20, category: 'food' });
+        await addExpense(auth, { amount: 40, category: 'shopping' });
+
+        const first = (await request(app).get('/api/transactions/category/food?limit=1').set(auth)).body.data;
+        const second = (await request(app).get(`/api/transactions/category/food?limit=1&cursor=${first.nextCursor}`).set(auth)).body.data;
+
+        expect(first).toMatchObject({ category: 'food', total: 30, count: 2 });
+        expect(first.transactions.map(t => t.amount)).toEqual([20]);
+        expect(second.transactions.map(t => t.amount)).toEqual([10]);
+        expect(second.nextCursor).toBeNull();
+    });
+});
+
+describe('POST /api/transactions/expense', () => {
+    test('takes the expense off the balance and adds it to its category', async () => {
+        const auth = await signUp();
+
+        const response = await addExpense(auth, { amount: 250.5, category: 'food', description: 'Lunch' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        const data = await dashboard(auth);
+        expect(data.balance).toBe(4649.5);
+        expect(data.totalSpent).toBe(250.5);
+        expect(data.expenses.food).toBe(250.5);
+        expect(data.transactions[0]).toMatchObject({ type: 'expense', category: 'food', amount: 250.5, description: 'Lunch' });
+    });
+
+    test('refuses an expense the balance cannot cover', async () => {
+        const auth = await signUp();
+
+        const response = await addExpense(auth, { amount: 4900.01, category: 'food' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Insufficient balance');
+        expect((await dashboard(auth)).balance).toBe(4900);
+    });
+
+    test('rejects an unknown category', async () => {
+        const auth = await signUp();
+
+        const response = await addExpense(auth, { amount: 10, category: 'rockets' });
+
+        expect(response.status).toBe(400);
+    });
+
+    test('keeps the date an offline entry was made', async () => {
+        const auth = await signUp();
+        const madeAt = new Date(new Date().setHours(0, 0, 1, 0));
+
+        await addExpense(auth, { amount: 10, category: 'food', date: madeAt.toISOString() });
+
+        const { body } = await request(app).get('/api/transactions?limit=1').set(auth);
+        expect(body.data[0].date).toBe(madeAt.toISOString());
+    });
+
+    test('dates an entry from a clock running ahead no later than now', async () => {
+        const auth = await signUp();
+
+        await addExpense(auth, { amount: 10, category: 'food', date: new Date(Date.now() + 86400000).toISOString() });
+
+        const { body } = await request(app).get('/api/transactions?limit=1').set(auth);
+        expect(new Date(body.data[0].date).getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    test('refuses a date in a closed budget period', async () => {
+        const auth = await signUp();
+
+        const response = await addExpense(auth, { amount: 10, category: 'food', date: '2000-01-01T00:00:00.000Z' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Falls in a closed budget period');
+    });
+});
+
+describe('Idempotency-Key', () => {
+    test('replays the stored response instead of recording the expense again', async () => {
+        const auth = await signUp();
+        const send = () => addExpense({ ...auth, 'Idempotency-Key': 'lunch-1' }, { category: 'food', amount: 120 });
+
+        const first = await send();
+        const retry = await send();
+
+        expect(retry.status).toBe(first.status);
+        expect(retry.body).toEqual(first.body);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect((await dashboard(auth)).balance).toBe(4780);
+    });
+
+    test('answers 422 when the key was used for a different request', async () => {
+        const auth = await signUp();
+        const headers = { ...auth, 'Idempotency-Key': 'lunch-2' };
+        await addExpense(headers, { category: 'food', amount: 120 });
+
+        const response = await addExpense(headers, { category: 'food', amount: 150 });
+
+        expect(response.status).toBe(422);
+        expect((await dashboard(auth)).balance).toBe(4780);
+    });
+});
+
+describe('POST /api/transactions/income', () => {
+    test('splits income between balance and savings by the default rule', async () => {
+        const auth = await signUp();
+
+        const response = await addIncome(auth, { amount: 1000, source: 'tutoring' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.savingsAmount).toBe(500);
+        const data = await dashboard(auth);
+        expect(data.balance).toBe(5400);
+        expect(data.savings).toBe(600);
+    });
+});
+
+describe('GET /api/transactions', () => {
+    const cursor = (value) => Buffer.from(JSON.stringify({ v: value, id: 1 })).toString('base64url');
+
+    test('pages through transactions with the returned cursor', async () => {
+        const auth = await signUp();
+        await addExpense(auth, { amount: 10, category: 'food' });
+        await addExpense(auth, { amount: 30, category: 'food' });
+        await addExpense(auth, { amount: 20, category: 'food' });
+
+        const first = await request(app).get('/api/transactions?sort=amount&order=asc&limit=2').set(auth);
+        const second = await request(app).get(`/api/transactions?sort=amount&order=asc&limit=2&cursor=${first.body.nextCursor}`).set(auth);
+
+        expect(first.body.data.map(t => t.amount)).toEqual([10, 20]);
+        expect(second.body.data.map(t => t.amount)).toEqual([30]);
+        expect(second.body.nextCursor).toBeNull();
+        expect(first.body.totals).toEqual({ count: 3, expense: 60, income: 0 });
+    });
+
+    test.each([
+        ['type', 'type=income', ['tutoring']],
+        ['a list of categories', 'categories=food,friends', ['pizza', 'movie night']],
+        ['an amount range', 'minAmount=100&maxAmount=400', ['pizza', 'shoes']],
+        ['description text', 'q=PIZZA', ['pizza']]
+    ])('filters by %s', async (name, query, descriptions) => {
+        const auth = await signUp();
+        await addExpense(auth, { amount: 250, category: 'food', description: 'pizza' });
+        await addExpense(auth, { amount: 400, category: 'shopping', description: 'shoes' });
+        await addExpense(auth, { amount: 50, category: 'friends', description: 'movie night' });
+        await addIncome(auth, { amount: 1000, source: 'tutoring', description: 'tutoring' });
+
+        const response = await request(app).get(`/api/transactions?${query}`).set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(t => t.description).sort()).toEqual(descriptions.sort());
+        expect(response.body.totals.count).toBe(descriptions.length);
+    });
+
+    test('includes the whole "to" day of a date range', async () => {
+        const auth = await signUp();
+        await addExpense(auth, { amount: 250, category: 'food' });
+        const today = new Date().toISOString().slice(0, 10);
+
+        const todays = await request(app).get(`/api/transactions?from=${today}&to=${today}`).set(auth);
+        const earlier = await request(app).get('/api/transactions?to=2026-01-01').set(auth);
+
+        expect(todays.body.data).toHaveLength(1);
+        expect(earlier.body.data).toHaveLength(0);
+    });
+
+    test.each([
+        ['a date cursor on an amount sort', 'sort=amount', cursor('2026-01-01T00:00:00.000Z')],
+        ['a non-numeric amount', 'sort=amount', cursor('12; DROP TABLE')],
+        ['an amount cursor on a date sort', 'sort=date', cursor(12.5)],
+        ['an invalid date', 'sort=date', cursor('2026-13-45T99:00:00.000Z')],
+        ['garbage', 'sort=date', 'not-a-cursor']
+    ])('rejects %s with 400', async (name, sort, value) => {
+        const auth = await signUp();
+
+        const response = await request(app).get(`/api/transactions?${sort}&cursor=${value}`).set(auth);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Invalid cursor');
+    });
+});
+
+describe('PUT /api/transactions/:id', () => {
+    test('applies a new amount and category to balances and summaries', async () => {
+        const auth = await signUp();
+        await addExpense(auth, { amount: 250, category: 'food' });
+        const id = await latestTransactionId(auth);
+
+        const response = await request(app).put(`/api/transactions/${id}`).set(auth).send({ amount: 100, category: 'shopping' });
+
+        expect(response.status).toBe(200);
+        const data = await dashboard(auth);
+        expect(data.balance).toBe(4800);
+        expect(data.totalSpent).toBe(100);
+        expect(data.expenses.food).toBe(0);
+        expect(data.expenses.shopping).toBe(100);
+    });
+
+    test('keeps the savings share of an edited income', async () => {
+        const auth = await signUp();
+        await addIncome(auth, { amount: 1000, source: 'tutoring' });
+        const id = await latestTransactionId(auth);
+
+        await request(app).put(`/api/transactions/${id}`).set(auth).send({ amount: 500 });
+
+        const data = await dashboard(auth);
+        expect(data.balance).toBe(5150);
+        expect(data.savings).toBe(350);
+    });
+
+    test('answers 404 for another user\'s transaction', async () => {
+        const owner = await signUp();
+        await addExpense(owner, { amount: 50, category: 'food' });
+        const id = await latestTransactionId(owner);
+
+        const response = await request(app).put(`/api/transactions/${id}`).set(await signUp()).send({ amount: 10 });
+
+        expect(response.status).toBe(404);
+        expect((await dashboard(owner)).totalSpent).toBe(50);
+    });
+
+    test('refuses a new amount for a transaction entered in another currency', async () => {
+        const auth = await signUp();
+        await addExpense(auth, { amount: 10, category: 'food', currency: 'USD' });
+        const id = await latestTransactionId(auth);
+        const balance = (await dashboard(auth)).balance;
+
+        const amountEdit = await request(app).put(`/api/transactions/${id}`).set(auth).send({ amount: 20 });
+        const descriptionEdit = await request(app).put(`/api/transactions/${id}`).set(auth).send({ description: 'Books' });
+
+        expect(amountEdit.status).toBe(400);
+        expect(amountEdit.body.error).toBe('The amount of a USD transaction cannot be edited; delete it and add it again');
+        expect(descriptionEdit.status).toBe(200);
+        expect((await dashboard(auth)).balance).toBe(balance);
+    });
+    test('refuses a larger amount the balance cannot cover', async () => {
+        const auth = await signUp();
+        await addExpense(auth, { amount: 100, category: 'food' });
+        const id = await latestTransactionId(auth);
+
+        const response = await request(app).put(`/api/transactions/${id}`).set(auth).send({ amount: 6000 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Insufficient balance');
+        expect((await dashboard(auth)).balance).toBe(4800);
+    });
+});
+
+describe('DELETE /api/transactions/:id', () => {
+    test('reverses an expense', async () => {
+        const auth = await signUp();
+        await addExpense(auth, { amount: 300, category: 'weekend' });
+        const id = await latestTransactionId(auth);
+
+        const response = await request(app).delete(`/api/transactions/${id}`).set(auth);
+
+        expect(response.status).toBe(200);
+        const data = await dashboard(auth);
+        expect(data.balance).toBe(4900);
+        expect(data.totalSpent).toBe(0);
+        expect(data.expenses.weekend).toBe(0);
+        expect(data.transactions).toEqual([]);
+    });
+
+    test('refuses to remove income that has already been spent', async () => {
+        const auth = await signUp();
+        await addIncome(auth, { amount: 1000, source: 'tutoring' });
+        const id = await latestTransactionId(auth);
+        await addExpense(auth, { amount: 5000, category: 'shopping' });
+
+        const response = await request(app).delete(`/api/transactions/${id}`).set(auth);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Income already spent, balance cannot cover removing it');
+        expect((await dashboard(auth)).transactions).toHaveLength(2);
+    });
+
+    test('reverses an income and its savings share', async () => {
+        const auth = await signUp();
+        await addIncome(auth, { amount: 1000, source: 'tutoring' });
+        const id = await latestTransactionId(auth);
+
+        await request(app).delete(`/api/transactions/${id}`).set(auth);
+
+        const data = await dashboard(auth);
+        expect(data.balance).toBe(4900);
+        expect(data.savings).toBe(100);
+    });
+
+    test('leaves a transaction from a closed budget period alone', async () => {
+        const { auth, user } = await signUpUser();
+        const transactionId = await storage.insertTransaction({
+            userId: user.id,
+            type: 'expense',
+            category: 'food',
+            amount: '40.00',
+            savingsAmount: '0.00',
+            description: 'old lunch',
+            date: new Date(2000, 0, 1)
+        });
+
+        const edit = await request(app).put(`/api/transactions/${transactionId}`).set(auth).send({ amount: 10 });
+        const removal = await request(app).delete(`/api/transactions/${transactionId}`).set(auth);
+
+        expect(edit.status).toBe(400);
+        expect(removal.status).toBe(400);
+        expect(removal.body.error).toBe('Transactions from a closed budget period cannot be changed');
+    });
+});
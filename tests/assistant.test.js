@@ -0,0 +1,33 @@
+const { createAssistantProvider, createMockProvider } = require('../assistant');
+
+describe('mock assistant provider', () => {
+    const request = { message: 'How much have I spent?', context: { balance: 1200 }, history: [] };
+
+    test('answers with the fixed reply and records the request', async () => {
+        const provider = createAssistantProvider('mock');
+
+        expect(provider.name).toBe('mock');
+        expect(await provider.generateReply(request)).toBe('This is a mock reply.');
+        expect(provider.calls).toEqual([request]);
+    });
+
+    test('builds the reply from the request when given a function', async () => {
+        const provider = createMockProvider({ reply: ({ message }) => `You asked: ${message}` });
+
+        expect(await provider.generateReply(request)).toBe('You asked: How much have I spent?');
+    });
+
+    test('keeps the requests of each provider apart', async () => {
+        const first = createMockProvider({ reply: 'one' });
+        const second = createMockProvider({ reply: 'two' });
+
+        await first.generateReply(request);
+
+        expect(first.calls).toHaveLength(1);
+        expect(second.calls).toHaveLength(0);
+    });
+
+    test('refuses an unknown provider name', () => {
+        expect(() => createAssistantProvider('oracle')).toThrow('Unknown assistant provider "oracle". Use one of: rules, mock');
+    });
+});
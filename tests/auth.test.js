@@ -0,0 +1,162 @@
+// API tests for logging in, sessions, passwords and deleting an account (see helpers.js for the setup)
+const { request, app, mailer, register, signUpUser } = require('./helpers');
+
+const PASSWORD = 'Passw0rd!23';
+const NEW_PASSWORD = 'N3w-Passw0rd!';
+
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+const profile = (auth) => request(app).get('/api/user/dashboard').set(auth);
+
+describe('POST /api/auth/login', () => {
+    test('starts a session with the right password', async () => {
+        const { user } = await signUpUser();
+
+        const response = await login(user.email, PASSWORD);
+
+        expect(response.status).toBe(200);
+        expect(response.body.user).not.toHaveProperty('password_hash');
+        expect((await profile({ Authorization: `Bearer ${response.body.token}` })).status).toBe(200);
+    });
+
+    test('answers the same for a wrong password and an unknown email', async () => {
+        const { user } = await signUpUser();
+
+        const wrongPassword = await login(user.email, 'Wr0ng-Password!');
+        const unknownEmail = await login('nobody@example.com', PASSWORD);
+
+        expect(wrongPassword.status).toBe(401);
+        expect(unknownEmail.status).toBe(401);
+        expect(wrongPassword.body).toEqual(unknownEmail.body);
+    });
+});
+
+describe('sessions', () => {
+    const bearer = (response) => ({ Authorization: `Bearer ${response.body.token}` });
+    const logout = (auth, body = {}) => request(app).post('/api/auth/logout').set(auth).send(body);
+    const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    test('logging out ends only the current session and its refresh token', async () => {
+        const { user } = await signUpUser();
+        const laptop = await login(user.email, PASSWORD);
+        const phone = await login(user.email, PASSWORD);
+
+        expect((await logout(bearer(laptop))).status).toBe(200);
+
+        expect((await profile(bearer(laptop))).status).toBe(401);
+        expect((await refresh(laptop.body.refreshToken)).status).toBe(401);
+        expect((await profile(bearer(phone))).status).toBe(200);
+    });
+
+    test('logging out of all devices ends every session', async () => {
+        const { auth, user } = await signUpUser();
+        const phone = await login(user.email, PASSWORD);
+
+        await logout(auth, { allDevices: true });
+
+        expect((await profile(auth)).status).toBe(401);
+        expect((await profile(bearer(phone))).status).toBe(401);
+        expect((await refresh(phone.body.refreshToken)).status).toBe(401);
+    });
+
+    test('lists the active sessions and revokes one of them', async () => {
+        const { auth, user } = await signUpUser();
+        const phone = await login(user.email, PASSWORD);
+
+        const sessions = (await request(app).get('/api/auth/sessions').set(auth)).body.data;
+        expect(sessions).toHaveLength(2);
+        const other = sessions.find(s => !s.current);
+
+        expect((await request(app).delete(`/api/auth/sessions/${other.id}`).set(auth)).status).toBe(200);
+        expect((await profile(bearer(phone))).status).toBe(401);
+        expect((await profile(auth)).status).toBe(200);
+    });
+
+    test('cannot revoke another user\'s session', async () => {
+        const { user } = await signUpUser();
+        const theirs = await login(user.email, PASSWORD);
+        const [session] = (await request(app).get('/api/auth/sessions').set(bearer(theirs))).body.data;
+        const { auth } = await signUpUser();
+
+        const response = await request(app).delete(`/api/auth/sessions/${session.id}`).set(auth);
+
+        expect(response.status).toBe(404);
+        expect((await profile(bearer(theirs))).status).toBe(200);
+    });
+});
+
+describe('POST /api/auth/register', () => {
+    test('refuses a password shorter than 8 characters', async () => {
+        const response = await register({ password: 'Pa55!' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Password must be at least 8 characters long');
+    });
+});
+
+describe('PUT /api/auth/password', () => {
+    test('changes the password and logs out the other devices', async () => {
+        const { auth, user } = await signUpUser();
+        const otherDevice = await login(user.email, PASSWORD);
+
+        const response = await request(app).put('/api/auth/password').set(auth).send({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD });
+
+        expect(response.status).toBe(200);
+        expect((await profile(auth)).status).toBe(200);
+        expect((await profile({ Authorization: `Bearer ${otherDevice.body.token}` })).status).toBe(401);
+        expect((await login(user.email, PASSWORD)).status).toBe(401);
+        expect((await login(user.email, NEW_PASSWORD)).status).toBe(200);
+    });
+
+    test('requires the current password', async () => {
+        const { auth } = await signUpUser();
+
+        const response = await request(app).put('/api/auth/password').set(auth).send({ currentPassword: 'Wr0ng-Password!', newPassword: NEW_PASSWORD });
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('password reset', () => {
+    // The token from the latest reset link mailed to `email`
+    const resetToken = (email) => {
+        const mail = mailer.transport.sent.filter(m => m.to === email).pop();
+        return mail.text.match(/resetToken=([0-9a-f]+)/)[1];
+    };
+    const reset = (token) => request(app).post('/api/auth/reset-password').send({ token, newPassword: NEW_PASSWORD });
+
+    test('mails a link whose token sets a new password once', async () => {
+        const { auth, user } = await signUpUser();
+
+        const forgot = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+        const token = resetToken(user.email);
+
+        expect(forgot.status).toBe(200);
+        expect((await reset(token)).status).toBe(200);
+        expect((await login(user.email, NEW_PASSWORD)).status).toBe(200);
+        expect((await profile(auth)).status).toBe(401);
+        expect((await reset(token)).status).toBe(400);
+    });
+
+    test('answers the same for an unknown email and sends nothing', async () => {
+        const sent = mailer.transport.sent.length;
+
+        const response = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.message).toBe('If an account exists for this email, a reset link has been sent');
+        expect(mailer.transport.sent).toHaveLength(sent);
+    });
+});
+
+describe('DELETE /api/user/account', () => {
+    test('removes the account after checking the password', async () => {
+        const { auth, user } = await signUpUser();
+
+        const wrong = await request(app).delete('/api/user/account').set(auth).send({ password: 'Wr0ng-Password!' });
+        const right = await request(app).delete('/api/user/account').set(auth).send({ password: PASSWORD });
+
+        expect(wrong.status).toBe(401);
+        expect(right.status).toBe(200);
+        expect((await login(user.email, PASSWORD)).status).toBe(401);
+    });
+});
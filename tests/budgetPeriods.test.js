@@ -0,0 +1,71 @@
+const { periodEndFor, openBudgetPeriod, createBudgetPeriodScheduler, toDateString } = require('../budgetPeriods');
+const { createMemoryStorage } = require('../storage');
+const { createLedger } = require('../ledger');
+
+describe('periodEndFor', () => {
+    test.each([
+        [1, '2026-01-01', '2026-01-31'],
+        [15, '2026-01-15', '2026-02-14'],
+        [25, '2026-01-31', '2026-02-24'],
+        [1, '2026-02-01', '2026-02-28']
+    ])('ends a pay day %i cycle starting %s on %s', (payDay, start, end) => {
+        expect(toDateString(periodEndFor(payDay, new Date(`${start}T00:00:00`)))).toBe(end);
+    });
+});
+
+describe('budget period scheduler', () => {
+    // A user signed up on 10 January 2026 with a 5000 allowance, who spent 1000 on food since
+    async function createStore() {
+        let clock = new Date(2026, 0, 10, 12);
+        const storage = createMemoryStorage({ now: () => clock });
+        const userId = await storage.createUser({ name: 'Asha', email: 'asha@example.com', passwordHash: 'x', allowance: 5000 });
+        await createLedger({ storage }).recordTransaction(userId, { type: 'expense', category: 'food', amount: 1000 });
+        const scheduler = createBudgetPeriodScheduler({ storage, now: () => clock });
+        const setClock = (date) => { clock = date; };
+        return { storage, userId, scheduler, setClock };
+    }
+
+    test('carries the leftover balance into the next cycle and credits the allowance', async () => {
+        const { storage, userId, scheduler, setClock } = await createStore();
+
+        setClock(new Date(2026, 1, 1, 0, 5));
+        expect(await scheduler.tick()).toBe(1);
+
+        expect(await storage.readBalances(userId)).toEqual({ balance: '8800.00', savings: '200.00' });
+        expect((await storage.findUser(userId)).total_spent).toBe('0.00');
+        expect((await storage.categorySummary(userId, 'food')).total_amount).toBe('0.00');
+        const period = await storage.findOpenBudgetPeriod(userId);
+        expect(toDateString(period.period_start)).toBe('2026-02-01');
+        expect(toDateString(period.period_end)).toBe('2026-02-28');
+    });
+
+    test('sweeps the leftover balance into savings in sweep mode', async () => {
+        const { storage, userId, scheduler, setClock } = await createStore();
+        await storage.updateBudgetSettings(userId, { rolloverMode: 'sweep' });
+
+        setClock(new Date(2026, 1, 1, 0, 5));
+        await scheduler.tick();
+
+        expect(await storage.readBalances(userId)).toEqual({ balance: '4900.00', savings: '4100.00' });
+    });
+
+    test('opens every missed cycle once', async () => {
+        const { storage, userId, scheduler, setClock } = await createStore();
+
+        setClock(new Date(2026, 3, 3, 9));
+        expect(await scheduler.tick()).toBe(3);
+        expect(await scheduler.tick()).toBe(0);
+
+        expect(toDateString((await storage.findOpenBudgetPeriod(userId)).period_start)).toBe('2026-04-01');
+        expect((await storage.readBalances(userId)).balance).toBe('18600.00');
+    });
+
+    test('leaves a cycle that is already open alone', async () => {
+        const { storage, userId } = await createStore();
+
+        const opened = await openBudgetPeriod(storage, userId, { start: new Date(2026, 0, 10), end: new Date(2026, 0, 31) });
+
+        expect(opened).toBe(false);
+        expect((await storage.readBalances(userId)).balance).toBe('3900.00');
+    });
+});
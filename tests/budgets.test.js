@@ -0,0 +1,78 @@
+// API tests for per-category budget limits (see helpers.js for the setup)
+const { request, app, storage, signUp, dashboard, addExpense } = require('./helpers');
+
+const setLimit = (auth, category, body) => request(app).put(`/api/budgets/${category}`).set(auth).send(body);
+const budgetFor = async (auth, category) =>
+    (await request(app).get('/api/budgets').set(auth)).body.data.find(b => b.category === category);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PUT /api/budgets/:category', () => {
+    test('warns about an expense over a "warn" limit but records it', async () => {
+        const auth = await signUp();
+        await setLimit(auth, 'food', { limit: 500 });
+        await addExpense(auth, { amount: 400, category: 'food' });
+
+        const response = await addExpense(auth, { amount: 150, category: 'food' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.warning).toBe('Monthly limit of 500.00 for this category exceeded by 50.00');
+        expect((await dashboard(auth)).expenses.food).toBe(550);
+    });
+
+    test('refuses an expense over a "block" limit', async () => {
+        const auth = await signUp();
+        await setLimit(auth, 'food', { limit: 500, action: 'block' });
+        await addExpense(auth, { amount: 400, category: 'food' });
+
+        const response = await addExpense(auth, { amount: 150, category: 'food' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Monthly limit for this category would be exceeded');
+        expect((await dashboard(auth)).balance).toBe(4500);
+    });
+
+    test('locks the balances before reading the spend against the limit', async () => {
+        const auth = await signUp();
+        await setLimit(auth, 'food', { limit: 500, action: 'block' });
+        const lockBalances = jest.spyOn(storage, 'lockBalances');
+        const categorySummary = jest.spyOn(storage, 'categorySummary');
+
+        await addExpense(auth, { amount: 100, category: 'food' });
+
+        expect(lockBalances).toHaveBeenCalled();
+        expect(categorySummary).toHaveBeenCalled();
+        expect(lockBalances.mock.invocationCallOrder[0]).toBeLessThan(categorySummary.mock.invocationCallOrder[0]);
+    });
+
+    test('does not find an unknown category', async () => {
+        const response = await setLimit(await signUp(), 'nope', { limit: 500 });
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('GET /api/budgets', () => {
+    test('reports the spend, remaining amount and share used of each limit', async () => {
+        const auth = await signUp();
+        await setLimit(auth, 'shopping', { limit: 1000, action: 'block' });
+        await addExpense(auth, { amount: 250, category: 'shopping' });
+
+        const budget = await budgetFor(auth, 'shopping');
+
+        expect(budget).toMatchObject({ limit: 1000, action: 'block', spent: 250, remaining: 750, percentUsed: 25 });
+        expect((await budgetFor(auth, 'food')).limit).toBeNull();
+    });
+});
+
+describe('DELETE /api/budgets/:category', () => {
+    test('removes the limit so expenses are no longer blocked', async () => {
+        const auth = await signUp();
+        await setLimit(auth, 'food', { limit: 100, action: 'block' });
+
+        expect((await request(app).delete('/api/budgets/food').set(auth)).status).toBe(200);
+
+        expect((await addExpense(auth, { amount: 300, category: 'food' })).status).toBe(200);
+        expect((await budgetFor(auth, 'food')).limit).toBeNull();
+    });
+});
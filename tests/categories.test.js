@@ -0,0 +1,100 @@
+// API tests for custom expense categories (see helpers.js for the setup)
+const { request, app, signUp, dashboard, addExpense } = require('./helpers');
+
+const createCategory = (auth, body) => request(app).post('/api/categories').set(auth).send(body);
+const updateCategory = (auth, name, body) => request(app).put(`/api/categories/${name}`).set(auth).send(body);
+const listCategories = async (auth, query = '') => (await request(app).get(`/api/categories${query}`).set(auth)).body.data;
+
+describe('POST /api/categories', () => {
+    test('creates a category keyed by its label that expenses can use', async () => {
+        const auth = await signUp();
+
+        const response = await createCategory(auth, { label: 'Gym & Fitness', icon: 'fas fa-dumbbell' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data).toEqual({
+            name: 'gym-fitness', label: 'Gym & Fitness', icon: 'fas fa-dumbbell', color: '#FFD700', archived: false
+        });
+        expect((await addExpense(auth, { amount: 300, category: 'gym-fitness' })).status).toBe(200);
+        expect((await dashboard(auth)).expenses['gym-fitness']).toBe(300);
+    });
+
+    test('suffixes the key of a label already taken', async () => {
+        const auth = await signUp();
+        await createCategory(auth, { label: 'Books' });
+
+        const response = await createCategory(auth, { label: 'books!' });
+
+        expect(response.body.data.name).toBe('books-2');
+    });
+
+    test('refuses an icon outside the picker', async () => {
+        const auth = await signUp();
+
+        const response = await createCategory(auth, { label: 'Pets', icon: 'fas fa-skull' });
+
+        expect(response.status).toBe(400);
+    });
+
+    test('keeps categories per user', async () => {
+        await createCategory(await signUp(), { label: 'Gym' });
+
+        expect(await listCategories(await signUp())).not.toHaveProperty('gym');
+    });
+});
+
+describe('PUT /api/categories/:name', () => {
+    test('archiving hides a category and refuses new expenses in it', async () => {
+        const auth = await signUp();
+
+        const response = await updateCategory(auth, 'weekend', { archived: true });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ name: 'weekend', archived: true });
+        expect(await listCategories(auth)).not.toHaveProperty('weekend');
+        expect((await listCategories(auth, '?includeArchived=true')).weekend.archived).toBe(true);
+        const expense = await addExpense(auth, { amount: 100, category: 'weekend' });
+        expect(expense.status).toBe(400);
+        expect(expense.body.error).toBe('Unknown or archived category');
+    });
+
+    test('renames a category without changing its key', async () => {
+        const auth = await signUp();
+
+        await updateCategory(auth, 'food', { label: 'Mess & Canteen', color: '#00AA00' });
+
+        expect((await listCategories(auth)).food).toMatchObject({ label: 'Mess & Canteen', color: '#00AA00' });
+    });
+
+    test('does not find an unknown category', async () => {
+        const response = await updateCategory(await signUp(), 'nope', { label: 'Nope' });
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('POST /api/categories/:name/merge', () => {
+    test('moves the transactions and spending into the target category', async () => {
+        const auth = await signUp();
+        await addExpense(auth, { amount: 200, category: 'weekend' });
+        await addExpense(auth, { amount: 150, category: 'friends' });
+
+        const response = await request(app).post('/api/categories/weekend/merge').set(auth).send({ into: 'friends' });
+
+        expect(response.status).toBe(200);
+        const data = await dashboard(auth);
+        expect(data.expenses.friends).toBe(350);
+        expect(data.expenses).not.toHaveProperty('weekend');
+        const transactions = (await request(app).get('/api/transactions').set(auth)).body.data;
+        expect(transactions.map(t => t.category)).toEqual(['friends', 'friends']);
+    });
+
+    test.each([
+        ['itself', 'weekend', 400],
+        ['an unknown category', 'nope', 404]
+    ])('refuses a merge into %s', async (name, into, status) => {
+        const response = await request(app).post('/api/categories/weekend/merge').set(await signUp()).send({ into });
+
+        expect(response.status).toBe(status);
+    });
+});
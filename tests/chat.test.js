@@ -0,0 +1,144 @@
+// API tests for the chat assistant and chat transaction entry (see helpers.js for the setup)
+const { request, app, signUp, dashboard } = require('./helpers');
+const { toDateString } = require('../budgetPeriods');
+
+const chat = (auth, message, conversationId) => request(app).post('/api/chat').set(auth).send({ message, conversationId });
+
+describe('POST /api/chat transaction entry', () => {
+    test('records a complete entry straight away', async () => {
+        const auth = await signUp();
+
+        const response = await chat(auth, 'spent 120 on lunch');
+
+        expect(response.status).toBe(200);
+        expect(response.body.entry).toMatchObject({ status: 'recorded', draft: { type: 'expense', amount: 120, category: 'food' } });
+        expect(response.body.data.map(m => m.type)).toEqual(['user', 'ai']);
+        expect(response.body.data[1].content)
+            .toBe(`Recorded ₹120.00 expense on Food & Dining (lunch) for ${toDateString(new Date())}. Your balance is now ₹4780.00.`);
+        const data = await dashboard(auth);
+        expect(data.balance).toBe(4780);
+        expect(data.transactions[0]).toMatchObject({ category: 'food', amount: 120, description: 'lunch' });
+    });
+
+    test('asks for the category it cannot tell and records the answer', async () => {
+        const auth = await signUp();
+
+        const question = await chat(auth, 'paid 300 for a gift');
+        const answer = await chat(auth, 'shopping');
+
+        expect(question.body.entry.status).toBe('pending');
+        expect(question.body.data[1].content).toMatch(/^Which category should .* go in: /);
+        expect(answer.body.entry).toMatchObject({ status: 'recorded', draft: { category: 'shopping', amount: 300 } });
+        expect((await dashboard(auth)).expenses.shopping).toBe(300);
+    });
+
+    test('drops the pending entry when the user says no', async () => {
+        const auth = await signUp();
+        await chat(auth, 'paid 300 for a gift');
+
+        const response = await chat(auth, 'no');
+
+        expect(response.body.entry.status).toBe('cancelled');
+        expect(response.body.data[1].content).toBe('Okay, I did not record it.');
+        expect((await dashboard(auth)).transactions).toEqual([]);
+    });
+
+    test('reports an entry the ledger refuses', async () => {
+        const auth = await signUp();
+
+        const response = await chat(auth, 'spent 9000 on lunch');
+
+        expect(response.body.entry).toMatchObject({ status: 'failed', error: 'Insufficient balance' });
+        expect((await dashboard(auth)).balance).toBe(4900);
+    });
+
+    test('leaves questions to the assistant', async () => {
+        const auth = await signUp();
+
+        const response = await chat(auth, 'how much did I spend on food?');
+
+        expect(response.status).toBe(200);
+        expect(response.body.entry).toBeNull();
+        expect(response.body.data[1].content).not.toBe('');
+        expect((await dashboard(auth)).transactions).toEqual([]);
+    });
+});
+
+describe('chat conversations', () => {
+    const conversations = async (auth) => (await request(app).get('/api/chat/conversations').set(auth)).body.data;
+
+    test('continues the most recent conversation and names it after its first message', async () => {
+        const auth = await signUp();
+
+        const first = await chat(auth, 'hello there');
+        const second = await chat(auth, 'what is my balance?');
+
+        expect(second.body.conversationId).toBe(first.body.conversationId);
+        expect(await conversations(auth)).toEqual([expect.objectContaining({ id: first.body.conversationId, title: 'hello there' })]);
+    });
+
+    test('keeps the messages of a new conversation apart', async () => {
+        const auth = await signUp();
+        await chat(auth, 'hello there');
+        const started = (await request(app).post('/api/chat/conversations').set(auth).send({})).body.data;
+
+        await chat(auth, 'what is my balance?', started.id);
+
+        const history = (await request(app).get(`/api/chat/history?conversationId=${started.id}`).set(auth)).body;
+        expect(history.data[1].content).toBe('what is my balance?');
+        expect(history.data).toHaveLength(2);
+        expect((await conversations(auth)).map(c => c.id)[0]).toBe(started.id);
+    });
+
+    test('does not let a user write to another user\'s conversation', async () => {
+        const { conversationId } = (await chat(await signUp(), 'hello there')).body;
+
+        const response = await chat(await signUp(), 'hello', conversationId);
+
+        expect(response.status).toBe(404);
+    });
+
+    test('deletes a conversation with its messages', async () => {
+        const auth = await signUp();
+        const { conversationId } = (await chat(auth, 'hello there')).body;
+
+        expect((await request(app).delete(`/api/chat/conversations/${conversationId}`).set(auth)).status).toBe(200);
+
+        expect(await conversations(auth)).toEqual([]);
+        expect((await request(app).get(`/api/chat/history?conversationId=${conversationId}`).set(auth)).status).toBe(404);
+    });
+});
+
+describe('GET /api/chat/history', () => {
+    test('pages from the newest message back to the oldest', async () => {
+        const auth = await signUp();
+        await chat(auth, 'hello there');
+        await chat(auth, 'what is my balance?');
+
+        const first = (await request(app).get('/api/chat/history?limit=3').set(auth)).body;
+        const second = (await request(app).get(`/api/chat/history?limit=3&cursor=${first.nextCursor}`).set(auth)).body;
+
+        expect(first.data.map(m => m.type)).toEqual(['ai', 'user', 'ai']);
+        expect(first.data[1].content).toBe('what is my balance?');
+        expect(second.data.map(m => m.content)).toEqual(['hello there']);
+        expect(second.nextCursor).toBeNull();
+    });
+
+    test('rejects a cursor it did not issue', async () => {
+        const response = await request(app).get('/api/chat/history?cursor=not-a-cursor').set(await signUp());
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Invalid cursor');
+    });
+
+    test('forgets every conversation on DELETE', async () => {
+        const auth = await signUp();
+        await chat(auth, 'hello there');
+        await request(app).post('/api/chat/conversations').set(auth).send({ title: 'Budget' });
+
+        const response = await request(app).delete('/api/chat/history').set(auth);
+
+        expect(response.body.deletedConversations).toBe(2);
+        expect((await request(app).get('/api/chat/history').set(auth)).body).toMatchObject({ conversation: null, data: [] });
+    });
+});
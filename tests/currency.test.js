@@ -0,0 +1,78 @@
+// API tests for base currencies (see helpers.js for the setup)
+const { request, app, signUp, signUpUser, dashboard, addExpense } = require('./helpers');
+
+const changeCurrency = (auth, baseCurrency) => request(app).put('/api/user/budget-settings').set(auth).send({ baseCurrency });
+
+describe('PUT /api/user/budget-settings baseCurrency', () => {
+    test('changes the currency of an account that only holds its opening allowance', async () => {
+        const auth = await signUp();
+
+        const response = await changeCurrency(auth, 'USD');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.baseCurrency).toBe('USD');
+    });
+
+    test.each([
+        ['an expense', (auth) => addExpense(auth, { category: 'food', amount: 50, description: 'lunch' })],
+        ['a goal', (auth) => request(app).post('/api/goals').set(auth).send({ goalName: 'Laptop', targetAmount: 40000 })],
+        ['a category limit', (auth) => request(app).put('/api/budgets/food').set(auth).send({ limit: 2000 })]
+    ])('refuses once the account has %s', async (name, record) => {
+        const auth = await signUp();
+        expect((await record(auth)).status).toBeLessThan(300);
+
+        const response = await changeCurrency(auth, 'USD');
+
+        expect(response.status).toBe(409);
+        expect((await dashboard(auth)).user.baseCurrency).toBe('INR');
+    });
+
+    test('still saves the other settings when the currency is unchanged', async () => {
+        const auth = await signUp();
+        await addExpense(auth, { category: 'food', amount: 50, description: 'lunch' });
+
+        const response = await request(app).put('/api/user/budget-settings').set(auth).send({ baseCurrency: 'INR', payDay: 5 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.payDay).toBe(5);
+    });
+});
+
+describe('groups and base currencies', () => {
+    // A group created by an INR user, with `member` invited
+    async function invite(member) {
+        const owner = await signUpUser();
+        const created = await request(app).post('/api/groups').set(owner.auth).send({ name: 'Trip', memberEmails: [member.user.email] });
+        return { owner, groupId: created.body.data.id };
+    }
+
+    test('does not invite someone using another base currency', async () => {
+        const member = await signUpUser({ baseCurrency: 'USD' });
+
+        await invite(member);
+
+        expect((await request(app).get('/api/groups/invitations').set(member.auth)).body.data).toEqual([]);
+    });
+
+    test('refuses an invitee who has switched to another currency since', async () => {
+        const member = await signUpUser();
+        const { groupId } = await invite(member);
+        await changeCurrency(member.auth, 'USD');
+
+        const response = await request(app).post(`/api/groups/${groupId}/invitation`).set(member.auth);
+
+        expect(response.status).toBe(409);
+    });
+
+    test('refuses expenses once a member has switched to another currency', async () => {
+        const member = await signUpUser();
+        const { owner, groupId } = await invite(member);
+        await request(app).post(`/api/groups/${groupId}/invitation`).set(member.auth);
+        await changeCurrency(member.auth, 'USD');
+
+        const response = await request(app).post(`/api/groups/${groupId}/expenses`).set(owner.auth).send({ amount: 100, description: 'Taxi' });
+
+        expect(response.status).toBe(409);
+        expect((await dashboard(owner.auth)).balance).toBe(4900);
+    });
+});
@@ -0,0 +1,128 @@
+// API tests for savings goals (see helpers.js for the setup)
+const { request, app, signUp, dashboard } = require('./helpers');
+
+const createGoal = (auth, body) => request(app).post('/api/goals').set(auth).send(body);
+const contribute = (auth, goalId, body) => request(app).post(`/api/goals/${goalId}/contribute`).set(auth).send(body);
+
+describe('POST /api/goals', () => {
+    test('creates an empty active goal', async () => {
+        const auth = await signUp();
+
+        const response = await createGoal(auth, { goalName: 'Laptop', targetAmount: 40000, targetDate: '2027-06-30' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data).toMatchObject({
+            name: 'Laptop',
+            targetAmount: 40000,
+            currentAmount: 0,
+            remainingAmount: 40000,
+            progress: 0,
+            targetDate: '2027-06-30',
+            status: 'active'
+        });
+    });
+
+    test('requires a positive target', async () => {
+        const auth = await signUp();
+
+        const response = await createGoal(auth, { goalName: 'Laptop', targetAmount: -5 });
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('GET /api/goals', () => {
+    test('lists only the user\'s own goals, filtered by status', async () => {
+        const auth = await signUp();
+        await createGoal(auth, { goalName: 'Laptop', targetAmount: 40000 });
+        const trip = (await createGoal(auth, { goalName: 'Trip', targetAmount: 100 })).body.data;
+        await contribute(auth, trip.id, { amount: 100 });
+        await createGoal(await signUp(), { goalName: 'Bike', targetAmount: 9000 });
+
+        const all = (await request(app).get('/api/goals').set(auth)).body.data;
+        const completed = (await request(app).get('/api/goals?status=completed').set(auth)).body.data;
+
+        expect(all.map(g => g.name).sort()).toEqual(['Laptop', 'Trip']);
+        expect(completed.map(g => g.name)).toEqual(['Trip']);
+    });
+});
+
+describe('POST /api/goals/:id/contribute', () => {
+    test('moves money from the balance into the goal', async () => {
+        const auth = await signUp();
+        const goal = (await createGoal(auth, { goalName: 'Laptop', targetAmount: 1000 })).body.data;
+
+        const response = await contribute(auth, goal.id, { amount: 250 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.goalCompleted).toBe(false);
+        expect(response.body.data).toMatchObject({ currentAmount: 250, remainingAmount: 750, progress: 25, status: 'active' });
+        expect((await dashboard(auth)).balance).toBe(4650);
+    });
+
+    test('completes the goal once the target is covered from savings', async () => {
+        const auth = await signUp();
+        const goal = (await createGoal(auth, { goalName: 'Concert', targetAmount: 100 })).body.data;
+
+        const response = await contribute(auth, goal.id, { amount: 100, fundingSource: 'savings' });
+
+        expect(response.body.goalCompleted).toBe(true);
+        expect(response.body.data.status).toBe('completed');
+        const data = await dashboard(auth);
+        expect(data.savings).toBe(0);
+        expect(data.balance).toBe(4900);
+
+        const again = await contribute(auth, goal.id, { amount: 10 });
+        expect(again.status).toBe(400);
+        expect(again.body.error).toBe('Only active goals can receive contributions');
+    });
+
+    test('refuses more than the savings hold', async () => {
+        const auth = await signUp();
+        const goal = (await createGoal(auth, { goalName: 'Trip', targetAmount: 2000 })).body.data;
+
+        const response = await contribute(auth, goal.id, { amount: 500, fundingSource: 'savings' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Insufficient savings');
+    });
+
+    test('answers 404 for another user\'s goal', async () => {
+        const owner = await signUp();
+        const goal = (await createGoal(owner, { goalName: 'Bike', targetAmount: 3000 })).body.data;
+
+        const response = await contribute(await signUp(), goal.id, { amount: 10 });
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('PUT /api/goals/:id', () => {
+    test('completes an active goal whose new target is already covered', async () => {
+        const auth = await signUp();
+        const goal = (await createGoal(auth, { goalName: 'Books', targetAmount: 500 })).body.data;
+        await contribute(auth, goal.id, { amount: 300 });
+
+        const response = await request(app).put(`/api/goals/${goal.id}`).set(auth).send({ targetAmount: 300 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ targetAmount: 300, status: 'completed', progress: 100 });
+    });
+});
+
+describe('DELETE /api/goals/:id', () => {
+    test('returns what the goal holds to savings', async () => {
+        const auth = await signUp();
+        const goal = (await createGoal(auth, { goalName: 'Phone', targetAmount: 800 })).body.data;
+        await contribute(auth, goal.id, { amount: 200 });
+
+        const response = await request(app).delete(`/api/goals/${goal.id}`).set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.refundedToSavings).toBe(200);
+        const data = await dashboard(auth);
+        expect(data.balance).toBe(4700);
+        expect(data.savings).toBe(300);
+        expect((await request(app).get('/api/goals').set(auth)).body.data).toEqual([]);
+    });
+});
@@ -0,0 +1,189 @@
+// API tests for shared expenses in groups (see helpers.js for the setup)
+const { request, app, storage, signUpUser, dashboard } = require('./helpers');
+
+// A group created by one user with a second one who has accepted the invitation
+async function createGroupOfTwo(memberFields) {
+    const owner = await signUpUser();
+    const member = await signUpUser(memberFields);
+    const created = await request(app).post('/api/groups').set(owner.auth).send({
+        name: 'Flat 4B',
+        memberEmails: [member.user.email]
+    });
+    expect(created.status).toBe(201);
+    const groupId = created.body.data.id;
+    expect((await request(app).post(`/api/groups/${groupId}/invitation`).set(member.auth)).status).toBe(200);
+    return { owner, member, groupId };
+}
+
+const getGroup = async (auth, groupId) => (await request(app).get(`/api/groups/${groupId}`).set(auth)).body.data;
+const balanceOf = (group, userId) => group.members.find(m => m.id === userId).balance;
+
+describe('POST /api/groups', () => {
+    test('invites the people added, who join by accepting', async () => {
+        const owner = await signUpUser();
+        const member = await signUpUser();
+
+        const created = await request(app).post('/api/groups').set(owner.auth).send({ name: 'Trip', memberEmails: [member.user.email] });
+
+        expect(created.body.data.members.map(m => m.id)).toEqual([owner.user.id]);
+        const invitations = (await request(app).get('/api/groups/invitations').set(member.auth)).body.data;
+        expect(invitations).toEqual([expect.objectContaining({ groupId: created.body.data.id, name: 'Trip', memberCount: 1 })]);
+
+        await request(app).post(`/api/groups/${created.body.data.id}/invitation`).set(member.auth);
+
+        const group = await getGroup(owner.auth, created.body.data.id);
+        expect(group.members.map(m => m.id).sort()).toEqual([owner.user.id, member.user.id].sort());
+    });
+
+    test('hides a group from people who are not in it', async () => {
+        const { groupId } = await createGroupOfTwo();
+        const outsider = await signUpUser();
+
+        const response = await request(app).get(`/api/groups/${groupId}`).set(outsider.auth);
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('POST /api/groups/:id/expenses', () => {
+    test('books each member\'s share as their own expense and owes the payer the rest', async () => {
+        const { owner, member, groupId } = await createGroupOfTwo();
+
+        const response = await request(app).post(`/api/groups/${groupId}/expenses`).set(owner.auth).send({
+            amount: 300,
+            description: 'Groceries',
+            category: 'food'
+        });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.shares.map(s => s.amount)).toEqual([150, 150]);
+        expect((await dashboard(owner.auth)).balance).toBe(4750);
+        expect((await dashboard(member.auth)).balance).toBe(4750);
+
+        const group = await getGroup(owner.auth, groupId);
+        expect(balanceOf(group, owner.user.id)).toBe(150);
+        expect(balanceOf(group, member.user.id)).toBe(-150);
+        expect(group.payments).toEqual([{ from: member.user.id, to: owner.user.id, amount: 150 }]);
+    });
+
+    test('still counts a share that could not be booked and reports why', async () => {
+        const { owner, member, groupId } = await createGroupOfTwo({ monthlyAllowance: 100 });
+
+        const response = await request(app).post(`/api/groups/${groupId}/expenses`).set(owner.auth).send({
+            amount: 300,
+            description: 'Dinner'
+        });
+
+        expect(response.status).toBe(201);
+        const share = response.body.data.shares.find(s => s.userId === member.user.id);
+        expect(share.bookingError).toBe('Insufficient balance');
+        expect(balanceOf(await getGroup(owner.auth, groupId), member.user.id)).toBe(-150);
+    });
+
+    test('rejects a split for someone outside the group', async () => {
+        const { owner, groupId } = await createGroupOfTwo();
+        const outsider = await signUpUser();
+
+        const response = await request(app).post(`/api/groups/${groupId}/expenses`).set(owner.auth).send({
+            amount: 100,
+            description: 'Snacks',
+            splits: [{ userId: outsider.user.id }]
+        });
+
+        expect(response.status).toBe(400);
+    });
+    test('lets only the group creator add an expense someone else paid', async () => {
+        const { owner, member, groupId } = await createGroupOfTwo();
+        const expense = { amount: 100, description: 'Internet' };
+
+        const byMember = await request(app).post(`/api/groups/${groupId}/expenses`).set(member.auth).send({ ...expense, paidBy: owner.user.id });
+        const byOwner = await request(app).post(`/api/groups/${groupId}/expenses`).set(owner.auth).send({ ...expense, paidBy: member.user.id });
+
+        expect(byMember.status).toBe(403);
+        expect(byOwner.status).toBe(201);
+        expect(balanceOf(await getGroup(owner.auth, groupId), member.user.id)).toBe(50);
+    });
+
+    test('records nothing when a share fails to save', async () => {
+        const { owner, member, groupId } = await createGroupOfTwo();
+        const addGroupExpenseShare = storage.addGroupExpenseShare;
+        let added = 0;
+        const spy = jest.spyOn(storage, 'addGroupExpenseShare').mockImplementation(function (...args) {
+            if (++added === 2) {
+                throw new Error('connection lost');
+            }
+            return addGroupExpenseShare.apply(this, args);
+        });
+
+        try {
+            const response = await request(app).post(`/api/groups/${groupId}/expenses`).set(owner.auth).send({ amount: 300, description: 'Rent' });
+            expect(response.status).toBe(500);
+        } finally {
+            spy.mockRestore();
+        }
+
+        expect((await request(app).get(`/api/groups/${groupId}/expenses`).set(owner.auth)).body.data).toEqual([]);
+        expect((await dashboard(owner.auth)).balance).toBe(4900);
+        expect((await dashboard(member.auth)).balance).toBe(4900);
+    });
+});
+
+describe('POST /api/groups/:id/settlements', () => {
+    test('settling up clears the balances', async () => {
+        const { owner, member, groupId } = await createGroupOfTwo();
+        await request(app).post(`/api/groups/${groupId}/expenses`).set(owner.auth).send({ amount: 300, description: 'Rent' });
+
+        const response = await request(app).post(`/api/groups/${groupId}/settlements`).set(member.auth).send({
+            amount: 150,
+            toUserId: owner.user.id
+        });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.payments).toEqual([]);
+        expect(response.body.data.members.map(m => m.balance)).toEqual([0, 0]);
+    });
+
+    test('refuses a settlement the caller is not part of', async () => {
+        const { owner, member, groupId } = await createGroupOfTwo();
+        const third = await signUpUser();
+
+        const response = await request(app).post(`/api/groups/${groupId}/settlements`).set(third.auth).send({
+            amount: 10,
+            fromUserId: member.user.id,
+            toUserId: owner.user.id
+        });
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('DELETE /api/groups/:id/members/:userId', () => {
+    test('refuses to let a member leave before settling up', async () => {
+        const { owner, member, groupId } = await createGroupOfTwo();
+        await request(app).post(`/api/groups/${groupId}/expenses`).set(owner.auth).send({ amount: 100, description: 'Taxi' });
+
+        const response = await request(app).delete(`/api/groups/${groupId}/members/${member.user.id}`).set(member.auth);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Settle up before leaving the group');
+    });
+
+    test('lets only the group creator remove someone else', async () => {
+        const { owner, member, groupId } = await createGroupOfTwo();
+
+        const byMember = await request(app).delete(`/api/groups/${groupId}/members/${owner.user.id}`).set(member.auth);
+        const byOwner = await request(app).delete(`/api/groups/${groupId}/members/${member.user.id}`).set(owner.auth);
+
+        expect(byMember.status).toBe(403);
+        expect(byOwner.status).toBe(200);
+    });
+
+    test('lets a settled-up member leave', async () => {
+        const { member, groupId } = await createGroupOfTwo();
+
+        const response = await request(app).delete(`/api/groups/${groupId}/members/${member.user.id}`).set(member.auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.message).toBe('You left the group');
+    });
+});
@@ -0,0 +1,65 @@
+// Shared setup for the API tests: the app runs against the in-memory storage backend
+// (STORAGE_DRIVER=memory), so no MySQL server is needed, emails are kept in memory and uploads go to a
+// temporary folder.
+// Each new user starts with a 5000 allowance, of which the default rule moves 100 to savings.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.MAIL_TRANSPORT = 'memory';
+// Every request comes from the same address; a suite makes far more than the default 100
+process.env.RATE_LIMIT_MAX = '100000';
+process.env.UPLOAD_PATH = path.join(os.tmpdir(), `finhigh-test-uploads-${process.pid}`);
+
+const request = require('supertest');
+const { app, storage, mailer } = require('../node');
+
+afterAll(() => fs.promises.rm(process.env.UPLOAD_PATH, { recursive: true, force: true }));
+
+let userCount = 0;
+
+function register(fields = {}) {
+    return request(app).post('/api/auth/register').send({
+        name: 'Test Student',
+        email: `student${++userCount}@example.com`,
+        password: 'Passw0rd!23',
+        monthlyAllowance: 5000,
+        ...fields
+    });
+}
+
+// Register a fresh user; resolves to the Authorization header for their requests
+async function signUp(fields) {
+    return (await signUpUser(fields)).auth;
+}
+
+// Register a fresh user; resolves to { auth, user } (user is the registered profile, with id and email)
+async function signUpUser(fields) {
+    const response = await register(fields);
+    expect(response.status).toBe(201);
+    return { auth: { Authorization: `Bearer ${response.body.token}` }, user: response.body.user };
+}
+
+const dashboard = async (auth) => (await request(app).get('/api/user/dashboard').set(auth)).body.data;
+
+const addExpense = (auth, body) => request(app).post('/api/transactions/expense').set(auth).send(body);
+const addIncome = (auth, body) => request(app).post('/api/transactions/income').set(auth).send(body);
+
+// Id of the user's most recent transaction
+const latestTransactionId = async (auth) => (await request(app).get('/api/transactions?limit=1').set(auth)).body.data[0].id;
+
+module.exports = {
+    request,
+    app,
+    storage,
+    mailer,
+    register,
+    signUp,
+    signUpUser,
+    dashboard,
+    addExpense,
+    addIncome,
+    latestTransactionId
+};
@@ -0,0 +1,53 @@
+const express = require('express');
+const request = require('supertest');
+const { createIdempotencyMiddleware } = require('../idempotency');
+const { createMemoryStorage } = require('../storage');
+
+// An app whose one route waits until the test lets it answer
+function createApp(storage) {
+    const app = express();
+    const pending = [];
+    app.use(express.json());
+    app.post('/things', (req, res, next) => { req.userId = 1; next(); }, createIdempotencyMiddleware({ storage }), (req, res) => {
+        pending.push(() => res.status(201).json({ created: req.body.name }));
+    });
+    return { app, pending };
+}
+
+const waitFor = async (condition) => {
+    while (!condition()) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+};
+
+describe('createIdempotencyMiddleware', () => {
+    test('answers 409 while the first request with the key is still running', async () => {
+        const { app, pending } = createApp(createMemoryStorage());
+        const send = () => request(app).post('/things').set('Idempotency-Key', 'k1').send({ name: 'a' });
+
+        const first = send().then(r => r);
+        await waitFor(() => pending.length === 1);
+        const second = await send();
+        pending[0]();
+
+        expect(second.status).toBe(409);
+        expect((await first).status).toBe(201);
+        expect(pending).toHaveLength(1);
+    });
+
+    test('claims the key again when the earlier claim was released in the meantime', async () => {
+        const storage = createMemoryStorage();
+        const claimIdempotencyKey = storage.claimIdempotencyKey;
+        storage.claimIdempotencyKey = jest.fn()
+            .mockResolvedValueOnce({ claimed: false, previous: null })
+            .mockImplementation(claimIdempotencyKey);
+        const { app, pending } = createApp(storage);
+
+        const response = request(app).post('/things').set('Idempotency-Key', 'k2').send({ name: 'b' }).then(r => r);
+        await waitFor(() => pending.length === 1);
+        pending[0]();
+
+        expect((await response).status).toBe(201);
+        expect(storage.claimIdempotencyKey).toHaveBeenCalledTimes(2);
+    });
+});
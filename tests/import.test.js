@@ -0,0 +1,128 @@
+// API tests for statement imports (see helpers.js for the setup)
+const { request, app, storage, signUp, dashboard } = require('./helpers');
+const { toDateString } = require('../budgetPeriods');
+
+// Rows dated today, so they fall in the open budget period
+function statement() {
+    const today = toDateString(new Date());
+    return [
+        'date,description,amount',
+        `${today},Campus cafe,-120.50`,
+        `${today},Bookshop,-80`,
+        `${today},Tutoring,300`
+    ].join('\n');
+}
+
+async function preview(auth, content = statement()) {
+    const response = await request(app).post('/api/import/preview').set(auth).send({ fileName: 'statement.csv', content });
+    expect(response.status).toBe(201);
+    return response.body.data;
+}
+
+describe('POST /api/import/preview', () => {
+    test('parses the file into pending rows without recording anything', async () => {
+        const auth = await signUp();
+
+        const batch = await preview(auth);
+
+        expect(batch).toMatchObject({ fileName: 'statement.csv', format: 'csv', status: 'pending' });
+        expect(batch.rows.map(row => [row.type, row.amount])).toEqual([['expense', 120.5], ['expense', 80], ['income', 300]]);
+        expect((await dashboard(auth)).balance).toBe(4900);
+    });
+
+    test('rejects a file whose format cannot be told from its name', async () => {
+        const auth = await signUp();
+
+        const response = await request(app).post('/api/import/preview').set(auth).send({ fileName: 'statement.txt', content: statement() });
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('POST /api/import/:id/confirm', () => {
+    test('records the included rows through the ledger and closes the batch', async () => {
+        const auth = await signUp();
+        const batch = await preview(auth);
+
+        const response = await request(app).post(`/api/import/${batch.id}/confirm`).set(auth).send({
+            rows: [
+                { index: 0, include: true, category: 'food' },
+                { index: 1, include: false }
+            ]
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ importedCount: 2, failedCount: 0, skippedCount: 1 });
+        // Half of the income goes to savings under the default income split
+        expect((await dashboard(auth)).balance).toBe(4900 - 120.5 + 150);
+
+        const confirmed = (await request(app).get(`/api/import/${batch.id}`).set(auth)).body.data;
+        expect(confirmed).toMatchObject({ status: 'confirmed', importedCount: 2 });
+    });
+
+    test('refuses to confirm the same import twice', async () => {
+        const auth = await signUp();
+        const batch = await preview(auth);
+        await request(app).post(`/api/import/${batch.id}/confirm`).set(auth).send({
+            rows: [
+                { index: 0, include: true, category: 'food' },
+                { index: 1, include: true, category: 'shopping' }
+            ]
+        });
+
+        const again = await request(app).post(`/api/import/${batch.id}/confirm`).set(auth).send({});
+
+        expect(again.status).toBe(409);
+        expect((await dashboard(auth)).balance).toBe(4900 - 200.5 + 150);
+    });
+
+    test('records nothing and keeps the batch pending when a row fails to save', async () => {
+        const auth = await signUp();
+        const batch = await preview(auth);
+        const insertTransaction = storage.insertTransaction;
+        let inserted = 0;
+        const spy = jest.spyOn(storage, 'insertTransaction').mockImplementation(function (...args) {
+            if (++inserted === 2) {
+                throw new Error('connection lost');
+            }
+            return insertTransaction.apply(this, args);
+        });
+
+        try {
+            const response = await request(app).post(`/api/import/${batch.id}/confirm`).set(auth).send({
+                rows: [{ index: 0, include: true, category: 'food' }]
+            });
+            expect(response.status).toBe(500);
+        } finally {
+            spy.mockRestore();
+        }
+
+        expect((await dashboard(auth)).balance).toBe(4900);
+        expect((await request(app).get(`/api/import/${batch.id}`).set(auth)).body.data.status).toBe('pending');
+        const retry = await request(app).post(`/api/import/${batch.id}/confirm`).set(auth).send({
+            rows: [{ index: 0, include: true, category: 'food' }]
+        });
+        expect(retry.body.data.importedCount).toBe(2);
+    });
+
+    test('hides another user\'s import', async () => {
+        const batch = await preview(await signUp());
+
+        const response = await request(app).post(`/api/import/${batch.id}/confirm`).set(await signUp()).send({});
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('DELETE /api/import/:id', () => {
+    test('cancels a pending import so it can no longer be confirmed', async () => {
+        const auth = await signUp();
+        const batch = await preview(auth);
+
+        expect((await request(app).delete(`/api/import/${batch.id}`).set(auth)).status).toBe(200);
+
+        const confirm = await request(app).post(`/api/import/${batch.id}/confirm`).set(auth).send({});
+        expect(confirm.status).toBe(409);
+        expect(confirm.body.error).toBe('Import has already been cancelled');
+    });
+});
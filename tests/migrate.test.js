@@ -0,0 +1,99 @@
+const { loadMigrations, status, migrate, rollback } = require('../migrate');
+
+// Stands in for a mysql2 connection: keeps schema_migrations in memory and records every other query
+function createConnection(appliedVersions = []) {
+    const applied = new Map(appliedVersions.map(version => [version, { version, name: `m${version}`, applied_at: new Date(2026, 0, 1) }]));
+    const queries = [];
+
+    return {
+        queries,
+        async query(sql, params = []) {
+            if (/CREATE TABLE IF NOT EXISTS schema_migrations/.test(sql)) {
+                return [[]];
+            }
+            if (/^SELECT version, name, applied_at FROM schema_migrations/.test(sql)) {
+                return [[...applied.values()].sort((a, b) => a.version - b.version)];
+            }
+            if (/^INSERT INTO schema_migrations/.test(sql)) {
+                applied.set(params[0], { version: params[0], name: params[1], applied_at: new Date() });
+                return [{ affectedRows: 1 }];
+            }
+            if (/^DELETE FROM schema_migrations/.test(sql)) {
+                applied.delete(params[0]);
+                return [{ affectedRows: 1 }];
+            }
+            queries.push(sql);
+            return [[]];
+        }
+    };
+}
+
+// A migration whose up and down each run one recognisable query
+const migration = (version) => ({
+    version,
+    name: `m${version}`,
+    file: `00${version}_m${version}.js`,
+    up: (connection) => connection.query(`UP ${version}`),
+    down: (connection) => connection.query(`DOWN ${version}`)
+});
+
+const quiet = () => {};
+
+describe('loadMigrations', () => {
+    test('reads the migrations folder in version order', () => {
+        const migrations = loadMigrations();
+
+        expect(migrations.map(m => m.version)).toEqual(migrations.map((m, i) => i + 1));
+        expect(migrations[0]).toMatchObject({ version: 1, name: 'baseline', file: '001_baseline.js' });
+    });
+});
+
+describe('migrate', () => {
+    test('applies only the pending migrations, oldest first', async () => {
+        const connection = createConnection([1]);
+
+        const applied = await migrate(connection, { migrations: [migration(1), migration(2), migration(3)], log: quiet });
+
+        expect(applied.map(m => m.version)).toEqual([2, 3]);
+        expect(connection.queries).toEqual(['UP 2', 'UP 3']);
+        expect(await migrate(connection, { migrations: [migration(1), migration(2), migration(3)], log: quiet })).toEqual([]);
+    });
+
+    test('leaves a failed migration unrecorded so it runs again', async () => {
+        const connection = createConnection();
+        const broken = { ...migration(2), up: () => Promise.reject(new Error('syntax error')) };
+
+        await expect(migrate(connection, { migrations: [migration(1), broken], log: quiet })).rejects.toThrow('syntax error');
+
+        const rows = await status(connection, [migration(1), broken]);
+        expect(rows.map(row => row.state)).toEqual(['applied', 'pending']);
+    });
+});
+
+describe('rollback', () => {
+    test('reverts the newest applied migrations first', async () => {
+        const connection = createConnection([1, 2, 3]);
+
+        const reverted = await rollback(connection, { steps: 2, migrations: [migration(1), migration(2), migration(3)], log: quiet });
+
+        expect(reverted.map(m => m.version)).toEqual([3, 2]);
+        expect(connection.queries).toEqual(['DOWN 3', 'DOWN 2']);
+    });
+
+    test('refuses to roll back a version without its file', async () => {
+        const connection = createConnection([1, 2]);
+
+        await expect(rollback(connection, { migrations: [migration(1)], log: quiet }))
+            .rejects.toThrow('Cannot roll back version 2: its migration file is missing');
+    });
+});
+
+describe('status', () => {
+    test('reports pending migrations and applied ones whose file is gone', async () => {
+        const connection = createConnection([1, 4]);
+
+        const rows = await status(connection, [migration(1), migration(2)]);
+
+        expect(rows.map(row => [row.version, row.state])).toEqual([[1, 'applied'], [2, 'pending'], [4, 'missing']]);
+    });
+});
@@ -0,0 +1,102 @@
+const {
+    MoneyError, toMinor, toPositiveMinor, toDecimal, sumAmounts, multiply, percentage, allocate, convert,
+    invertRate, combineRates, formatMoney
+} = require('../money');
+
+describe('toMinor', () => {
+    test.each([
+        ['12.345', 'INR', 1235],
+        ['-0.005', 'INR', -1],
+        [0.1 + 0.2, 'INR', 30],
+        ['1500.4', 'JPY', 1500],
+        ['1500.5', 'JPY', 1501],
+        [1e-7, 'INR', 0]
+    ])('reads %p %s as %i minor units', (value, currency, minor) => {
+        expect(toMinor(value, currency)).toBe(minor);
+    });
+
+    test.each([
+        ['text', 'abc', 'INR'],
+        ['a lone point', '.', 'INR'],
+        ['infinity', Infinity, 'INR'],
+        ['an amount past the safe integers', '99999999999999999', 'INR'],
+        ['an unsupported currency', '10', 'XYZ']
+    ])('refuses %s', (name, value, currency) => {
+        expect(() => toMinor(value, currency)).toThrow(MoneyError);
+    });
+});
+
+describe('toPositiveMinor', () => {
+    test.each([
+        ['12.5', 1250],
+        ['0', null],
+        ['-3', null],
+        ['abc', null],
+        [true, null]
+    ])('reads %p as %p', (value, minor) => {
+        expect(toPositiveMinor(value)).toBe(minor);
+    });
+});
+
+describe('decimal strings', () => {
+    test('writes minor units back as exact decimals', () => {
+        expect(toDecimal(-5)).toBe('-0.05');
+        expect(toDecimal(123450)).toBe('1234.50');
+        expect(toDecimal(150000, 'JPY')).toBe('150000');
+    });
+
+    test('sums without float drift', () => {
+        expect(sumAmounts(['0.10', '0.20', 0.3])).toBe(0.6);
+    });
+});
+
+describe('multiply and percentage', () => {
+    test('rounds a product half away from zero', () => {
+        expect(multiply(10000, '0.125')).toBe(1250);
+        expect(multiply(333, '0.5')).toBe(167);
+        expect(multiply(-333, '0.5')).toBe(-167);
+    });
+
+    test('gives percentages to two decimals and null for a zero whole', () => {
+        expect(percentage(2, 3)).toBe(66.67);
+        expect(percentage(5, 0)).toBeNull();
+    });
+});
+
+describe('allocate', () => {
+    test('hands the remainder to the largest shares so the parts add up', () => {
+        expect(allocate(100, [1, 1, 1])).toEqual([34, 33, 33]);
+        expect(allocate(1000, [1, 2])).toEqual([333, 667]);
+    });
+
+    test('refuses weights that add up to nothing', () => {
+        expect(() => allocate(100, [0, 0])).toThrow('Weights must add up to more than zero');
+    });
+});
+
+describe('exchange rates', () => {
+    test('converts between currencies with different minor units', () => {
+        expect(convert(10000, 'USD', 'INR', '83.2')).toBe(832000);
+        expect(convert(100000, 'INR', 'JPY', '1.7891')).toBe(1789);
+        expect(convert(100000, 'INR', 'INR', '5')).toBe(100000);
+    });
+
+    test('refuses a rate that is not positive', () => {
+        expect(() => convert(100, 'USD', 'INR', '0')).toThrow(MoneyError);
+    });
+
+    test('inverts and chains rates to eight decimals', () => {
+        expect(invertRate('83.2')).toBe('0.01201923');
+        expect(combineRates('83.2', '1.7891')).toBe('148.85312000');
+    });
+});
+
+describe('formatMoney', () => {
+    test.each([
+        [1234.5, 'INR', '₹1234.50'],
+        [-12, 'USD', '-$12.00'],
+        [1500, 'JPY', '¥1500']
+    ])('formats %p %s as %s', (amount, currency, text) => {
+        expect(formatMoney(amount, currency)).toBe(text);
+    });
+});
@@ -0,0 +1,57 @@
+const { parseEntry, resolveDraft } = require('../quickEntry');
+
+const categories = [
+    { name: 'food', label: 'Food & Dining' },
+    { name: 'shopping', label: 'Shopping' }
+];
+const today = new Date(2026, 9, 19, 14, 30);
+const parse = (message) => parseEntry(message, { categories, today });
+
+describe('parseEntry dates', () => {
+    test.each([
+        ['spent 120 on lunch yesterday', '2026-10-18'],
+        ['spent 120 on lunch on 15th', '2026-10-15'],
+        ['spent 120 on lunch on 25th', '2026-09-25'],
+        ['spent 120 on lunch on 31st', '2026-08-31'],
+        ['spent 120 on lunch 14/02', '2026-02-14'],
+        ['spent 120 on lunch 25/12', '2025-12-25'],
+        ['spent 120 on lunch 15/02/2025', '2025-02-15'],
+        ['spent 120 on lunch on 2024-02-15', '2024-02-15'],
+        ['spent 120 on lunch 29/02/2024', '2024-02-29']
+    ])('reads "%s" as %s', (message, date) => {
+        const draft = parse(message);
+
+        expect(draft.date).toBe(date);
+        expect(draft.missing).toEqual([]);
+    });
+
+    test('defaults to today without a date phrase', () => {
+        expect(parse('spent 120 on lunch').date).toBe('2026-10-19');
+    });
+
+    test.each([
+        ['a month past December', 'spent 120 on lunch 15/13/2025'],
+        ['a day past the end of the month', 'spent 120 on lunch 30/02/2026'],
+        ['a month-first date', 'spent 120 on lunch 12/31/27'],
+        ['an invalid ISO date', 'spent 120 on lunch on 2025-02-30'],
+        ['a future year', 'spent 120 on lunch 15/02/2027'],
+        ['a future ISO date', 'spent 120 on lunch on 2026-10-20']
+    ])('asks for the date instead of guessing on %s', (name, message) => {
+        const draft = parse(message);
+
+        expect(draft.date).toBeNull();
+        expect(draft.missing).toEqual(['date']);
+        expect(draft.amount).toBe(120);
+        expect(draft.description).toBe('lunch');
+    });
+
+    test('takes the date from the reply to a draft missing one', () => {
+        const draft = parse('spent 120 on lunch 15/13/2025');
+
+        const outcome = resolveDraft(draft, 'it was 2025-12-15', { categories, today });
+
+        expect(outcome.action).toBe('updated');
+        expect(outcome.draft.date).toBe('2025-12-15');
+        expect(outcome.draft.missing).toEqual([]);
+    });
+});
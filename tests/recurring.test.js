@@ -0,0 +1,95 @@
+const { parseCron, nextCronRun, nextOccurrence, occurrencesBetween, createRecurringScheduler } = require('../recurring');
+const { createMemoryStorage } = require('../storage');
+
+describe('cron schedules', () => {
+    test('moves past the weekend to the next weekday run', () => {
+        const cron = parseCron('*/15 9-17 * * 1-5');
+
+        // Friday 16 October 2026, after the last run of the day
+        expect(nextCronRun(cron, new Date(2026, 9, 16, 17, 50))).toEqual(new Date(2026, 9, 19, 9, 0));
+        expect(nextCronRun(cron, new Date(2026, 9, 19, 9, 0))).toEqual(new Date(2026, 9, 19, 9, 15));
+    });
+
+    test.each([
+        ['four fields', '0 9 * *'],
+        ['an hour out of range', '0 24 * * *'],
+        ['a backwards range', '0 9 20-10 * *'],
+        ['a zero step', '*/0 9 * * *']
+    ])('rejects %s', (name, expression) => {
+        expect(() => parseCron(expression)).toThrow();
+    });
+});
+
+describe('nextOccurrence', () => {
+    const monthly = { frequency: 'monthly', starts_at: new Date(2026, 0, 31, 10), ends_at: null };
+
+    test('keeps a monthly schedule on its day of month', () => {
+        const dates = occurrencesBetween(monthly, new Date(2026, 0, 1), new Date(2026, 3, 30, 23));
+
+        expect(dates).toEqual([
+            new Date(2026, 0, 31, 10),
+            new Date(2026, 1, 28, 10),
+            new Date(2026, 2, 31, 10),
+            new Date(2026, 3, 30, 10)
+        ]);
+    });
+
+    test('ends after the end time', () => {
+        const schedule = { ...monthly, ends_at: new Date(2026, 2, 1) };
+
+        expect(nextOccurrence(schedule, new Date(2026, 1, 28, 10))).toBeNull();
+    });
+});
+
+describe('recurring transaction scheduler', () => {
+    // A user signed up on 10 January 2026 with a 5000 allowance (4900 after the default savings rule) and a
+    // daily food schedule starting the next morning
+    async function createStore(amount) {
+        let clock = new Date(2026, 0, 10, 12);
+        const storage = createMemoryStorage({ now: () => clock });
+        const userId = await storage.createUser({ name: 'Asha', email: 'asha@example.com', passwordHash: 'x', allowance: 5000 });
+        const startsAt = new Date(2026, 0, 11, 9);
+        const recurringId = await storage.createRecurring(userId, {
+            name: 'Mess fee',
+            type: 'expense',
+            category: 'food',
+            source: null,
+            amount,
+            description: '',
+            frequency: 'daily',
+            cronExpression: null,
+            startsAt,
+            endsAt: null,
+            nextRunAt: startsAt
+        });
+        const scheduler = createRecurringScheduler({ storage, now: () => clock });
+        const setClock = (date) => { clock = date; };
+        return { storage, userId, recurringId, scheduler, setClock };
+    }
+
+    test('records every occurrence missed while it was down, once', async () => {
+        const { storage, userId, recurringId, scheduler, setClock } = await createStore(100);
+
+        setClock(new Date(2026, 0, 14, 12));
+        expect(await scheduler.tick()).toBe(4);
+        expect(await scheduler.tick()).toBe(0);
+
+        expect((await storage.readBalances(userId)).balance).toBe('4500.00');
+        const schedule = await storage.findRecurring(userId, recurringId);
+        expect(schedule.next_run_at).toEqual(new Date(2026, 0, 15, 9));
+        expect(schedule.last_status).toBe('success');
+    });
+
+    test('skips an occurrence the balance cannot cover and tells the user', async () => {
+        const { storage, userId, recurringId, scheduler, setClock } = await createStore(3000);
+
+        setClock(new Date(2026, 0, 12, 12));
+        expect(await scheduler.tick()).toBe(1);
+
+        expect((await storage.readBalances(userId)).balance).toBe('1900.00');
+        const schedule = await storage.findRecurring(userId, recurringId);
+        expect(schedule).toMatchObject({ last_status: 'failed', last_error: 'Insufficient balance', is_active: 1 });
+        const [notification] = await storage.listNotifications(userId, {});
+        expect(notification.message).toBe('Mess fee (3000.00) due 2026-01-12 was not recorded: Insufficient balance');
+    });
+});
@@ -0,0 +1,109 @@
+const { computeNextRun, createReminderScheduler } = require('../reminders');
+const { createMemoryStorage } = require('../storage');
+const { toMinor, toDecimal } = require('../money');
+
+describe('computeNextRun', () => {
+    test.each([
+        ['daily', new Date(2026, 0, 31, 9), new Date(2026, 1, 1, 9)],
+        ['weekly', new Date(2026, 1, 25, 9), new Date(2026, 2, 4, 9)],
+        ['monthly', new Date(2026, 0, 15, 9), new Date(2026, 1, 15, 9)],
+        ['monthly', new Date(2026, 11, 15, 9), new Date(2027, 0, 15, 9)]
+    ])('steps %s from %s to %s', (frequency, from, next) => {
+        expect(computeNextRun(frequency, from)).toEqual(next);
+    });
+
+    test('clamps a monthly run to the end of shorter months and goes back to its day after', () => {
+        const from = new Date(2026, 0, 31, 9);
+
+        expect(computeNextRun('monthly', from)).toEqual(new Date(2026, 1, 28, 9));
+        expect(computeNextRun('monthly', from, new Date(2026, 1, 28, 9))).toEqual(new Date(2026, 2, 31, 9));
+        expect(computeNextRun('monthly', from, new Date(2026, 2, 31, 9))).toEqual(new Date(2026, 3, 30, 9));
+    });
+
+    test('clamps to 29 February in a leap year', () => {
+        expect(computeNextRun('monthly', new Date(2028, 0, 30, 9))).toEqual(new Date(2028, 1, 29, 9));
+    });
+
+    test('skips the runs missed before `after`', () => {
+        expect(computeNextRun('daily', new Date(2026, 0, 1, 9), new Date(2026, 0, 10, 12))).toEqual(new Date(2026, 0, 11, 9));
+    });
+
+    test('rejects an unknown frequency', () => {
+        expect(() => computeNextRun('yearly', new Date(2026, 0, 1))).toThrow('Unknown reminder frequency: yearly');
+    });
+});
+
+describe('condition reminders', () => {
+    // A store with one balance_below reminder on a user whose balance starts at 800
+    async function createStore() {
+        const storage = createMemoryStorage();
+        const userId = await storage.createUser({ name: 'Asha', email: 'asha@example.com', passwordHash: 'x', allowance: 900 });
+        const reminderId = await storage.createReminder(userId, {
+            type: 'condition',
+            message: 'Balance is low',
+            conditionType: 'balance_below',
+            threshold: 500
+        });
+        const setBalance = async (balance) => {
+            const { balance: current } = await storage.readBalances(userId);
+            await storage.adjustBalances(userId, { balance: toDecimal(toMinor(balance) - toMinor(current)) });
+        };
+        return { storage, userId, reminderId, setBalance };
+    }
+
+    test('notifies once when the condition starts holding, and again only after it has cleared', async () => {
+        const { storage, userId, reminderId, setBalance } = await createStore();
+        const scheduler = createReminderScheduler({ storage });
+        const conditionMet = async () => Boolean((await storage.findReminder(userId, reminderId)).condition_met);
+
+        expect(await scheduler.tick()).toBe(0);
+
+        await setBalance(400);
+        expect(await scheduler.tick()).toBe(1);
+        expect(await conditionMet()).toBe(true);
+
+        await setBalance(300);
+        expect(await scheduler.tick()).toBe(0);
+
+        await setBalance(900);
+        expect(await scheduler.tick()).toBe(0);
+        expect(await conditionMet()).toBe(false);
+
+        await setBalance(100);
+        expect(await scheduler.tick()).toBe(1);
+        const notifications = await storage.listNotifications(userId, { limit: 10 });
+        expect(notifications.map(n => n.message)).toEqual(['Balance is low', 'Balance is low']);
+    });
+});
+
+describe('recurring reminders', () => {
+    test('keep a monthly reminder on its day once it has been clamped for February', async () => {
+        const storage = createMemoryStorage();
+        const userId = await storage.createUser({ name: 'Asha', email: 'asha@example.com', passwordHash: 'x', allowance: 900 });
+        const start = new Date(2026, 0, 31, 9);
+        const reminderId = await storage.createReminder(userId, {
+            type: 'recurring',
+            message: 'Pay rent',
+            frequency: 'monthly',
+            startAt: start,
+            nextRunAt: start
+        });
+        let clock = start;
+        const scheduler = createReminderScheduler({ storage, now: () => clock });
+        const nextRunAt = async () => (await storage.findReminder(userId, reminderId)).next_run_at;
+
+        const runs = [];
+        for (let i = 0; i < 4; i++) {
+            expect(await scheduler.tick()).toBe(1);
+            clock = await nextRunAt();
+            runs.push(clock);
+        }
+
+        expect(runs).toEqual([
+            new Date(2026, 1, 28, 9),
+            new Date(2026, 2, 31, 9),
+            new Date(2026, 3, 30, 9),
+            new Date(2026, 4, 31, 9)
+        ]);
+    });
+});
@@ -0,0 +1,90 @@
+// API tests for savings rules (see helpers.js for the setup)
+const { request, app, signUp, dashboard, addExpense, addIncome } = require('./helpers');
+
+const createRule = (auth, body) => request(app).post('/api/savings-rules').set(auth).send(body);
+const listRules = async (auth) => (await request(app).get('/api/savings-rules').set(auth)).body.data;
+
+describe('POST /api/savings-rules', () => {
+    test('moves the round-up of each expense to savings', async () => {
+        const auth = await signUp();
+        expect((await createRule(auth, { ruleType: 'expense_roundup', value: 10 })).status).toBe(201);
+
+        const response = await addExpense(auth, { amount: 47, category: 'food' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.savingsAmount).toBe(3);
+        const data = await dashboard(auth);
+        expect(data.balance).toBe(4850);
+        expect(data.savings).toBe(103);
+    });
+
+    test('splits income from a source by its own rule', async () => {
+        const auth = await signUp();
+        await createRule(auth, { ruleType: 'income_split', value: 20, incomeSource: 'tutoring' });
+
+        const tutoring = await addIncome(auth, { amount: 1000, source: 'tutoring' });
+        const gift = await addIncome(auth, { amount: 1000, source: 'gift' });
+
+        expect(tutoring.body.savingsAmount).toBe(200);
+        expect(gift.body.savingsAmount).toBe(500);
+    });
+
+    test('deactivates the active rule it replaces', async () => {
+        const auth = await signUp();
+
+        const created = (await createRule(auth, { ruleType: 'allowance_percent', value: 10 })).body.data;
+
+        const allowanceRules = (await listRules(auth)).filter(r => r.ruleType.startsWith('allowance_'));
+        expect(allowanceRules).toHaveLength(2);
+        expect(allowanceRules.filter(r => r.isActive).map(r => r.id)).toEqual([created.id]);
+    });
+
+    test.each([
+        ['a percentage over 100', { ruleType: 'income_split', value: 150 }, 'Percentage rules must be between 0 and 100'],
+        ['a zero round-up step', { ruleType: 'expense_roundup', value: 0 }, 'Round-up step must be positive (e.g. 10 rounds 47 up to 50)'],
+        ['an income source on another rule type', { ruleType: 'allowance_fixed', value: 100, incomeSource: 'tutoring' },
+            'Income source can only be set on income_split rules']
+    ])('refuses %s', async (name, body, error) => {
+        const auth = await signUp();
+
+        const response = await createRule(auth, body);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe(error);
+    });
+});
+
+describe('PUT /api/savings-rules/:id', () => {
+    test('reactivating a rule deactivates the one that replaced it', async () => {
+        const auth = await signUp();
+        const [fixed] = (await listRules(auth)).filter(r => r.ruleType === 'allowance_fixed');
+        const percent = (await createRule(auth, { ruleType: 'allowance_percent', value: 10 })).body.data;
+
+        const response = await request(app).put(`/api/savings-rules/${fixed.id}`).set(auth).send({ isActive: true, value: 250 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ value: 250, isActive: true });
+        expect((await listRules(auth)).find(r => r.id === percent.id).isActive).toBe(false);
+    });
+
+    test('does not find another user\'s rule', async () => {
+        const [rule] = await listRules(await signUp());
+
+        const response = await request(app).put(`/api/savings-rules/${rule.id}`).set(await signUp()).send({ value: 1 });
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('DELETE /api/savings-rules/:id', () => {
+    test('stops the round-up once its rule is deleted', async () => {
+        const auth = await signUp();
+        const rule = (await createRule(auth, { ruleType: 'expense_roundup', value: 10 })).body.data;
+
+        expect((await request(app).delete(`/api/savings-rules/${rule.id}`).set(auth)).status).toBe(200);
+        const response = await addExpense(auth, { amount: 47, category: 'food' });
+
+        expect(response.body.savingsAmount).toBe(0);
+        expect((await request(app).delete(`/api/savings-rules/${rule.id}`).set(auth)).status).toBe(404);
+    });
+});
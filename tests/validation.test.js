@@ -0,0 +1,60 @@
+// API tests for request validation (see helpers.js for the setup)
+const { request, app, signUp, addExpense } = require('./helpers');
+
+describe('validate', () => {
+    test('reports every problem in the body at once', async () => {
+        const auth = await signUp();
+
+        const response = await addExpense(auth, { amount: -5, category: 'food', tip: 10 });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({
+            error: 'amount must be a positive number; tip is not allowed',
+            details: [
+                { location: 'body', field: 'amount', message: 'amount must be a positive number' },
+                { location: 'body', field: 'tip', message: 'tip is not allowed' }
+            ]
+        });
+    });
+
+    test('checks the category against the user\'s own categories', async () => {
+        const auth = await signUp();
+        await request(app).post('/api/categories').set(auth).send({ label: 'Gym' });
+
+        const unknown = await addExpense(await signUp(), { amount: 10, category: 'gym' });
+        const own = await addExpense(auth, { amount: 10, category: 'gym' });
+
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.details).toEqual([{ location: 'body', field: 'category', message: 'category is not one of your categories' }]);
+        expect(own.status).toBe(200);
+    });
+
+    test('refuses an amount that rounds to nothing in its currency', async () => {
+        const response = await addExpense(await signUp(), { amount: 0.4, currency: 'JPY', category: 'food' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('amount must be a positive number');
+    });
+
+    test('validates route params and query strings', async () => {
+        const auth = await signUp();
+
+        const params = await request(app).get('/api/goals/abc').set(auth);
+        const query = await request(app).get('/api/transactions?limit=0&order=sideways').set(auth);
+
+        expect(params.status).toBe(400);
+        expect(params.body.details).toEqual([{ location: 'params', field: 'id', message: 'id must be a number' }]);
+        expect(query.status).toBe(400);
+        expect(query.body.details.map(d => d.field)).toEqual(['order', 'limit']);
+    });
+
+    test('passes converted values on to the route', async () => {
+        const auth = await signUp();
+        await request(app).put('/api/categories/weekend').set(auth).send({ archived: true });
+
+        const response = await request(app).get('/api/categories?includeArchived=1').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.weekend.archived).toBe(true);
+    });
+});
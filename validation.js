@@ -0,0 +1,113 @@
+// FINHIGH Request Validation
+// Joi schemas for request bodies, route params and query strings. validate() checks every part it is given
+// (all problems, not just the first) and answers 400 with { error, details: [{ location, field, message }] };
+// the validated, converted values replace req.params, req.query and req.body.
+const Joi = require('joi');
+const { DEFAULT_CURRENCY, CURRENCIES, isCurrency, toPositiveMinor } = require('./money');
+
+const MAX_AMOUNT = 99999999.99; // DECIMAL(10,2)
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Messages for the custom error codes (external rules only see messages set here, not on the schema)
+const VALIDATION_OPTIONS = {
+    abortEarly: false,
+    errors: { wrap: { label: false } },
+    messages: {
+        'category.unknown': '{{#label}} is not one of your categories',
+        'date.base': '{{#label}} must be a valid date'
+    }
+};
+
+// A category key must be one of the shared expense_categories or one of the user's own categories.
+// Runs after the synchronous rules pass, with the storage and user from the validation context.
+async function knownCategory(value, helpers) {
+    if (value === undefined || value === null) {
+        return value;
+    }
+    const { storage, userId } = helpers.prefs.context;
+    return (await storage.categoryExists(userId, value)) ? value : helpers.error('category.unknown');
+}
+
+// Field builders shared by the route schemas
+const id = () => Joi.number().integer().positive();
+
+// Must still be positive once rounded to the minor units of the sibling currency field (0.4 JPY is not)
+const amount = (currencyField = 'currency') => Joi.number().positive().max(MAX_AMOUNT).custom((value, helpers) => {
+    const sibling = String(helpers.state.ancestors[0]?.[currencyField] ?? '').toUpperCase();
+    const code = isCurrency(sibling) ? sibling : DEFAULT_CURRENCY;
+    return value > 0 && toPositiveMinor(value, code) === null ? helpers.error('number.positive') : value;
+});
+
+const currency = () => Joi.string().trim().uppercase().valid(...Object.keys(CURRENCIES));
+
+const category = () => Joi.string().trim().max(100)
+    .external(knownCategory);
+
+// Kept as the string given, so handlers can still tell a bare YYYY-MM-DD day from a full timestamp
+const dateString = () => Joi.string().trim()
+    .custom((value, helpers) => (isNaN(new Date(value).getTime()) ? helpers.error('date.base') : value));
+
+const day = () => Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .custom((value, helpers) => (isNaN(new Date(value).getTime()) ? helpers.error('date.base') : value))
+    .messages({ 'string.pattern.base': '{{#label}} must be a date like 2024-01-31' });
+
+const limit = (max) => Joi.number().integer().min(1).max(max);
+
+const flag = () => Joi.boolean().truthy('true', '1').falsy('false', '0');
+
+const toDetails = (location, error) => error.details.map(detail => ({
+    location,
+    field: detail.path.join('.') || location,
+    message: detail.message
+}));
+
+// Middleware factory: validate({ params, query, body }) where each part is a joi schema or a plain object
+// of field schemas (unknown fields are rejected)
+function createValidator({ storage }) {
+    return function validate(schemas) {
+        const compiled = LOCATIONS
+            .filter(location => schemas[location])
+            .map(location => [location, Joi.isSchema(schemas[location]) ? schemas[location] : Joi.object(schemas[location])]);
+
+        return async (req, res, next) => {
+            const details = [];
+
+            try {
+                for (const [location, schema] of compiled) {
+                    try {
+                        req[location] = await schema.validateAsync(req[location] ?? {}, {
+                            ...VALIDATION_OPTIONS,
+                            context: { storage, userId: req.userId }
+                        });
+                    } catch (error) {
+                        if (!Joi.isError(error)) {
+                            throw error;
+                        }
+                        details.push(...toDetails(location, error));
+                    }
+                }
+            } catch (error) {
+                return next(error);
+            }
+
+            if (details.length > 0) {
+                return res.status(400).json({ error: details.map(d => d.message).join('; '), details });
+            }
+            next();
+        };
+    };
+}
+
+module.exports = {
+    Joi,
+    MAX_AMOUNT,
+    id,
+    amount,
+    currency,
+    category,
+    dateString,
+    day,
+    limit,
+    flag,
+    createValidator
+};